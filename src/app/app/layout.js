@@ -0,0 +1,6 @@
+import { KeyGuard } from '../components/KeyGuard'
+
+// Keep the app (and its service initialization) from mounting until the key is unlocked
+export default function AppLayout({ children }) {
+  return <KeyGuard>{children}</KeyGuard>
+}
@@ -1,15 +1,14 @@
 'use client'
 
-import { useState, useEffect, useRef } from 'react'
+import { useState, useEffect, useRef, useCallback } from 'react'
 import Image from 'next/image'
 import {
   Menu, X, Send, MessageSquare, Users, User, Settings,
   Plus, ArrowLeft, Search, Upload, QrCode, Key, Trash2, Clock,
-  RefreshCw, AlertCircle, Server, Wifi, WifiOff
+  RefreshCw, AlertCircle, Server, Wifi, WifiOff, ShieldCheck, ShieldAlert, Timer
 } from 'lucide-react'
 import ReactQRCode from 'react-qr-code'
 import { motion } from 'framer-motion'
-import { KeyGuard } from '../components/KeyGuard'
 import NewConversationModal from '../components/NewConversationModal'
 import NodeSelector from '../components/NodeSelector'
 import NetworkStatus from '../components/NetworkStatus'
@@ -17,12 +16,37 @@ import subworldNetwork from '../../utils/SubworldNetworkService'
 import contactStore from '../../utils/ContactStore'
 import conversationManager from '../../utils/ConversationManager'
 import LocalKeyStorageManager from '../../utils/LocalKeyStorageManager'
+import localDatabase from '../../utils/LocalDatabase'
+import typingIndicatorManager from '../../utils/TypingIndicatorManager'
 import FileMessage from '../components/FileMessage'
+import PassphraseSettings from '../components/PassphraseSettings'
+import BackupSettings from '../components/BackupSettings'
 import { File } from 'lucide-react'
 
 import CallButton from '../components/CallButton';
 import CallHandler from '../components/CallHandler';
 import CallMessage from '../components/CallMessage'
+import UnsupportedMessage from '../components/UnsupportedMessage'
+import UnverifiedSenderWarning from '../components/UnverifiedSenderWarning'
+import VerifiedBadge from '../components/VerifiedBadge'
+import ContactVerification from '../components/ContactVerification'
+import KeyChangeWarning from '../components/KeyChangeWarning'
+import ExpiryCountdown from '../components/ExpiryCountdown'
+import MessageTimerMenu from '../components/MessageTimerMenu'
+import SearchPanel from '../components/SearchPanel'
+import MessageList from '../components/MessageList'
+import ExportMenu from '../components/ExportMenu'
+import ConversationImport from '../components/ConversationImport'
+import MessageActions from '../components/MessageActions'
+import EditHistory from '../components/EditHistory'
+import ReplyQuote from '../components/ReplyQuote'
+import ReplyComposer from '../components/ReplyComposer'
+import MessageReactions from '../components/MessageReactions'
+import MessageStatusIcon from '../components/MessageStatusIcon'
+import OutgoingStatus from '../components/OutgoingStatus'
+import ReadReceiptSettings from '../components/ReadReceiptSettings'
+import TypingIndicator from '../components/TypingIndicator'
+import TypingIndicatorSettings from '../components/TypingIndicatorSettings'
 
 import GroupChat from '../components/GroupChat'
 import GroupDetails from '../components/GroupDetails'
@@ -30,16 +54,21 @@ import GroupDetails from '../components/GroupDetails'
 
 export default function App() {
   const messagesEndRef = useRef(null)
+  const messageScrollRef = useRef(null)
   const [selectedConversation, setSelectedConversation] = useState(null)
   const [message, setMessage] = useState('')
   const [activeTab, setActiveTab] = useState('messages')
   const [showConversationList, setShowConversationList] = useState(true)
   const [isMobile, setIsMobile] = useState(false)
   const [currentMessages, setCurrentMessages] = useState([])
+  // Where the open conversation was read up to when it was opened
+  const [readPosition, setReadPosition] = useState(null)
   const [publicKey, setPublicKey] = useState('')
+  const [fullPublicKey, setFullPublicKey] = useState('')
   const [autoDeletionTime, setAutoDeletionTime] = useState(24) // in hours
   const [isLoading, setIsLoading] = useState(true)
   const [errorMessage, setErrorMessage] = useState('')
+  const [storageError, setStorageError] = useState('')
   const [showNewConversationModal, setShowNewConversationModal] = useState(false)
   const [conversations, setConversations] = useState([])
   const [hasNewMessages, setHasNewMessages] = useState(false)
@@ -48,10 +77,18 @@ export default function App() {
 
   const [selectedFile, setSelectedFile] = useState(null);
   const [showFilePreview, setShowFilePreview] = useState(false);
+  const [showContactVerification, setShowContactVerification] = useState(false);
+  const [pendingKeyChangeSend, setPendingKeyChangeSend] = useState(null);
+  const [, setVerificationStatus] = useState(null);
 
   const [groups, setGroups] = useState([])
   const [selectedGroup, setSelectedGroup] = useState(null)
   const [showGroupDetails, setShowGroupDetails] = useState(false)
+  // Search
+  const [showSearch, setShowSearch] = useState(false)
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null)
+  // Message the next one sent replies to
+  const [replyingTo, setReplyingTo] = useState(null)
 
   // Scroll to bottom of message list
   const scrollToBottom = () => {
@@ -144,6 +181,9 @@ export default function App() {
           window.voiceService = voiceService;
           console.log('Voice service loaded globally');
 
+          // Typing indicators travel over the same socket
+          typingIndicatorManager.attach(voiceService);
+
           // Initialize voice service
           if (!voiceService.initialized) {
             voiceService.initialize().catch(err => {
@@ -188,6 +228,14 @@ export default function App() {
   };
 
 
+  // Change the disappearing message timer of the open conversation
+  const handleChangeMessageTimer = async (seconds) => {
+    await conversationManager.setConversationTimer(selectedConversation, seconds);
+    const conversation = conversationManager.getConversation(selectedConversation);
+    setCurrentMessages(conversation ? [...conversation.messages] : []);
+    loadConversations();
+  };
+
   // Add this function to your component
   const handleInitiateCall = (contactPublicKey) => {
     console.log('Initiating call to:', contactPublicKey);
@@ -244,6 +292,7 @@ export default function App() {
   
         // Set public key for display
         setPublicKey(keyPair.publicKeyDisplay);
+        setFullPublicKey(keyPair.publicKey);
   
         try {
           const savedExpiry = localStorage.getItem('subworld_message_expiry');
@@ -452,6 +501,11 @@ export default function App() {
       if (selectedConversation) {
         const conversation = conversationManager.getConversation(selectedConversation);
         if (conversation) {
+          // Messages arriving in the open conversation are read right away
+          if (conversation.unreadCount > 0 && document.visibilityState === 'visible') {
+            conversationManager.markConversationAsRead(selectedConversation);
+            setConversations(conversationManager.getConversationPreviews());
+          }
           setCurrentMessages(conversation.messages.sort(
             (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
           ));
@@ -493,8 +547,29 @@ export default function App() {
   };
 
 
+  // Hold a send to a verified contact whose key changed until the user decides
+  const holdForKeyChange = (send) => {
+    if (contactStore.getContactVerificationStatus(selectedConversation) !== 'changed') return false;
+    setPendingKeyChangeSend(() => send);
+    return true;
+  };
+
+  const handleKeyChangeSendAnyway = () => {
+    const send = pendingKeyChangeSend;
+    contactStore.clearContactVerification(selectedConversation);
+    setVerificationStatus(contactStore.getContactVerificationStatus(selectedConversation));
+    setPendingKeyChangeSend(null);
+    if (send) send();
+  };
+
+  const handleKeyChangeVerify = () => {
+    setPendingKeyChangeSend(null);
+    setShowContactVerification(true);
+  };
+
   const handleSendFile = async () => {
     if (!selectedFile || !selectedConversation || !conversationManager) return;
+    if (holdForKeyChange(handleSendFile)) return;
 
     try {
       // Show loading state
@@ -543,6 +618,18 @@ export default function App() {
     return () => window.removeEventListener('resize', handleResize);
   }, [])
 
+  // Show storage failures instead of losing data silently
+  useEffect(() => {
+    const showStorageError = (error) => {
+      setStorageError(`Saving data on this device failed (${error.operation}): ${error.message}`);
+    }
+    const handleStorageError = (event) => showStorageError(event.detail);
+
+    if (localDatabase.lastError) showStorageError(localDatabase.lastError);
+    window.addEventListener('storageError', handleStorageError);
+    return () => window.removeEventListener('storageError', handleStorageError);
+  }, [])
+
   // Load conversations from the conversation manager
   const loadConversations = () => {
     if (conversationManager) {
@@ -561,33 +648,105 @@ export default function App() {
         setCurrentMessages(conversation.messages.sort(
           (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
         ));
+        setReadPosition({
+          contactPublicKey: selectedConversation,
+          lastReadAt: conversationManager.getConversationLastReadTimestamp(selectedConversation)
+        });
         conversationManager.markConversationAsRead(selectedConversation);
         loadConversations(); // Refresh conversation list to update unread counts
       } else {
         setCurrentMessages([]);
+        setReadPosition({ contactPublicKey: selectedConversation, lastReadAt: null });
       }
     } else {
       setCurrentMessages([]);
+      setReadPosition(null);
     }
+    setReplyingTo(null);
   }, [selectedConversation])
 
-  // Scroll to bottom when messages change
+  // Remove expired messages from the open conversation
   useEffect(() => {
-    scrollToBottom();
-  }, [currentMessages])
+    const handleMessagesExpired = (event) => {
+      loadConversations();
+      if (!selectedConversation || !event.detail.conversationIds.includes(selectedConversation)) return;
+
+      const conversation = conversationManager.getConversation(selectedConversation);
+      setCurrentMessages(conversation ? [...conversation.messages] : []);
+    };
+
+    window.addEventListener('messagesExpired', handleMessagesExpired);
+    return () => window.removeEventListener('messagesExpired', handleMessagesExpired);
+  }, [selectedConversation])
+
+  // Show edits, deletes and status changes of messages in the open conversation
+  useEffect(() => {
+    const handleMessageChanged = (event) => {
+      if (!event.detail.contactPublicKey) return;
+      loadConversations();
+      if (event.detail.contactPublicKey !== selectedConversation) return;
+
+      const conversation = conversationManager.getConversation(selectedConversation);
+      setCurrentMessages(conversation ? [...conversation.messages] : []);
+    };
+
+    window.addEventListener('messageChanged', handleMessageChanged);
+    window.addEventListener('messageStatusChanged', handleMessageChanged);
+    return () => {
+      window.removeEventListener('messageChanged', handleMessageChanged);
+      window.removeEventListener('messageStatusChanged', handleMessageChanged);
+    };
+  }, [selectedConversation])
+
+  // Scroll to bottom when a new message arrives, unless jumping to a search result.
+  // Older messages loaded from storage go on top and leave the scroll position alone
+  const latestMessageId = currentMessages[currentMessages.length - 1]?.id;
+  const latestMessageIdRef = useRef(null);
+  useEffect(() => {
+    // Only a new message scrolls, not the highlight going away
+    const isNewMessage = latestMessageId !== latestMessageIdRef.current;
+    latestMessageIdRef.current = latestMessageId;
+    if (isNewMessage && !highlightedMessageId) scrollToBottom();
+  }, [latestMessageId, highlightedMessageId])
+
+  const loadOlderMessages = useCallback(
+    () => conversationManager.loadOlderMessages({ contactPublicKey: selectedConversation }),
+    [selectedConversation]
+  )
+
+  // The highlight fades after a few seconds
+  useEffect(() => {
+    if (!highlightedMessageId) return;
+    const timeout = setTimeout(() => setHighlightedMessageId(null), 4000);
+    return () => clearTimeout(timeout);
+  }, [highlightedMessageId])
 
   // Send a message
+  // Let the contact know while the composer has text
+  const handleMessageInput = (e) => {
+    setMessage(e.target.value);
+    if (e.target.value.trim()) {
+      typingIndicatorManager.notifyTyping('dm', selectedConversation);
+    } else {
+      typingIndicatorManager.notifyStopped('dm', selectedConversation);
+    }
+  }
+
   const handleSendMessage = async (e) => {
     e.preventDefault();
     if (!message.trim() || !selectedConversation || !conversationManager) return;
+    if (holdForKeyChange(() => handleSendMessage(e))) return;
 
     try {
       // Disable form during sending to prevent double-sending
       const currentMessage = message.trim();
+      const replyToId = replyingTo?.id || null;
       setMessage(''); // Clear input immediately to prevent duplicate sends
+      setReplyingTo(null);
+      typingIndicatorManager.notifyStopped('dm', selectedConversation);
 
       // Send the message using conversation manager
-      await conversationManager.sendMessage(selectedConversation, currentMessage);
+      await conversationManager.sendMessage(selectedConversation, currentMessage, replyToId);
 
       // Reload conversation data
       const conversation = conversationManager.getConversation(selectedConversation);
@@ -658,6 +817,17 @@ export default function App() {
     }
   }
 
+  // Open the conversation or group of a search result and highlight the message
+  const handleSearchResultSelect = (result) => {
+    setShowSearch(false);
+    setHighlightedMessageId(result.messageId);
+    if (result.type === 'group') {
+      handleGroupClick(result.conversationId);
+    } else {
+      handleConversationClick(result.conversationId);
+    }
+  }
+
   // Go back to conversation list (mobile)
   const handleBackToList = () => {
     setShowConversationList(true);
@@ -738,6 +908,11 @@ export default function App() {
       // Save contact info
       contactStore.saveContact(data.recipientKey, data.alias);
 
+      // Remember the full public key needed to encrypt for this contact
+      if (data.recipientPublicKey) {
+        await contactStore.setContactPublicKey(data.recipientKey, data.recipientPublicKey);
+      }
+
       // Close the modal
       setShowNewConversationModal(false);
 
@@ -777,6 +952,8 @@ export default function App() {
     return contact?.alias || publicKeyStr;
   }
 
+  const getSenderName = (publicKeyStr) => publicKeyStr === publicKey ? 'You' : getContactName(publicKeyStr);
+
   // Format timestamp for display
   const formatMessageTime = (timestamp) => {
     const messageDate = new Date(timestamp);
@@ -811,7 +988,7 @@ export default function App() {
   }, [currentMessages]);
 
   return (
-    <KeyGuard>
+    <>
       <div className="h-screen bg-[#0E0F14] text-white flex flex-col md:flex-row overflow-hidden">
 
         <CallHandler />
@@ -843,13 +1020,23 @@ export default function App() {
               New Conversation
             </button>
 
-            <button
-              onClick={fetchNewMessages}
-              className={`p-2 rounded-full hover:bg-gray-800 transition-colors ${refreshing ? 'animate-spin text-blue-400' : ''}`}
-              disabled={refreshing}
-            >
-              <RefreshCw size={20} />
-            </button>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => setShowSearch(true)}
+                className="p-2 rounded-full hover:bg-gray-800 transition-colors"
+                title="Search messages"
+              >
+                <Search size={20} />
+              </button>
+
+              <button
+                onClick={fetchNewMessages}
+                className={`p-2 rounded-full hover:bg-gray-800 transition-colors ${refreshing ? 'animate-spin text-blue-400' : ''}`}
+                disabled={refreshing}
+              >
+                <RefreshCw size={20} />
+              </button>
+            </div>
           </div>
 
           {/* New Messages Notification */}
@@ -860,6 +1047,17 @@ export default function App() {
             </div>
           )}
 
+          {/* Storage Error Notification */}
+          {storageError && (
+            <div className="mx-6 mb-4 px-4 py-2 bg-red-600/20 text-red-400 rounded-lg flex items-center">
+              <AlertCircle size={16} className="mr-2 flex-shrink-0" />
+              <span className="flex-1">{storageError}</span>
+              <button onClick={() => setStorageError('')} className="ml-2 text-red-400 hover:text-red-300">
+                <X size={16} />
+              </button>
+            </div>
+          )}
+
           {isLoading ? (
             <div className="flex-1 flex items-center justify-center">
               <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500"></div>
@@ -900,6 +1098,9 @@ export default function App() {
                     <div className="flex-1 min-w-0">
                       <div className="font-semibold text-lg truncate flex items-center">
                         {conv.isGroup ? conv.name : conv.contactName}
+                        {!conv.isGroup && contactStore.getContactVerificationStatus(conv.contactPublicKey) === 'verified' && (
+                          <VerifiedBadge size={14} className="ml-2 flex-shrink-0" />
+                        )}
                         {conv.unreadCount > 0 && (
                           <span className="ml-2 bg-blue-600 text-white text-xs rounded-full w-5 h-5 flex items-center justify-center">
                             {conv.unreadCount}
@@ -907,7 +1108,14 @@ export default function App() {
                         )}
                       </div>
                       <div className="text-sm text-gray-400 flex justify-between mt-1">
-                        <span className="truncate mr-2 flex-1">{conv.lastMessage}</span>
+                        <span className="truncate mr-2 flex-1">
+                          <TypingIndicator
+                            type={conv.isGroup ? 'group' : 'dm'}
+                            id={conv.isGroup ? conv.id : conv.contactPublicKey}
+                            getSenderName={getContactName}
+                            fallback={conv.lastMessage}
+                          />
+                        </span>
                         <span className="whitespace-nowrap flex-shrink-0">
                           {formatMessageTime(conv.lastMessageTime)}
                         </span>
@@ -922,7 +1130,7 @@ export default function App() {
 
         {/* Main content area */}
         <div className={`flex-1 flex flex-col md:h-full h-[calc(100%-56px)] relative ${showConversationList && activeTab === 'messages' && 'hidden md:flex'}`}>
-          <div className="flex-1 overflow-y-auto p-6 pb-28 scrollbar-thin scrollbar-thumb-gray-700 scrollbar-track-gray-900">
+          <div ref={messageScrollRef} className="flex-1 overflow-y-auto p-6 pb-28 scrollbar-thin scrollbar-thumb-gray-700 scrollbar-track-gray-900">
             {activeTab === 'messages' && selectedConversation && (
               <>
                 <div className="sticky top-0 bg-gradient-to-b from-gray-900 to-gray-800 p-4 flex items-center justify-between rounded-lg mb-6 border border-gray-600 shadow-lg backdrop-blur-sm">
@@ -937,6 +1145,33 @@ export default function App() {
                     <div className="font-semibold text-lg text-white tracking-wide">
                       {getContactName(selectedConversation)}
                     </div>
+                    {contactStore.getContactVerificationStatus(selectedConversation) === 'verified' && (
+                      <VerifiedBadge className="ml-2" />
+                    )}
+                    <TypingIndicator type="dm" id={selectedConversation} className="ml-3 text-sm" />
+
+                    <button
+                      onClick={() => setShowContactVerification(true)}
+                      className="ml-3 p-2 rounded-full hover:bg-gray-700 transition-colors"
+                      title="Verify safety number"
+                    >
+                      {contactStore.getContactVerificationStatus(selectedConversation) === 'changed' ? (
+                        <ShieldAlert size={18} className="text-red-400" />
+                      ) : (
+                        <ShieldCheck size={18} className="text-gray-400 hover:text-white" />
+                      )}
+                    </button>
+
+                    <div className="ml-3">
+                      <MessageTimerMenu
+                        value={conversationManager.getConversationTimer(selectedConversation)}
+                        onChange={handleChangeMessageTimer}
+                      />
+                    </div>
+
+                    <div className="ml-3">
+                      <ExportMenu type="dm" id={selectedConversation} />
+                    </div>
 
                     <div className="ml-3">
                       <CallButton
@@ -955,42 +1190,111 @@ export default function App() {
                       <p className="mb-2">No messages yet</p>
                       <p className="text-sm">Send a message to start the conversation</p>
                     </div>
-                  ) : (
-                    currentMessages.map((msg) => (
-                      <div key={msg.id} className={`mb-6 ${msg.sender === publicKey ? 'text-right' : ''}`}>
-                        {msg.isFile ? (
-                          <FileMessage
-                            message={msg}
-                            formatMessageTime={formatMessageTime}
-                            currentUserKey={publicKey}
-                          />
-                        ) : msg.content.includes('CALL_INVITATION:') ? (
-                          <CallMessage
-                            message={msg}
-                            formatMessageTime={formatMessageTime}
-                            currentUserKey={publicKey}
-                            onJoinCall={joinCall}
-                          />
-                        ) : !msg.content.includes('CALL_SIGNAL:') && (
-                          <>
-                            <div className={`inline-block p-3 px-5 rounded-2xl ${msg.sender === publicKey ? 'bg-blue-600' : 'bg-gray-800'}`}>
-                              {msg.content}
+                  ) : readPosition?.contactPublicKey === selectedConversation && (
+                    <MessageList
+                      key={selectedConversation}
+                      messages={currentMessages}
+                      scrollContainerRef={messageScrollRef}
+                      currentUserKey={publicKey}
+                      lastReadAt={readPosition.lastReadAt}
+                      highlightedMessageId={highlightedMessageId}
+                      onLoadOlder={loadOlderMessages}
+                      renderMessage={(msg) => (
+                        <div
+                          id={`message-${msg.id}`}
+                          className={`mb-6 ${msg.sender === publicKey ? 'text-right' : ''} ${msg.id === highlightedMessageId ? 'rounded-xl bg-blue-500/10 ring-2 ring-blue-400/60 transition-colors' : ''}`}
+                        >
+                          {msg.sender !== publicKey && !msg.isSystem && !msg.isDeleted && !msg.content.includes('CALL_SIGNAL:') && (
+                            <UnverifiedSenderWarning message={msg} />
+                          )}
+                          {msg.isSystem ? (
+                            <div className="flex justify-center">
+                              <div className="inline-flex items-center px-3 py-1 rounded-full bg-gray-800/60 text-xs text-gray-400">
+                                <Timer size={12} className="mr-1" />
+                                {msg.content}
+                              </div>
                             </div>
-                            <div className="text-xs text-gray-500 mt-2">{formatMessageTime(msg.timestamp)}</div>
-                          </>
-                        )}
-                      </div>
-                    ))
+                          ) : msg.isDeleted ? (
+                            <>
+                              <div className="inline-block p-3 px-5 rounded-2xl bg-gray-800/60 text-gray-400 italic">
+                                This message was deleted
+                              </div>
+                              <div className="text-xs text-gray-500 mt-2">
+                                {formatMessageTime(msg.timestamp)}
+                              </div>
+                            </>
+                          ) : msg.isFile ? (
+                            <>
+                              <FileMessage
+                                message={msg}
+                                formatMessageTime={formatMessageTime}
+                                currentUserKey={publicKey}
+                              />
+                              <MessageReactions message={msg} type="dm" id={selectedConversation} getSenderName={getSenderName} isOwn={msg.sender === publicKey} />
+                              <div className="text-xs text-gray-500">
+                                <OutgoingStatus message={msg} />
+                                <MessageActions message={msg} type="dm" id={selectedConversation} onReply={setReplyingTo} />
+                              </div>
+                            </>
+                          ) : msg.isUnsupported ? (
+                            <>
+                              <UnsupportedMessage message={msg} isOwn={msg.sender === publicKey} />
+                              <div className="text-xs text-gray-500 mt-2">
+                                {formatMessageTime(msg.timestamp)}
+                                <ExpiryCountdown expiresAt={msg.expiresAt} className="ml-2" />
+                              </div>
+                            </>
+                          ) : conversationManager.getCallInvitation(msg) ? (
+                            <CallMessage
+                              message={msg}
+                              formatMessageTime={formatMessageTime}
+                              currentUserKey={publicKey}
+                              onJoinCall={joinCall}
+                            />
+                          ) : !msg.content.includes('CALL_SIGNAL:') && (
+                            <>
+                              {msg.replyTo && (
+                                <ReplyQuote
+                                  replyTo={msg.replyTo}
+                                  type="dm"
+                                  id={selectedConversation}
+                                  getSenderName={getSenderName}
+                                  onJump={setHighlightedMessageId}
+                                  isOwn={msg.sender === publicKey}
+                                />
+                              )}
+                              <div className={`inline-block p-3 px-5 rounded-2xl ${msg.sender === publicKey ? 'bg-blue-600' : 'bg-gray-800'}`}>
+                                {msg.content}
+                              </div>
+                              <MessageReactions message={msg} type="dm" id={selectedConversation} getSenderName={getSenderName} isOwn={msg.sender === publicKey} />
+                              <div className="text-xs text-gray-500 mt-2">
+                                {formatMessageTime(msg.timestamp)}
+                                <EditHistory message={msg} formatMessageTime={formatMessageTime} className="ml-2" />
+                                <ExpiryCountdown expiresAt={msg.expiresAt} className="ml-2" />
+                                <MessageStatusIcon message={msg} formatMessageTime={formatMessageTime} className="ml-2" />
+                                <OutgoingStatus message={msg} className="ml-2" />
+                                <MessageActions message={msg} type="dm" id={selectedConversation} onReply={setReplyingTo} />
+                              </div>
+                            </>
+                          )}
+                        </div>
+                      )}
+                    />
                   )}
                   <div ref={messagesEndRef} />
                 </div>
 
                 <form onSubmit={handleSendMessage} className="absolute bottom-0 left-0 right-0 p-6 md:mb-0 mb-16">
+                  <ReplyComposer
+                    replyingTo={replyingTo}
+                    senderName={replyingTo ? getSenderName(replyingTo.sender) : ''}
+                    onCancel={() => setReplyingTo(null)}
+                  />
                   <div className="flex items-center bg-gray-800 rounded-lg overflow-hidden">
                     <input
                       type="text"
                       value={message}
-                      onChange={(e) => setMessage(e.target.value)}
+                      onChange={handleMessageInput}
                       className="flex-1 bg-transparent text-white px-5 py-4 focus:outline-none"
                       placeholder="Type a message..."
                     />
@@ -1018,11 +1322,14 @@ export default function App() {
             {/* Group Chat */}
             {activeTab === 'messages' && selectedGroup && !selectedConversation && (
               <GroupChat
+                key={selectedGroup.id}
                 group={selectedGroup}
                 onBack={handleBackToList}
                 formatMessageTime={formatMessageTime}
                 currentUserKey={publicKey}
                 onOpenGroupDetails={() => setShowGroupDetails(true)}
+                highlightedMessageId={highlightedMessageId}
+                onJumpToMessage={setHighlightedMessageId}
               />
             )}
             {/* Group Details Modal */}
@@ -1122,17 +1429,27 @@ export default function App() {
                   </div>
 
                   <div className="space-y-6">
+                    <div className="rounded-2xl border border-gray-700 bg-gray-800/80 p-6 backdrop-blur-sm shadow-lg">
+                      <h3 className="text-lg font-semibold mb-4 text-blue-400 flex items-center">
+                        <User size={18} className="mr-2" />
+                        Username
+                      </h3>
+                      <div className="bg-gray-900 p-4 rounded-lg border border-gray-700">
+                        <p className="text-sm break-all font-mono">{publicKey}</p>
+                      </div>
+                    </div>
+
                     <div className="rounded-2xl border border-gray-700 bg-gray-800/80 p-6 backdrop-blur-sm shadow-lg">
                       <h3 className="text-lg font-semibold mb-4 text-blue-400 flex items-center">
                         <Key size={18} className="mr-2" />
                         Public Key
                       </h3>
                       <div className="bg-gray-900 p-4 rounded-lg border border-gray-700">
-                        <p className="text-sm break-all font-mono">{publicKey}</p>
+                        <p className="text-sm break-all font-mono">{fullPublicKey}</p>
                       </div>
                       <button
                         onClick={() => {
-                          navigator.clipboard.writeText(publicKey)
+                          navigator.clipboard.writeText(fullPublicKey)
                           alert('Public key copied to clipboard!')
                         }}
                         className="mt-3 w-full py-2 bg-gray-700 hover:bg-gray-600 text-gray-200 rounded-lg text-sm flex items-center justify-center"
@@ -1152,7 +1469,7 @@ export default function App() {
                       </h3>
                       <div className="bg-white p-6 rounded-lg flex items-center justify-center">
                         <ReactQRCode
-                          value={publicKey}
+                          value={fullPublicKey || publicKey}
                           size={200}
                           bgColor="#FFFFFF"
                           fgColor="#000000"
@@ -1179,6 +1496,12 @@ export default function App() {
                       <h3 className="text-lg font-semibold mb-4 text-blue-400">Security</h3>
 
                       <div className="space-y-4">
+                        <PassphraseSettings />
+
+                        <ReadReceiptSettings />
+
+                        <TypingIndicatorSettings />
+
                         <button
                           className="w-full flex items-center justify-between p-4 bg-gray-900 hover:bg-gray-700 text-white rounded-lg transition-colors border border-gray-700"
                           onClick={() => {
@@ -1197,18 +1520,25 @@ export default function App() {
                           </svg>
                         </button>
 
+                        <BackupSettings />
+
+                        <ConversationImport />
+
                         <button
                           className="w-full flex items-center justify-between p-4 bg-gray-900 hover:bg-blue-900/40 text-white rounded-lg transition-colors border border-gray-700"
-                          onClick={() => {
+                          onClick={async () => {
                             if (confirm('Are you sure you want to log out? Make sure you have exported your private key first.')) {
                               // Clear all storage related to the app
                               localStorage.removeItem('subworld_private_key');
                               localStorage.removeItem('subworld_public_key_display');
+                              localStorage.removeItem('subworld_legacy_public_key_display');
                               localStorage.removeItem('subworld_private_key_display');
                               localStorage.removeItem('subworld_public_key_hash');
                               localStorage.removeItem('subworld_preferred_node');
-                              localStorage.removeItem('subworld_contacts');
-                              localStorage.removeItem('subworld_conversations');
+                              localStorage.removeItem('subworld_sessions');
+                              localStorage.removeItem('subworld_sender_keys');
+                              localStorage.removeItem('subworld_control_message_ids');
+                              await localDatabase.clear();
 
                               // Redirect to welcome page
                               window.location.href = '/';
@@ -1230,15 +1560,17 @@ export default function App() {
 
                         <button
                           className="w-full flex items-center justify-between p-4 bg-gray-900 hover:bg-red-900/40 text-white rounded-lg transition-colors border border-gray-700"
-                          onClick={() => {
+                          onClick={async () => {
                             if (confirm('Are you sure you want to delete your account? This action cannot be undone.')) {
                               // Delete key pair and all other data
                               LocalKeyStorageManager.deleteKeyPair();
 
                               // Clear all other storage
                               localStorage.removeItem('subworld_preferred_node');
-                              localStorage.removeItem('subworld_contacts');
-                              localStorage.removeItem('subworld_conversations');
+                              localStorage.removeItem('subworld_sessions');
+                              localStorage.removeItem('subworld_sender_keys');
+                              localStorage.removeItem('subworld_control_message_ids');
+                              await localDatabase.clear();
 
                               // Redirect to home page
                               window.location.href = '/';
@@ -1303,6 +1635,9 @@ export default function App() {
                         <label className="block text-sm font-medium mb-2 text-gray-300">
                           Auto-delete messages after
                         </label>
+                        <p className="mb-3 text-xs text-gray-400">
+                          Used by conversations without their own disappearing message timer
+                        </p>
                         <div className="flex items-center">
                           <input
                             type="range"
@@ -1382,6 +1717,13 @@ export default function App() {
         </motion.nav>
 
         {/* New Conversation Modal */}
+        <SearchPanel
+          isOpen={showSearch}
+          onClose={() => setShowSearch(false)}
+          onSelectResult={handleSearchResultSelect}
+          formatMessageTime={formatMessageTime}
+        />
+
         <NewConversationModal
           isOpen={showNewConversationModal}
           onClose={() => setShowNewConversationModal(false)}
@@ -1389,8 +1731,29 @@ export default function App() {
           onCreateGroup={handleCreateGroup}
         />
 
+        {/* Safety number verification */}
+        {selectedConversation && (
+          <ContactVerification
+            key={selectedConversation}
+            isOpen={showContactVerification}
+            onClose={() => setShowContactVerification(false)}
+            contactPublicKey={selectedConversation}
+            contactName={getContactName(selectedConversation)}
+            ownPublicKey={fullPublicKey}
+            onStatusChange={setVerificationStatus}
+          />
+        )}
+
+        <KeyChangeWarning
+          isOpen={!!pendingKeyChangeSend}
+          contactName={selectedConversation ? getContactName(selectedConversation) : ''}
+          onVerify={handleKeyChangeVerify}
+          onSendAnyway={handleKeyChangeSendAnyway}
+          onCancel={() => setPendingKeyChangeSend(null)}
+        />
+
 
       </div>
-    </KeyGuard>
+    </>
   )
 }
\ No newline at end of file
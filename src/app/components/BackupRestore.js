@@ -0,0 +1,191 @@
+'use client'
+
+import { useState } from 'react'
+import { motion } from 'framer-motion'
+import { Upload, Loader, Users, User, Settings } from 'lucide-react'
+import backupManager from '../../utils/BackupManager'
+
+// Restores an account from an encrypted backup file, showing a preview before anything is saved
+export default function BackupRestore({ onRestored }) {
+  const [fileContents, setFileContents] = useState(null)
+  const [fileName, setFileName] = useState('')
+  const [passphrase, setPassphrase] = useState('')
+  const [opened, setOpened] = useState(null)
+  const [error, setError] = useState('')
+  const [isProcessing, setIsProcessing] = useState(false)
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    setOpened(null)
+    setError('')
+
+    if (!file) {
+      setFileContents(null)
+      setFileName('')
+      return
+    }
+
+    try {
+      setFileContents(await file.text())
+      setFileName(file.name)
+    } catch (error) {
+      console.error('Failed to read backup file:', error)
+      setError('Could not read the selected file')
+    }
+  }
+
+  const handleOpen = async () => {
+    if (!fileContents) {
+      setError('Please choose a backup file')
+      return
+    }
+    if (!passphrase) {
+      setError('Please enter the backup passphrase')
+      return
+    }
+
+    try {
+      setIsProcessing(true)
+      setError('')
+      setOpened(await backupManager.openBackup(fileContents, passphrase))
+    } catch (error) {
+      console.error('Failed to open backup:', error)
+      setError(error.message === 'Incorrect passphrase.' ? 'Incorrect backup passphrase' : error.message)
+    } finally {
+      setIsProcessing(false)
+    }
+  }
+
+  const handleRestore = async () => {
+    try {
+      setIsProcessing(true)
+      setError('')
+
+      // The backup passphrase also protects the private key on this device
+      const restored = await backupManager.restoreBackup(opened, passphrase)
+      if (!restored) {
+        setError('Failed to restore the backup. Please try again.')
+        return
+      }
+
+      onRestored()
+    } finally {
+      setIsProcessing(false)
+    }
+  }
+
+  const preview = opened?.preview
+
+  return (
+    <div className="space-y-6">
+      {!preview ? (
+        <>
+          <div>
+            <label htmlFor="backupFile" className="block text-sm font-medium text-gray-300 mb-2">
+              Backup File
+            </label>
+            <label
+              htmlFor="backupFile"
+              className="w-full flex items-center justify-center gap-2 px-4 py-6 bg-gray-700/50 border border-dashed border-gray-600 rounded-lg cursor-pointer hover:border-blue-500"
+            >
+              <Upload className="w-5 h-5 text-gray-400" />
+              <span className="text-sm text-gray-300">{fileName || 'Choose a .json backup file'}</span>
+            </label>
+            <input
+              id="backupFile"
+              type="file"
+              accept="application/json,.json"
+              onChange={handleFileChange}
+              className="hidden"
+            />
+          </div>
+
+          <div>
+            <label htmlFor="backupPassphrase" className="block text-sm font-medium text-gray-300 mb-2">
+              Backup Passphrase
+            </label>
+            <input
+              id="backupPassphrase"
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              autoComplete="current-password"
+              className="w-full px-4 py-3 bg-gray-700/50 border border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <p className="text-xs text-gray-400 mt-2">
+              The restored private key will be protected on this device with the same passphrase.
+            </p>
+          </div>
+        </>
+      ) : (
+        <div className="bg-gray-700/30 border border-gray-600 rounded-lg p-4 space-y-3 text-sm">
+          <h2 className="text-lg font-semibold text-white">Backup Contents</h2>
+          {preview.createdAt && (
+            <p className="text-gray-400">Created {new Date(preview.createdAt).toLocaleString()}</p>
+          )}
+          <div className="flex items-center text-gray-300">
+            <User className="w-4 h-4 mr-2 text-blue-400" />
+            <span>Account <span className="font-mono">{preview.publicKeyDisplay}</span></span>
+          </div>
+          <div className="flex items-start text-gray-300">
+            <Users className="w-4 h-4 mr-2 mt-0.5 text-blue-400" />
+            <div>
+              <p>{preview.contactCount} contact{preview.contactCount !== 1 && 's'}, {preview.groupCount} group{preview.groupCount !== 1 && 's'}</p>
+              {(preview.contactCount > 0 || preview.groupCount > 0) && (
+                <p className="text-gray-400 text-xs mt-1 break-all">
+                  {[...preview.contacts, ...preview.groups].slice(0, 8).join(', ')}
+                  {preview.contactCount + preview.groupCount > 8 && ', ...'}
+                </p>
+              )}
+            </div>
+          </div>
+          <div className="flex items-center text-gray-300">
+            <Settings className="w-4 h-4 mr-2 text-blue-400" />
+            <span>{preview.preferences.length > 0 ? 'Includes preferences' : 'No saved preferences'}</span>
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <motion.p
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="text-red-500 text-sm"
+        >
+          {error}
+        </motion.p>
+      )}
+
+      <div className="flex gap-3">
+        {preview && (
+          <button
+            type="button"
+            onClick={() => setOpened(null)}
+            disabled={isProcessing}
+            className="h-14 px-6 bg-gray-700 text-white rounded-xl disabled:opacity-70"
+          >
+            Back
+          </button>
+        )}
+        <motion.button
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={preview ? handleRestore : handleOpen}
+          disabled={isProcessing}
+          className="flex-1 h-14 text-lg bg-[#3c5ac6] text-white flex items-center justify-center gap-2 rounded-xl transition-all duration-300 shadow-lg disabled:opacity-70"
+        >
+          {isProcessing ? (
+            <>
+              <Loader className="w-5 h-5 animate-spin" />
+              <span>Processing...</span>
+            </>
+          ) : preview ? (
+            'Restore Account'
+          ) : (
+            'Open Backup'
+          )}
+        </motion.button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,107 @@
+'use client'
+
+import { useState } from 'react'
+import { Download } from 'lucide-react'
+import backupManager from '../../utils/BackupManager'
+import { MIN_PASSPHRASE_LENGTH } from '../../utils/LocalKeyStorageManager'
+
+// Settings control for exporting an encrypted account backup file
+export default function BackupSettings() {
+  const [showForm, setShowForm] = useState(false)
+  const [passphrase, setPassphrase] = useState('')
+  const [confirmPassphrase, setConfirmPassphrase] = useState('')
+  const [error, setError] = useState('')
+  const [isExporting, setIsExporting] = useState(false)
+
+  const resetForm = () => {
+    setPassphrase('')
+    setConfirmPassphrase('')
+    setError('')
+    setShowForm(false)
+  }
+
+  const handleExport = async (e) => {
+    e.preventDefault()
+
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters long`)
+      return
+    }
+    if (passphrase !== confirmPassphrase) {
+      setError('Passphrases do not match')
+      return
+    }
+
+    try {
+      setIsExporting(true)
+      const fileName = await backupManager.exportBackup(passphrase)
+      resetForm()
+      alert(`Backup saved as ${fileName}. Keep it and its passphrase somewhere safe.`)
+    } catch (error) {
+      console.error('Failed to export backup:', error)
+      setError(error.message || 'Failed to export backup')
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
+  if (!showForm) {
+    return (
+      <button
+        className="w-full flex items-center justify-between p-4 bg-gray-900 hover:bg-gray-700 text-white rounded-lg transition-colors border border-gray-700"
+        onClick={() => setShowForm(true)}
+      >
+        <div className="flex items-center">
+          <Download size={18} className="text-blue-400 mr-3" />
+          <span>Export Backup File</span>
+        </div>
+        <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <polyline points="9 18 15 12 9 6"></polyline>
+        </svg>
+      </button>
+    )
+  }
+
+  return (
+    <form onSubmit={handleExport} className="p-4 bg-gray-900 rounded-lg border border-gray-700 space-y-3">
+      <p className="text-sm text-gray-400">
+        The backup contains your keys, contacts, groups and preferences, encrypted with this passphrase.
+      </p>
+      <input
+        type="password"
+        placeholder="Backup passphrase"
+        value={passphrase}
+        onChange={(e) => setPassphrase(e.target.value)}
+        autoComplete="new-password"
+        className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      />
+      <input
+        type="password"
+        placeholder="Confirm backup passphrase"
+        value={confirmPassphrase}
+        onChange={(e) => setConfirmPassphrase(e.target.value)}
+        autoComplete="new-password"
+        className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      />
+
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+
+      <div className="flex justify-end">
+        <button
+          type="button"
+          onClick={resetForm}
+          className="px-4 py-2 bg-gray-700 text-white rounded-lg mr-2"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={isExporting}
+          className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg disabled:opacity-70"
+        >
+          {isExporting ? 'Encrypting...' : 'Export'}
+        </button>
+      </div>
+    </form>
+  )
+}
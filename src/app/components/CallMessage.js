@@ -2,6 +2,7 @@
 
 import { useState } from 'react'
 import { Phone } from 'lucide-react'
+import conversationManager from '../../utils/ConversationManager'
 
 export default function CallMessage({ 
   message, 
@@ -11,22 +12,7 @@ export default function CallMessage({
   const [joining, setJoining] = useState(false)
   const isSentByCurrentUser = message.sender === currentUserKey
   
-  // Parse call data from message content
-  const getCallData = () => {
-    try {
-      // Extract JSON between CALL_INVITATION: and end of string
-      const match = message.content.match(/CALL_INVITATION:(.*)/s)
-      if (match && match[1]) {
-        return JSON.parse(match[1])
-      }
-      return { callId: 'unknown', startTime: new Date().toISOString() }
-    } catch (error) {
-      console.error('Error parsing call data:', error)
-      return { callId: 'unknown', startTime: new Date().toISOString() }
-    }
-  }
-  
-  const callData = getCallData()
+  const callData = conversationManager.getCallInvitation(message) || { callId: 'unknown', startTime: new Date().toISOString() }
   const callAge = new Date() - new Date(callData.startTime)
   const callExpired = callAge > 30 * 60 * 1000 // 30 minutes
   
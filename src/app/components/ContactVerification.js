@@ -0,0 +1,135 @@
+'use client'
+
+import { useMemo, useState } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { X, ShieldCheck, ShieldAlert, ShieldOff } from 'lucide-react'
+import ReactQRCode from 'react-qr-code'
+import contactStore from '../../utils/ContactStore'
+import LocalKeyStorageManager from '../../utils/LocalKeyStorageManager'
+
+// Safety number and QR code for comparing keys with a contact in person
+export default function ContactVerification({ isOpen, onClose, contactPublicKey, contactName, ownPublicKey, onStatusChange }) {
+  const [error, setError] = useState('')
+  const [, setRevision] = useState(0)
+
+  const status = contactStore.getContactVerificationStatus(contactPublicKey)
+  const contactFullKey = contactStore.getContactPublicKey(contactPublicKey)
+
+  const safetyNumber = useMemo(() => {
+    if (!isOpen || !ownPublicKey || !contactFullKey) return null
+    return LocalKeyStorageManager.computeSafetyNumber(ownPublicKey, contactFullKey)
+  }, [isOpen, ownPublicKey, contactFullKey])
+
+  const updateStatus = () => {
+    const newStatus = contactStore.getContactVerificationStatus(contactPublicKey)
+    setRevision(revision => revision + 1)
+    if (onStatusChange) onStatusChange(newStatus)
+  }
+
+  const handleMarkVerified = () => {
+    if (!contactStore.markContactVerified(contactPublicKey)) {
+      setError('Could not verify this contact. Their public key is unknown.')
+      return
+    }
+    setError('')
+    updateStatus()
+  }
+
+  const handleClearVerification = () => {
+    contactStore.clearContactVerification(contactPublicKey)
+    updateStatus()
+  }
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-4"
+        >
+          <motion.div
+            initial={{ scale: 0.9, y: 20 }}
+            animate={{ scale: 1, y: 0 }}
+            exit={{ scale: 0.9, y: 20 }}
+            className="w-full max-w-md rounded-2xl bg-gray-800 border border-gray-700 shadow-xl overflow-hidden"
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between p-4 border-b border-gray-700">
+              <h2 className="text-xl font-semibold text-white flex items-center">
+                <ShieldCheck size={20} className="mr-2 text-blue-400" />
+                Verify {contactName}
+              </h2>
+              <button
+                onClick={onClose}
+                className="p-1 rounded-full hover:bg-gray-700 transition-colors"
+              >
+                <X size={20} className="text-gray-400 hover:text-white" />
+              </button>
+            </div>
+
+            <div className="p-6 space-y-5">
+              {!safetyNumber ? (
+                <p className="text-sm text-gray-400">
+                  The full public key of this contact is not known yet. Ask them to share it,
+                  or wait until you receive a message from them.
+                </p>
+              ) : (
+                <>
+                  {status === 'changed' && (
+                    <div className="flex items-start bg-red-900/40 border border-red-700 text-red-200 p-3 rounded-lg text-sm">
+                      <ShieldAlert size={18} className="mr-2 flex-shrink-0 mt-0.5" />
+                      <span>The key of this contact changed since you verified it. Compare the new safety number before trusting it.</span>
+                    </div>
+                  )}
+
+                  <div className="bg-white p-4 rounded-lg flex items-center justify-center">
+                    <ReactQRCode
+                      value={`subworld-safety-number:${safetyNumber.replace(/ /g, '')}`}
+                      size={180}
+                      bgColor="#FFFFFF"
+                      fgColor="#000000"
+                      level="M"
+                    />
+                  </div>
+
+                  <div className="grid grid-cols-4 gap-2 font-mono text-lg text-center text-white bg-gray-900 p-4 rounded-lg border border-gray-700">
+                    {safetyNumber.split(' ').map((group, index) => (
+                      <span key={index}>{group}</span>
+                    ))}
+                  </div>
+
+                  <p className="text-sm text-gray-400">
+                    Compare these numbers with the ones shown on {contactName}&apos;s device, or scan each
+                    other&apos;s code. If they match, your conversation is end-to-end encrypted with the right person.
+                  </p>
+
+                  {error && <p className="text-red-400 text-sm">{error}</p>}
+
+                  {status === 'verified' ? (
+                    <button
+                      onClick={handleClearVerification}
+                      className="w-full flex items-center justify-center px-4 py-3 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors"
+                    >
+                      <ShieldOff size={18} className="mr-2" />
+                      Clear Verification
+                    </button>
+                  ) : (
+                    <button
+                      onClick={handleMarkVerified}
+                      className="w-full flex items-center justify-center px-4 py-3 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors"
+                    >
+                      <ShieldCheck size={18} className="mr-2" />
+                      Mark as Verified
+                    </button>
+                  )}
+                </>
+              )}
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  )
+}
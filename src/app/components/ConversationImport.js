@@ -0,0 +1,53 @@
+'use client'
+
+import { useRef, useState } from 'react'
+import { Upload } from 'lucide-react'
+import conversationExporter from '../../utils/ConversationExporter'
+
+// Settings control for merging a JSON conversation export back into the local history
+export default function ConversationImport() {
+  const inputRef = useRef(null)
+  const [error, setError] = useState('')
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      setError('')
+      const result = conversationExporter.importConversation(await file.text())
+      alert(result.added > 0
+        ? `Imported ${result.added} message${result.added === 1 ? '' : 's'} into ${result.name || 'the conversation'}.`
+        : `${result.name || 'The conversation'} already contains every message in this export.`)
+    } catch (error) {
+      console.error('Failed to import conversation:', error)
+      setError(error.message || 'Failed to import conversation')
+    }
+  }
+
+  return (
+    <div>
+      <button
+        className="w-full flex items-center justify-between p-4 bg-gray-900 hover:bg-gray-700 text-white rounded-lg transition-colors border border-gray-700"
+        onClick={() => inputRef.current?.click()}
+      >
+        <div className="flex items-center">
+          <Upload size={18} className="text-blue-400 mr-3" />
+          <span>Import Conversation Export</span>
+        </div>
+        <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <polyline points="9 18 15 12 9 6"></polyline>
+        </svg>
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".json,application/json"
+        onChange={handleFileChange}
+        className="hidden"
+      />
+      {error && <p className="text-red-400 text-sm mt-2">{error}</p>}
+    </div>
+  )
+}
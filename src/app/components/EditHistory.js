@@ -0,0 +1,36 @@
+'use client'
+
+import { useState } from 'react'
+
+// "edited" marker that opens the earlier versions of a message
+export default function EditHistory({ message, formatMessageTime, className = '' }) {
+  const [isOpen, setIsOpen] = useState(false)
+
+  if (!message.editedAt) return null
+
+  const versions = message.editHistory || []
+
+  return (
+    <span className={`relative ${className}`}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="italic hover:text-gray-300 transition-colors"
+        title={`Edited ${formatMessageTime(message.editedAt)}`}
+      >
+        edited
+      </button>
+
+      {isOpen && versions.length > 0 && (
+        <div className="absolute right-0 bottom-full mb-2 w-64 p-2 bg-gray-800 border border-gray-700 rounded-lg shadow-xl z-20 text-left">
+          <div className="px-1 pb-1 text-xs text-gray-400">Earlier versions</div>
+          {[...versions].reverse().map((version, index) => (
+            <div key={index} className="px-1 py-1 border-t border-gray-700/50">
+              <div className="text-sm text-gray-200 break-words whitespace-pre-wrap">{version.content}</div>
+              <div className="text-xs text-gray-500">{formatMessageTime(version.editedAt)}</div>
+            </div>
+          ))}
+        </div>
+      )}
+    </span>
+  )
+}
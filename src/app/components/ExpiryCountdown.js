@@ -0,0 +1,47 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import { Timer } from 'lucide-react'
+
+// Messages expiring within this time show a countdown
+const COUNTDOWN_WINDOW = 60 * 60 * 1000
+
+// Longest delay setTimeout accepts
+const MAX_TIMEOUT = 2147483647
+
+const formatRemaining = (milliseconds) => {
+  const totalSeconds = Math.ceil(milliseconds / 1000)
+  const minutes = Math.floor(totalSeconds / 60)
+  const seconds = totalSeconds % 60
+  return minutes > 0 ? `${minutes}m ${String(seconds).padStart(2, '0')}s` : `${seconds}s`
+}
+
+// Countdown next to the time of a message that is about to be deleted
+export default function ExpiryCountdown({ expiresAt, className = '' }) {
+  const [now, setNow] = useState(() => Date.now())
+
+  const expiryTime = expiresAt ? new Date(expiresAt).getTime() : NaN
+  const remaining = expiryTime - now
+  const isCounting = remaining > 0 && remaining <= COUNTDOWN_WINDOW
+
+  useEffect(() => {
+    if (isNaN(expiryTime) || expiryTime <= Date.now()) return
+
+    // Tick every second while counting down, otherwise wait until the countdown starts
+    if (isCounting) {
+      const interval = setInterval(() => setNow(Date.now()), 1000)
+      return () => clearInterval(interval)
+    }
+    const timeout = setTimeout(() => setNow(Date.now()), Math.min(expiryTime - COUNTDOWN_WINDOW - Date.now(), MAX_TIMEOUT))
+    return () => clearTimeout(timeout)
+  }, [expiryTime, isCounting])
+
+  if (!isCounting) return null
+
+  return (
+    <span title={`Deleted at ${new Date(expiryTime).toLocaleString()}`} className={`inline-flex items-center text-amber-400 ${className}`}>
+      <Timer size={12} className="mr-1" />
+      {formatRemaining(remaining)}
+    </span>
+  )
+}
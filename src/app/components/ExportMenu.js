@@ -0,0 +1,62 @@
+'use client'
+
+import { useState } from 'react'
+import { Download } from 'lucide-react'
+import conversationExporter from '../../utils/ConversationExporter'
+
+const EXPORT_OPTIONS = [
+  { format: 'html', label: 'Web page (HTML)' },
+  { format: 'markdown', label: 'Markdown' },
+  { format: 'json', label: 'JSON (can be imported)' }
+]
+
+// Header control for exporting the history of a conversation or group
+export default function ExportMenu({ type, id }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [error, setError] = useState('')
+
+  const handleExport = async (format) => {
+    setIsOpen(false)
+
+    try {
+      setError('')
+      await conversationExporter.exportConversation(type, id, format)
+    } catch (error) {
+      console.error('Failed to export conversation:', error)
+      setError(error.message || 'Could not export the conversation.')
+    }
+  }
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="p-2 rounded-full hover:bg-gray-700 transition-colors flex items-center"
+        title="Export conversation"
+      >
+        <Download size={18} className="text-gray-400 hover:text-white" />
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-52 py-1 bg-gray-800 border border-gray-700 rounded-lg shadow-xl z-20 text-left">
+          <div className="px-3 py-2 text-xs text-gray-400">Export history</div>
+          {EXPORT_OPTIONS.map(option => (
+            <button
+              key={option.format}
+              onClick={() => handleExport(option.format)}
+              className="w-full px-3 py-2 text-sm text-white text-left hover:bg-gray-700 transition-colors"
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {error && (
+        <div className="absolute right-0 mt-2 w-56 p-2 bg-gray-800 border border-red-700 rounded-lg text-xs text-red-400 z-20">
+          {error}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -2,11 +2,16 @@
 
 import { useState } from 'react'
 import { Download, File, Image as ImageIcon } from 'lucide-react'
+import ExpiryCountdown from './ExpiryCountdown'
+import MessageStatusIcon from './MessageStatusIcon'
+import UnverifiedSenderWarning from './UnverifiedSenderWarning'
 import subworldNetwork from '../../utils/SubworldNetworkService'
 
 export default function FileMessage({ message, formatMessageTime, currentUserKey }) {
     const [downloading, setDownloading] = useState(false);
     const [downloadProgress, setDownloadProgress] = useState(0);
+    // Whether the downloaded file was signed by the uploader's known signing key, null until downloaded
+    const [fileVerified, setFileVerified] = useState(null);
 
     const isSentByCurrentUser = message.sender === currentUserKey;
     const isImage = message.fileType && message.fileType.startsWith('image/');
@@ -23,8 +28,8 @@ export default function FileMessage({ message, formatMessageTime, currentUserKey
             setDownloading(true);
             setDownloadProgress(10); // Start progress
 
-            // Get current user's key
-            const userID = message.recipient === currentUserKey ? message.recipient : message.sender;
+            // Get current user's key, as the inbox the file was addressed to
+            const userID = message.networkRecipient || (message.recipient === currentUserKey ? message.recipient : message.sender);
 
             // Using the modified network service to download the file with decryption
             if (message.fileID) {
@@ -35,12 +40,13 @@ export default function FileMessage({ message, formatMessageTime, currentUserKey
                 setDownloadProgress(50);
 
                 // Download and decrypt the file contents
-                // Pass the sender's key for decryption
-                const fileBlob = await subworldNetwork.downloadFile(
+                // Pass the other party's key for decryption
+                const { blob: fileBlob, senderVerified } = await subworldNetwork.downloadFile(
                     userID,
                     message.fileID,
-                    message.sender // Pass sender's key for decryption
+                    isSentByCurrentUser ? message.recipient : message.sender
                 );
+                setFileVerified(senderVerified);
                 setDownloadProgress(90);
 
                 // Create download link
@@ -106,6 +112,9 @@ export default function FileMessage({ message, formatMessageTime, currentUserKey
 
     return (
         <div className={`file-message mb-6 ${isSentByCurrentUser ? 'text-right' : ''}`}>
+            {message.senderVerified !== false && (
+                <UnverifiedSenderWarning message={{ senderVerified: fileVerified }} />
+            )}
             <div
                 className={`inline-block overflow-hidden rounded-2xl ${isSentByCurrentUser ? 'bg-blue-600' : 'bg-gray-800'}`}
             >
@@ -131,7 +140,7 @@ export default function FileMessage({ message, formatMessageTime, currentUserKey
 
                     <button
                         onClick={handleDownload}
-                        disabled={downloading}
+                        disabled={downloading || (!message.fileID && !message.fileData)}
                         className="mt-3 w-full py-2 px-3 flex items-center justify-center rounded-lg bg-blue-500/30 hover:bg-blue-500/50 transition-colors"
                     >
                         {downloading ? (
@@ -150,6 +159,8 @@ export default function FileMessage({ message, formatMessageTime, currentUserKey
             </div>
             <div className="text-xs text-gray-500 mt-2">
                 {formatMessageTime(message.timestamp)}
+                <ExpiryCountdown expiresAt={message.expiresAt} className="ml-2" />
+                <MessageStatusIcon message={message} formatMessageTime={formatMessageTime} className="ml-2" />
             </div>
         </div>
     );
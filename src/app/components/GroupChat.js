@@ -1,27 +1,48 @@
 'use client'
 
-import { useState, useEffect, useRef } from 'react'
-import { Users, Send, ArrowLeft, Settings, X } from 'lucide-react'
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { Users, Send, ArrowLeft, Settings, X, Timer } from 'lucide-react'
 import { Upload } from 'lucide-react'
 import contactStore from '../../utils/ContactStore'
 import conversationManager from '../../utils/ConversationManager'
+import typingIndicatorManager from '../../utils/TypingIndicatorManager'
 import GroupCallButton from './GroupCallButton'
 import GroupFileMessage from './GroupFileMessage'
-import { uploadGroupFile } from './GroupFileHandler'
+import UnsupportedMessage from './UnsupportedMessage'
+import UnverifiedSenderWarning from './UnverifiedSenderWarning'
+import ExpiryCountdown from './ExpiryCountdown'
+import MessageTimerMenu from './MessageTimerMenu'
+import ExportMenu from './ExportMenu'
+import MessageList from './MessageList'
+import MessageActions from './MessageActions'
+import EditHistory from './EditHistory'
+import ReplyQuote from './ReplyQuote'
+import ReplyComposer from './ReplyComposer'
+import MessageReactions from './MessageReactions'
+import ReadReceipt from './ReadReceipt'
+import MessageStatusIcon from './MessageStatusIcon'
+import OutgoingStatus from './OutgoingStatus'
+import TypingIndicator from './TypingIndicator'
 
 export default function GroupChat({
     group,
     onBack,
     formatMessageTime,
     currentUserKey,
-    onOpenGroupDetails
+    onOpenGroupDetails,
+    highlightedMessageId,
+    onJumpToMessage
 }) {
     const messagesEndRef = useRef(null)
+    const messagesContainerRef = useRef(null)
     const [message, setMessage] = useState('')
+    const [replyingTo, setReplyingTo] = useState(null)
     const [messages, setMessages] = useState([])
     const [isLoading, setIsLoading] = useState(true)
     const [sending, setSending] = useState(false)
     const [memberCount, setMemberCount] = useState(group?.members?.length || 0)
+    // Read position when the group was opened, before loading marks it as read
+    const [lastReadAt] = useState(() => conversationManager.getGroupLastReadTimestamp(group?.id) || new Date(0).toISOString())
     
     // File upload state
     const [selectedFile, setSelectedFile] = useState(null)
@@ -185,9 +206,27 @@ export default function GroupChat({
         }, 500); // Debounce for 500ms
       };
       
+      // Expired messages are removed right away
+      const handleMessagesExpired = (event) => {
+        if (!event.detail.groupIds.includes(group.id)) return;
+        const remainingMessages = conversationManager.getGroupMessages(group.id);
+        setMessages(Array.isArray(remainingMessages) ? [...remainingMessages] : []);
+        lastMessageCount.current = Array.isArray(remainingMessages) ? remainingMessages.length : 0;
+      };
+      
+      // Edits, deletes and status changes keep the number of messages, so they are picked up here
+      const handleMessageChanged = (event) => {
+        if (event.detail.groupId !== group.id) return;
+        const updatedMessages = conversationManager.getGroupMessages(group.id);
+        setMessages(Array.isArray(updatedMessages) ? [...updatedMessages] : []);
+      };
+      
       // Listen for both specific group updates and general conversation updates
       window.addEventListener('groupUpdated', handleGroupUpdated);
       window.addEventListener('conversationsUpdated', handleGroupUpdated);
+      window.addEventListener('messagesExpired', handleMessagesExpired);
+      window.addEventListener('messageChanged', handleMessageChanged);
+      window.addEventListener('messageStatusChanged', handleMessageChanged);
       
       // Set up a periodic refresh interval - only every 30 seconds
       const refreshInterval = setInterval(() => {
@@ -201,6 +240,9 @@ export default function GroupChat({
         // Cleanup all event listeners and intervals
         window.removeEventListener('groupUpdated', handleGroupUpdated);
         window.removeEventListener('conversationsUpdated', handleGroupUpdated);
+        window.removeEventListener('messagesExpired', handleMessagesExpired);
+        window.removeEventListener('messageChanged', handleMessageChanged);
+        window.removeEventListener('messageStatusChanged', handleMessageChanged);
         clearInterval(refreshInterval);
         
         if (refreshTimeoutRef.current) {
@@ -209,10 +251,24 @@ export default function GroupChat({
       };
     }, [group?.id]);
 
-    // Scroll to bottom when messages change
+    // Scroll to bottom when a new message arrives, unless jumping to a search result.
+    // Older messages loaded from storage go on top and leave the scroll position alone
+    const latestMessageId = messages[messages.length - 1]?.id;
+    const latestMessageIdRef = useRef(null);
     useEffect(() => {
-        scrollToBottom();
-    }, [messages.length]);
+        // Only a new message scrolls, not the highlight going away
+        const isNewMessage = latestMessageId !== latestMessageIdRef.current;
+        latestMessageIdRef.current = latestMessageId;
+        if (isNewMessage && !highlightedMessageId) scrollToBottom();
+    }, [latestMessageId, highlightedMessageId]);
+
+    const loadOlderMessages = useCallback(
+        () => conversationManager.loadOlderMessages({ groupId: group?.id }),
+        [group?.id]
+    );
+
+    const getHighlightClass = (messageId) =>
+        messageId && messageId === highlightedMessageId ? 'rounded-xl bg-blue-500/10 ring-2 ring-blue-400/60 transition-colors' : '';
 
     // Get contact name for a user
     const getContactName = (publicKeyStr) => {
@@ -222,6 +278,9 @@ export default function GroupChat({
         return contact?.alias || publicKeyStr;
     }
 
+    const formatTime = (timestamp) =>
+        formatMessageTime ? formatMessageTime(timestamp) : new Date(timestamp).toLocaleTimeString();
+
     // Process message to identify file messages
     const processMessage = (msg) => {
         // Check if this might be a file message
@@ -237,7 +296,8 @@ export default function GroupChat({
                             fileID: parsed.fileID,
                             fileName: parsed.fileName,
                             fileType: parsed.fileType,
-                            fileSize: parsed.fileSize
+                            fileSize: parsed.fileSize,
+                            fileKey: parsed.fileKey
                         }
                     };
                 }
@@ -250,6 +310,14 @@ export default function GroupChat({
         return msg;
     };
 
+    // Change the disappearing message timer of the group
+    const handleChangeMessageTimer = async (seconds) => {
+        await conversationManager.setGroupTimer(group.id, seconds);
+        const updatedMessages = conversationManager.getGroupMessages(group.id);
+        setMessages(Array.isArray(updatedMessages) ? [...updatedMessages] : []);
+        lastMessageCount.current = Array.isArray(updatedMessages) ? updatedMessages.length : 0;
+    };
+
     // Handle initiating a group call
     const handleInitiateGroupCall = (groupId, groupName, members) => {
         console.log('Initiating group call for:', groupId, groupName, members);
@@ -308,21 +376,18 @@ export default function GroupChat({
         try {
             setUploadingFile(true);
 
-            // Upload the file through the handler
-            await uploadGroupFile(
+            // Queue the file, the outbox uploads it and announces it to the members
+            await conversationManager.sendGroupFile(
                 group.id,
-                selectedFile,
-                currentUserKey
+                selectedFile
             );
 
             // Close the preview and reset state
             setSelectedFile(null);
             setShowFilePreview(false);
 
-            // Reload the latest messages
-            setTimeout(() => {
-                loadGroupData();
-            }, 1000);
+            // Show the queued file right away
+            loadGroupData();
         } catch (error) {
             console.error('Failed to upload file:', error);
             alert('Failed to upload file. Please try again.');
@@ -331,6 +396,16 @@ export default function GroupChat({
         }
     };
 
+    // Let the members know while the composer has text
+    const handleMessageInput = (e) => {
+        setMessage(e.target.value);
+        if (e.target.value.trim()) {
+            typingIndicatorManager.notifyTyping('group', group.id);
+        } else {
+            typingIndicatorManager.notifyStopped('group', group.id);
+        }
+    };
+
     // Send a message
     const handleSendMessage = async (e) => {
         e.preventDefault();
@@ -339,10 +414,13 @@ export default function GroupChat({
         try {
             setSending(true);
             const currentMessage = message.trim();
+            const replyToId = replyingTo?.id || null;
             setMessage(''); // Clear input immediately
+            setReplyingTo(null);
+            typingIndicatorManager.notifyStopped('group', group.id);
 
             // Send the message
-            await conversationManager.sendGroupMessage(group.id, currentMessage);
+            await conversationManager.sendGroupMessage(group.id, currentMessage, replyToId);
 
             // Refresh messages
             try {
@@ -390,11 +468,23 @@ export default function GroupChat({
                             {group?.name || 'Group Chat'}
                         </div>
                         <div className="text-sm text-gray-400">
-                            {memberCount || 0} members
+                            <TypingIndicator
+                                type="group"
+                                id={group.id}
+                                getSenderName={getContactName}
+                                fallback={`${memberCount || 0} members`}
+                            />
                         </div>
                     </div>
                 </div>
                 <div className="flex items-center space-x-2">
+                    <MessageTimerMenu
+                        value={conversationManager.getGroupTimer(group.id)}
+                        onChange={handleChangeMessageTimer}
+                    />
+
+                    <ExportMenu type="group" id={group.id} />
+
                     {/* Add the group call button */}
                     <GroupCallButton 
                         group={group}
@@ -411,8 +501,8 @@ export default function GroupChat({
             </div>
 
             {/* Messages */}
-            <div className="flex-1 overflow-y-auto p-4 space-y-4">
-                {isLoading ? (
+            <div ref={messagesContainerRef} className="flex-1 overflow-y-auto p-4 space-y-4">
+                {isLoading && messages.length === 0 ? (
                     <div className="flex items-center justify-center h-full">
                         <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500"></div>
                         <p className="ml-3 text-gray-400">Loading messages...</p>
@@ -423,46 +513,139 @@ export default function GroupChat({
                         <p className="text-sm">Send a message to start the conversation</p>
                     </div>
                 ) : (
-                    messages.map((msg) => {
-                        // Process the message to check if it's a file
-                        const processedMsg = processMessage(msg);
-                        
-                        // Add sender name for display
-                        processedMsg.senderName = getContactName(processedMsg.sender);
-                        
-                        // If this is a file message, render the file component
-                        if (processedMsg.isFile) {
+                    <MessageList
+                        messages={messages}
+                        scrollContainerRef={messagesContainerRef}
+                        currentUserKey={currentUserKey}
+                        lastReadAt={lastReadAt}
+                        highlightedMessageId={highlightedMessageId}
+                        onLoadOlder={loadOlderMessages}
+                        className="space-y-4"
+                        renderMessage={(msg) => {
+                            // Timer changes are shown as notices
+                            if (msg.isSystem) {
+                                return (
+                                    <div id={`message-${msg.id}`} className="flex justify-center">
+                                        <div className="inline-flex items-center px-3 py-1 rounded-full bg-gray-800/60 text-xs text-gray-400">
+                                            <Timer size={12} className="mr-1" />
+                                            {msg.content}
+                                        </div>
+                                    </div>
+                                );
+                            }
+
+                            // Deleted messages keep their place in the timeline
+                            if (msg.isDeleted) {
+                                return (
+                                    <div
+                                        id={`message-${msg.id}`}
+                                        className={`${msg.sender === currentUserKey ? 'text-right' : ''} ${getHighlightClass(msg.id)}`}
+                                    >
+                                        {msg.sender !== currentUserKey && (
+                                            <div className="text-xs text-gray-500 mb-1">
+                                                {getContactName(msg.sender)}
+                                            </div>
+                                        )}
+                                        <div className="inline-block p-3 px-5 rounded-2xl bg-gray-800/60 text-gray-400 italic">
+                                            This message was deleted
+                                        </div>
+                                        <div className="text-xs text-gray-500 mt-2">
+                                            {formatTime(msg.timestamp)}
+                                        </div>
+                                    </div>
+                                );
+                            }
+
+                            // Sent by a newer version of the app, shown as a placeholder
+                            if (msg.isUnsupported) {
+                                return (
+                                    <div
+                                        id={`message-${msg.id}`}
+                                        className={`${msg.sender === currentUserKey ? 'text-right' : ''} ${getHighlightClass(msg.id)}`}
+                                    >
+                                        {msg.sender !== currentUserKey && (
+                                            <div className="text-xs text-gray-500 mb-1">
+                                                {getContactName(msg.sender)}
+                                            </div>
+                                        )}
+                                        <UnsupportedMessage message={msg} isOwn={msg.sender === currentUserKey} />
+                                        <div className="text-xs text-gray-500 mt-2">
+                                            {formatTime(msg.timestamp)}
+                                            <ExpiryCountdown expiresAt={msg.expiresAt} className="ml-2" />
+                                        </div>
+                                    </div>
+                                );
+                            }
+
+                            // Process the message to check if it's a file
+                            const processedMsg = processMessage(msg);
+                            
+                            // Add sender name for display
+                            processedMsg.senderName = getContactName(processedMsg.sender);
+                            
+                            // If this is a file message, render the file component
+                            if (processedMsg.isFile) {
+                                return (
+                                    <div
+                                        id={`message-${processedMsg.id}`}
+                                        className={getHighlightClass(processedMsg.id)}
+                                    >
+                                        <UnverifiedSenderWarning message={processedMsg} />
+                                        <GroupFileMessage
+                                            message={processedMsg}
+                                            formatMessageTime={formatMessageTime}
+                                            currentUserKey={currentUserKey}
+                                            groupId={group.id}
+                                        />
+                                        <MessageReactions message={msg} type="group" id={group.id} getSenderName={getContactName} isOwn={processedMsg.sender === currentUserKey} />
+                                        <div className={`text-xs text-gray-500 ${processedMsg.sender === currentUserKey ? 'text-right' : ''}`}>
+                                            <MessageStatusIcon message={msg} formatMessageTime={formatTime} className="mr-2" />
+                                            <OutgoingStatus message={msg} />
+                                            <MessageActions message={msg} type="group" id={group.id} onReply={() => setReplyingTo(processedMsg)} />
+                                        </div>
+                                    </div>
+                                );
+                            }
+                            
+                            // Otherwise render a standard text message
                             return (
-                                <GroupFileMessage
-                                    key={processedMsg.id || `msg-${Date.now()}-${Math.random()}`}
-                                    message={processedMsg}
-                                    formatMessageTime={formatMessageTime}
-                                    currentUserKey={currentUserKey}
-                                    groupId={group.id}
-                                />
-                            );
-                        }
-                        
-                        // Otherwise render a standard text message
-                        return (
-                            <div
-                                key={processedMsg.id || `msg-${Date.now()}-${Math.random()}`}
-                                className={`${processedMsg.sender === currentUserKey ? 'text-right' : ''}`}
-                            >
-                                {processedMsg.sender !== currentUserKey && (
-                                    <div className="text-xs text-gray-500 mb-1">
-                                        {processedMsg.senderName}
+                                <div
+                                    id={`message-${processedMsg.id}`}
+                                    className={`${processedMsg.sender === currentUserKey ? 'text-right' : ''} ${getHighlightClass(processedMsg.id)}`}
+                                >
+                                    {processedMsg.sender !== currentUserKey && (
+                                        <div className="text-xs text-gray-500 mb-1">
+                                            {processedMsg.senderName}
+                                        </div>
+                                    )}
+                                    <UnverifiedSenderWarning message={processedMsg} />
+                                    {processedMsg.replyTo && (
+                                        <ReplyQuote
+                                            replyTo={processedMsg.replyTo}
+                                            type="group"
+                                            id={group.id}
+                                            getSenderName={getContactName}
+                                            onJump={onJumpToMessage}
+                                            isOwn={processedMsg.sender === currentUserKey}
+                                        />
+                                    )}
+                                    <div className={`inline-block p-3 px-5 rounded-2xl ${processedMsg.sender === currentUserKey ? 'bg-blue-600' : 'bg-gray-800'}`}>
+                                        {processedMsg.content}
+                                    </div>
+                                    <MessageReactions message={msg} type="group" id={group.id} getSenderName={getContactName} isOwn={processedMsg.sender === currentUserKey} />
+                                    <div className="text-xs text-gray-500 mt-2">
+                                        {formatTime(processedMsg.timestamp)}
+                                        <EditHistory message={processedMsg} formatMessageTime={formatTime} className="ml-2" />
+                                        <ExpiryCountdown expiresAt={processedMsg.expiresAt} className="ml-2" />
+                                        <MessageStatusIcon message={processedMsg} formatMessageTime={formatTime} className="ml-2" />
+                                        <ReadReceipt message={processedMsg} type="group" getSenderName={getContactName} formatMessageTime={formatTime} className="ml-2" />
+                                        <OutgoingStatus message={processedMsg} className="ml-2" />
+                                        <MessageActions message={msg} type="group" id={group.id} onReply={() => setReplyingTo(processedMsg)} />
                                     </div>
-                                )}
-                                <div className={`inline-block p-3 px-5 rounded-2xl ${processedMsg.sender === currentUserKey ? 'bg-blue-600' : 'bg-gray-800'}`}>
-                                    {processedMsg.content}
-                                </div>
-                                <div className="text-xs text-gray-500 mt-2">
-                                    {formatMessageTime ? formatMessageTime(processedMsg.timestamp) : new Date(processedMsg.timestamp).toLocaleTimeString()}
                                 </div>
-                            </div>
-                        );
-                    })
+                            );
+                        }}
+                    />
                 )}
                 <div ref={messagesEndRef} />
             </div>
@@ -536,11 +719,16 @@ export default function GroupChat({
 
             {/* Message Input */}
             <form onSubmit={handleSendMessage} className="absolute bottom-0 left-0 right-0 p-6 md:mb-0 mb-16">
+                <ReplyComposer
+                    replyingTo={replyingTo}
+                    senderName={replyingTo ? getContactName(replyingTo.sender) : ''}
+                    onCancel={() => setReplyingTo(null)}
+                />
                 <div className="flex items-center bg-gray-800 rounded-lg overflow-hidden">
                     <input
                         type="text"
                         value={message}
-                        onChange={(e) => setMessage(e.target.value)}
+                        onChange={handleMessageInput}
                         className="flex-1 bg-transparent text-white px-5 py-4 focus:outline-none"
                         placeholder="Type a message..."
                         disabled={sending}
@@ -4,6 +4,7 @@ import { useState, useEffect } from 'react'
 import { X, Users, UserMinus, UserPlus, Settings, LogOut, Trash2, Phone } from 'lucide-react'
 import contactStore from '../../utils/ContactStore'
 import conversationManager from '../../utils/ConversationManager'
+import LocalKeyStorageManager from '../../utils/LocalKeyStorageManager'
 
 export default function GroupDetails({ group, onClose, currentUserKey }) {
   const [members, setMembers] = useState([])
@@ -46,14 +47,22 @@ export default function GroupDetails({ group, onClose, currentUserKey }) {
     e.preventDefault();
     if (!newMemberKey.trim() || !conversationManager) return;
 
+    // Accept a v2 address, a legacy display key or a full public key
+    const contactId = LocalKeyStorageManager.normalizeContactId(newMemberKey);
+    if (!contactId) {
+      alert('Invalid public key format.');
+      return;
+    }
+    const memberId = contactStore.resolveContactId(contactId);
+
     try {
       setAddingMember(true);
 
       // Call the function to add a member to the group
       if (typeof conversationManager.addGroupMember === 'function') {
-        await conversationManager.addGroupMember(group.id, newMemberKey.trim());
+        await conversationManager.addGroupMember(group.id, memberId);
       } else {
-        await conversationManager.addMemberToGroup(group.id, newMemberKey.trim());
+        await conversationManager.addMemberToGroup(group.id, memberId);
       }
 
       // Immediately refresh the group data
@@ -1,107 +1,17 @@
 import subworldNetwork from '../../utils/SubworldNetworkService';
-import conversationManager from '../../utils/ConversationManager';
-
-/**
- * Upload a file to a group
- * @param {string} groupId - The ID of the group
- * @param {File} file - The file to upload
- * @param {string} senderPublicKey - The current user's public key
- * @returns {Promise<Object>} - The result of the upload operation
- */
-export const uploadGroupFile = async (groupId, file, senderPublicKey) => {
-  try {
-    console.log(`Starting group file upload for ${file.name} to group ${groupId}`);
-    
-    // Verify file size limit (10MB)
-    if (file.size > 10 * 1024 * 1024) {
-      throw new Error('File is too large. Maximum size is 10MB.');
-    }
-    
-    // Step 1: Upload the file through the network service
-    console.log('Uploading file to network...');
-    
-    // Create FormData for the multipart upload
-    const formData = new FormData();
-    formData.append('file', file);
-    formData.append('group_id', groupId);
-    formData.append('sender_id', senderPublicKey);
-    formData.append('file_name', file.name);
-    formData.append('file_type', file.type || 'application/octet-stream');
-    
-    // Generate a unique content ID
-    const contentId = `groupfile-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
-    formData.append('content_id', contentId);
-    
-    // Get the current node from the network service
-    const node = subworldNetwork.getCurrentNode();
-    if (!node) {
-      throw new Error('No network node selected');
-    }
-    
-    const nodeId = node.id || 'bootstrap2';
-    const proxyUrl = `https://proxy.inhouses.xyz/api/${nodeId}/groups/files/upload`;
-    
-    console.log(`Uploading to: ${proxyUrl}`);
-    
-    // Make the upload request
-    const response = await fetch(proxyUrl, {
-      method: 'POST',
-      body: formData,
-    });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Upload failed:', errorText);
-      throw new Error(`Failed to upload file: ${response.status}`);
-    }
-    
-    const uploadResult = await response.json();
-    console.log('Upload response:', uploadResult);
-    
-    if (!uploadResult.id) {
-      throw new Error('Invalid response from server');
-    }
-    
-    // Step 2: Create a message to notify group members about the file
-    const fileMetadata = {
-      messageType: 'file',
-      fileID: uploadResult.id || contentId,
-      fileName: file.name,
-      fileType: file.type || 'application/octet-stream',
-      fileSize: file.size,
-      isGroupFile: true
-    };
-    
-    // Send a message to the group with the file metadata
-    await conversationManager.sendGroupMessage(
-      groupId,
-      JSON.stringify(fileMetadata)
-    );
-    
-    console.log('File upload complete and notification sent to group');
-    
-    return {
-      success: true,
-      fileId: uploadResult.id || contentId,
-      fileName: file.name,
-      fileType: file.type || 'application/octet-stream',
-      fileSize: file.size
-    };
-  } catch (error) {
-    console.error('Error in uploadGroupFile:', error);
-    throw error;
-  }
-};
 
 /**
  * Download a file from a group
  * @param {string} groupId - The ID of the group
  * @param {string} fileId - The ID of the file
  * @param {string} fileName - The name to save the file as
- * @param {string} userPublicKey - The current user's public key
- * @returns {Promise<Blob>} - The downloaded file as a Blob
+ * @param {string|null} fileKey - Base64 encoded file key from the file message, null for files shared before encryption
+ * @param {string|null} senderPublicKey - Public key of the member who shared the file
+ * @param {string|null} fileType - MIME type of the original file
+ * @returns {Promise<{blob: Blob, senderVerified: boolean}>} - The downloaded file as a Blob, and whether it was
+ *   signed by the sender's known signing key. Files shared before encryption cannot be verified
  */
-export const downloadGroupFile = async (groupId, fileId, fileName, userPublicKey) => {
+export const downloadGroupFile = async (groupId, fileId, fileName, fileKey = null, senderPublicKey = null, fileType = null) => {
   try {
     console.log(`Starting group file download for file ${fileId} from group ${groupId}`);
     
@@ -114,7 +24,7 @@ export const downloadGroupFile = async (groupId, fileId, fileName, userPublicKey
     const nodeId = node.id || 'bootstrap2';
     
     // First get the file metadata
-    const metadataUrl = `https://proxy.inhouses.xyz/api/${nodeId}/groups/files/get?user_id=${encodeURIComponent(userPublicKey)}&group_id=${encodeURIComponent(groupId)}&file_id=${encodeURIComponent(fileId)}`;
+    const metadataUrl = `https://proxy.inhouses.xyz/api/${nodeId}/groups/files/get?user_id=${encodeURIComponent(subworldNetwork.getGroupMemberId(groupId))}&group_id=${encodeURIComponent(groupId)}&file_id=${encodeURIComponent(fileId)}`;
     
     console.log('Fetching file metadata:', metadataUrl);
     
@@ -140,7 +50,16 @@ export const downloadGroupFile = async (groupId, fileId, fileName, userPublicKey
     }
     
     // Get the file content as a blob
-    const fileBlob = await fileResponse.blob();
+    let fileBlob = await fileResponse.blob();
+    let senderVerified = false;
+    
+    // Encrypted files are verified and decrypted with the key from the file message
+    if (fileKey) {
+      const encryptedData = new Uint8Array(await fileBlob.arrayBuffer());
+      const decrypted = subworldNetwork.decryptGroupFileData(encryptedData, fileKey, senderPublicKey, groupId);
+      fileBlob = new Blob([decrypted.data], { type: fileType || 'application/octet-stream' });
+      senderVerified = decrypted.senderVerified;
+    }
     
     // Create a download link and trigger it
     const url = URL.createObjectURL(fileBlob);
@@ -156,7 +75,7 @@ export const downloadGroupFile = async (groupId, fileId, fileName, userPublicKey
     
     console.log('File download complete');
     
-    return fileBlob;
+    return { blob: fileBlob, senderVerified };
   } catch (error) {
     console.error('Error in downloadGroupFile:', error);
     throw error;
@@ -164,6 +83,5 @@ export const downloadGroupFile = async (groupId, fileId, fileName, userPublicKey
 };
 
 export default {
-  uploadGroupFile,
   downloadGroupFile
 };
\ No newline at end of file
@@ -2,7 +2,9 @@
 
 import { useState } from 'react'
 import { Download, File, Image as ImageIcon } from 'lucide-react'
+import ExpiryCountdown from './ExpiryCountdown'
 import { downloadGroupFile } from './GroupFileHandler'
+import UnverifiedSenderWarning from './UnverifiedSenderWarning'
 
 export default function GroupFileMessage({ 
   message, 
@@ -12,6 +14,8 @@ export default function GroupFileMessage({
 }) {
   const [downloading, setDownloading] = useState(false);
   const [downloadProgress, setDownloadProgress] = useState(0);
+  // Whether the downloaded file was signed by the uploader's known signing key, null until downloaded
+  const [fileVerified, setFileVerified] = useState(null);
 
   const isSentByCurrentUser = message.sender === currentUserKey;
 
@@ -30,7 +34,8 @@ export default function GroupFileMessage({
           fileID: parsed.fileID,
           fileName: parsed.fileName,
           fileType: parsed.fileType,
-          fileSize: parsed.fileSize
+          fileSize: parsed.fileSize,
+          fileKey: parsed.fileKey
         };
       }
     } catch (e) {
@@ -65,12 +70,15 @@ export default function GroupFileMessage({
       setDownloadProgress(30);
       
       // Download the file
-      await downloadGroupFile(
+      const { senderVerified } = await downloadGroupFile(
         groupId,
         fileMetadata.fileID,
         fileMetadata.fileName,
-        currentUserKey
+        fileMetadata.fileKey,
+        message.sender,
+        fileMetadata.fileType
       );
+      setFileVerified(senderVerified);
       
       setDownloadProgress(100);
       
@@ -119,6 +127,9 @@ export default function GroupFileMessage({
           {message.senderName || message.sender}
         </div>
       )}
+      {message.senderVerified !== false && (
+        <UnverifiedSenderWarning message={{ senderVerified: fileVerified }} />
+      )}
       
       <div
         className={`inline-block overflow-hidden rounded-2xl ${isSentByCurrentUser ? 'bg-blue-600' : 'bg-gray-800'}`}
@@ -147,7 +158,7 @@ export default function GroupFileMessage({
 
           <button
             onClick={handleDownload}
-            disabled={downloading}
+            disabled={downloading || !fileMetadata.fileID}
             className="mt-3 w-full py-2 px-3 flex items-center justify-center rounded-lg bg-blue-500/30 hover:bg-blue-500/50 transition-colors disabled:opacity-50 disabled:hover:bg-blue-500/30"
           >
             {downloading ? (
@@ -167,6 +178,7 @@ export default function GroupFileMessage({
       
       <div className="text-xs text-gray-500 mt-2">
         {formatMessageTime(message.timestamp)}
+        <ExpiryCountdown expiresAt={message.expiresAt} className="ml-2" />
       </div>
     </div>
   );
@@ -0,0 +1,60 @@
+'use client'
+
+import { motion, AnimatePresence } from 'framer-motion'
+import { ShieldAlert } from 'lucide-react'
+
+// Blocks sending to a verified contact whose key changed until the user decides what to do
+export default function KeyChangeWarning({ isOpen, contactName, onVerify, onSendAnyway, onCancel }) {
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-4"
+        >
+          <motion.div
+            initial={{ scale: 0.9, y: 20 }}
+            animate={{ scale: 1, y: 0 }}
+            exit={{ scale: 0.9, y: 20 }}
+            className="w-full max-w-md rounded-2xl bg-gray-800 border border-red-700 shadow-xl p-6 space-y-4"
+          >
+            <h2 className="text-xl font-semibold text-white flex items-center">
+              <ShieldAlert size={22} className="mr-2 text-red-400" />
+              Safety Number Changed
+            </h2>
+            <p className="text-sm text-gray-300">
+              The key of {contactName} is different from the one you verified. This can happen if they
+              set up a new account, but it could also mean someone is intercepting your messages.
+            </p>
+            <p className="text-sm text-gray-400">
+              Verify the new safety number with them before sending anything sensitive.
+            </p>
+
+            <div className="flex flex-col gap-2">
+              <button
+                onClick={onVerify}
+                className="w-full px-4 py-3 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors"
+              >
+                Verify Safety Number
+              </button>
+              <button
+                onClick={onSendAnyway}
+                className="w-full px-4 py-3 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors"
+              >
+                Send Anyway
+              </button>
+              <button
+                onClick={onCancel}
+                className="w-full px-4 py-2 text-gray-400 hover:text-white transition-colors"
+              >
+                Cancel
+              </button>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  )
+}
@@ -1,22 +1,38 @@
 'use client'
 
-import { useEffect } from 'react'
+import { useEffect, useState } from 'react'
 import { useRouter } from 'next/navigation'
 import LocalKeyStorageManager from '../../utils/LocalKeyStorageManager'
+import LockScreen from './LockScreen'
 
-// This component checks for keys and redirects if not found
+// This component checks for keys, redirects if not found and
+// shows the lock screen until the private key is unlocked
 export function KeyGuard({ children }) {
   const router = useRouter()
+  // 'checking', 'unlock' (passphrase required), 'setup' (legacy key needs a passphrase) or 'unlocked'
+  const [lockState, setLockState] = useState('checking')
 
   useEffect(() => {
-    // Check if keys exist
-    const keyPair = LocalKeyStorageManager.getKeyPair()
-    
     // If no keys are found, redirect to home page
-    if (!keyPair) {
+    if (!LocalKeyStorageManager.hasStoredKeyPair()) {
       router.push('/')
+      return
+    }
+
+    if (!LocalKeyStorageManager.isPassphraseProtected()) {
+      setLockState('setup')
+    } else if (!LocalKeyStorageManager.isUnlocked()) {
+      setLockState('unlock')
+    } else {
+      setLockState('unlocked')
     }
   }, [router])
 
+  if (lockState === 'checking') return null
+
+  if (lockState !== 'unlocked') {
+    return <LockScreen mode={lockState} onUnlocked={() => setLockState('unlocked')} />
+  }
+
   return children
-}
\ No newline at end of file
+}
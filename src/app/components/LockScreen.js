@@ -0,0 +1,173 @@
+'use client'
+
+import { useState } from 'react'
+import Image from 'next/image'
+import { motion } from 'framer-motion'
+import { Lock, Eye, EyeOff, Loader, ShieldCheck } from 'lucide-react'
+import LocalKeyStorageManager, { MIN_PASSPHRASE_LENGTH } from '../../utils/LocalKeyStorageManager'
+
+// Shown by KeyGuard while the private key is locked or still needs a passphrase
+export default function LockScreen({ mode = 'unlock', onUnlocked }) {
+  const [passphrase, setPassphrase] = useState('')
+  const [confirmPassphrase, setConfirmPassphrase] = useState('')
+  const [showPassphrase, setShowPassphrase] = useState(false)
+  const [error, setError] = useState('')
+  const [isProcessing, setIsProcessing] = useState(false)
+
+  const isSetup = mode === 'setup'
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (isSetup) {
+      if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        setError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters long`)
+        return
+      }
+      if (passphrase !== confirmPassphrase) {
+        setError('Passphrases do not match')
+        return
+      }
+    } else if (!passphrase) {
+      setError('Please enter your passphrase')
+      return
+    }
+
+    try {
+      setIsProcessing(true)
+      setError('')
+
+      if (isSetup) {
+        // Wrap the legacy stored key with the new passphrase
+        await LocalKeyStorageManager.changePassphrase(null, passphrase)
+      } else {
+        await LocalKeyStorageManager.unlock(passphrase)
+      }
+
+      setPassphrase('')
+      setConfirmPassphrase('')
+      onUnlocked()
+    } catch (error) {
+      console.error('Unlock failed:', error)
+      setError(isSetup ? 'Failed to protect your key. Please try again.' : 'Incorrect passphrase')
+    } finally {
+      setIsProcessing(false)
+    }
+  }
+
+  return (
+    <motion.main
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      transition={{ duration: 0.5 }}
+      className="min-h-screen bg-[#0E0F14] text-white flex flex-col items-center justify-center p-4 md:p-8"
+    >
+      <div className="w-full max-w-md mx-auto space-y-8">
+        <div className="text-center">
+          <Image
+            src="/Planet-logo-blue.png"
+            alt="Logo"
+            width={100}
+            height={100}
+            className="mx-auto drop-shadow-2xl"
+          />
+        </div>
+
+        <form
+          onSubmit={handleSubmit}
+          className="space-y-6 bg-gray-800/50 p-8 rounded-2xl backdrop-blur-sm"
+        >
+          <h1 className="text-2xl font-bold text-center text-white flex items-center justify-center">
+            {isSetup ? (
+              <>
+                <ShieldCheck className="w-6 h-6 mr-2 text-blue-400" />
+                Protect Your Account
+              </>
+            ) : (
+              <>
+                <Lock className="w-6 h-6 mr-2 text-blue-400" />
+                Unlock Subworld
+              </>
+            )}
+          </h1>
+
+          {isSetup && (
+            <p className="text-sm text-gray-400">
+              Choose a passphrase to encrypt your private key on this device.
+              You will need it every time you open Subworld.
+            </p>
+          )}
+
+          <div>
+            <label htmlFor="passphrase" className="block text-sm font-medium text-gray-300 mb-2">
+              Passphrase
+            </label>
+            <div className="relative">
+              <input
+                id="passphrase"
+                type={showPassphrase ? 'text' : 'password'}
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                autoFocus
+                autoComplete={isSetup ? 'new-password' : 'current-password'}
+                className="w-full px-4 py-3 bg-gray-700/50 border border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent pr-10"
+              />
+              <button
+                type="button"
+                onClick={() => setShowPassphrase(!showPassphrase)}
+                className="absolute top-3 right-3 text-gray-400 hover:text-white"
+              >
+                {showPassphrase ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+              </button>
+            </div>
+          </div>
+
+          {isSetup && (
+            <div>
+              <label htmlFor="confirmPassphrase" className="block text-sm font-medium text-gray-300 mb-2">
+                Confirm Passphrase
+              </label>
+              <input
+                id="confirmPassphrase"
+                type={showPassphrase ? 'text' : 'password'}
+                value={confirmPassphrase}
+                onChange={(e) => setConfirmPassphrase(e.target.value)}
+                autoComplete="new-password"
+                className="w-full px-4 py-3 bg-gray-700/50 border border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+          )}
+
+          {error && (
+            <motion.p
+              initial={{ opacity: 0, y: -10 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="text-red-500 text-sm"
+            >
+              {error}
+            </motion.p>
+          )}
+
+          <motion.button
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            type="submit"
+            disabled={isProcessing}
+            className="w-full h-12 bg-[#3c5ac6] text-white flex items-center justify-center gap-2 rounded-xl transition-all duration-300 shadow-lg disabled:opacity-70"
+          >
+            {isProcessing ? (
+              <>
+                <Loader className="w-5 h-5 animate-spin" />
+                <span>Processing...</span>
+              </>
+            ) : isSetup ? (
+              'Save Passphrase'
+            ) : (
+              'Unlock'
+            )}
+          </motion.button>
+        </form>
+      </div>
+    </motion.main>
+  )
+}
@@ -0,0 +1,197 @@
+'use client'
+
+import { useState } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { CornerUpLeft, Pencil, Smile, Trash2, X } from 'lucide-react'
+import conversationManager, { REACTION_EMOJIS } from '../../utils/ConversationManager'
+
+// Reply, react, edit and delete for everyone controls next to the time of a message, the last two only on the user's own messages
+export default function MessageActions({ message, type, id, onReply }) {
+  const [mode, setMode] = useState(null)
+  const [draft, setDraft] = useState('')
+  const [error, setError] = useState('')
+  const [isSaving, setIsSaving] = useState(false)
+  const [showReactions, setShowReactions] = useState(false)
+
+  const canEdit = conversationManager.canEditMessage(message)
+  const canDelete = conversationManager.canDeleteForEveryone(message)
+  const canReply = !!onReply && !message.isSystem && !message.isDeleted && !conversationManager.isMessageQueued(message)
+  const canReact = conversationManager.canReactToMessage(message)
+  if (!canReply && !canReact && !canEdit && !canDelete) return null
+
+  const ownReaction = message.reactions?.[conversationManager.currentUserKey]?.emoji || null
+
+  const handleReact = async (emoji) => {
+    setShowReactions(false)
+    try {
+      // Picking the current reaction again removes it
+      const reaction = emoji === ownReaction ? null : emoji
+      await (type === 'group'
+        ? conversationManager.setGroupMessageReaction(id, message.id, reaction)
+        : conversationManager.setMessageReaction(id, message.id, reaction))
+    } catch (error) {
+      console.error('Failed to react to message:', error)
+    }
+  }
+
+  const open = (nextMode) => {
+    setDraft(message.content)
+    setError('')
+    setMode(nextMode)
+  }
+
+  const close = () => {
+    if (!isSaving) setMode(null)
+  }
+
+  const handleConfirm = async () => {
+    setIsSaving(true)
+    setError('')
+
+    try {
+      // The conversation is updated through the messageChanged event
+      if (mode === 'edit') {
+        if (draft.trim() === message.content) {
+          setMode(null)
+          return
+        }
+        await (type === 'group'
+          ? conversationManager.editGroupMessage(id, message.id, draft)
+          : conversationManager.editMessage(id, message.id, draft))
+      } else {
+        await (type === 'group'
+          ? conversationManager.deleteGroupMessageForEveryone(id, message.id)
+          : conversationManager.deleteMessageForEveryone(id, message.id))
+      }
+      setMode(null)
+    } catch (error) {
+      console.error(`Failed to ${mode} message:`, error)
+      setError(error.message || 'Could not update the message.')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <>
+      <span className="inline-flex items-center ml-2 space-x-1">
+        {canReply && (
+          <button
+            onClick={() => onReply(message)}
+            className="p-1 rounded hover:bg-gray-700 transition-colors"
+            title="Reply"
+          >
+            <CornerUpLeft size={12} className="text-gray-500 hover:text-white" />
+          </button>
+        )}
+        {canReact && (
+          <span className="relative">
+            <button
+              onClick={() => setShowReactions(!showReactions)}
+              className="p-1 rounded hover:bg-gray-700 transition-colors"
+              title="React"
+            >
+              <Smile size={12} className="text-gray-500 hover:text-white" />
+            </button>
+            {showReactions && (
+              <span className="absolute bottom-full right-0 mb-1 flex p-1 bg-gray-800 border border-gray-700 rounded-full shadow-xl z-20">
+                {REACTION_EMOJIS.map(emoji => (
+                  <button
+                    key={emoji}
+                    onClick={() => handleReact(emoji)}
+                    className={`w-8 h-8 rounded-full text-base hover:bg-gray-700 transition-colors ${emoji === ownReaction ? 'bg-blue-600/40' : ''}`}
+                  >
+                    {emoji}
+                  </button>
+                ))}
+              </span>
+            )}
+          </span>
+        )}
+        {canEdit && (
+          <button
+            onClick={() => open('edit')}
+            className="p-1 rounded hover:bg-gray-700 transition-colors"
+            title="Edit message"
+          >
+            <Pencil size={12} className="text-gray-500 hover:text-white" />
+          </button>
+        )}
+        {canDelete && (
+          <button
+            onClick={() => open('delete')}
+            className="p-1 rounded hover:bg-gray-700 transition-colors"
+            title="Delete for everyone"
+          >
+            <Trash2 size={12} className="text-gray-500 hover:text-red-400" />
+          </button>
+        )}
+      </span>
+
+      <AnimatePresence>
+        {mode && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-4 text-left"
+          >
+            <motion.div
+              initial={{ scale: 0.9, y: 20 }}
+              animate={{ scale: 1, y: 0 }}
+              exit={{ scale: 0.9, y: 20 }}
+              className="w-full max-w-md rounded-2xl bg-gray-800 border border-gray-700 shadow-xl"
+            >
+              <div className="flex items-center justify-between p-4 border-b border-gray-700">
+                <h2 className="text-lg font-semibold text-white">
+                  {mode === 'edit' ? 'Edit Message' : 'Delete for Everyone'}
+                </h2>
+                <button
+                  onClick={close}
+                  className="p-1 rounded-full hover:bg-gray-700 transition-colors"
+                >
+                  <X size={20} className="text-gray-400 hover:text-white" />
+                </button>
+              </div>
+
+              <div className="p-4 space-y-4">
+                {mode === 'edit' ? (
+                  <textarea
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                    rows={4}
+                    className="w-full bg-gray-900 text-white px-4 py-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none"
+                    autoFocus
+                  />
+                ) : (
+                  <p className="text-sm text-gray-300">
+                    The message will be replaced by a notice for everyone in the conversation. Copies
+                    already saved outside Subworld, e.g. in exports, are not affected.
+                  </p>
+                )}
+
+                {error && <p className="text-sm text-red-400">{error}</p>}
+
+                <div className="flex justify-end space-x-2">
+                  <button
+                    onClick={close}
+                    className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-sm text-white transition-colors"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleConfirm}
+                    disabled={isSaving || (mode === 'edit' && !draft.trim())}
+                    className={`px-4 py-2 rounded-lg text-sm text-white transition-colors disabled:opacity-50 ${mode === 'edit' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-red-600 hover:bg-red-700'}`}
+                  >
+                    {isSaving ? 'Saving...' : mode === 'edit' ? 'Save' : 'Delete'}
+                  </button>
+                </div>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </>
+  )
+}
@@ -0,0 +1,236 @@
+'use client'
+
+import { Fragment, useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react'
+import { ChevronDown } from 'lucide-react'
+
+// Messages added to the window each time the reader gets close to one of its ends
+const PAGE_SIZE = 50
+
+// Most messages rendered at once, the far end of the window is dropped beyond this
+const MAX_RENDERED = 150
+
+// How close to an end of the window the next page is rendered
+const LOAD_MARGIN = '300px'
+
+// Index of the first message from someone else after the last read time, -1 when there is
+// nothing unread or everything is, since a divider above the first message tells nothing
+const findFirstUnread = (messages, lastReadAt, currentUserKey) => {
+  if (!lastReadAt) return -1
+  const lastRead = new Date(lastReadAt).getTime()
+  const index = messages.findIndex(msg =>
+    !msg.isSystem && msg.sender !== currentUserKey && new Date(msg.timestamp).getTime() > lastRead
+  )
+  return index > 0 ? index : -1
+}
+
+// The newest page, or the messages around the first unread one when that is further back
+const getInitialRange = (messages, firstUnread) => {
+  const end = messages.length
+  const start = Math.max(0, end - PAGE_SIZE)
+  if (firstUnread === -1 || firstUnread >= start) return { start, end }
+  if (firstUnread >= end - MAX_RENDERED) return { start: Math.max(0, firstUnread - 5), end }
+
+  const unreadStart = Math.max(0, firstUnread - 5)
+  return { start: unreadStart, end: Math.min(end, unreadStart + PAGE_SIZE) }
+}
+
+/**
+ * Renders a window of a conversation's messages instead of all of them
+ *
+ * Older and newer pages are added as the reader scrolls towards them while the messages
+ * on screen stay put, and the far end is dropped once the window grows too large. Once
+ * the window reaches the oldest message, `onLoadOlder` is called to load older messages
+ * from storage, it resolves to whether there are more. Every rendered message needs an
+ * element with the ID `message-<id>`, which is used to keep the scroll position and to
+ * bring highlighted messages into view.
+ */
+export default function MessageList({
+  messages,
+  renderMessage,
+  scrollContainerRef,
+  currentUserKey,
+  lastReadAt,
+  highlightedMessageId,
+  onLoadOlder,
+  className = ''
+}) {
+  const firstUnread = findFirstUnread(messages, lastReadAt, currentUserKey)
+  const [range, setRange] = useState(() => getInitialRange(messages, firstUnread))
+
+  const topSentinelRef = useRef(null)
+  const bottomSentinelRef = useRef(null)
+  const dividerRef = useRef(null)
+  const previousLengthRef = useRef(messages.length)
+  const previousFirstIdRef = useRef(messages[0]?.id)
+  const scrollAnchorRef = useRef(null)
+  const scrollToEndRef = useRef(false)
+  const positionedRef = useRef(false)
+  const highlightShownRef = useRef(null)
+  const loadingOlderRef = useRef(false)
+  const hasOlderRef = useRef(true)
+
+  const loadOlder = useCallback(() => {
+    if (!onLoadOlder || loadingOlderRef.current || !hasOlderRef.current) return
+    loadingOlderRef.current = true
+    onLoadOlder()
+      .then(hasMore => { hasOlderRef.current = hasMore })
+      .catch(error => console.error('Failed to load older messages:', error))
+      .finally(() => { loadingOlderRef.current = false })
+  }, [onLoadOlder])
+
+  // Follow new messages while the window reaches the newest one, and stay in bounds when messages go away
+  useLayoutEffect(() => {
+    const previousLength = previousLengthRef.current
+    const previousFirstId = previousFirstIdRef.current
+    previousLengthRef.current = messages.length
+    previousFirstIdRef.current = messages[0]?.id
+    if (messages.length === previousLength) return
+
+    if (previousLength === 0) {
+      setRange(getInitialRange(messages, firstUnread))
+      return
+    }
+
+    // Older messages from storage go before the window, which moves along so it shows the same messages
+    const prepended = previousFirstId === undefined ? 0 : Math.max(0, messages.findIndex(msg => msg.id === previousFirstId))
+    setRange((current) => {
+      const length = messages.length
+      const start = current.start + prepended
+      const end = current.end + prepended
+      if (end >= previousLength + prepended) {
+        return { start: Math.max(0, Math.min(Math.max(start, length - MAX_RENDERED), length - PAGE_SIZE)), end: length }
+      }
+      const clampedEnd = Math.min(end, length)
+      return { start: Math.max(0, Math.min(start, clampedEnd - PAGE_SIZE)), end: clampedEnd }
+    })
+  }, [messages, firstUnread])
+
+  // Open at the newest message, then bring the unread divider into view once the parent is done scrolling
+  useLayoutEffect(() => {
+    const container = scrollContainerRef.current
+    if (positionedRef.current || !container || range.end <= range.start) return
+    positionedRef.current = true
+
+    container.scrollTop = container.scrollHeight
+    if (!highlightedMessageId) {
+      requestAnimationFrame(() => dividerRef.current?.scrollIntoView({ block: 'center' }))
+    }
+  }, [range, scrollContainerRef, highlightedMessageId])
+
+  // Keep the messages on screen in place when the window changes above them
+  useLayoutEffect(() => {
+    const container = scrollContainerRef.current
+    if (!container) return
+
+    if (scrollToEndRef.current) {
+      scrollToEndRef.current = false
+      container.scrollTop = container.scrollHeight
+      return
+    }
+
+    const anchor = scrollAnchorRef.current
+    scrollAnchorRef.current = null
+    const element = anchor && document.getElementById(`message-${anchor.id}`)
+    if (element) {
+      container.scrollTop += element.getBoundingClientRect().top - anchor.top
+    }
+  }, [range, scrollContainerRef])
+
+  // Move the window to a highlighted message, e.g. a search result, and scroll to it
+  useEffect(() => {
+    // Forget the last highlight once it is cleared, so the same message can be jumped to again
+    if (!highlightedMessageId) {
+      highlightShownRef.current = null
+      return
+    }
+    if (highlightShownRef.current === highlightedMessageId) return
+
+    // A message further back than what is loaded, e.g. a quoted one, is loaded page by page
+    const index = messages.findIndex(msg => msg.id === highlightedMessageId)
+    if (index === -1) {
+      loadOlder()
+      return
+    }
+
+    if (index < range.start || index >= range.end) {
+      const start = Math.max(0, index - Math.floor(PAGE_SIZE / 2))
+      setRange({ start, end: Math.min(messages.length, start + PAGE_SIZE) })
+      return
+    }
+
+    highlightShownRef.current = highlightedMessageId
+    document.getElementById(`message-${highlightedMessageId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' })
+  }, [highlightedMessageId, messages, range, loadOlder])
+
+  // Watch both ends of the window, observing again after every change so an end that is still close loads the next page.
+  // Past the oldest loaded message the next page comes from storage
+  useEffect(() => {
+    const container = scrollContainerRef.current
+    if (!container || typeof IntersectionObserver === 'undefined') return
+
+    const rememberAnchor = (message) => {
+      const element = message && document.getElementById(`message-${message.id}`)
+      scrollAnchorRef.current = element ? { id: message.id, top: element.getBoundingClientRect().top } : null
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (!positionedRef.current) return
+      const visible = new Set(entries.filter(entry => entry.isIntersecting).map(entry => entry.target))
+
+      if (visible.has(topSentinelRef.current) && range.start > 0) {
+        const start = Math.max(0, range.start - PAGE_SIZE)
+        rememberAnchor(messages[range.start])
+        setRange({ start, end: Math.min(range.end, start + MAX_RENDERED) })
+      } else if (visible.has(bottomSentinelRef.current) && range.end < messages.length) {
+        const end = Math.min(messages.length, range.end + PAGE_SIZE)
+        const start = Math.max(range.start, end - MAX_RENDERED)
+        rememberAnchor(messages[start])
+        setRange({ start, end })
+      } else if (visible.has(topSentinelRef.current)) {
+        loadOlder()
+      }
+    }, { root: container, rootMargin: `${LOAD_MARGIN} 0px` })
+
+    if (topSentinelRef.current) observer.observe(topSentinelRef.current)
+    if (bottomSentinelRef.current) observer.observe(bottomSentinelRef.current)
+    return () => observer.disconnect()
+  }, [range, messages, scrollContainerRef, loadOlder])
+
+  const showLatest = () => {
+    scrollToEndRef.current = true
+    setRange({ start: Math.max(0, messages.length - PAGE_SIZE), end: messages.length })
+  }
+
+  return (
+    <div className={className} style={{ overflowAnchor: 'none' }}>
+      <div ref={topSentinelRef} className="h-px" />
+
+      {messages.slice(range.start, range.end).map((msg, offset) => (
+        <Fragment key={msg.id ?? `#${range.start + offset}`}>
+          {range.start + offset === firstUnread && (
+            <div ref={dividerRef} className="flex items-center my-4 text-xs text-blue-400">
+              <div className="flex-1 border-t border-blue-500/40" />
+              <span className="px-3">Unread messages</span>
+              <div className="flex-1 border-t border-blue-500/40" />
+            </div>
+          )}
+          {renderMessage(msg)}
+        </Fragment>
+      ))}
+
+      <div ref={bottomSentinelRef} className="h-px" />
+
+      {range.end < messages.length && (
+        <div className="flex justify-center my-4">
+          <button
+            onClick={showLatest}
+            className="inline-flex items-center px-3 py-1 rounded-full bg-gray-800 hover:bg-gray-700 text-xs text-gray-300 transition-colors"
+          >
+            <ChevronDown size={14} className="mr-1" />
+            Jump to latest messages
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,37 @@
+'use client'
+
+import conversationManager from '../../utils/ConversationManager'
+
+// Reaction chips under a message bubble, clicking one adds or removes the user's reaction
+export default function MessageReactions({ message, type, id, getSenderName, isOwn = false }) {
+  const reactions = conversationManager.getMessageReactions(message)
+  if (reactions.length === 0) return null
+
+  const handleToggle = async (reaction) => {
+    const emoji = reaction.includesMe ? null : reaction.emoji
+    try {
+      // The conversation is updated through the messageChanged event
+      await (type === 'group'
+        ? conversationManager.setGroupMessageReaction(id, message.id, emoji)
+        : conversationManager.setMessageReaction(id, message.id, emoji))
+    } catch (error) {
+      console.error('Failed to update reaction:', error)
+    }
+  }
+
+  return (
+    <div className={`flex flex-wrap gap-1 mt-1 ${isOwn ? 'justify-end' : ''}`}>
+      {reactions.map(reaction => (
+        <button
+          key={reaction.emoji}
+          onClick={() => handleToggle(reaction)}
+          className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs border transition-colors ${reaction.includesMe ? 'bg-blue-600/30 border-blue-500 text-white' : 'bg-gray-800 border-gray-700 text-gray-300 hover:bg-gray-700'}`}
+          title={reaction.senders.map(getSenderName).join(', ')}
+        >
+          <span className="mr-1">{reaction.emoji}</span>
+          {reaction.count}
+        </button>
+      ))}
+    </div>
+  )
+}
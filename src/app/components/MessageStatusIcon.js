@@ -0,0 +1,48 @@
+'use client'
+
+import { AlertCircle, Check, CheckCheck, Clock, Loader2, TimerOff } from 'lucide-react'
+import conversationManager from '../../utils/ConversationManager'
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  sending: 'Sending',
+  sent: 'Sent',
+  delivered: 'Delivered',
+  read: 'Read',
+  failed: 'Not sent',
+  expired: 'Expired'
+}
+
+const STATUS_ICONS = {
+  queued: <Clock size={12} />,
+  sending: <Loader2 size={12} className="animate-spin" />,
+  sent: <Check size={12} />,
+  delivered: <CheckCheck size={12} />,
+  read: <CheckCheck size={12} className="text-blue-400" />,
+  failed: <AlertCircle size={12} className="text-red-400" />,
+  expired: <TimerOff size={12} />
+}
+
+// Status of one of the user's messages, hovering shows when it reached each step
+export default function MessageStatusIcon({ message, formatMessageTime, className = '' }) {
+  if (message.sender !== conversationManager.currentUserKey || message.isSystem || message.isDeleted) return null
+
+  const status = conversationManager.getMessageStatus(message)
+  const history = conversationManager.getMessageStatusHistory(message)
+  const formatTime = (timestamp) => formatMessageTime ? formatMessageTime(timestamp) : new Date(timestamp).toLocaleTimeString()
+
+  return (
+    <span className={`relative group inline-flex items-center align-middle ${className}`} aria-label={STATUS_LABELS[status]}>
+      {STATUS_ICONS[status]}
+
+      <span className="absolute right-0 bottom-full mb-2 w-44 p-2 bg-gray-800 border border-gray-700 rounded-lg shadow-xl z-20 text-left opacity-0 invisible group-hover:opacity-100 group-hover:visible transition-all duration-200">
+        {history.map(step => (
+          <span key={step.status} className="flex justify-between px-1 py-0.5 text-xs">
+            <span className={step.status === status ? 'text-gray-200' : 'text-gray-400'}>{STATUS_LABELS[step.status]}</span>
+            <span className="text-gray-500 whitespace-nowrap ml-2">{formatTime(step.at)}</span>
+          </span>
+        ))}
+      </span>
+    </span>
+  )
+}
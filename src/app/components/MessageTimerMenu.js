@@ -0,0 +1,68 @@
+'use client'
+
+import { useState } from 'react'
+import { Timer, Check } from 'lucide-react'
+import { MESSAGE_TIMER_OPTIONS, formatMessageTimer } from '../../utils/ConversationManager'
+
+// Header control for the disappearing message timer of a conversation or group
+export default function MessageTimerMenu({ value, onChange }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  // A timer set elsewhere, e.g. the default from Settings, is listed as well
+  const options = MESSAGE_TIMER_OPTIONS.some(option => option.seconds === value)
+    ? MESSAGE_TIMER_OPTIONS
+    : [...MESSAGE_TIMER_OPTIONS, { seconds: value, label: formatMessageTimer(value) }].sort((a, b) => a.seconds - b.seconds)
+
+  const handleSelect = async (seconds) => {
+    setIsOpen(false)
+    if (seconds === value) return
+
+    try {
+      setIsSaving(true)
+      setError('')
+      await onChange(seconds)
+    } catch (error) {
+      console.error('Failed to change message timer:', error)
+      setError('Could not change the timer. Please try again.')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={isSaving}
+        className="p-2 rounded-full hover:bg-gray-700 transition-colors flex items-center"
+        title={value > 0 ? `Messages disappear after ${formatMessageTimer(value)}` : 'Disappearing messages are off'}
+      >
+        <Timer size={18} className={value > 0 ? 'text-blue-400' : 'text-gray-400 hover:text-white'} />
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-48 py-1 bg-gray-800 border border-gray-700 rounded-lg shadow-xl z-20 text-left">
+          <div className="px-3 py-2 text-xs text-gray-400">Disappearing messages</div>
+          {options.map(option => (
+            <button
+              key={option.seconds}
+              onClick={() => handleSelect(option.seconds)}
+              className="w-full flex items-center justify-between px-3 py-2 text-sm text-white hover:bg-gray-700 transition-colors"
+            >
+              {option.label}
+              {option.seconds === value && <Check size={14} className="text-blue-400" />}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {error && (
+        <div className="absolute right-0 mt-2 w-56 p-2 bg-gray-800 border border-red-700 rounded-lg text-xs text-red-400 z-20">
+          {error}
+        </div>
+      )}
+    </div>
+  )
+}
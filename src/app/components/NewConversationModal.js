@@ -4,6 +4,7 @@ import { useState } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { X, Send, UserCheck, Users, Plus, Check, Search, ArrowLeft, Edit } from 'lucide-react'
 import contactStore from '../../utils/ContactStore'
+import LocalKeyStorageManager from '../../utils/LocalKeyStorageManager'
 
 export default function NewConversationModal({ isOpen, onClose, onSubmit, onCreateGroup }) {
   // Mode can be 'message' or 'group'
@@ -47,7 +48,7 @@ export default function NewConversationModal({ isOpen, onClose, onSubmit, onCrea
   }
 
   // Direct message submission
-  const handleSubmitDirectMessage = (e) => {
+  const handleSubmitDirectMessage = async (e) => {
     e.preventDefault()
     
     // Validate the recipient key
@@ -56,17 +57,19 @@ export default function NewConversationModal({ isOpen, onClose, onSubmit, onCrea
       return
     }
     
-    // Check if the key follows the expected format (adjust validation as needed)
-    if (!recipientKey.includes('-')) {
+    // Accept a v2 address (sw2...), a legacy display key (abcd-1234-...) or a full Base64 public key
+    const contactId = LocalKeyStorageManager.normalizeContactId(recipientKey)
+    if (!contactId) {
       setError('Invalid public key format')
       return
     }
     
     setIsSubmitting(true)
     
-    // Submit the form
+    // An address carries the full key and lets us encrypt right away
     onSubmit({
-      recipientKey: recipientKey.trim(),
+      recipientKey: contactStore.resolveContactId(contactId),
+      recipientPublicKey: LocalKeyStorageManager.addressToPublicKey(contactId),
       alias: alias.trim() || null, // Use null if no alias is provided
       initialMessage: message.trim() || null
     })
@@ -241,11 +244,14 @@ export default function NewConversationModal({ isOpen, onClose, onSubmit, onCrea
                     <input
                       id="recipientKey"
                       type="text"
-                      placeholder="e.g. abcd-1234-efgh-5678"
+                      placeholder="e.g. sw2... or abcd-1234-efgh-5678"
                       value={recipientKey}
                       onChange={(e) => setRecipientKey(e.target.value)}
                       className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                     />
+                    <p className="text-xs text-gray-400 mt-1">
+                      Paste the address from their profile to start an encrypted conversation. Older short keys still work
+                    </p>
                   </div>
                   
                   <div>
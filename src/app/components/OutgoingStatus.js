@@ -0,0 +1,61 @@
+'use client'
+
+import { RotateCw, X } from 'lucide-react'
+import conversationManager from '../../utils/ConversationManager'
+
+// Why a message of the user is held up in the outbox, with retry and cancel, next to its status icon
+export default function OutgoingStatus({ message, className = '' }) {
+  if (!conversationManager.isMessageQueued(message)) return null
+
+  const status = conversationManager.getMessageStatus(message)
+  const state = conversationManager.getOutgoingState(message.id)
+  const isOffline = typeof navigator !== 'undefined' && navigator.onLine === false
+
+  let label = null
+  if (status === 'failed' || !state) {
+    label = 'Not sent'
+  } else if (status === 'queued' && isOffline) {
+    label = 'Waiting for connection'
+  } else if (status === 'queued' && state.attempts > 0) {
+    label = 'Retrying soon'
+  }
+  // Nothing to add while the message is on its way
+  if (!label) return null
+
+  const canRetry = !!state && status !== 'sending'
+
+  const handleRetry = () => {
+    try {
+      conversationManager.retryMessage(message.id)
+    } catch (error) {
+      console.error('Failed to retry message:', error)
+    }
+  }
+
+  const handleCancel = () => {
+    try {
+      conversationManager.cancelMessage(message.id)
+    } catch (error) {
+      console.error('Failed to cancel message:', error)
+    }
+  }
+
+  return (
+    <span className={`inline-flex items-center align-middle ${status === 'failed' ? 'text-red-400' : ''} ${className}`} title={state?.lastError || undefined}>
+      {label}
+
+      {canRetry && (
+        <>
+          <button onClick={handleRetry} className="inline-flex items-center ml-2 hover:text-white transition-colors" title="Try again now">
+            <RotateCw size={12} className="mr-1" />
+            Retry
+          </button>
+          <button onClick={handleCancel} className="inline-flex items-center ml-2 hover:text-white transition-colors" title="Do not send this message">
+            <X size={12} className="mr-1" />
+            Cancel
+          </button>
+        </>
+      )}
+    </span>
+  )
+}
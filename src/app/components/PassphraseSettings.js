@@ -0,0 +1,139 @@
+'use client'
+
+import { useState } from 'react'
+import { Lock, KeyRound } from 'lucide-react'
+import LocalKeyStorageManager, { MIN_PASSPHRASE_LENGTH } from '../../utils/LocalKeyStorageManager'
+import localDatabase from '../../utils/LocalDatabase'
+import sessionManager from '../../utils/SessionManager'
+import senderKeyManager from '../../utils/SenderKeyManager'
+
+// Settings controls for locking the app and changing the key passphrase
+export default function PassphraseSettings() {
+  const [showForm, setShowForm] = useState(false)
+  const [currentPassphrase, setCurrentPassphrase] = useState('')
+  const [newPassphrase, setNewPassphrase] = useState('')
+  const [confirmPassphrase, setConfirmPassphrase] = useState('')
+  const [error, setError] = useState('')
+  const [isSaving, setIsSaving] = useState(false)
+
+  const resetForm = () => {
+    setCurrentPassphrase('')
+    setNewPassphrase('')
+    setConfirmPassphrase('')
+    setError('')
+    setShowForm(false)
+  }
+
+  const handleLock = async () => {
+    // Session and group keys leave memory with the storage key, pending saves are still written
+    sessionManager.lock()
+    senderKeyManager.lock()
+    await localDatabase.lock()
+    LocalKeyStorageManager.lock()
+    // Reload so no service keeps the key in memory
+    window.location.reload()
+  }
+
+  const handleChangePassphrase = async (e) => {
+    e.preventDefault()
+
+    if (newPassphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters long`)
+      return
+    }
+    if (newPassphrase !== confirmPassphrase) {
+      setError('Passphrases do not match')
+      return
+    }
+
+    try {
+      setIsSaving(true)
+      await LocalKeyStorageManager.changePassphrase(currentPassphrase, newPassphrase)
+      resetForm()
+      alert('Passphrase changed successfully.')
+    } catch (error) {
+      console.error('Failed to change passphrase:', error)
+      setError(error.message === 'Incorrect passphrase.' ? 'Current passphrase is incorrect' : 'Failed to change passphrase')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <button
+        className="w-full flex items-center justify-between p-4 bg-gray-900 hover:bg-gray-700 text-white rounded-lg transition-colors border border-gray-700"
+        onClick={handleLock}
+      >
+        <div className="flex items-center">
+          <Lock size={18} className="text-blue-400 mr-3" />
+          <span>Lock Now</span>
+        </div>
+        <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <polyline points="9 18 15 12 9 6"></polyline>
+        </svg>
+      </button>
+
+      {!showForm ? (
+        <button
+          className="w-full flex items-center justify-between p-4 bg-gray-900 hover:bg-gray-700 text-white rounded-lg transition-colors border border-gray-700"
+          onClick={() => setShowForm(true)}
+        >
+          <div className="flex items-center">
+            <KeyRound size={18} className="text-blue-400 mr-3" />
+            <span>Change Passphrase</span>
+          </div>
+          <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+            <polyline points="9 18 15 12 9 6"></polyline>
+          </svg>
+        </button>
+      ) : (
+        <form onSubmit={handleChangePassphrase} className="p-4 bg-gray-900 rounded-lg border border-gray-700 space-y-3">
+          <input
+            type="password"
+            placeholder="Current passphrase"
+            value={currentPassphrase}
+            onChange={(e) => setCurrentPassphrase(e.target.value)}
+            autoComplete="current-password"
+            className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <input
+            type="password"
+            placeholder="New passphrase"
+            value={newPassphrase}
+            onChange={(e) => setNewPassphrase(e.target.value)}
+            autoComplete="new-password"
+            className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <input
+            type="password"
+            placeholder="Confirm new passphrase"
+            value={confirmPassphrase}
+            onChange={(e) => setConfirmPassphrase(e.target.value)}
+            autoComplete="new-password"
+            className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+
+          {error && <p className="text-red-400 text-sm">{error}</p>}
+
+          <div className="flex justify-end">
+            <button
+              type="button"
+              onClick={resetForm}
+              className="px-4 py-2 bg-gray-700 text-white rounded-lg mr-2"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg disabled:opacity-70"
+            >
+              {isSaving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
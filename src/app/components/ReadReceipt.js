@@ -0,0 +1,37 @@
+'use client'
+
+import { useState } from 'react'
+import conversationManager from '../../utils/ConversationManager'
+
+// Who saw one of the user's messages in a group, next to its status icon
+export default function ReadReceipt({ message, type, getSenderName, formatMessageTime, className = '' }) {
+  const [showReaders, setShowReaders] = useState(false)
+
+  if (type !== 'group' || message.sender !== conversationManager.currentUserKey || message.isSystem || message.isDeleted) return null
+
+  const readers = conversationManager.getMessageReaders(message)
+  if (readers.length === 0) return null
+
+  return (
+    <span className={`relative inline-flex items-center align-middle ${className}`}>
+      <button
+        onClick={() => setShowReaders(!showReaders)}
+        className="inline-flex items-center text-blue-400 hover:text-blue-300 transition-colors"
+      >
+        Seen by {readers.length}
+      </button>
+
+      {showReaders && (
+        <div className="absolute right-0 bottom-full mb-2 w-56 p-2 bg-gray-800 border border-gray-700 rounded-lg shadow-xl z-20 text-left">
+          <div className="px-1 pb-1 text-xs text-gray-400">Seen by</div>
+          {readers.map(({ reader, readAt }) => (
+            <div key={reader} className="flex justify-between px-1 py-1 border-t border-gray-700/50 text-xs">
+              <span className="text-gray-200 truncate mr-2">{getSenderName(reader)}</span>
+              <span className="text-gray-500 whitespace-nowrap">{formatMessageTime(readAt)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </span>
+  )
+}
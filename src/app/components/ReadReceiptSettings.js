@@ -0,0 +1,39 @@
+'use client'
+
+import { useState } from 'react'
+import { CheckCheck } from 'lucide-react'
+import conversationManager from '../../utils/ConversationManager'
+
+// Settings switch for sending read and delivery receipts, which also hides the read receipts of others
+export default function ReadReceiptSettings() {
+  const [enabled, setEnabled] = useState(() => conversationManager.isReadReceiptsEnabled())
+
+  const handleToggle = () => {
+    conversationManager.setReadReceiptsEnabled(!enabled)
+    setEnabled(!enabled)
+  }
+
+  return (
+    <div className="p-4 bg-gray-900 text-white rounded-lg border border-gray-700">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center">
+          <CheckCheck size={18} className="text-blue-400 mr-3" />
+          <span>Read Receipts</span>
+        </div>
+        <button
+          role="switch"
+          aria-checked={enabled}
+          onClick={handleToggle}
+          className={`relative w-11 h-6 rounded-full transition-colors ${enabled ? 'bg-blue-600' : 'bg-gray-700'}`}
+        >
+          <span className={`absolute top-1 left-1 w-4 h-4 rounded-full bg-white transition-transform ${enabled ? 'translate-x-5' : ''}`} />
+        </button>
+      </div>
+      <p className="mt-2 text-xs text-gray-400">
+        {enabled
+          ? 'Contacts and group members can see when their messages reached you and when you read them.'
+          : 'Nobody is told when their messages reach you or when you read them, and you will not see when others read yours.'}
+      </p>
+    </div>
+  )
+}
@@ -0,0 +1,126 @@
+'use client'
+
+import { useState } from 'react'
+import { CheckCircle, AlertCircle } from 'lucide-react'
+import LocalKeyStorageManager, { RECOVERY_PHRASE_WORD_COUNT } from '../../utils/LocalKeyStorageManager'
+
+// Grid of word inputs for entering a recovery phrase, with word autocomplete and checksum feedback
+export default function RecoveryPhraseInput({ words, onChange }) {
+  const [focusedIndex, setFocusedIndex] = useState(null)
+  const [highlighted, setHighlighted] = useState(0)
+
+  const setWord = (index, word) => {
+    const updated = [...words]
+    updated[index] = word
+    onChange(updated)
+  }
+
+  const focusWord = (index) => {
+    document.getElementById(`recovery-word-${index}`)?.focus()
+  }
+
+  const handleChange = (index, value) => {
+    const parts = value.trim().split(/\s+/)
+
+    // A pasted phrase fills the following inputs as well
+    if (parts.length > 1) {
+      const updated = [...words]
+      parts.slice(0, RECOVERY_PHRASE_WORD_COUNT - index).forEach((part, offset) => {
+        updated[index + offset] = part.toLowerCase()
+      })
+      onChange(updated)
+      focusWord(Math.min(index + parts.length, RECOVERY_PHRASE_WORD_COUNT - 1))
+      return
+    }
+
+    setWord(index, value.trim().toLowerCase())
+    setHighlighted(0)
+  }
+
+  const acceptSuggestion = (index, word) => {
+    setWord(index, word)
+    if (index < RECOVERY_PHRASE_WORD_COUNT - 1) focusWord(index + 1)
+  }
+
+  const handleKeyDown = (e, index, suggestions) => {
+    if (suggestions.length > 0 && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+      e.preventDefault()
+      const step = e.key === 'ArrowDown' ? 1 : -1
+      setHighlighted((highlighted + step + suggestions.length) % suggestions.length)
+    } else if ((e.key === 'Enter' || e.key === 'Tab' || e.key === ' ') && suggestions.length > 0) {
+      e.preventDefault()
+      acceptSuggestion(index, suggestions[highlighted] || suggestions[0])
+    } else if (e.key === ' ' && LocalKeyStorageManager.isRecoveryWord(words[index])) {
+      e.preventDefault()
+      if (index < RECOVERY_PHRASE_WORD_COUNT - 1) focusWord(index + 1)
+    } else if (e.key === 'Backspace' && !words[index] && index > 0) {
+      e.preventDefault()
+      focusWord(index - 1)
+    }
+  }
+
+  const isComplete = words.every(word => word)
+  const isValid = isComplete && LocalKeyStorageManager.validateRecoveryPhrase(words.join(' '))
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+        {words.map((word, index) => {
+          const isKnownWord = !word || LocalKeyStorageManager.isRecoveryWord(word)
+          const suggestions = focusedIndex === index && word && !LocalKeyStorageManager.isRecoveryWord(word)
+            ? LocalKeyStorageManager.getRecoveryWordSuggestions(word)
+            : []
+
+          return (
+            <div key={index} className="relative">
+              <div className={`flex items-center bg-gray-700/50 border rounded-lg ${isKnownWord ? 'border-gray-600' : 'border-red-500'} focus-within:ring-2 focus-within:ring-blue-500`}>
+                <span className="w-7 text-right text-xs text-gray-500 mr-1">{index + 1}.</span>
+                <input
+                  id={`recovery-word-${index}`}
+                  type="text"
+                  value={word}
+                  onChange={(e) => handleChange(index, e.target.value)}
+                  onKeyDown={(e) => handleKeyDown(e, index, suggestions)}
+                  onFocus={() => {
+                    setFocusedIndex(index)
+                    setHighlighted(0)
+                  }}
+                  onBlur={() => setFocusedIndex(null)}
+                  autoComplete="off"
+                  autoCapitalize="none"
+                  spellCheck={false}
+                  className="w-full px-2 py-2 bg-transparent text-sm font-mono focus:outline-none"
+                />
+              </div>
+
+              {suggestions.length > 0 && (
+                <ul className="absolute z-10 left-0 right-0 mt-1 bg-gray-800 border border-gray-600 rounded-lg overflow-hidden shadow-lg">
+                  {suggestions.map((suggestion, suggestionIndex) => (
+                    <li key={suggestion}>
+                      <button
+                        type="button"
+                        // Keep focus on the input until the suggestion is applied
+                        onMouseDown={(e) => e.preventDefault()}
+                        onClick={() => acceptSuggestion(index, suggestion)}
+                        className={`w-full text-left px-3 py-1.5 text-sm font-mono ${suggestionIndex === highlighted ? 'bg-[#3c5ac6] text-white' : 'text-gray-200 hover:bg-gray-700'}`}
+                      >
+                        {suggestion}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )
+        })}
+      </div>
+
+      {isComplete && (
+        <p className={`flex items-center text-sm ${isValid ? 'text-green-400' : 'text-red-400'}`}>
+          {isValid ? <CheckCircle className="w-4 h-4 mr-2" /> : <AlertCircle className="w-4 h-4 mr-2" />}
+          {isValid ? 'Recovery phrase is valid' : 'Invalid recovery phrase. Check the words and their order.'}
+        </p>
+      )}
+    </div>
+  )
+}
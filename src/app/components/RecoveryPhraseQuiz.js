@@ -0,0 +1,115 @@
+'use client'
+
+import { useState } from 'react'
+import { motion } from 'framer-motion'
+import { Check } from 'lucide-react'
+
+const QUIZ_QUESTION_COUNT = 3
+const QUIZ_OPTION_COUNT = 4
+
+// Pick distinct random items from a list
+const pickRandom = (items, count) => {
+  const pool = [...items]
+  const picked = []
+  while (picked.length < count && pool.length > 0) {
+    picked.push(pool.splice(Math.floor(Math.random() * pool.length), 1)[0])
+  }
+  return picked
+}
+
+// Build questions asking for the word at random positions of the phrase
+const buildQuestions = (words) => {
+  const positions = pickRandom(words.map((_, index) => index), QUIZ_QUESTION_COUNT).sort((a, b) => a - b)
+
+  return positions.map(position => {
+    const otherWords = [...new Set(words.filter(word => word !== words[position]))]
+    const options = pickRandom([words[position], ...pickRandom(otherWords, QUIZ_OPTION_COUNT - 1)], QUIZ_OPTION_COUNT)
+    return { position, answer: words[position], options }
+  })
+}
+
+// Asks the user to pick a few words of their recovery phrase to confirm they wrote it down
+export default function RecoveryPhraseQuiz({ phrase, onConfirmed, onBack, isSubmitting = false }) {
+  const [questions, setQuestions] = useState(() => buildQuestions(phrase.split(' ')))
+  const [answers, setAnswers] = useState({})
+  const [error, setError] = useState('')
+
+  const handleConfirm = () => {
+    if (questions.some(question => !answers[question.position])) {
+      setError('Please answer every question')
+      return
+    }
+
+    if (questions.some(question => answers[question.position] !== question.answer)) {
+      setError('Some words are wrong. Check your recovery phrase and try again.')
+      // Ask about different words on the next attempt
+      setQuestions(buildQuestions(phrase.split(' ')))
+      setAnswers({})
+      return
+    }
+
+    onConfirmed()
+  }
+
+  return (
+    <div className="space-y-6">
+      <p className="text-sm text-gray-300">
+        Confirm you saved your recovery phrase by choosing the correct words.
+      </p>
+
+      {questions.map(question => (
+        <div key={question.position}>
+          <p className="text-sm font-medium text-gray-300 mb-2">Word #{question.position + 1}</p>
+          <div className="grid grid-cols-2 gap-2">
+            {question.options.map(option => {
+              const isSelected = answers[question.position] === option
+              return (
+                <button
+                  key={option}
+                  type="button"
+                  onClick={() => {
+                    setAnswers({ ...answers, [question.position]: option })
+                    setError('')
+                  }}
+                  className={`flex items-center justify-center gap-2 px-3 py-2 rounded-lg border text-sm transition-colors ${isSelected ? 'bg-[#3c5ac6] border-blue-500 text-white' : 'bg-gray-700/50 border-gray-600 text-gray-200 hover:border-blue-500'}`}
+                >
+                  {isSelected && <Check className="w-4 h-4" />}
+                  {option}
+                </button>
+              )
+            })}
+          </div>
+        </div>
+      ))}
+
+      {error && (
+        <motion.p
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="text-red-500 text-sm"
+        >
+          {error}
+        </motion.p>
+      )}
+
+      <div className="flex gap-3">
+        <button
+          type="button"
+          onClick={onBack}
+          disabled={isSubmitting}
+          className="h-12 px-6 bg-gray-700 text-white rounded-xl disabled:opacity-70"
+        >
+          Back
+        </button>
+        <button
+          type="button"
+          onClick={handleConfirm}
+          disabled={isSubmitting}
+          className="flex-1 h-12 bg-[#3c5ac6] text-white rounded-xl disabled:opacity-70"
+        >
+          {isSubmitting ? 'Securing your keys...' : 'Confirm'}
+        </button>
+      </div>
+    </div>
+  )
+}
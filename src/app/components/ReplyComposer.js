@@ -0,0 +1,33 @@
+'use client'
+
+import { CornerUpLeft, X } from 'lucide-react'
+import conversationManager from '../../utils/ConversationManager'
+
+// Bar above the message input naming the message being replied to
+export default function ReplyComposer({ replyingTo, senderName, onCancel }) {
+  if (!replyingTo) return null
+
+  const fileName = replyingTo.fileName || replyingTo.fileData?.fileName
+  const snippet = fileName
+    ? `File: ${fileName}`
+    : conversationManager.getCallInvitation(replyingTo) ? 'Call'
+      : replyingTo.isUnsupported ? 'Unsupported message' : replyingTo.content
+
+  return (
+    <div className="flex items-center mb-2 px-4 py-2 bg-gray-800/90 border-l-2 border-blue-400 rounded-lg text-sm">
+      <CornerUpLeft size={14} className="mr-2 flex-shrink-0 text-blue-400" />
+      <div className="flex-1 min-w-0">
+        <div className="text-xs text-blue-300">Replying to {senderName}</div>
+        <div className="text-gray-300 truncate">{snippet}</div>
+      </div>
+      <button
+        type="button"
+        onClick={onCancel}
+        className="ml-2 p-1 rounded-full hover:bg-gray-700 transition-colors"
+        title="Cancel reply"
+      >
+        <X size={16} className="text-gray-400 hover:text-white" />
+      </button>
+    </div>
+  )
+}
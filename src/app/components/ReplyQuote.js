@@ -0,0 +1,31 @@
+'use client'
+
+import conversationManager from '../../utils/ConversationManager'
+
+const UNAVAILABLE_TEXT = {
+  deleted: 'This message was deleted',
+  expired: 'This message has disappeared',
+  unavailable: 'The original message is not on this device'
+}
+
+// Quote of the message a reply answers, jumps to the original while it is in the conversation
+export default function ReplyQuote({ replyTo, type, id, getSenderName, onJump, isOwn = false }) {
+  const { status } = conversationManager.getQuotedMessage(type, id, replyTo.messageId)
+  const isAvailable = status === 'available'
+  // Deleted messages leave a notice in the conversation to jump to, expired ones are gone
+  const canJump = isAvailable || status === 'deleted'
+  const text = isAvailable || (status === 'unavailable' && replyTo.snippet) ? replyTo.snippet : UNAVAILABLE_TEXT[status]
+
+  return (
+    <button
+      type="button"
+      onClick={() => canJump && onJump?.(replyTo.messageId)}
+      disabled={!canJump}
+      className={`block max-w-full mb-1 px-3 py-1 rounded-lg border-l-2 text-left text-xs transition-colors ${isOwn ? 'ml-auto' : ''} ${canJump ? 'border-blue-400 bg-gray-800/80 hover:bg-gray-700 cursor-pointer' : 'border-gray-600 bg-gray-800/40 cursor-default'}`}
+      title={canJump ? 'Show the original message' : undefined}
+    >
+      <div className="font-medium text-blue-300 truncate">{replyTo.sender ? getSenderName(replyTo.sender) : 'Reply'}</div>
+      <div className={`truncate ${isAvailable || status === 'unavailable' ? 'text-gray-300' : 'text-gray-500 italic'}`}>{text}</div>
+    </button>
+  )
+}
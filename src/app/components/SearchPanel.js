@@ -0,0 +1,213 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { X, Search, Users, User, FileText } from 'lucide-react'
+import contactStore from '../../utils/ContactStore'
+import conversationManager from '../../utils/ConversationManager'
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DELAY = 200
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Marks the words of the snippet that start with one of the searched words
+const HighlightedSnippet = ({ text, query }) => {
+  const words = query.trim().split(/\s+/).filter(Boolean).map(escapeRegExp)
+  if (words.length === 0) return text
+
+  const pattern = new RegExp(`(${words.join('|')})`, 'gi')
+  return text.split(pattern).map((part, index) => (
+    index % 2 === 1
+      ? <mark key={index} className="bg-blue-500/40 text-white rounded px-0.5">{part}</mark>
+      : <span key={index}>{part}</span>
+  ))
+}
+
+// Global search over all direct and group messages stored on this device
+export default function SearchPanel({ isOpen, onClose, onSelectResult, formatMessageTime }) {
+  const [query, setQuery] = useState('')
+  const [conversationFilter, setConversationFilter] = useState('')
+  const [kind, setKind] = useState('all')
+  const [fromDate, setFromDate] = useState('')
+  const [toDate, setToDate] = useState('')
+  const [results, setResults] = useState([])
+
+  const contacts = isOpen ? conversationManager.getConversationPreviews().filter(conv => !conv.isGroup) : []
+  const groups = isOpen ? conversationManager.getGroupPreviews() : []
+
+  useEffect(() => {
+    if (!isOpen) return
+
+    const runSearch = () => {
+      const [filterType, filterId] = conversationFilter.split(/:(.*)/s)
+      setResults(conversationManager.searchMessages(query, {
+        contactId: filterType === 'dm' ? filterId : undefined,
+        groupId: filterType === 'group' ? filterId : undefined,
+        from: fromDate ? `${fromDate}T00:00:00` : undefined,
+        to: toDate ? `${toDate}T23:59:59.999` : undefined,
+        kind
+      }))
+    }
+
+    const timeout = setTimeout(runSearch, SEARCH_DELAY)
+
+    // Expired messages must disappear from the results as well
+    window.addEventListener('messagesExpired', runSearch)
+    return () => {
+      clearTimeout(timeout)
+      window.removeEventListener('messagesExpired', runSearch)
+    }
+  }, [isOpen, query, conversationFilter, kind, fromDate, toDate])
+
+  const getConversationName = (result) => {
+    if (result.type === 'group') {
+      const group = groups.find(g => g.id === result.conversationId)
+      return group ? group.name : 'Group'
+    }
+    const contact = contactStore.getContact(result.conversationId)
+    return contact?.alias || result.conversationId
+  }
+
+  const getSenderName = (result) => {
+    if (result.sender === conversationManager.currentUserKey) return 'You'
+    const contact = contactStore.getContact(result.sender)
+    return contact?.alias || (result.sender ? `${result.sender.substring(0, 8)}...` : 'Unknown')
+  }
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-4"
+        >
+          <motion.div
+            initial={{ scale: 0.9, y: 20 }}
+            animate={{ scale: 1, y: 0 }}
+            exit={{ scale: 0.9, y: 20 }}
+            className="w-full max-w-2xl max-h-[85vh] flex flex-col rounded-2xl bg-gray-800 border border-gray-700 shadow-xl overflow-hidden"
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between p-4 border-b border-gray-700">
+              <h2 className="text-xl font-semibold text-white flex items-center">
+                <Search size={20} className="mr-2 text-blue-400" />
+                Search Messages
+              </h2>
+              <button
+                onClick={onClose}
+                className="p-1 rounded-full hover:bg-gray-700 transition-colors"
+              >
+                <X size={20} className="text-gray-400 hover:text-white" />
+              </button>
+            </div>
+
+            {/* Query and filters */}
+            <div className="p-4 space-y-3 border-b border-gray-700">
+              <input
+                type="text"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                className="w-full bg-gray-900 text-white px-4 py-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                placeholder="Search messages and file names..."
+                autoFocus
+              />
+
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+                <select
+                  value={conversationFilter}
+                  onChange={(e) => setConversationFilter(e.target.value)}
+                  className="bg-gray-900 text-white px-3 py-2 rounded-lg focus:outline-none"
+                >
+                  <option value="">All conversations</option>
+                  {contacts.length > 0 && (
+                    <optgroup label="Contacts">
+                      {contacts.map(conv => (
+                        <option key={conv.contactPublicKey} value={`dm:${conv.contactPublicKey}`}>
+                          {conv.contactName}
+                        </option>
+                      ))}
+                    </optgroup>
+                  )}
+                  {groups.length > 0 && (
+                    <optgroup label="Groups">
+                      {groups.map(group => (
+                        <option key={group.id} value={`group:${group.id}`}>
+                          {group.name}
+                        </option>
+                      ))}
+                    </optgroup>
+                  )}
+                </select>
+
+                <select
+                  value={kind}
+                  onChange={(e) => setKind(e.target.value)}
+                  className="bg-gray-900 text-white px-3 py-2 rounded-lg focus:outline-none"
+                >
+                  <option value="all">Text and files</option>
+                  <option value="text">Text only</option>
+                  <option value="file">Files only</option>
+                </select>
+
+                <input
+                  type="date"
+                  value={fromDate}
+                  max={toDate || undefined}
+                  onChange={(e) => setFromDate(e.target.value)}
+                  className="bg-gray-900 text-white px-3 py-2 rounded-lg focus:outline-none"
+                  title="From"
+                />
+                <input
+                  type="date"
+                  value={toDate}
+                  min={fromDate || undefined}
+                  onChange={(e) => setToDate(e.target.value)}
+                  className="bg-gray-900 text-white px-3 py-2 rounded-lg focus:outline-none"
+                  title="To"
+                />
+              </div>
+            </div>
+
+            {/* Results */}
+            <div className="flex-1 overflow-y-auto scrollbar-thin scrollbar-thumb-gray-700 scrollbar-track-gray-900">
+              {!query.trim() ? (
+                <div className="text-center text-gray-500 py-12 text-sm">
+                  Only messages stored on this device are searched
+                </div>
+              ) : results.length === 0 ? (
+                <div className="text-center text-gray-500 py-12 text-sm">
+                  No messages found
+                </div>
+              ) : (
+                results.map(result => (
+                  <button
+                    key={`${result.type}:${result.conversationId}:${result.messageId}`}
+                    onClick={() => onSelectResult(result)}
+                    className="w-full text-left px-4 py-3 border-b border-gray-700/50 hover:bg-gray-700 transition-colors"
+                  >
+                    <div className="flex items-center justify-between text-xs text-gray-400 mb-1">
+                      <span className="flex items-center truncate mr-2">
+                        {result.type === 'group' ? <Users size={12} className="mr-1 flex-shrink-0" /> : <User size={12} className="mr-1 flex-shrink-0" />}
+                        <span className="truncate">{getConversationName(result)} · {getSenderName(result)}</span>
+                      </span>
+                      <span className="whitespace-nowrap">{formatMessageTime(result.timestamp)}</span>
+                    </div>
+                    <div className="text-sm text-white flex items-start">
+                      {result.isFile && <FileText size={14} className="mr-1 mt-0.5 flex-shrink-0 text-blue-400" />}
+                      <span className="break-words">
+                        <HighlightedSnippet text={result.snippet} query={query} />
+                      </span>
+                    </div>
+                  </button>
+                ))
+              )}
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  )
+}
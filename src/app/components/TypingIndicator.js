@@ -0,0 +1,35 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import typingIndicatorManager from '../../utils/TypingIndicatorManager'
+
+const describeTyping = (names) => {
+  if (names.length === 1) return `${names[0]} is typing…`
+  if (names.length === 2) return `${names[0]} and ${names[1]} are typing…`
+  return `${names.length} people are typing…`
+}
+
+// "X is typing…" for a conversation, or the fallback while nobody is
+export default function TypingIndicator({ type, id, getSenderName, fallback = null, className = '' }) {
+  const [typingUsers, setTypingUsers] = useState(() => typingIndicatorManager.getTypingUsers(type, id))
+
+  useEffect(() => {
+    setTypingUsers(typingIndicatorManager.getTypingUsers(type, id))
+
+    const handleTypingChanged = (event) => {
+      if (event.detail.type !== type || event.detail.id !== id) return
+      setTypingUsers(typingIndicatorManager.getTypingUsers(type, id))
+    }
+
+    window.addEventListener('typingChanged', handleTypingChanged)
+    return () => window.removeEventListener('typingChanged', handleTypingChanged)
+  }, [type, id])
+
+  if (typingUsers.length === 0) return fallback
+
+  return (
+    <span className={`italic text-blue-400 ${className}`}>
+      {type === 'group' ? describeTyping(typingUsers.map(getSenderName)) : 'typing…'}
+    </span>
+  )
+}
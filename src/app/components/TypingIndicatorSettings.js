@@ -0,0 +1,39 @@
+'use client'
+
+import { useState } from 'react'
+import { PenLine } from 'lucide-react'
+import typingIndicatorManager from '../../utils/TypingIndicatorManager'
+
+// Settings switch for sending typing indicators, which also hides the indicators of others
+export default function TypingIndicatorSettings() {
+  const [enabled, setEnabled] = useState(() => typingIndicatorManager.isEnabled())
+
+  const handleToggle = () => {
+    typingIndicatorManager.setEnabled(!enabled)
+    setEnabled(!enabled)
+  }
+
+  return (
+    <div className="p-4 bg-gray-900 text-white rounded-lg border border-gray-700">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center">
+          <PenLine size={18} className="text-blue-400 mr-3" />
+          <span>Typing Indicators</span>
+        </div>
+        <button
+          role="switch"
+          aria-checked={enabled}
+          onClick={handleToggle}
+          className={`relative w-11 h-6 rounded-full transition-colors ${enabled ? 'bg-blue-600' : 'bg-gray-700'}`}
+        >
+          <span className={`absolute top-1 left-1 w-4 h-4 rounded-full bg-white transition-transform ${enabled ? 'translate-x-5' : ''}`} />
+        </button>
+      </div>
+      <p className="mt-2 text-xs text-gray-400">
+        {enabled
+          ? 'Contacts and group members can see while you are typing a message to them.'
+          : 'Nobody sees when you are typing, and you will not see when others are.'}
+      </p>
+    </div>
+  )
+}
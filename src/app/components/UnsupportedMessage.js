@@ -0,0 +1,16 @@
+'use client'
+
+import { HelpCircle } from 'lucide-react'
+
+// Placeholder for a message of a type this version cannot show, e.g. one sent from a newer version
+export default function UnsupportedMessage({ message, isOwn }) {
+  return (
+    <div
+      className={`inline-flex items-center p-3 px-5 rounded-2xl italic text-gray-300 ${isOwn ? 'bg-blue-600/60' : 'bg-gray-800/60'}`}
+      title={message.unsupportedType ? `Message type: ${message.unsupportedType}` : undefined}
+    >
+      <HelpCircle size={16} className="mr-2 flex-shrink-0" />
+      This message is not supported by your version of Subworld
+    </div>
+  )
+}
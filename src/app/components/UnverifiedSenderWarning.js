@@ -0,0 +1,20 @@
+'use client'
+
+import { ShieldAlert } from 'lucide-react'
+
+// Shown on messages whose signature could not be verified against the sender's signing key
+export default function UnverifiedSenderWarning({ message }) {
+  if (message?.senderVerified !== false) return null
+
+  return (
+    <div className="text-xs text-yellow-400 mb-1">
+      <span
+        className="inline-flex items-center"
+        title="This message is not signed by the sender's known signing key. It may not be from who it claims."
+      >
+        <ShieldAlert size={14} className="mr-1" />
+        Unverified sender
+      </span>
+    </div>
+  )
+}
@@ -0,0 +1,12 @@
+'use client'
+
+import { ShieldCheck } from 'lucide-react'
+
+// Marks a contact whose safety number has been verified
+export default function VerifiedBadge({ size = 16, className = '' }) {
+  return (
+    <span title="Verified contact" className={`inline-flex items-center text-green-400 ${className}`}>
+      <ShieldCheck size={size} />
+    </span>
+  )
+}
@@ -9,11 +9,8 @@ export function WelcomeGuard({ children }) {
   const router = useRouter()
 
   useEffect(() => {
-    // Check if keys exist
-    const keyPair = LocalKeyStorageManager.getKeyPair()
-    
-    // If keys are found, redirect to app
-    if (keyPair) {
+    // If keys are found (even locked ones), redirect to app
+    if (LocalKeyStorageManager.hasStoredKeyPair()) {
       router.push('/app')
     }
   }, [router])
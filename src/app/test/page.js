@@ -35,11 +35,13 @@ export default function EncryptionTestPage() {
       log(`Public key display: ${testKeys.publicKeyDisplay}`)
       log(`Private key (first few chars): ${testKeys.privateKey.substring(0, 20)}...`)
       
-      // Step 2: Encrypt the message
+      // Step 2: Encrypt the message to our own stored key pair
       log("\nEncrypting message...")
+      const ownKeys = LocalKeyStorageManager.getKeyPair()
+      if (!ownKeys) throw new Error('No stored key pair found')
       const encryptedMessage = await LocalKeyStorageManager.encryptMessage(
         testMessage, 
-        testKeys.publicKeyHash
+        ownKeys.publicKey
       )
       log(`Encrypted message: ${encryptedMessage}`)
       
@@ -47,7 +49,8 @@ export default function EncryptionTestPage() {
       log("\nDecrypting message...")
       const decryptedMessage = await LocalKeyStorageManager.decryptMessage(
         encryptedMessage, 
-        testKeys.privateKey
+        ownKeys.publicKeyDisplay,
+        ownKeys.publicKey
       )
       log(`Decrypted message: "${decryptedMessage}"`)
       
@@ -5,7 +5,8 @@ import { useRouter } from 'next/navigation'
 import Image from 'next/image'
 import { motion } from 'framer-motion'
 import { Copy, Check, ArrowLeft, Shield, AlertTriangle, Eye, EyeOff } from 'lucide-react'
-import LocalKeyStorageManager from '../../../utils/LocalKeyStorageManager'
+import LocalKeyStorageManager, { MIN_PASSPHRASE_LENGTH } from '../../../utils/LocalKeyStorageManager'
+import RecoveryPhraseQuiz from '../../components/RecoveryPhraseQuiz'
 
 export default function CreateAccount() {
   const router = useRouter()
@@ -13,11 +14,18 @@ export default function CreateAccount() {
   const [publicKey, setPublicKey] = useState('')
   const [privateKeyDisplay, setPrivateKeyDisplay] = useState('')
   const [publicKeyDisplay, setPublicKeyDisplay] = useState('')
+  const [recoveryPhrase, setRecoveryPhrase] = useState('')
+  const [copiedPhrase, setCopiedPhrase] = useState(false)
+  const [showQuiz, setShowQuiz] = useState(false)
   const [showFullPrivateKey, setShowFullPrivateKey] = useState(false)
   const [copiedPrivate, setCopiedPrivate] = useState(false)
   const [copiedPublic, setCopiedPublic] = useState(false)
   const [isGenerating, setIsGenerating] = useState(true)
   const [keyPair, setKeyPair] = useState(null) // Store the key pair temporarily
+  const [passphrase, setPassphrase] = useState('')
+  const [confirmPassphrase, setConfirmPassphrase] = useState('')
+  const [passphraseError, setPassphraseError] = useState('')
+  const [isSaving, setIsSaving] = useState(false)
 
   useEffect(() => {
     const generateKeys = async () => {
@@ -35,6 +43,7 @@ export default function CreateAccount() {
         setPublicKey(generatedKeyPair.publicKey);
         setPrivateKeyDisplay(generatedKeyPair.privateKeyDisplay);
         setPublicKeyDisplay(generatedKeyPair.publicKeyDisplay);
+        setRecoveryPhrase(generatedKeyPair.recoveryPhrase);
       } catch (error) {
         console.error('Key generation failed:', error);
       } finally {
@@ -43,8 +52,7 @@ export default function CreateAccount() {
     };
 
     // Check if keys already exist
-    const existingKeys = LocalKeyStorageManager.getKeyPair();
-    if (existingKeys) {
+    if (LocalKeyStorageManager.hasStoredKeyPair()) {
       // If keys exist, redirect to app
       router.push('/app');
     } else {
@@ -53,14 +61,46 @@ export default function CreateAccount() {
     }
   }, [router])
 
-  const handleStartMessaging = () => {
-    // Save keys to local storage only when clicking Start Messaging
-    if (keyPair) {
-      LocalKeyStorageManager.saveKeyPair(keyPair);
+  const handleStartMessaging = async () => {
+    if (!keyPair) return;
+
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setPassphraseError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters long`);
+      return;
+    }
+    if (passphrase !== confirmPassphrase) {
+      setPassphraseError('Passphrases do not match');
+      return;
+    }
+
+    setPassphraseError('');
+    // Make sure the recovery phrase was written down before finishing
+    setShowQuiz(true);
+  }
+
+  const completeAccountCreation = async () => {
+    // Save keys to local storage only once the recovery phrase is confirmed
+    try {
+      setIsSaving(true);
+      setPassphraseError('');
+      const saved = await LocalKeyStorageManager.saveKeyPair(keyPair, passphrase);
+      if (!saved) {
+        setShowQuiz(false);
+        setPassphraseError('Failed to save your keys. Please try again.');
+        return;
+      }
       router.push('/app');
+    } finally {
+      setIsSaving(false);
     }
   }
 
+  const copyRecoveryPhrase = () => {
+    navigator.clipboard.writeText(recoveryPhrase)
+    setCopiedPhrase(true)
+    setTimeout(() => setCopiedPhrase(false), 2000)
+  }
+
   const copyToClipboard = (text, isPrivate) => {
     navigator.clipboard.writeText(text)
     if (isPrivate) {
@@ -123,8 +163,39 @@ export default function CreateAccount() {
               <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
               <p className="ml-3 text-blue-400">Generating secure keys...</p>
             </div>
+          ) : showQuiz ? (
+            <RecoveryPhraseQuiz
+              phrase={recoveryPhrase}
+              onConfirmed={completeAccountCreation}
+              onBack={() => setShowQuiz(false)}
+              isSubmitting={isSaving}
+            />
           ) : (
             <div className="space-y-6">
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <h2 className="text-xl font-semibold">Recovery Phrase</h2>
+                  <button
+                    onClick={copyRecoveryPhrase}
+                    className="text-gray-400 hover:text-white"
+                    aria-label="Copy recovery phrase"
+                  >
+                    {copiedPhrase ? <Check className="w-5 h-5" /> : <Copy className="w-5 h-5" />}
+                  </button>
+                </div>
+                <ol className="grid grid-cols-2 sm:grid-cols-3 gap-2 bg-gray-700/50 p-4 rounded-lg text-sm">
+                  {recoveryPhrase.split(' ').map((word, index) => (
+                    <li key={index} className="flex items-center">
+                      <span className="w-6 text-right text-gray-500 mr-2">{index + 1}.</span>
+                      <span className="font-mono">{word}</span>
+                    </li>
+                  ))}
+                </ol>
+                <p className="text-xs text-gray-400 mt-2">
+                  Write these words down in order. They restore your account on any device.
+                </p>
+              </div>
+
               <div>
                 <h2 className="text-xl font-semibold mb-2 flex items-center">
                   
@@ -168,6 +239,35 @@ export default function CreateAccount() {
                   </button>
                 </div>
               </div>
+
+              <div>
+                <h2 className="text-xl font-semibold mb-2">Passphrase</h2>
+                <p className="text-sm text-gray-400 mb-3">
+                  Your private key is encrypted on this device with this passphrase.
+                  You will need it to unlock Subworld.
+                </p>
+                <div className="space-y-3">
+                  <input
+                    type="password"
+                    placeholder="Passphrase"
+                    value={passphrase}
+                    onChange={(e) => setPassphrase(e.target.value)}
+                    autoComplete="new-password"
+                    className="w-full px-4 py-3 bg-gray-700/50 border border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <input
+                    type="password"
+                    placeholder="Confirm passphrase"
+                    value={confirmPassphrase}
+                    onChange={(e) => setConfirmPassphrase(e.target.value)}
+                    autoComplete="new-password"
+                    className="w-full px-4 py-3 bg-gray-700/50 border border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  {passphraseError && (
+                    <p className="text-red-500 text-sm">{passphraseError}</p>
+                  )}
+                </div>
+              </div>
             </div>
           )}
 
@@ -179,29 +279,31 @@ export default function CreateAccount() {
           >
             <AlertTriangle className="w-5 h-5 mt-0.5 flex-shrink-0" />
             <p>
-              <strong>Warning:</strong> Store your private key in a secure environment. 
-              Never share it with anyone. If you lose it, you&apos;ll lose access to your account.
+              <strong>Warning:</strong> Store your recovery phrase and private key in a secure environment. 
+              Never share them with anyone. If you lose them, you&apos;ll lose access to your account.
             </p>
           </motion.div>
         </motion.div>
 
         {/* Button */}
-        <motion.div
-          initial={{ opacity: 0 }}
-          animate={{ opacity: 1 }}
-          transition={{ delay: 0.8, duration: 0.5 }}
-          className="space-y-4"
-        >
-          <motion.button
-            whileHover={{ scale: 1.05 }}
-            whileTap={{ scale: 0.95 }}
-            className="w-full max-w-md mx-auto h-14 text-lg bg-white hover:bg-gray-200 text-black flex items-center justify-center gap-2 rounded-2xl shadow-lg transition-colors duration-300"
-            onClick={handleStartMessaging}
-            disabled={isGenerating}
+        {!showQuiz && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            transition={{ delay: 0.8, duration: 0.5 }}
+            className="space-y-4"
           >
-            Start Messaging
-          </motion.button>
-        </motion.div>
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              className="w-full max-w-md mx-auto h-14 text-lg bg-white hover:bg-gray-200 text-black flex items-center justify-center gap-2 rounded-2xl shadow-lg transition-colors duration-300"
+              onClick={handleStartMessaging}
+              disabled={isGenerating}
+            >
+              Start Messaging
+            </motion.button>
+          </motion.div>
+        )}
 
         {/* Terms Text */}
         <motion.p
@@ -5,37 +5,76 @@ import { useRouter } from 'next/navigation'
 import Image from 'next/image'
 import { motion } from 'framer-motion'
 import { Eye, EyeOff, ArrowLeft, Shield, Loader } from 'lucide-react'
-import LocalKeyStorageManager from '../../../utils/LocalKeyStorageManager'
+import LocalKeyStorageManager, { MIN_PASSPHRASE_LENGTH, RECOVERY_PHRASE_WORD_COUNT } from '../../../utils/LocalKeyStorageManager'
 import { WelcomeGuard } from '@/app/components/WelcomeGuard'
+import BackupRestore from '@/app/components/BackupRestore'
+import RecoveryPhraseInput from '@/app/components/RecoveryPhraseInput'
 
 export default function ImportAccount() {
   const router = useRouter()
+  const [importMode, setImportMode] = useState('phrase') // 'phrase', 'key' or 'backup'
+  const [phraseWords, setPhraseWords] = useState(() => Array(RECOVERY_PHRASE_WORD_COUNT).fill(''))
   const [privateKey, setPrivateKey] = useState('')
+  const [passphrase, setPassphrase] = useState('')
+  const [confirmPassphrase, setConfirmPassphrase] = useState('')
   const [error, setError] = useState('')
   const [showKey, setShowKey] = useState(false)
   const [isProcessing, setIsProcessing] = useState(false)
 
   const handleImport = async () => {
-    if (!privateKey.trim()) {
+    const isPhrase = importMode === 'phrase'
+    const phrase = phraseWords.join(' ')
+
+    if (isPhrase && phraseWords.some(word => !word)) {
+      setError(`Please enter all ${RECOVERY_PHRASE_WORD_COUNT} words of your recovery phrase`)
+      return
+    }
+
+    if (isPhrase && !LocalKeyStorageManager.validateRecoveryPhrase(phrase)) {
+      setError('Invalid recovery phrase. Please check the words and their order.')
+      return
+    }
+
+    if (!isPhrase && !privateKey.trim()) {
       setError('Please enter your private key')
       return
     }
 
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters long`)
+      return
+    }
+
+    if (passphrase !== confirmPassphrase) {
+      setError('Passphrases do not match')
+      return
+    }
+
     try {
       setIsProcessing(true)
       setError('')
 
       // Use the enhanced method to properly import the private key and derive the public key
-      const keyPair = await LocalKeyStorageManager.importPrivateKey(privateKey);
+      let keyPair;
+      try {
+        keyPair = await LocalKeyStorageManager.importPrivateKey(isPhrase ? phrase : privateKey);
+      } catch (error) {
+        console.error('Import failed:', error);
+        setError(isPhrase
+          ? 'Invalid recovery phrase. Please check the words and their order.'
+          : 'Invalid key format. Please make sure you copied the entire private key correctly.');
+        return;
+      }
       
-      // Save to local storage
-      LocalKeyStorageManager.saveKeyPair(keyPair);
+      // Save to local storage, encrypted with the passphrase
+      const saved = await LocalKeyStorageManager.saveKeyPair(keyPair, passphrase);
+      if (!saved) {
+        setError('Failed to save your keys. Please try again.');
+        return;
+      }
       
       // Navigate to the app
       router.push('/app');
-    } catch (error) {
-      console.error('Import failed:', error);
-      setError('Invalid key format. Please make sure you copied the entire private key correctly.');
     } finally {
       setIsProcessing(false);
     }
@@ -88,60 +127,128 @@ export default function ImportAccount() {
             Import Your Account
           </h1>
           
-          <div className="space-y-6">
-            <div>
-              <label htmlFor="privateKey" className="block text-sm font-medium text-gray-300 mb-2">
-                Enter your Private Key
-              </label>
-              <div className="relative">
-                <textarea
-                  id="privateKey"
-                  value={privateKey}
-                  onChange={(e) => setPrivateKey(e.target.value)}
-                  className="w-full px-4 py-3 bg-gray-700/50 border border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent pr-10 min-h-[100px]"
-                  placeholder="Paste your private key here"
-                  style={{ fontFamily: 'monospace' }}
-                />
-                <button
-                  type="button"
-                  onClick={() => setShowKey(!showKey)}
-                  className="absolute top-3 right-3 text-gray-400 hover:text-white"
-                >
-                  {showKey ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
-                </button>
-              </div>
-              <p className="text-xs text-gray-400 mt-2">
-                Paste the complete private key that was provided when you created your account.
-              </p>
-            </div>
-
-            {error && (
-              <motion.p
-                initial={{ opacity: 0, y: -10 }}
-                animate={{ opacity: 1, y: 0 }}
-                className="text-red-500 text-sm"
-              >
-                {error}
-              </motion.p>
-            )}
-
-            <motion.button
-              whileHover={{ scale: 1.05 }}
-              whileTap={{ scale: 0.95 }}
-              onClick={handleImport}
-              disabled={isProcessing}
-              className="w-full h-14 text-lg bg-[#3c5ac6] hover:from-blue-600 hover:to-purple-700 text-white flex items-center justify-center gap-2 rounded-xl transition-all duration-300 shadow-lg disabled:opacity-70"
+          <div className="flex bg-gray-700/50 rounded-lg p-1">
+            <button
+              type="button"
+              onClick={() => { setImportMode('phrase'); setError('') }}
+              className={`flex-1 py-2 rounded-md text-sm transition-colors ${importMode === 'phrase' ? 'bg-[#3c5ac6] text-white' : 'text-gray-300 hover:text-white'}`}
+            >
+              Recovery Phrase
+            </button>
+            <button
+              type="button"
+              onClick={() => { setImportMode('key'); setError('') }}
+              className={`flex-1 py-2 rounded-md text-sm transition-colors ${importMode === 'key' ? 'bg-[#3c5ac6] text-white' : 'text-gray-300 hover:text-white'}`}
+            >
+              Private Key
+            </button>
+            <button
+              type="button"
+              onClick={() => { setImportMode('backup'); setError('') }}
+              className={`flex-1 py-2 rounded-md text-sm transition-colors ${importMode === 'backup' ? 'bg-[#3c5ac6] text-white' : 'text-gray-300 hover:text-white'}`}
             >
-              {isProcessing ? (
-                <>
-                  <Loader className="w-5 h-5 animate-spin" />
-                  <span>Processing...</span>
-                </>
+              Backup File
+            </button>
+          </div>
+
+          {importMode === 'backup' ? (
+            <BackupRestore onRestored={() => router.push('/app')} />
+          ) : (
+            <div className="space-y-6">
+              {importMode === 'phrase' ? (
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Enter your Recovery Phrase
+                  </label>
+                  <RecoveryPhraseInput words={phraseWords} onChange={setPhraseWords} />
+                  <p className="text-xs text-gray-400 mt-2">
+                    Type or paste the {RECOVERY_PHRASE_WORD_COUNT} words you wrote down when you created your account.
+                  </p>
+                </div>
               ) : (
-                "Start Messaging"
+                <div>
+                  <label htmlFor="privateKey" className="block text-sm font-medium text-gray-300 mb-2">
+                    Enter your Private Key
+                  </label>
+                  <div className="relative">
+                    <textarea
+                      id="privateKey"
+                      value={privateKey}
+                      onChange={(e) => setPrivateKey(e.target.value)}
+                      className="w-full px-4 py-3 bg-gray-700/50 border border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent pr-10 min-h-[100px]"
+                      placeholder="Paste your private key here"
+                      style={{ fontFamily: 'monospace' }}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setShowKey(!showKey)}
+                      className="absolute top-3 right-3 text-gray-400 hover:text-white"
+                    >
+                      {showKey ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+                    </button>
+                  </div>
+                  <p className="text-xs text-gray-400 mt-2">
+                    Paste the complete private key that was provided when you created your account.
+                  </p>
+                </div>
               )}
-            </motion.button>
-          </div>
+
+              <div>
+                <label htmlFor="passphrase" className="block text-sm font-medium text-gray-300 mb-2">
+                  Choose a Passphrase
+                </label>
+                <div className="space-y-3">
+                  <input
+                    id="passphrase"
+                    type="password"
+                    value={passphrase}
+                    onChange={(e) => setPassphrase(e.target.value)}
+                    autoComplete="new-password"
+                    placeholder="Passphrase"
+                    className="w-full px-4 py-3 bg-gray-700/50 border border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <input
+                    type="password"
+                    value={confirmPassphrase}
+                    onChange={(e) => setConfirmPassphrase(e.target.value)}
+                    autoComplete="new-password"
+                    placeholder="Confirm passphrase"
+                    className="w-full px-4 py-3 bg-gray-700/50 border border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <p className="text-xs text-gray-400 mt-2">
+                  Your private key is encrypted on this device with this passphrase.
+                </p>
+              </div>
+
+              {error && (
+                <motion.p
+                  initial={{ opacity: 0, y: -10 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  className="text-red-500 text-sm"
+                >
+                  {error}
+                </motion.p>
+              )}
+
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={handleImport}
+                disabled={isProcessing}
+                className="w-full h-14 text-lg bg-[#3c5ac6] hover:from-blue-600 hover:to-purple-700 text-white flex items-center justify-center gap-2 rounded-xl transition-all duration-300 shadow-lg disabled:opacity-70"
+              >
+                {isProcessing ? (
+                  <>
+                    <Loader className="w-5 h-5 animate-spin" />
+                    <span>Processing...</span>
+                  </>
+                ) : (
+                  "Start Messaging"
+                )}
+              </motion.button>
+            </div>
+          )}
         </motion.div>
 
         {/* Security Notice */}
@@ -0,0 +1,207 @@
+'use client'
+
+import nacl from 'tweetnacl'
+import { encodeBase64, decodeBase64 } from 'tweetnacl-util'
+import { encode as encodeUTF8, decode as decodeUTF8 } from '@stablelib/utf8'
+import LocalKeyStorageManager, { MIN_PASSPHRASE_LENGTH } from './LocalKeyStorageManager'
+import contactStore from './ContactStore'
+import conversationManager from './ConversationManager'
+import localDatabase from './LocalDatabase'
+
+// Identifies Subworld backup files and the version of their layout
+const BACKUP_FORMAT = 'subworld-backup'
+const BACKUP_VERSION = 1
+const BACKUP_KDF_ITERATIONS = 310000
+
+// Preferences that travel with the account, keyed by their localStorage entry
+const BACKUP_PREFERENCES = {
+  preferredNode: 'subworld_preferred_node',
+  messageExpiry: 'subworld_message_expiry'
+}
+
+/**
+ * Creates and restores passphrase encrypted account backups
+ * (keys, contacts, groups and preferences)
+ */
+class BackupManager {
+  /**
+   * Build an encrypted backup of the unlocked account
+   * @param {string} passphrase - Passphrase used to encrypt the backup
+   * @returns {Promise<string>} - Backup file contents (JSON)
+   */
+  async createBackup(passphrase) {
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters long.`)
+    }
+
+    const keyPair = LocalKeyStorageManager.getKeyPair()
+    if (!keyPair) {
+      throw new Error('Your account must be unlocked to create a backup.')
+    }
+
+    await contactStore.initialize()
+
+    const preferences = {}
+    for (const [name, storageKey] of Object.entries(BACKUP_PREFERENCES)) {
+      const value = localStorage.getItem(storageKey)
+      if (value !== null) preferences[name] = value
+    }
+
+    const payload = {
+      account: {
+        privateKey: keyPair.privateKey,
+        publicKey: keyPair.publicKey,
+        publicKeyDisplay: keyPair.publicKeyDisplay
+      },
+      contacts: contactStore.getAllContacts(),
+      groups: conversationManager.getAllGroups(),
+      groupReadTimestamps: { ...conversationManager.groupReadTimestamps },
+      preferences
+    }
+
+    const salt = nacl.randomBytes(16)
+    const nonce = nacl.randomBytes(nacl.secretbox.nonceLength)
+    const key = await LocalKeyStorageManager.deriveKeyFromPassphrase(passphrase, salt, BACKUP_KDF_ITERATIONS)
+    const ciphertext = nacl.secretbox(encodeUTF8(JSON.stringify(payload)), nonce, key)
+
+    return JSON.stringify({
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      createdAt: new Date().toISOString(),
+      kdf: 'PBKDF2-SHA256',
+      iterations: BACKUP_KDF_ITERATIONS,
+      salt: encodeBase64(salt),
+      nonce: encodeBase64(nonce),
+      ciphertext: encodeBase64(ciphertext)
+    }, null, 2)
+  }
+
+  /**
+   * Create a backup and download it as a file
+   * @param {string} passphrase - Passphrase used to encrypt the backup
+   * @returns {Promise<string>} - Name of the downloaded file
+   */
+  async exportBackup(passphrase) {
+    const contents = await this.createBackup(passphrase)
+    const fileName = `subworld-backup-${new Date().toISOString().slice(0, 10)}.json`
+
+    const blob = new Blob([contents], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = fileName
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+
+    // Clean up the URL object
+    setTimeout(() => URL.revokeObjectURL(url), 100)
+
+    return fileName
+  }
+
+  /**
+   * Validate and decrypt a backup file
+   * @param {string} contents - Backup file contents
+   * @param {string} passphrase - Passphrase the backup was encrypted with
+   * @returns {Promise<{backup: Object, keyPair: Object, preview: Object}>} - Decrypted backup, derived key pair and summary
+   */
+  async openBackup(contents, passphrase) {
+    let file
+    try {
+      file = JSON.parse(contents)
+    } catch (e) {
+      throw new Error('This is not a Subworld backup file.')
+    }
+
+    if (!file || file.format !== BACKUP_FORMAT) {
+      throw new Error('This is not a Subworld backup file.')
+    }
+    if (file.version !== BACKUP_VERSION) {
+      throw new Error('This backup was made by an unsupported version of Subworld.')
+    }
+    if (!file.salt || !file.nonce || !file.ciphertext || !Number.isInteger(file.iterations)) {
+      throw new Error('The backup file is damaged.')
+    }
+
+    let plaintext
+    try {
+      const key = await LocalKeyStorageManager.deriveKeyFromPassphrase(
+        passphrase || '',
+        decodeBase64(file.salt),
+        file.iterations
+      )
+      plaintext = nacl.secretbox.open(decodeBase64(file.ciphertext), decodeBase64(file.nonce), key)
+    } catch (e) {
+      throw new Error('The backup file is damaged.')
+    }
+    if (!plaintext) {
+      throw new Error('Incorrect passphrase.')
+    }
+
+    let backup
+    try {
+      backup = JSON.parse(decodeUTF8(plaintext))
+    } catch (e) {
+      throw new Error('The backup file is damaged.')
+    }
+
+    if (!backup.account?.privateKey || !Array.isArray(backup.contacts) || !Array.isArray(backup.groups)) {
+      throw new Error('The backup file is damaged.')
+    }
+
+    // Derive the keys again rather than trusting the stored public values
+    const keyPair = await LocalKeyStorageManager.importPrivateKey(backup.account.privateKey)
+    if (backup.account.publicKey && backup.account.publicKey !== keyPair.publicKey) {
+      throw new Error('The backup file is damaged.')
+    }
+
+    return {
+      backup,
+      keyPair,
+      preview: {
+        createdAt: file.createdAt || null,
+        publicKeyDisplay: keyPair.publicKeyDisplay,
+        contactCount: backup.contacts.length,
+        contacts: backup.contacts.map(c => c.alias || c.publicKey),
+        groupCount: backup.groups.length,
+        groups: backup.groups.map(g => g.name || g.id),
+        preferences: Object.keys(backup.preferences || {})
+      }
+    }
+  }
+
+  /**
+   * Restore an opened backup onto this device
+   * Contacts, groups and preferences are written to storage and picked up when the app initializes
+   * @param {{backup: Object, keyPair: Object}} opened - Result of openBackup
+   * @param {string} passphrase - Passphrase protecting the restored private key on this device
+   * @returns {Promise<boolean>} - Success status
+   */
+  async restoreBackup({ backup, keyPair }, passphrase) {
+    try {
+      const saved = await LocalKeyStorageManager.saveKeyPair(keyPair, passphrase)
+      if (!saved) return false
+
+      localDatabase.saveContacts(backup.contacts)
+      localDatabase.saveGroups(backup.groups)
+      localDatabase.saveValue('groupReadTimestamps', backup.groupReadTimestamps || {})
+      await localDatabase.flush()
+
+      for (const [name, storageKey] of Object.entries(BACKUP_PREFERENCES)) {
+        const value = backup.preferences?.[name]
+        if (typeof value === 'string') localStorage.setItem(storageKey, value)
+      }
+
+      return true
+    } catch (error) {
+      console.error('Error restoring backup:', error)
+      return false
+    }
+  }
+}
+
+// Create singleton instance
+const backupManager = new BackupManager()
+
+export default backupManager
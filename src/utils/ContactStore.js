@@ -1,5 +1,8 @@
 'use client'
 
+import LocalKeyStorageManager from './LocalKeyStorageManager'
+import localDatabase from './LocalDatabase'
+
 /**
  * Manages contact information and conversation state
  */
@@ -16,9 +19,7 @@ class ContactStore {
     if (this.initialized) return
     
     try {
-      // Load contacts from localStorage
-      const contactsJson = localStorage.getItem('subworld_contacts')
-      this.contacts = contactsJson ? JSON.parse(contactsJson) : []
+      this.contacts = await localDatabase.loadContacts()
       this.initialized = true
     } catch (error) {
       console.error('Error initializing contact store:', error)
@@ -43,7 +44,7 @@ class ContactStore {
   saveContact(publicKey, alias) {
     try {
       // Check if contact exists
-      const existingContactIndex = this.contacts.findIndex(c => c.publicKey === publicKey)
+      const existingContactIndex = this._findContactIndex(publicKey)
       
       if (existingContactIndex >= 0) {
         // Update existing contact
@@ -57,12 +58,14 @@ class ContactStore {
         this.contacts.push({
           publicKey,
           alias: alias || null,
+          // Someone who shares a v2 address reads messages sent to it
+          protocolVersion: LocalKeyStorageManager.isAddress(publicKey) ? 2 : 1,
           createdAt: new Date().toISOString(),
           updatedAt: new Date().toISOString()
         })
       }
       
-      // Save updated contacts to localStorage
+      // Save updated contacts
       this._persistContacts()
       return true
     } catch (error) {
@@ -80,7 +83,7 @@ class ContactStore {
     try {
       // Filter out the contact
       const originalLength = this.contacts.length
-      this.contacts = this.contacts.filter(c => c.publicKey !== publicKey)
+      this.contacts = this.contacts.filter(c => c.publicKey !== publicKey && c.legacyId !== publicKey)
       
       // Check if a contact was removed
       if (this.contacts.length < originalLength) {
@@ -100,7 +103,268 @@ class ContactStore {
    * @returns {Object|null} - Contact object or null if not found
    */
   getContact(publicKey) {
-    return this.contacts.find(c => c.publicKey === publicKey) || null
+    const index = this._findContactIndex(publicKey)
+    return index >= 0 ? this.contacts[index] : null
+  }
+  
+  /**
+   * Get a contact's full public key (needed for encryption)
+   * @param {string} publicKey - Contact's public key display
+   * @returns {string|null} - Base64 encoded full public key or null if unknown
+   */
+  getContactPublicKey(publicKey) {
+    const contact = this.getContact(publicKey)
+    return contact?.fullPublicKey || LocalKeyStorageManager.addressToPublicKey(publicKey)
+  }
+  
+  /**
+   * Store a contact's full public key once it is confirmed to match their address
+   * @param {string} publicKey - Contact's address or legacy display key
+   * @param {string} fullPublicKey - Base64 encoded full public key
+   * @returns {Promise<boolean>} - Success status
+   */
+  async setContactPublicKey(publicKey, fullPublicKey) {
+    try {
+      if (!LocalKeyStorageManager.isValidPublicKey(fullPublicKey)) {
+        throw new Error('Invalid public key')
+      }
+      
+      // The address (or legacy display key) is derived from the full key, so they must agree
+      if (!await LocalKeyStorageManager.addressMatchesPublicKey(publicKey, fullPublicKey)) {
+        throw new Error('Public key does not match the contact address')
+      }
+      
+      const existingContactIndex = this._findContactIndex(publicKey)
+      
+      if (existingContactIndex >= 0) {
+        if (this.contacts[existingContactIndex].fullPublicKey === fullPublicKey) return true
+        
+        this.contacts[existingContactIndex] = {
+          ...this.contacts[existingContactIndex],
+          fullPublicKey,
+          updatedAt: new Date().toISOString()
+        }
+      } else {
+        this.contacts.push({
+          publicKey,
+          alias: null,
+          fullPublicKey,
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        })
+      }
+      
+      this._persistContacts()
+      return true
+    } catch (error) {
+      console.error('Error saving contact public key:', error)
+      return false
+    }
+  }
+  
+  /**
+   * Get the ID a contact is stored under
+   * Legacy display keys of contacts that moved to their v2 address resolve to that address
+   * @param {string} publicKey - Contact's address or legacy display key
+   * @returns {string} - Canonical contact ID
+   */
+  resolveContactId(publicKey) {
+    return this.getContact(publicKey)?.publicKey || publicKey
+  }
+  
+  /**
+   * Get the ID to send messages to
+   * Contacts stay on their legacy display key until they are seen using a v2 address
+   * @param {string} publicKey - Contact's address or legacy display key
+   * @returns {string} - Recipient ID for the network
+   */
+  getRoutingId(publicKey) {
+    const contact = this.getContact(publicKey)
+    if (!contact) return publicKey
+    return contact.legacyId && contact.protocolVersion !== 2 ? contact.legacyId : contact.publicKey
+  }
+  
+  /**
+   * Move a contact to their v2 address once their full public key is known
+   * A separate record under the legacy display key is merged into it
+   * @param {string} publicKey - Contact's address or legacy display key
+   * @returns {Promise<string>} - ID the contact is stored under afterwards
+   */
+  async migrateContactToAddress(publicKey) {
+    const index = this._findContactIndex(publicKey)
+    if (index < 0) return publicKey
+    
+    const contact = this.contacts[index]
+    const fullPublicKey = contact.fullPublicKey || LocalKeyStorageManager.addressToPublicKey(contact.publicKey)
+    if (!fullPublicKey) return contact.publicKey
+    
+    const address = LocalKeyStorageManager.deriveAddress(fullPublicKey)
+    const legacyId = contact.legacyId || await LocalKeyStorageManager.deriveDisplayKey(fullPublicKey)
+    
+    // A legacy record that belongs to a different key only shares the 64-bit display key by collision
+    const related = this.contacts.filter(c =>
+      (c.publicKey === address || c.publicKey === legacyId || c.legacyId === legacyId) &&
+      (!c.fullPublicKey || c.fullPublicKey === fullPublicKey)
+    )
+    if (related.length === 1 && contact.publicKey === address && contact.legacyId === legacyId && contact.fullPublicKey) {
+      return address
+    }
+    
+    // The record already stored under the address takes precedence
+    const [primary, ...others] = [...related].sort((a, b) => (b.publicKey === address) - (a.publicKey === address))
+    const merged = {
+      ...Object.assign({}, ...[...others].reverse(), primary),
+      publicKey: address,
+      legacyId,
+      alias: related.find(c => c.alias)?.alias || null,
+      fullPublicKey,
+      signingPublicKey: primary.signingPublicKey || others.find(c => c.signingPublicKey)?.signingPublicKey,
+      verifiedPublicKey: primary.verifiedPublicKey || others.find(c => c.verifiedPublicKey)?.verifiedPublicKey,
+      verifiedAt: primary.verifiedAt || others.find(c => c.verifiedAt)?.verifiedAt,
+      protocolVersion: related.some(c => c.protocolVersion === 2) ? 2 : 1,
+      createdAt: related.map(c => c.createdAt).filter(Boolean).sort()[0] || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    }
+    
+    const firstIndex = this.contacts.findIndex(c => related.includes(c))
+    this.contacts = this.contacts.filter(c => !related.includes(c))
+    this.contacts.splice(firstIndex, 0, merged)
+    
+    this._persistContacts()
+    return address
+  }
+  
+  /**
+   * Record that a contact uses their v2 address, so it is used for routing from now on
+   * @param {string} address - Address the contact sent from
+   * @returns {Promise<string|null>} - Canonical contact ID, or null if the address is invalid
+   */
+  async learnAddress(address) {
+    if (!LocalKeyStorageManager.isAddress(address)) return null
+    
+    if (this._findContactIndex(address) < 0) {
+      this.contacts.push({
+        publicKey: address,
+        alias: null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      })
+    }
+    
+    const contactId = await this.migrateContactToAddress(address)
+    const contact = this.getContact(contactId)
+    if (contact.protocolVersion !== 2) {
+      contact.protocolVersion = 2
+      contact.updatedAt = new Date().toISOString()
+      this._persistContacts()
+    }
+    
+    return contactId
+  }
+  
+  /**
+   * Get a contact's pinned Ed25519 signing key (needed to verify their messages)
+   * @param {string} publicKey - Contact's public key display
+   * @returns {string|null} - Base64 encoded signing key or null if none is pinned yet
+   */
+  getContactSigningKey(publicKey) {
+    const contact = this.getContact(publicKey)
+    return contact?.signingPublicKey || null
+  }
+  
+  /**
+   * Pin the signing key first seen for a contact
+   * Later messages signed with a different key fail verification
+   * @param {string} publicKey - Contact's public key display
+   * @param {string} signingPublicKey - Base64 encoded Ed25519 public key
+   * @returns {boolean} - Success status
+   */
+  setContactSigningKey(publicKey, signingPublicKey) {
+    try {
+      const existingContactIndex = this._findContactIndex(publicKey)
+      
+      if (existingContactIndex >= 0) {
+        if (this.contacts[existingContactIndex].signingPublicKey) return false
+        
+        this.contacts[existingContactIndex] = {
+          ...this.contacts[existingContactIndex],
+          signingPublicKey,
+          updatedAt: new Date().toISOString()
+        }
+      } else {
+        this.contacts.push({
+          publicKey,
+          alias: null,
+          signingPublicKey,
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        })
+      }
+      
+      this._persistContacts()
+      return true
+    } catch (error) {
+      console.error('Error saving contact signing key:', error)
+      return false
+    }
+  }
+  
+  /**
+   * Mark a contact as verified after comparing safety numbers
+   * The verified key is remembered so a later key change can be detected
+   * @param {string} publicKey - Contact's public key display
+   * @returns {boolean} - Success status
+   */
+  markContactVerified(publicKey) {
+    try {
+      const existingContactIndex = this._findContactIndex(publicKey)
+      if (existingContactIndex < 0 || !this.contacts[existingContactIndex].fullPublicKey) {
+        throw new Error('Full public key for this contact is unknown')
+      }
+      
+      this.contacts[existingContactIndex] = {
+        ...this.contacts[existingContactIndex],
+        verifiedPublicKey: this.contacts[existingContactIndex].fullPublicKey,
+        verifiedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      }
+      
+      this._persistContacts()
+      return true
+    } catch (error) {
+      console.error('Error verifying contact:', error)
+      return false
+    }
+  }
+  
+  /**
+   * Remove a contact's verification
+   * @param {string} publicKey - Contact's public key display
+   * @returns {boolean} - Success status
+   */
+  clearContactVerification(publicKey) {
+    const existingContactIndex = this._findContactIndex(publicKey)
+    if (existingContactIndex < 0) return false
+    
+    const { verifiedPublicKey, verifiedAt, ...contact } = this.contacts[existingContactIndex]
+    this.contacts[existingContactIndex] = {
+      ...contact,
+      updatedAt: new Date().toISOString()
+    }
+    
+    this._persistContacts()
+    return true
+  }
+  
+  /**
+   * Get a contact's verification status
+   * @param {string} publicKey - Contact's public key display
+   * @returns {'verified'|'changed'|'unverified'} - 'changed' if the key differs from the one that was verified
+   */
+  getContactVerificationStatus(publicKey) {
+    const contact = this.getContact(publicKey)
+    if (!contact?.verifiedPublicKey) return 'unverified'
+    return contact.verifiedPublicKey === contact.fullPublicKey ? 'verified' : 'changed'
   }
   
   /**
@@ -114,15 +378,28 @@ class ContactStore {
       return contact.alias
     }
     // If no alias, use the public key (possibly truncated if too long)
+    if (LocalKeyStorageManager.isAddress(publicKey)) {
+      return `${publicKey.slice(0, 11)}…${publicKey.slice(-6)}`
+    }
     return publicKey
   }
   
   /**
-   * Persist contacts to localStorage
+   * Find a contact by address or legacy display key
+   * @private
+   */
+  _findContactIndex(publicKey) {
+    const index = this.contacts.findIndex(c => c.publicKey === publicKey)
+    if (index >= 0 || !publicKey) return index
+    return this.contacts.findIndex(c => c.legacyId === publicKey)
+  }
+  
+  /**
+   * Persist contacts to the local database
    * @private
    */
   _persistContacts() {
-    localStorage.setItem('subworld_contacts', JSON.stringify(this.contacts))
+    localDatabase.saveContacts(this.contacts)
   }
 }
 
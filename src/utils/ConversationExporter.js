@@ -0,0 +1,336 @@
+'use client'
+
+import contactStore from './ContactStore'
+import conversationManager from './ConversationManager'
+
+// Identifies Subworld conversation exports and the version of their layout
+const EXPORT_FORMAT = 'subworld-conversation'
+const EXPORT_VERSION = 1
+
+const EXPORT_FORMATS = {
+  json: { extension: 'json', mimeType: 'application/json' },
+  html: { extension: 'html', mimeType: 'text/html' },
+  markdown: { extension: 'md', mimeType: 'text/markdown' }
+}
+
+const CALL_SIGNAL_PREFIX = 'CALL_SIGNAL:'
+
+/**
+ * Exports the history of a direct conversation or group as JSON, HTML or Markdown
+ * and imports JSON exports back into ConversationManager
+ *
+ * Exports are plain text: anyone holding the file can read the messages, and the
+ * JSON export includes the keys needed to download shared files.
+ */
+class ConversationExporter {
+  /**
+   * Render the history of a conversation, loading the messages that are only in the local database
+   * @param {'dm'|'group'} type - Kind of conversation
+   * @param {string} id - Contact public key or group ID
+   * @param {'json'|'html'|'markdown'} format - Output format
+   * @returns {Promise<{contents: string, fileName: string, mimeType: string}>} - Rendered export
+   */
+  async createExport(type, id, format) {
+    const output = EXPORT_FORMATS[format]
+    if (!output) {
+      throw new Error(`Unsupported export format: ${format}`)
+    }
+
+    const archive = await this._collect(type, id)
+    const contents = format === 'json'
+      ? JSON.stringify(archive, null, 2)
+      : format === 'html' ? this._toHtml(archive) : this._toMarkdown(archive)
+
+    const safeName = archive.conversation.name.replace(/[^\p{L}\p{N}_-]+/gu, '-').replace(/^-+|-+$/g, '').slice(0, 40) || type
+    const fileName = `subworld-${safeName}-${archive.exportedAt.slice(0, 10)}.${output.extension}`
+
+    return { contents, fileName, mimeType: output.mimeType }
+  }
+
+  /**
+   * Render a conversation and download it as a file
+   * @param {'dm'|'group'} type - Kind of conversation
+   * @param {string} id - Contact public key or group ID
+   * @param {'json'|'html'|'markdown'} format - Output format
+   * @returns {Promise<string>} - Name of the downloaded file
+   */
+  async exportConversation(type, id, format) {
+    const { contents, fileName, mimeType } = await this.createExport(type, id, format)
+
+    const blob = new Blob([contents], { type: mimeType })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = fileName
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+
+    // Clean up the URL object
+    setTimeout(() => URL.revokeObjectURL(url), 100)
+
+    return fileName
+  }
+
+  /**
+   * Merge a JSON export back into the local history
+   * @param {string} contents - JSON export file contents
+   * @returns {{type: string, id: string, name: string, added: number}} - Imported conversation and number of new messages
+   */
+  importConversation(contents) {
+    let archive
+    try {
+      archive = JSON.parse(contents)
+    } catch (e) {
+      throw new Error('This is not a Subworld conversation export.')
+    }
+
+    if (!archive || archive.format !== EXPORT_FORMAT) {
+      throw new Error('This is not a Subworld conversation export.')
+    }
+    if (archive.version !== EXPORT_VERSION) {
+      throw new Error('This export was made by an unsupported version of Subworld.')
+    }
+
+    const { conversation, messages } = archive
+    if (!conversation || !['dm', 'group'].includes(conversation.type) || !conversation.id || !Array.isArray(messages)) {
+      throw new Error('The export file is damaged.')
+    }
+
+    const added = conversationManager.importConversation({
+      type: conversation.type,
+      id: conversation.id,
+      messages,
+      alias: conversation.type === 'dm' ? conversation.alias || null : null
+    })
+
+    return { type: conversation.type, id: conversation.id, name: conversation.name, added }
+  }
+
+  /**
+   * Gather the messages of a conversation with the names of everyone in it
+   * @private
+   */
+  async _collect(type, id) {
+    let conversation
+    let messages
+
+    if (type === 'group') {
+      const group = conversationManager.getGroup(id)
+      if (!group) {
+        throw new Error('Group not found')
+      }
+      conversation = { type, id: group.id, name: group.name || 'Group', members: group.members || [] }
+      await conversationManager.loadFullHistory({ groupId: group.id })
+      messages = conversationManager.getGroupMessages(group.id)
+    } else {
+      const dm = conversationManager.getConversation(id)
+      if (!dm) {
+        throw new Error('Conversation not found')
+      }
+      conversation = {
+        type,
+        id: dm.contactPublicKey,
+        name: contactStore.getContactDisplayName(dm.contactPublicKey),
+        alias: contactStore.getContact(dm.contactPublicKey)?.alias || null
+      }
+      await conversationManager.loadFullHistory({ contactPublicKey: dm.contactPublicKey })
+      messages = dm.messages
+    }
+
+    messages = [...(Array.isArray(messages) ? messages : [])]
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+
+    const participants = {}
+    for (const key of [conversationManager.currentUserKey, ...(conversation.members || [conversation.id]), ...messages.map(msg => msg.sender)]) {
+      if (key && !participants[key]) participants[key] = this._getName(key)
+    }
+
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      exportedBy: conversationManager.currentUserKey,
+      conversation,
+      participants,
+      messages
+    }
+  }
+
+  /**
+   * @private
+   */
+  _getName(publicKey) {
+    return publicKey === conversationManager.currentUserKey ? 'You' : contactStore.getContactDisplayName(publicKey)
+  }
+
+  /**
+   * Sort a stored message into text, file, call, deleted, unsupported or system entry, or null for call signalling
+   * @private
+   */
+  _describe(message) {
+    const content = typeof message.content === 'string' ? message.content : ''
+
+    if (message.isSystem) return { kind: 'system', text: content }
+    if (message.isDeleted) return { kind: 'deleted', text: 'Message deleted' }
+    if (content.startsWith(CALL_SIGNAL_PREFIX)) return null
+
+    if (message.isUnsupported) return { kind: 'unsupported', text: 'Unsupported message' }
+    if (conversationManager.getCallInvitation(message)) return { kind: 'call', text: 'Call started' }
+
+    if (message.isFile) {
+      const file = message.fileData || message
+      return { kind: 'file', file: { name: file.fileName, type: file.fileType, size: file.fileSize } }
+    }
+
+    // Group file messages carry their metadata as JSON
+    if (content.startsWith('{')) {
+      try {
+        const metadata = JSON.parse(content)
+        if (metadata && metadata.messageType === 'file') {
+          return { kind: 'file', file: { name: metadata.fileName, type: metadata.fileType, size: metadata.fileSize } }
+        }
+      } catch (e) {
+        // Not JSON, export it as text
+      }
+    }
+
+    return { kind: 'text', text: content, edited: !!message.editedAt, replyTo: message.replyTo || null }
+  }
+
+  /**
+   * @private
+   */
+  _describeFile(file) {
+    const details = [file.type, this._formatFileSize(file.size)].filter(Boolean).join(', ')
+    return `${file.name || 'Unnamed file'}${details ? ` (${details})` : ''}`
+  }
+
+  /**
+   * @private
+   */
+  _formatFileSize(bytes) {
+    if (!bytes) return ''
+    if (bytes < 1024) return `${bytes} bytes`
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`
+  }
+
+  /**
+   * Standalone page with inline styles, readable without Subworld
+   * @private
+   */
+  _toHtml(archive) {
+    const escape = (text) => String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;')
+
+    const rows = archive.messages.map(message => {
+      const entry = this._describe(message)
+      if (!entry) return ''
+
+      const time = `<time datetime="${escape(message.timestamp)}">${escape(new Date(message.timestamp).toLocaleString())}</time>`
+      if (entry.kind === 'system' || entry.kind === 'call') {
+        return `    <div class="event">${escape(entry.text)} &middot; ${time}</div>`
+      }
+
+      const quote = entry.replyTo
+        ? `      <div class="quote">${escape(archive.participants[entry.replyTo.sender] || 'Reply')}: ${escape(entry.replyTo.snippet || 'Message not available')}</div>\n`
+        : ''
+      const body = entry.kind === 'file'
+        ? `<span class="file">File: ${escape(this._describeFile(entry.file))}</span>`
+        : entry.kind === 'deleted' || entry.kind === 'unsupported'
+          ? `<em class="deleted">${escape(entry.text)}</em>`
+          : `${escape(entry.text).replace(/\n/g, '<br>')}${entry.edited ? ' <span class="edited">(edited)</span>' : ''}`
+      return [
+        `    <div class="message${message.sender === archive.exportedBy ? ' own' : ''}">`,
+        `      <div class="meta"><strong>${escape(archive.participants[message.sender] || message.sender)}</strong> &middot; ${time}</div>`,
+        `${quote}      <div class="body">${body}</div>`,
+        '    </div>'
+      ].join('\n')
+    }).filter(Boolean)
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escape(archive.conversation.name)} - Subworld export</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #0e0f14; color: #e5e7eb; max-width: 760px; margin: 0 auto; padding: 24px; }
+    header { border-bottom: 1px solid #374151; margin-bottom: 24px; }
+    header p { color: #9ca3af; font-size: 14px; }
+    .message { background: #1f2937; border-radius: 12px; padding: 12px 16px; margin: 12px 0; }
+    .message.own { background: #1e3a8a; }
+    .meta { color: #9ca3af; font-size: 12px; margin-bottom: 4px; }
+    .meta strong { color: #e5e7eb; }
+    .body { white-space: normal; word-wrap: break-word; }
+    .file { color: #93c5fd; }
+    .deleted, .edited { color: #9ca3af; }
+    .quote { border-left: 3px solid #60a5fa; padding-left: 8px; margin-bottom: 6px; color: #9ca3af; font-size: 13px; }
+    .event { text-align: center; color: #9ca3af; font-size: 12px; margin: 12px 0; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escape(archive.conversation.name)}</h1>
+    <p>${archive.conversation.type === 'group' ? 'Group' : 'Direct messages'} &middot; Exported ${escape(new Date(archive.exportedAt).toLocaleString())} &middot; ${rows.length} entries</p>
+  </header>
+  <main>
+${rows.join('\n')}
+  </main>
+</body>
+</html>
+`
+  }
+
+  /**
+   * @private
+   */
+  _toMarkdown(archive) {
+    // Keep message text from turning into Markdown formatting
+    const escape = (text) => String(text ?? '').replace(/([\\`*_[\]#|<>])/g, '\\$1')
+
+    const lines = [
+      `# ${escape(archive.conversation.name)}`,
+      '',
+      `${archive.conversation.type === 'group' ? 'Group' : 'Direct messages'}, exported ${new Date(archive.exportedAt).toLocaleString()}`,
+      ''
+    ]
+
+    for (const message of archive.messages) {
+      const entry = this._describe(message)
+      if (!entry) continue
+
+      const time = new Date(message.timestamp).toLocaleString()
+      if (entry.kind === 'system' || entry.kind === 'call') {
+        lines.push(`_${escape(entry.text)} (${time})_`, '')
+        continue
+      }
+
+      lines.push(`**${escape(archive.participants[message.sender] || message.sender)}** (${time})`)
+      if (entry.kind === 'file') {
+        lines.push(`> File: ${escape(this._describeFile(entry.file))}`)
+      } else if (entry.kind === 'deleted' || entry.kind === 'unsupported') {
+        lines.push(`> _${entry.text}_`)
+      } else {
+        if (entry.replyTo) {
+          lines.push(`> > ${escape(archive.participants[entry.replyTo.sender] || 'Reply')}: ${escape(entry.replyTo.snippet || 'Message not available')}`, '>')
+        }
+        lines.push(...entry.text.split('\n').map(line => `> ${escape(line)}`))
+        if (entry.edited) lines.push('> _(edited)_')
+      }
+      lines.push('')
+    }
+
+    return lines.join('\n')
+  }
+}
+
+// Create singleton instance
+const conversationExporter = new ConversationExporter()
+
+export default conversationExporter
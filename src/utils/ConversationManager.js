@@ -3,6 +3,95 @@
 import subworldNetwork from './SubworldNetworkService'
 import contactStore from './ContactStore'
 import LocalKeyStorageManager from './LocalKeyStorageManager'
+import sessionManager from './SessionManager'
+import senderKeyManager from './SenderKeyManager'
+import localDatabase from './LocalDatabase'
+import searchIndex from './SearchIndex'
+import messageOutbox from './MessageOutbox'
+import messageEnvelope, { MESSAGE_TYPES } from './MessageEnvelope'
+import { encodeBase64, decodeBase64 } from 'tweetnacl-util'
+
+// Minimum time between two automatic restarts of the session with one contact
+const SESSION_RESET_COOLDOWN = 10 * 60 * 1000;
+
+// How many handled control message IDs are remembered
+const MAX_CONTROL_MESSAGE_IDS = 1000;
+
+// Message lifetime used until the user picks one in Settings
+const DEFAULT_MESSAGE_EXPIRY_HOURS = 24;
+
+// How often expired messages are removed from local storage
+const RETENTION_CHECK_INTERVAL = 10 * 1000;
+
+// How many deleted message IDs are remembered so the server copies are not picked up again
+const MAX_EXPIRED_MESSAGE_IDS = 1000;
+
+// How many messages of a conversation are loaded from the local database at once, on start and per older page
+const HISTORY_PAGE_SIZE = 200;
+
+// Longest disappearing message timer accepted from another participant
+const MAX_MESSAGE_TIMER = 30 * 24 * 60 * 60;
+
+// How long after sending a message it can still be deleted for everyone
+export const DELETE_FOR_EVERYONE_WINDOW = 24 * 60 * 60 * 1000;
+
+// How many messages with edits or deletes waiting for them to arrive are remembered
+const MAX_PENDING_MESSAGE_CHANGES = 200;
+
+// Longest quote of the original message carried by a reply
+const MAX_REPLY_SNIPPET_LENGTH = 120;
+
+// Most message IDs listed by a single read or delivery receipt
+const MAX_RECEIPT_IDS = 100;
+
+// Whether read receipts are sent and shown, a device setting rather than conversation data
+const READ_RECEIPTS_SETTING_KEY = 'subworld_read_receipts';
+
+// Every group member sends a delivery receipt for every message, so a group's receipts are collected this long and sent together
+const GROUP_RECEIPT_DELAY = 30 * 1000;
+
+// Lifecycle of a message: the statuses each status can move on to. The user's messages start
+// out queued, received messages are delivered once stored, and every message ends up expired
+const MESSAGE_STATUS_TRANSITIONS = {
+  queued: ['sending', 'failed', 'expired'],
+  sending: ['sent', 'queued', 'failed', 'expired'],
+  failed: ['queued', 'sending', 'expired'],
+  sent: ['delivered', 'read', 'expired'],
+  delivered: ['read', 'expired'],
+  read: ['expired'],
+  expired: []
+};
+
+// Statuses stored before the lifecycle existed
+const LEGACY_MESSAGE_STATUSES = { pending: 'queued', received: 'delivered' };
+
+// Reactions offered in the message menu, any single emoji from another client is accepted
+export const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+
+// Disappearing message timers offered for a conversation, 0 turns the timer off
+export const MESSAGE_TIMER_OPTIONS = [
+  { seconds: 0, label: 'Off' },
+  { seconds: 5 * 60, label: '5 minutes' },
+  { seconds: 60 * 60, label: '1 hour' },
+  { seconds: 8 * 60 * 60, label: '8 hours' },
+  { seconds: 24 * 60 * 60, label: '1 day' },
+  { seconds: 7 * 24 * 60 * 60, label: '1 week' }
+];
+
+/**
+ * Describe a disappearing message timer
+ * @param {number} seconds - Timer in seconds, 0 when off
+ * @returns {string} - e.g. '1 hour'
+ */
+export function formatMessageTimer(seconds) {
+  const option = MESSAGE_TIMER_OPTIONS.find(o => o.seconds === seconds);
+  if (option) return option.label;
+
+  const [amount, unit] = seconds % 86400 === 0 ? [seconds / 86400, 'day']
+    : seconds % 3600 === 0 ? [seconds / 3600, 'hour']
+      : [Math.max(1, Math.round(seconds / 60)), 'minute'];
+  return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+}
 
 /**
  * Manages conversations and messages
@@ -12,112 +101,1168 @@ class ConversationManager {
     this.conversations = [];
     this.lastFetch = null;
     this.fetchInterval = null;
+    this.retentionInterval = null;
     this.initialized = false;
     this.currentUserKey = null;
     this._lastFetchTime = 0; // Rate limiting
     this.disableAutoFetch = true; // Auto-fetching disabled by default
 
-    this.callSignalPrefix = "CALL_SIGNAL:";
-    this.isProcessingCallMessages = false;
+    this.sessionResetTimes = {};
+
+    // Control messages are not stored in conversations, so their IDs are kept to skip them on later fetches
+    this.handledControlMessageIds = [];
+    this.expiredMessageIds = [];
+    // Edits and deletes that arrived before the message they change, per message ID
+    this.pendingMessageChanges = {};
+
+    // Only the newest messages are loaded, older pages are read as the user scrolls up.
+    // Keyed 'dm:<contact>' or 'group:<group ID>': pages being read, and conversations loaded in full
+    this.historyLoads = {};
+    this.completeHistories = new Set();
+
+
+    // Reference to call service (will be set later)
+    this.callService = null;
+
+    this.groups = [];
+    this.groupMessages = {};
+
+    this.groupReadTimestamps = {};
+
+    // Groups are replaced on every refresh, so their timers are kept here: { seconds, changedAt } per group ID
+    this.groupMessageTimers = {};
+
+    // Delivery receipts waiting to be sent per group ID: { messageIds, timer }
+    this.pendingGroupReceipts = {};
+  }
+
+  /**
+   * Initialize the conversation manager
+   * @param {string} currentUserKey - Current user's public key
+   */
+  async initialize(currentUserKey) {
+    if (this.initialized) return true;
+
+    try {
+      if (!currentUserKey) {
+        console.error('No user key provided for initialization');
+        return false;
+      }
+
+      this.currentUserKey = currentUserKey;
+
+      // Initialize the contact store
+      if (contactStore && typeof contactStore.initialize === 'function') {
+        await contactStore.initialize();
+      } else {
+        console.warn('Contact store not available or initialize method missing');
+      }
+
+      // Ratchet sessions and group sender keys are sealed in the local database, so they are only loaded now that it is unlocked
+      await sessionManager.initialize();
+      await senderKeyManager.initialize();
+
+      // Load conversation data from the local database
+      try {
+        const savedConversations = await localDatabase.loadConversations(HISTORY_PAGE_SIZE);
+        this.conversations = Array.isArray(savedConversations) ? savedConversations : [];
+      } catch (storageError) {
+        console.error('Error loading conversations from storage:', storageError);
+        this.conversations = [];
+      }
+
+      try {
+        const controlMessageIds = await localDatabase.loadValue('controlMessageIds', []);
+        this.handledControlMessageIds = Array.isArray(controlMessageIds) ? controlMessageIds : [];
+      } catch (storageError) {
+        console.error('Error loading control message IDs:', storageError);
+        this.handledControlMessageIds = [];
+      }
+
+      const expiredMessageIds = await localDatabase.loadValue('expiredMessageIds', []);
+      this.expiredMessageIds = Array.isArray(expiredMessageIds) ? expiredMessageIds : [];
+      this.groupMessageTimers = await localDatabase.loadValue('groupMessageTimers', {});
+      this.pendingMessageChanges = await localDatabase.loadValue('pendingMessageChanges', {});
+
+      await this.initializeGroups();
+      await this._migrateLegacyAddresses();
+
+      // The search index lives in memory only, build it from the stored messages
+      this._indexConversations();
+      this._indexGroupMessages();
+
+      // Drop whatever expired while the app was closed, then keep checking
+      this.purgeExpiredMessages();
+      this.startRetentionInterval();
+
+      // Send what was still queued when the app was closed
+      await messageOutbox.start({
+        deliver: entry => this._deliverOutgoing(entry),
+        onUpdate: entry => this._updateOutgoingStatus(entry)
+      });
+
+      this.initialized = true;
+
+      // Auto-fetching disabled
+      console.log('Auto-fetching disabled to reduce server load');
+
+      // Make self available globally for other services
+      if (typeof window !== 'undefined') {
+        window.conversationManager = this;
+        console.log('Conversation manager registered globally');
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Error initializing conversation manager:', error);
+      this.conversations = [];
+      return false;
+    }
+  }
+
+  /**
+ * Load group read timestamps from the local database
+ * @private
+ */
+  async _loadGroupReadTimestamps() {
+    try {
+      this.groupReadTimestamps = await localDatabase.loadValue('groupReadTimestamps', {});
+    } catch (error) {
+      console.error('Error loading group read timestamps:', error);
+      this.groupReadTimestamps = {};
+    }
+  }
+
+
+  /**
+   * Start periodic fetching of new messages - DISABLED
+   */
+  startFetchInterval() {
+    // EMERGENCY: Disabled to prevent excessive calls
+    console.log('Auto-fetching disabled to reduce server load');
+    return;
+  }
+
+  /**
+   * Stop periodic fetching
+   */
+  stopFetchInterval() {
+    if (this.fetchInterval) {
+      clearInterval(this.fetchInterval)
+      this.fetchInterval = null
+    }
+  }
+
+  /**
+   * Start removing expired messages periodically
+   */
+  startRetentionInterval() {
+    this.stopRetentionInterval();
+    this.retentionInterval = setInterval(() => this.purgeExpiredMessages(), RETENTION_CHECK_INTERVAL);
+  }
+
+  /**
+   * Stop removing expired messages
+   */
+  stopRetentionInterval() {
+    if (this.retentionInterval) {
+      clearInterval(this.retentionInterval);
+      this.retentionInterval = null;
+    }
+  }
+
+  /**
+   * Delete messages whose expiry time has passed from conversations and groups
+   * File messages go with their file key, so expired attachments cannot be downloaded again
+   * Dispatches a `messagesExpired` event so open views can drop them
+   * @returns {number} - Number of messages deleted
+   */
+  purgeExpiredMessages() {
+    // Messages that were never loaded expire in the local database
+    this._deleteExpiredStoredMessages();
+
+    const now = Date.now();
+    const isExpired = (message) => message && message.expiresAt && new Date(message.expiresAt).getTime() <= now;
+    const expiredMessageIds = [];
+    const conversationChanges = [];
+    const groupChanges = [];
+
+    for (const conversation of this.conversations) {
+      if (!Array.isArray(conversation.messages) || !conversation.messages.some(isExpired)) continue;
+
+      const expired = conversation.messages.filter(isExpired);
+      expired.forEach(m => {
+        this._setMessageStatus({ contactPublicKey: conversation.contactPublicKey }, m, 'expired');
+        expiredMessageIds.push(m.id);
+      });
+      conversation.messages = conversation.messages.filter(m => !isExpired(m));
+      conversationChanges.push({ conversationId: conversation.contactPublicKey, messageIds: expired.map(m => m.id) });
+
+      // Unread messages that expired are no longer waiting to be read
+      const receivedCount = conversation.messages.filter(m => m.sender !== this.currentUserKey).length;
+      conversation.unreadCount = Math.min(conversation.unreadCount || 0, receivedCount);
+      conversation.lastMessageTime = conversation.messages.length > 0
+        ? conversation.messages[conversation.messages.length - 1].timestamp
+        : conversation.lastMessageTime;
+    }
+
+    for (const [groupId, messages] of Object.entries(this.groupMessages)) {
+      if (!Array.isArray(messages) || !messages.some(isExpired)) continue;
+
+      const expired = messages.filter(isExpired);
+      expired.forEach(m => {
+        this._setMessageStatus({ groupId }, m, 'expired');
+        expiredMessageIds.push(m.id);
+      });
+      this.groupMessages[groupId] = messages.filter(m => !isExpired(m));
+      groupChanges.push({ conversationId: groupId, messageIds: expired.map(m => m.id) });
+    }
+
+    if (expiredMessageIds.length === 0) return 0;
+
+    console.log(`Deleted ${expiredMessageIds.length} expired messages`);
+    this.expiredMessageIds = [...this.expiredMessageIds, ...expiredMessageIds.filter(Boolean)].slice(-MAX_EXPIRED_MESSAGE_IDS);
+    localDatabase.saveValue('expiredMessageIds', this.expiredMessageIds);
+    if (conversationChanges.length > 0) this._persistConversations(conversationChanges);
+    if (groupChanges.length > 0) {
+      this._persistGroupMessages(groupChanges);
+      this._calculateGroupUnreadCounts();
+    }
+
+    if (typeof window !== 'undefined') {
+      window.dispatchEvent(new CustomEvent('messagesExpired', {
+        detail: {
+          messageIds: expiredMessageIds,
+          conversationIds: conversationChanges.map(c => c.conversationId),
+          groupIds: groupChanges.map(c => c.conversationId)
+        }
+      }));
+    }
+    this._updateConversationList();
+
+    return expiredMessageIds.length;
+  }
+
+  /**
+   * Delete expired messages that are only in the local database, remembering their IDs like loaded ones
+   * @private
+   */
+  async _deleteExpiredStoredMessages() {
+    const deleted = await localDatabase.deleteExpiredMessages();
+    const messageIds = [...new Set(deleted.map(({ message }) => message.id))]
+      .filter(id => id && !this.expiredMessageIds.includes(id));
+    if (messageIds.length === 0) return;
+
+    this.expiredMessageIds = [...this.expiredMessageIds, ...messageIds].slice(-MAX_EXPIRED_MESSAGE_IDS);
+    localDatabase.saveValue('expiredMessageIds', this.expiredMessageIds);
+  }
+
+  /**
+   * Get the message lifetime chosen in Settings
+   * @returns {number} - Lifetime in seconds
+   * @private
+   */
+  _getMessageTtl() {
+    let expiryHours = DEFAULT_MESSAGE_EXPIRY_HOURS;
+    try {
+      const storedExpiry = localStorage.getItem('subworld_message_expiry');
+      if (storedExpiry) {
+        expiryHours = parseInt(storedExpiry, 10);
+        if (isNaN(expiryHours) || expiryHours < 1) {
+          expiryHours = DEFAULT_MESSAGE_EXPIRY_HOURS;
+        }
+      }
+    } catch (err) {
+      console.warn('Error reading expiry setting:', err);
+    }
+
+    return expiryHours * 3600; // Convert hours to seconds
+  }
+
+  /**
+   * Give a received message the expiry of the conversation timer, unless the sender's is sooner
+   * @param {Object} message - Received message
+   * @param {number} ttlSeconds - Timer of the conversation, 0 when off
+   * @returns {Object} - The same message
+   * @private
+   */
+  _applyRetention(message, ttlSeconds) {
+    if (!ttlSeconds) return message;
+
+    const localExpiry = Date.now() + ttlSeconds * 1000;
+    const senderExpiry = message.expiresAt ? new Date(message.expiresAt).getTime() : NaN;
+
+    if (isNaN(senderExpiry) || localExpiry < senderExpiry) {
+      message.expiresAt = new Date(localExpiry).toISOString();
+      message.ttl = ttlSeconds;
+    }
+    return message;
+  }
+
+  /**
+   * Get the disappearing message timer of a direct conversation
+   * Conversations without their own timer use the default from Settings
+   * @param {string} contactPublicKey - Contact's public key
+   * @returns {number} - Timer in seconds, 0 when messages do not disappear
+   */
+  getConversationTimer(contactPublicKey) {
+    const conversation = this.getConversation(contactPublicKey);
+    return typeof conversation?.messageTimer === 'number' ? conversation.messageTimer : this._getMessageTtl();
+  }
+
+  /**
+   * Get the disappearing message timer of a group
+   * @param {string} groupId - Group ID
+   * @returns {number} - Timer in seconds, 0 when messages do not disappear
+   */
+  getGroupTimer(groupId) {
+    const timer = this.groupMessageTimers[groupId];
+    return timer ? timer.seconds : this._getMessageTtl();
+  }
+
+  /**
+   * Change the disappearing message timer of a direct conversation for both participants
+   * @param {string} contactPublicKey - Contact's public key
+   * @param {number} seconds - New timer in seconds, 0 to turn it off
+   * @returns {Promise<Object>} - The notice added to the conversation
+   */
+  async setConversationTimer(contactPublicKey, seconds) {
+    const update = { seconds, changedAt: new Date().toISOString() };
+    if (!this._isValidTimerUpdate(update)) throw new Error('Invalid message timer');
+
+    const controlMessageId = await this._sendDirectControl(contactPublicKey, MESSAGE_TYPES.TIMER, update);
+
+    const conversation = this.createOrUpdateConversation(contactPublicKey);
+    return this._applyConversationTimer(conversation, update, this.currentUserKey, controlMessageId);
+  }
+
+  /**
+   * Change the disappearing message timer of a group for all members
+   * @param {string} groupId - Group ID
+   * @param {number} seconds - New timer in seconds, 0 to turn it off
+   * @returns {Promise<Object>} - The notice added to the group
+   */
+  async setGroupTimer(groupId, seconds) {
+    const update = { seconds, changedAt: new Date().toISOString() };
+    if (!this._isValidTimerUpdate(update)) throw new Error('Invalid message timer');
+
+    const controlMessageId = await this._sendGroupControl(groupId, MESSAGE_TYPES.TIMER, update);
+    return this._applyGroupTimer(groupId, update, this.currentUserKey, controlMessageId);
+  }
+
+  /**
+   * Apply a timer change received in a direct message
+   * @param {Object} message - Control message
+   * @param {Object} envelope - Its decoded content
+   * @private
+   */
+  _receiveConversationTimer(message, envelope) {
+    const update = this._parseTimerUpdate(envelope.body);
+    if (!update) return;
+
+    const contactPublicKey = message.sender === this.currentUserKey ? message.recipient : message.sender;
+    const conversation = this.createOrUpdateConversation(contactPublicKey);
+    if (conversation) this._applyConversationTimer(conversation, update, message.sender, message.id);
+  }
+
+  /**
+   * @private
+   */
+  _applyConversationTimer(conversation, update, actorId, noticeId) {
+    // Changes arriving out of order do not undo a later one
+    if (conversation.messageTimerChangedAt && !this._isLaterTimerChange(update, conversation.messageTimerChangedAt)) return null;
+
+    conversation.messageTimer = update.seconds;
+    conversation.messageTimerChangedAt = update.changedAt;
+
+    const notice = this._createTimerNotice(update, actorId, noticeId);
+    conversation.messages.push(notice);
+    this._persistConversations([{ conversationId: conversation.contactPublicKey, messageIds: [notice.id] }]);
+    return notice;
+  }
+
+  /**
+   * @private
+   */
+  _applyGroupTimer(groupId, update, actorId, noticeId) {
+    const current = this.groupMessageTimers[groupId];
+    if (current && !this._isLaterTimerChange(update, current.changedAt)) return null;
+
+    this.groupMessageTimers = { ...this.groupMessageTimers, [groupId]: update };
+    localDatabase.saveValue('groupMessageTimers', this.groupMessageTimers);
+
+    const notice = { ...this._createTimerNotice(update, actorId, noticeId), groupId, isGroupMsg: true };
+    if (!this.groupMessages[groupId]) this.groupMessages[groupId] = [];
+    this.groupMessages[groupId].push(notice);
+    this._persistGroupMessages([{ conversationId: groupId, messageIds: [notice.id] }]);
+    return notice;
+  }
+
+  /**
+   * System notice shown in the timeline when a timer changes
+   * @private
+   */
+  _createTimerNotice(update, actorId, noticeId) {
+    const actor = actorId === this.currentUserKey ? 'You' : contactStore.getContactDisplayName(actorId);
+    const change = update.seconds > 0
+      ? `set disappearing messages to ${formatMessageTimer(update.seconds)}`
+      : 'turned off disappearing messages';
+
+    return {
+      id: noticeId || `timer-${Date.now()}`,
+      sender: actorId,
+      content: `${actor} ${change}`,
+      timestamp: update.changedAt,
+      status: 'delivered',
+      isSystem: true,
+      messageTimer: update.seconds
+    };
+  }
+
+  /**
+   * @private
+   */
+  _parseTimerUpdate(body) {
+    if (!this._isValidTimerUpdate(body)) {
+      console.warn('Ignoring malformed message timer change');
+      return null;
+    }
+    // A change dated in the future would block every later one, so it counts as made when it arrived
+    const changedAt = Math.min(new Date(body.changedAt).getTime(), Date.now());
+    return { seconds: body.seconds, changedAt: new Date(changedAt).toISOString() };
+  }
+
+  /**
+   * Whether a timer change was made after the one in effect, comparing times rather than their text
+   * @private
+   */
+  _isLaterTimerChange(update, currentChangedAt) {
+    // Times stored before received changes were clamped can still lie in the future
+    const current = Math.min(new Date(currentChangedAt).getTime(), Date.now());
+    return isNaN(current) || new Date(update.changedAt).getTime() > current;
+  }
+
+  /**
+   * @private
+   */
+  _isValidTimerUpdate(update) {
+    return !!update && Number.isInteger(update.seconds) && update.seconds >= 0 && update.seconds <= MAX_MESSAGE_TIMER &&
+      typeof update.changedAt === 'string' && !isNaN(new Date(update.changedAt).getTime());
+  }
+
+  /**
+   * Whether a message can be edited, only the sender can edit their text messages
+   * @param {Object} message - Stored message
+   * @returns {boolean}
+   */
+  canEditMessage(message) {
+    return !!message && message.sender === this.currentUserKey && !message.isSystem && !message.isDeleted && !this.isMessageQueued(message) &&
+      typeof message.content === 'string' && !message.isUnsupported && !this.getCallInvitation(message) && !this._isFileMessage(message);
+  }
+
+  /**
+   * Whether a message can still be deleted for everyone, only by its sender and only for a while after sending
+   * @param {Object} message - Stored message
+   * @returns {boolean}
+   */
+  canDeleteForEveryone(message) {
+    return !!message && message.sender === this.currentUserKey && !message.isSystem && !message.isDeleted && !this.isMessageQueued(message) &&
+      Date.now() - new Date(message.timestamp).getTime() <= DELETE_FOR_EVERYONE_WINDOW;
+  }
+
+  /**
+   * Edit a sent direct message for both participants
+   * @param {string} contactPublicKey - Contact's public key
+   * @param {string} messageId - ID of the message to edit
+   * @param {string} content - New text
+   * @returns {Promise<void>}
+   */
+  async editMessage(contactPublicKey, messageId, content) {
+    const scope = { contactPublicKey };
+    const change = this._createMessageEdit(scope, messageId, content);
+    await this._sendMessageChange(scope, MESSAGE_TYPES.EDIT, change);
+    this._applyMessageChange(scope, { type: 'edit', ...change }, this.currentUserKey);
+  }
+
+  /**
+   * Delete a sent direct message for both participants, leaving a tombstone
+   * @param {string} contactPublicKey - Contact's public key
+   * @param {string} messageId - ID of the message to delete
+   * @returns {Promise<void>}
+   */
+  async deleteMessageForEveryone(contactPublicKey, messageId) {
+    const scope = { contactPublicKey };
+    const change = this._createMessageDelete(scope, messageId);
+    await this._sendMessageChange(scope, MESSAGE_TYPES.DELETE, change);
+    this._applyMessageChange(scope, { type: 'delete', ...change }, this.currentUserKey);
+  }
+
+  /**
+   * Edit a sent group message for all members
+   * @param {string} groupId - Group ID
+   * @param {string} messageId - ID of the message to edit
+   * @param {string} content - New text
+   * @returns {Promise<void>}
+   */
+  async editGroupMessage(groupId, messageId, content) {
+    const scope = { groupId };
+    const change = this._createMessageEdit(scope, messageId, content);
+    await this._sendMessageChange(scope, MESSAGE_TYPES.EDIT, change);
+    this._applyMessageChange(scope, { type: 'edit', ...change }, this.currentUserKey);
+  }
+
+  /**
+   * Delete a sent group message for all members, leaving a tombstone
+   * @param {string} groupId - Group ID
+   * @param {string} messageId - ID of the message to delete
+   * @returns {Promise<void>}
+   */
+  async deleteGroupMessageForEveryone(groupId, messageId) {
+    const scope = { groupId };
+    const change = this._createMessageDelete(scope, messageId);
+    await this._sendMessageChange(scope, MESSAGE_TYPES.DELETE, change);
+    this._applyMessageChange(scope, { type: 'delete', ...change }, this.currentUserKey);
+  }
+
+  /**
+   * Send a control message to a contact, it is handled on arrival instead of being shown
+   * @returns {Promise<string|null>} - ID of the sent control message
+   * @private
+   */
+  async _sendDirectControl(contactPublicKey, type, body, references = {}) {
+    const result = await subworldNetwork.sendMessage(contactPublicKey, messageEnvelope.encode({ type, body, references }));
+    if (result?.messageId) this._rememberControlMessage(result.messageId);
+    return result?.messageId || null;
+  }
+
+  /**
+   * Send a control message to all members of a group
+   * @returns {Promise<string|null>} - ID of the sent control message
+   * @private
+   */
+  async _sendGroupControl(groupId, type, body, references = {}) {
+    // Members need our sender key before they can read it. Control messages go out often, so the members
+    // are taken from the group as last fetched and the key only goes out when they changed
+    await this._distributeSenderKey(groupId, this.getGroup(groupId));
+    const encryptedContent = senderKeyManager.encryptGroupMessage(groupId, messageEnvelope.encode({ type, body, references }));
+    const result = await subworldNetwork.sendGroupMessage(groupId, encryptedContent);
+    if (result?.messageId) this._rememberControlMessage(result.messageId);
+    return result?.messageId || null;
+  }
+
+  /**
+   * Send an edit, delete or reaction, the message it changes goes in the references
+   * @private
+   */
+  _sendMessageChange(scope, type, change) {
+    const { messageId, ...body } = change;
+    return scope.groupId
+      ? this._sendGroupControl(scope.groupId, type, body, { messageId })
+      : this._sendDirectControl(scope.contactPublicKey, type, body, { messageId });
+  }
+
+  /**
+   * @private
+   */
+  _createMessageEdit(scope, messageId, content) {
+    const message = this._getScopeMessages(scope).find(msg => msg && msg.id === messageId);
+    if (!this.canEditMessage(message)) throw new Error('This message cannot be edited');
+
+    const text = typeof content === 'string' ? content.trim() : '';
+    if (!text) throw new Error('A message cannot be empty');
+
+    return { messageId, content: text, changedAt: new Date().toISOString() };
+  }
+
+  /**
+   * @private
+   */
+  _createMessageDelete(scope, messageId) {
+    const message = this._getScopeMessages(scope).find(msg => msg && msg.id === messageId);
+    if (!this.canDeleteForEveryone(message)) throw new Error('This message can no longer be deleted for everyone');
+
+    return { messageId, changedAt: new Date().toISOString() };
+  }
+
+  /**
+   * Messages of a direct conversation ({contactPublicKey}) or group ({groupId})
+   * @private
+   */
+  _getScopeMessages(scope) {
+    const messages = scope.groupId
+      ? this.groupMessages[scope.groupId]
+      : this.getConversation(scope.contactPublicKey)?.messages;
+    return Array.isArray(messages) ? messages : [];
+  }
+
+  /**
+   * @private
+   */
+  _isReceipt(envelope) {
+    return envelope.type === MESSAGE_TYPES.READ_RECEIPT || envelope.type === MESSAGE_TYPES.DELIVERY_RECEIPT;
+  }
+
+  /**
+   * @private
+   */
+  _isMessageChange(envelope) {
+    return [MESSAGE_TYPES.EDIT, MESSAGE_TYPES.DELETE, MESSAGE_TYPES.REACTION].includes(envelope.type);
+  }
+
+  /**
+   * Whether a message can be reacted to
+   * @param {Object} message - Stored message
+   * @returns {boolean}
+   */
+  canReactToMessage(message) {
+    return !!message && !message.isSystem && !message.isDeleted && !this.isMessageQueued(message);
+  }
+
+  /**
+   * React to a direct message, replacing our earlier reaction to it
+   * @param {string} contactPublicKey - Contact's public key
+   * @param {string} messageId - ID of the message to react to
+   * @param {string|null} emoji - Reaction, or null to remove ours
+   * @returns {Promise<void>}
+   */
+  async setMessageReaction(contactPublicKey, messageId, emoji) {
+    const scope = { contactPublicKey };
+    const change = this._createReaction(scope, messageId, emoji);
+    await this._sendMessageChange(scope, MESSAGE_TYPES.REACTION, change);
+    this._applyMessageChange(scope, { type: 'reaction', ...change }, this.currentUserKey);
+  }
+
+  /**
+   * React to a group message, replacing our earlier reaction to it
+   * @param {string} groupId - Group ID
+   * @param {string} messageId - ID of the message to react to
+   * @param {string|null} emoji - Reaction, or null to remove ours
+   * @returns {Promise<void>}
+   */
+  async setGroupMessageReaction(groupId, messageId, emoji) {
+    const scope = { groupId };
+    const change = this._createReaction(scope, messageId, emoji);
+    await this._sendMessageChange(scope, MESSAGE_TYPES.REACTION, change);
+    this._applyMessageChange(scope, { type: 'reaction', ...change }, this.currentUserKey);
+  }
+
+  /**
+   * Reactions to a message grouped by emoji, in the order they were first used
+   * @param {Object} message - Stored message
+   * @returns {Array<{emoji: string, count: number, senders: Array<string>, includesMe: boolean}>}
+   */
+  getMessageReactions(message) {
+    const groups = new Map();
+    const reactions = Object.entries(message?.reactions || {})
+      .filter(([, reaction]) => reaction && reaction.emoji)
+      .sort(([, a], [, b]) => new Date(a.changedAt) - new Date(b.changedAt));
+
+    for (const [sender, { emoji }] of reactions) {
+      if (!groups.has(emoji)) groups.set(emoji, { emoji, count: 0, senders: [], includesMe: false });
+      const group = groups.get(emoji);
+      group.count++;
+      group.senders.push(sender);
+      if (sender === this.currentUserKey) group.includesMe = true;
+    }
+    return [...groups.values()];
+  }
+
+  /**
+   * @private
+   */
+  _createReaction(scope, messageId, emoji) {
+    const message = this._getScopeMessages(scope).find(msg => msg && msg.id === messageId);
+    if (!this.canReactToMessage(message)) throw new Error('This message cannot be reacted to');
+    if (emoji !== null && !this._isValidReaction(emoji)) throw new Error('Reactions must be a single emoji');
+
+    return { messageId, emoji, changedAt: new Date().toISOString() };
+  }
+
+  /**
+   * @private
+   */
+  _isValidReaction(emoji) {
+    return typeof emoji === 'string' && /^\p{Extended_Pictographic}/u.test(emoji) && [...emoji].length <= 8;
+  }
+
+  /**
+   * Apply an edit, delete or reaction from another participant, or keep it until the message it changes arrives
+   * @param {Object} scope - {contactPublicKey} or {groupId}
+   * @param {Object} envelope - Decoded control message
+   * @param {string} actorId - Sender of the control message
+   * @private
+   */
+  _receiveMessageChange(scope, envelope, actorId) {
+    const change = this._parseMessageChange(envelope);
+    if (!change || this._applyMessageChange(scope, change, actorId)) return;
+
+    const queued = [...(this.pendingMessageChanges[change.messageId] || []), { scope, change, actorId }];
+    const entries = Object.entries({ ...this.pendingMessageChanges, [change.messageId]: queued });
+    this.pendingMessageChanges = Object.fromEntries(entries.slice(-MAX_PENDING_MESSAGE_CHANGES));
+    localDatabase.saveValue('pendingMessageChanges', this.pendingMessageChanges);
+  }
+
+  /**
+   * Apply edits, deletes and reactions that arrived before a newly stored message
+   * @private
+   */
+  _applyPendingMessageChanges(messageId) {
+    const queued = this.pendingMessageChanges[messageId];
+    if (!queued) return;
+
+    queued.forEach(({ scope, change, actorId }) => this._applyMessageChange(scope, change, actorId));
+
+    this.pendingMessageChanges = { ...this.pendingMessageChanges };
+    delete this.pendingMessageChanges[messageId];
+    localDatabase.saveValue('pendingMessageChanges', this.pendingMessageChanges);
+  }
+
+  /**
+   * Update, tombstone or react to the stored copy of a message
+   * @returns {boolean} - False when the message is not stored (yet)
+   * @private
+   */
+  _applyMessageChange(scope, change, actorId) {
+    const messages = this._getScopeMessages(scope);
+    const index = messages.findIndex(msg => msg && msg.id === change.messageId);
+    if (index === -1) return false;
+
+    const message = messages[index];
+    const sentAt = new Date(message.timestamp).getTime();
+    const changedAt = new Date(change.changedAt).getTime();
+
+    // Anyone in the conversation can react, each participant's latest reaction wins
+    if (change.type === 'reaction') {
+      const current = message.reactions?.[actorId];
+      if (!this.canReactToMessage(message) || (current && new Date(current.changedAt).getTime() >= changedAt)) return true;
+
+      messages[index] = {
+        ...message,
+        reactions: { ...message.reactions, [actorId]: { emoji: change.emoji, changedAt: change.changedAt } }
+      };
+      this._persistScope(scope, [message.id]);
+      this._notifyMessageChanged(scope, change);
+      return true;
+    }
+
+    // Only the sender can change a message, and a deleted message stays deleted
+    if (message.sender !== actorId || message.isSystem || message.isDeleted) {
+      console.warn(`Ignoring ${change.type} of message ${change.messageId} from ${actorId}`);
+      return true;
+    }
+
+    const changedIds = [message.id];
+    if (change.type === 'delete') {
+      if (changedAt - sentAt > DELETE_FOR_EVERYONE_WINDOW) {
+        console.warn(`Ignoring late delete of message ${change.messageId}`);
+        return true;
+      }
+
+      // The tombstone keeps the place of the message in the timeline, nothing of its content
+      messages[index] = {
+        id: message.id,
+        sender: message.sender,
+        recipient: message.recipient,
+        groupId: message.groupId,
+        isGroupMsg: message.isGroupMsg,
+        timestamp: message.timestamp,
+        status: message.status,
+        expiresAt: message.expiresAt,
+        content: '',
+        isDeleted: true,
+        deletedAt: change.changedAt
+      };
+
+      // Replies must not keep quoting what was deleted
+      messages.forEach((msg, replyIndex) => {
+        if (msg?.replyTo?.messageId === change.messageId) {
+          messages[replyIndex] = { ...msg, replyTo: { ...msg.replyTo, snippet: '' } };
+          changedIds.push(msg.id);
+        }
+      });
+    } else {
+      if (changedAt <= sentAt || this._isFileMessage(message)) {
+        console.warn(`Ignoring invalid edit of message ${change.messageId}`);
+        return true;
+      }
+
+      // Edits can arrive out of order, the newest one is shown and the others become the history
+      const versions = [
+        ...(message.editHistory || []),
+        { content: message.content, editedAt: message.editedAt || message.timestamp },
+        { content: change.content, editedAt: change.changedAt }
+      ].sort((a, b) => new Date(a.editedAt) - new Date(b.editedAt));
+      const latest = versions.pop();
+
+      messages[index] = { ...message, content: latest.content, editedAt: latest.editedAt, editHistory: versions };
+    }
+
+    this._persistScope(scope, changedIds);
+    this._notifyMessageChanged(scope, change);
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  _notifyMessageChanged(scope, change) {
+    if (typeof window !== 'undefined') {
+      window.dispatchEvent(new CustomEvent('messageChanged', {
+        detail: { ...scope, messageId: change.messageId, type: change.type }
+      }));
+    }
+  }
+
+  /**
+   * @private
+   */
+  _parseMessageChange(envelope) {
+    const { type } = envelope;
+    const change = { ...envelope.body, messageId: envelope.references.messageId };
+
+    const isValid = typeof change.messageId === 'string' && change.messageId.length > 0 &&
+      typeof change.changedAt === 'string' && !isNaN(new Date(change.changedAt).getTime()) &&
+      (type !== MESSAGE_TYPES.EDIT || (typeof change.content === 'string' && change.content.length > 0)) &&
+      (type !== MESSAGE_TYPES.REACTION || change.emoji === null || this._isValidReaction(change.emoji));
+    if (!isValid) {
+      console.warn(`Ignoring malformed ${type} message`);
+      return null;
+    }
+
+    if (type === MESSAGE_TYPES.EDIT) return { type, messageId: change.messageId, content: change.content, changedAt: change.changedAt };
+    if (type === MESSAGE_TYPES.REACTION) return { type, messageId: change.messageId, emoji: change.emoji, changedAt: change.changedAt };
+    return { type, messageId: change.messageId, changedAt: change.changedAt };
+  }
+
+  /**
+   * Whether read and delivery receipts are sent, and read receipts shown for other people's receipts
+   * @returns {boolean}
+   */
+  isReadReceiptsEnabled() {
+    if (typeof localStorage === 'undefined') return true;
+    return localStorage.getItem(READ_RECEIPTS_SETTING_KEY) !== 'off';
+  }
+
+  /**
+   * Turn receipts on or off, people who do not send read receipts do not see them either
+   * @param {boolean} enabled - Whether to send receipts and show read receipts
+   */
+  setReadReceiptsEnabled(enabled) {
+    localStorage.setItem(READ_RECEIPTS_SETTING_KEY, enabled ? 'on' : 'off');
+  }
+
+  /**
+   * Who read one of our messages and when, empty while read receipts are off
+   * @param {Object} message - Stored message
+   * @returns {Array<{reader: string, readAt: string}>} - Readers, earliest first
+   */
+  getMessageReaders(message) {
+    if (!message || message.sender !== this.currentUserKey || !this.isReadReceiptsEnabled()) return [];
+    return Object.entries(message.readBy || {})
+      .map(([reader, readAt]) => ({ reader, readAt }))
+      .sort((a, b) => new Date(a.readAt) - new Date(b.readAt));
+  }
+
+  /**
+   * Tell the senders of messages read since the given time that they were read
+   * @private
+   */
+  _sendReadReceipt(scope, messages, since) {
+    if (!this.isReadReceiptsEnabled()) return;
+
+    const sinceTime = since ? new Date(since).getTime() : 0;
+    const messageIds = messages
+      .filter(msg => msg && msg.id && msg.sender !== this.currentUserKey && !msg.isSystem && !msg.isDeleted &&
+        new Date(msg.timestamp).getTime() > sinceTime)
+      .slice(-MAX_RECEIPT_IDS)
+      .map(msg => msg.id);
+    if (messageIds.length === 0) return;
+
+    const receipt = { readAt: new Date().toISOString() };
+    const sent = scope.groupId
+      ? this._sendGroupControl(scope.groupId, MESSAGE_TYPES.READ_RECEIPT, receipt, { messageIds })
+      : this._sendDirectControl(scope.contactPublicKey, MESSAGE_TYPES.READ_RECEIPT, receipt, { messageIds });
+    sent.catch(error => console.warn('Failed to send read receipt:', error));
+  }
+
+  /**
+   * Tell the sender of newly stored messages that they arrived, unless receipts are turned off
+   * Group receipts are collected for a while and sent as one
+   * @private
+   */
+  _sendDeliveryReceipt(scope, messageIds) {
+    if (messageIds.length === 0 || !this.isReadReceiptsEnabled()) return;
+    if (!scope.groupId) {
+      this._postDeliveryReceipt(scope, messageIds);
+      return;
+    }
+
+    const pending = this.pendingGroupReceipts[scope.groupId] || { messageIds: [], timer: null };
+    pending.messageIds = [...pending.messageIds, ...messageIds];
+    if (!pending.timer) {
+      pending.timer = setTimeout(() => {
+        delete this.pendingGroupReceipts[scope.groupId];
+        // The setting may have been turned off in the meantime
+        if (this.isReadReceiptsEnabled()) this._postDeliveryReceipt(scope, pending.messageIds);
+      }, GROUP_RECEIPT_DELAY);
+    }
+    this.pendingGroupReceipts[scope.groupId] = pending;
+  }
+
+  /**
+   * @private
+   */
+  _postDeliveryReceipt(scope, messageIds) {
+    const receipt = { deliveredAt: new Date().toISOString() };
+    const references = { messageIds: messageIds.slice(-MAX_RECEIPT_IDS) };
+    const sent = scope.groupId
+      ? this._sendGroupControl(scope.groupId, MESSAGE_TYPES.DELIVERY_RECEIPT, receipt, references)
+      : this._sendDirectControl(scope.contactPublicKey, MESSAGE_TYPES.DELIVERY_RECEIPT, receipt, references);
+    sent.catch(error => console.warn('Failed to send delivery receipt:', error));
+  }
+
+  /**
+   * Record that a participant received or read some of our messages
+   * @param {Object} scope - {contactPublicKey} or {groupId}
+   * @param {Object} envelope - Decoded read or delivery receipt
+   * @param {string} actorId - Sender of the receipt
+   * @private
+   */
+  _receiveReceipt(scope, envelope, actorId) {
+    const isRead = envelope.type === MESSAGE_TYPES.READ_RECEIPT;
+    const [timeField, recordField] = isRead ? ['readAt', 'readBy'] : ['deliveredAt', 'deliveredTo'];
+
+    const at = envelope.body?.[timeField];
+    const receiptIds = envelope.references.messageIds;
+    if (!Array.isArray(receiptIds) || typeof at !== 'string' || isNaN(new Date(at).getTime())) {
+      console.warn('Ignoring malformed receipt');
+      return;
+    }
 
+    const messageIds = new Set(receiptIds.slice(0, MAX_RECEIPT_IDS));
+    const messages = this._getScopeMessages(scope);
+    const changedIds = [];
 
-    // Reference to call service (will be set later)
-    this.callService = null;
+    messages.forEach((message, index) => {
+      if (!message || message.sender !== this.currentUserKey || !messageIds.has(message.id) || message[recordField]?.[actorId]) return;
+      messages[index] = { ...message, [recordField]: { ...message[recordField], [actorId]: at } };
+      this._setMessageStatus(scope, messages[index], isRead ? 'read' : 'delivered', at);
+      changedIds.push(message.id);
+    });
+    if (changedIds.length === 0) return;
 
-    this.groups = [];
-    this.groupMessages = {};
+    this._persistScope(scope, changedIds);
+    if (isRead) this._notifyMessageChanged(scope, { type: 'read', messageId: null });
+  }
 
-    this.groupReadTimestamps = {};
+  /**
+   * Where a message is in its lifecycle: queued, sending, sent, delivered, read, failed or expired
+   * Messages are only reported as read while read receipts are on
+   * @param {Object} message - Stored message
+   * @returns {string} - Status
+   */
+  getMessageStatus(message) {
+    const status = this._getStoredStatus(message);
+    return status === 'read' && !this.isReadReceiptsEnabled() ? 'delivered' : status;
   }
 
   /**
-   * Initialize the conversation manager
-   * @param {string} currentUserKey - Current user's public key
+   * When a message reached each status it went through, oldest first
+   * @param {Object} message - Stored message
+   * @returns {Array<{status: string, at: string}>}
    */
-  async initialize(currentUserKey) {
-    if (this.initialized) return true;
+  getMessageStatusHistory(message) {
+    // Messages stored before statuses were tracked only know when they were written
+    const times = message.statusTimes
+      ? { ...message.statusTimes }
+      : { [message.sender === this.currentUserKey ? 'sent' : 'delivered']: message.timestamp };
+    if (!this.isReadReceiptsEnabled()) delete times.read;
+
+    return Object.entries(times)
+      .filter(([, at]) => at)
+      .map(([status, at]) => ({ status, at }))
+      .sort((a, b) => new Date(a.at) - new Date(b.at));
+  }
 
-    try {
-      if (!currentUserKey) {
-        console.error('No user key provided for initialization');
-        return false;
-      }
+  /**
+   * Move a message along its lifecycle and record when it got there, dispatching a
+   * `messageStatusChanged` event with the scope, messageId, from, to and at
+   * Moves the lifecycle does not allow, e.g. from read back to delivered, are ignored
+   * @returns {boolean} - Whether the status changed
+   * @private
+   */
+  _setMessageStatus(scope, message, status, at = new Date().toISOString()) {
+    const from = this._getStoredStatus(message);
+    if (from === status || !MESSAGE_STATUS_TRANSITIONS[from].includes(status)) return false;
 
-      this.currentUserKey = currentUserKey;
+    message.status = status;
+    message.statusTimes = { ...message.statusTimes, [status]: at };
 
-      // Initialize the contact store
-      if (contactStore && typeof contactStore.initialize === 'function') {
-        await contactStore.initialize();
-      } else {
-        console.warn('Contact store not available or initialize method missing');
-      }
+    if (typeof window !== 'undefined') {
+      window.dispatchEvent(new CustomEvent('messageStatusChanged', {
+        detail: { ...scope, messageId: message.id, from, to: status, at }
+      }));
+    }
+    return true;
+  }
 
-      // Load conversation data from localStorage (for persistence)
-      try {
-        const savedConversations = localStorage.getItem('subworld_conversations');
-        if (savedConversations) {
-          const parsed = JSON.parse(savedConversations);
-          this.conversations = Array.isArray(parsed) ? parsed : [];
-        } else {
-          this.conversations = [];
-        }
-      } catch (storageError) {
-        console.error('Error loading conversations from storage:', storageError);
-        this.conversations = [];
-      }
+  /**
+   * @private
+   */
+  _getStoredStatus(message) {
+    const status = LEGACY_MESSAGE_STATUSES[message?.status] || message?.status;
+    if (MESSAGE_STATUS_TRANSITIONS[status]) return status;
+    return message?.sender === this.currentUserKey ? 'sent' : 'delivered';
+  }
 
-      await this.initializeGroups();
+  /**
+   * Look up the message a reply quotes, to show whether it can still be jumped to
+   * @param {'dm'|'group'} type - Kind of conversation
+   * @param {string} id - Contact public key or group ID
+   * @param {string} messageId - ID of the quoted message
+   * @returns {{status: 'available'|'deleted'|'expired'|'unavailable', message: Object|null}} - message is null
+   *   when the quoted message is stored but not loaded
+   */
+  getQuotedMessage(type, id, messageId) {
+    const messages = this._getScopeMessages(type === 'group' ? { groupId: id } : { contactPublicKey: id });
+    const message = messages.find(msg => msg && msg.id === messageId) || null;
+
+    if (message) return { status: message.isDeleted ? 'deleted' : 'available', message };
+    // Older messages are in the local database until their page is loaded
+    if (localDatabase.isMessageStored(messageId)) return { status: 'available', message: null };
+    return { status: this.expiredMessageIds.includes(messageId) ? 'expired' : 'unavailable', message: null };
+  }
 
-      this.initialized = true;
+  /**
+   * Reference to a stored message with a short quote of it, sent along with a reply
+   * @private
+   */
+  _createReplyReference(messages, messageId) {
+    const message = messages.find(msg => msg && msg.id === messageId);
+    if (!message || message.isSystem || message.isDeleted) {
+      throw new Error('The message you are replying to is no longer available');
+    }
 
-      // Auto-fetching disabled
-      console.log('Auto-fetching disabled to reduce server load');
+    let snippet;
+    if (this._isFileMessage(message)) {
+      const fileName = message.fileName || message.fileData?.fileName || this._parseGroupFileName(message.content);
+      snippet = `File: ${fileName || 'Unnamed file'}`;
+    } else if (this.getCallInvitation(message)) {
+      snippet = 'Call';
+    } else if (message.isUnsupported) {
+      snippet = 'Unsupported message';
+    } else {
+      snippet = message.content;
+    }
 
-      // Make self available globally for other services
-      if (typeof window !== 'undefined') {
-        window.conversationManager = this;
-        console.log('Conversation manager registered globally');
-      }
+    return { messageId, sender: message.sender, snippet: this._truncateSnippet(snippet) };
+  }
 
-      return true;
-    } catch (error) {
-      console.error('Error initializing conversation manager:', error);
-      this.conversations = [];
-      return false;
+  /**
+   * Quote sent along with a received reply, null when it has none
+   * @private
+   */
+  _readReplyReference(replyTo) {
+    if (!replyTo) return null;
+    if (typeof replyTo.messageId !== 'string' || !replyTo.messageId) {
+      console.warn('Ignoring malformed reply');
+      return null;
     }
+
+    return {
+      messageId: replyTo.messageId,
+      sender: typeof replyTo.sender === 'string' ? replyTo.sender : null,
+      snippet: this._truncateSnippet(typeof replyTo.snippet === 'string' ? replyTo.snippet : '')
+    };
   }
 
   /**
- * Load group read timestamps from localStorage
- * @private
- */
-  _loadGroupReadTimestamps() {
-    try {
-      const timestamps = localStorage.getItem('subworld_group_read_timestamps');
-      this.groupReadTimestamps = timestamps ? JSON.parse(timestamps) : {};
-    } catch (error) {
-      console.error('Error loading group read timestamps:', error);
-      this.groupReadTimestamps = {};
+   * Fill in a received message from its envelope, as text, file, call invitation or unsupported message
+   * @param {Object} message - Received message, changed in place
+   * @param {Object} envelope - Its decoded content
+   * @returns {Object} - The same message
+   * @private
+   */
+  _applyEnvelope(message, envelope) {
+    const body = envelope.body || {};
+
+    if (envelope.type === MESSAGE_TYPES.TEXT) {
+      message.content = typeof body.text === 'string' ? body.text : '';
+      const replyTo = this._readReplyReference(envelope.references.replyTo);
+      if (replyTo) message.replyTo = replyTo;
+    } else if (envelope.type === MESSAGE_TYPES.FILE && message.isGroupMsg) {
+      // Group file messages keep their metadata as JSON, which GroupFileMessage reads
+      message.content = JSON.stringify({ messageType: 'file', ...body });
+    } else if (envelope.type === MESSAGE_TYPES.FILE) {
+      message.isFile = true;
+      message.fileID = body.fileID;
+      message.fileName = body.fileName;
+      message.fileType = body.fileType;
+      message.fileSize = body.fileSize;
+      message.content = `[File: ${body.fileName}]`;
+    } else if (envelope.type === MESSAGE_TYPES.CALL_INVITATION) {
+      message.callInvitation = { callId: body.callId, startTime: body.startTime };
+      message.content = '';
+    } else {
+      // Sent by a newer version of the app, or a type that has no place in this conversation
+      message.isUnsupported = true;
+      message.unsupportedType = envelope.type === MESSAGE_TYPES.UNSUPPORTED ? body.type : envelope.type;
+      message.content = '';
+    }
+
+    // The sender's timer stands in when the server did not say when the message expires
+    if (envelope.ttl && !message.expiresAt) {
+      const sentAt = new Date(message.timestamp || Date.now()).getTime();
+      message.expiresAt = new Date(sentAt + envelope.ttl * 1000).toISOString();
     }
+    return message;
   }
 
+  /**
+   * Call a message invites to, also for messages stored before envelopes
+   * @param {Object} message - Stored message
+   * @returns {{callId: string, startTime: string}|null}
+   */
+  getCallInvitation(message) {
+    if (!message) return null;
+    if (message.callInvitation) return message.callInvitation;
+
+    const envelope = messageEnvelope.decode(message.content);
+    return envelope.type === MESSAGE_TYPES.CALL_INVITATION ? envelope.body : null;
+  }
 
   /**
-   * Start periodic fetching of new messages - DISABLED
+   * @private
    */
-  startFetchInterval() {
-    // EMERGENCY: Disabled to prevent excessive calls
-    console.log('Auto-fetching disabled to reduce server load');
-    return;
+  _truncateSnippet(text) {
+    const singleLine = text.replace(/\s+/g, ' ').trim();
+    return singleLine.length > MAX_REPLY_SNIPPET_LENGTH
+      ? `${singleLine.slice(0, MAX_REPLY_SNIPPET_LENGTH - 1)}…`
+      : singleLine;
   }
 
   /**
-   * Stop periodic fetching
+   * @private
    */
-  stopFetchInterval() {
-    if (this.fetchInterval) {
-      clearInterval(this.fetchInterval)
-      this.fetchInterval = null
+  _parseGroupFileName(content) {
+    try {
+      return JSON.parse(content)?.fileName || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Direct file messages are flagged, group file messages carry their metadata as JSON
+   * @private
+   */
+  _isFileMessage(message) {
+    if (message.isFile) return true;
+    if (typeof message.content !== 'string' || !message.content.startsWith('{')) return false;
+    try {
+      return JSON.parse(message.content)?.messageType === 'file';
+    } catch (error) {
+      return false;
     }
   }
 
@@ -137,7 +1282,80 @@ class ConversationManager {
    * @returns {Object|null} - Conversation object or null
    */
   getConversation(contactPublicKey) {
-    return this.conversations.find(c => c.contactPublicKey === contactPublicKey) || null
+    const contactId = contactStore.resolveContactId(contactPublicKey)
+    return this.conversations.find(c => c.contactPublicKey === contactPublicKey) ||
+      this.conversations.find(c => c.contactPublicKey === contactId) ||
+      null
+  }
+
+  /**
+   * Load the next page of older messages of a conversation or group from the local database
+   * Views call this when the user scrolls to the top of what is loaded
+   * Dispatches a `messageChanged` event of type 'history' when messages were added
+   * @param {Object} scope - {contactPublicKey} or {groupId}
+   * @returns {Promise<boolean>} - Whether even older messages are stored
+   */
+  loadOlderMessages(scope) {
+    const [kind, id] = scope.groupId
+      ? ['group', scope.groupId]
+      : ['dm', this.getConversation(scope.contactPublicKey)?.contactPublicKey || scope.contactPublicKey];
+    const conversationId = `${kind}:${id}`;
+    if (this.completeHistories.has(conversationId)) return Promise.resolve(false);
+
+    if (!this.historyLoads[conversationId]) {
+      this.historyLoads[conversationId] = this._loadHistoryPage(scope, kind, id)
+        .finally(() => { delete this.historyLoads[conversationId]; });
+    }
+    return this.historyLoads[conversationId];
+  }
+
+  /**
+   * Load every stored message of a conversation or group, for exports and for moving it
+   * @param {Object} scope - {contactPublicKey} or {groupId}
+   * @returns {Promise<void>}
+   */
+  async loadFullHistory(scope) {
+    while (await this.loadOlderMessages(scope)) {
+      // Next page
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _loadHistoryPage(scope, kind, id) {
+    const conversationId = `${kind}:${id}`;
+    const before = this._getScopeMessages(scope)
+      .reduce((oldest, msg) => (msg?.timestamp && (oldest === null || msg.timestamp < oldest) ? msg.timestamp : oldest), null);
+    const page = await localDatabase.loadMessagesBefore(kind, id, before, HISTORY_PAGE_SIZE);
+
+    // The page starts at the oldest loaded message, so it repeats the ones sent at that time
+    const loaded = this._getScopeMessages(scope);
+    const loadedIds = new Set(loaded.map(msg => msg && msg.id));
+    const older = page.messages.filter(msg => msg && !loadedIds.has(msg.id));
+    if (!page.hasMore || older.length === 0) this.completeHistories.add(conversationId);
+
+    const conversation = scope.groupId ? null : this.getConversation(id);
+    if (older.length === 0 || (scope.groupId ? !this.getGroup(id) : !conversation)) return false;
+
+    if (scope.groupId) {
+      this.groupMessages[id] = [...older, ...loaded];
+    } else {
+      conversation.messages = [...older, ...loaded];
+    }
+
+    // Contacts may have moved to a new address since these were stored
+    if (this._migrateMessageAddresses(older, this._getLegacyAddresses())) {
+      this._persistScope(scope, older.map(msg => msg.id));
+    }
+    older.forEach(msg => this._applyPendingMessageChanges(msg.id));
+
+    // Queued messages that were paged out can be sent again
+    if (older.some(msg => messageOutbox.get(msg.id))) messageOutbox.resume();
+
+    searchIndex.syncConversation(kind, id, this._getScopeMessages(scope));
+    this._notifyMessageChanged(scope, { type: 'history', messageId: null });
+    return !this.completeHistories.has(conversationId);
   }
 
   /**
@@ -167,94 +1385,29 @@ class ConversationManager {
       }
 
       this.conversations.push(conversation)
-      this._persistConversations()
+      this._persistConversations([{ conversationId: contactPublicKey, messageIds: [] }])
     }
 
     return conversation
   }
 
   /**
-   * Process call signals from messages
-   * @param {Array} messages - Array of messages to check for call signals
+   * Hand a received call signal to the voice service
+   * @param {string} senderId - Sender of the signal
+   * @param {Object} signal - Call signal data
    * @private
    */
-  _processCallSignals(messages) {
-    // Skip if call service not available or already processing
-    if (typeof window === 'undefined' || !window.voiceService || this.isProcessingCallMessages) {
+  _receiveCallSignal(senderId, signal) {
+    if (!signal || typeof window === 'undefined' || typeof window.voiceService?.processSignalingMessage !== 'function') {
+      console.warn('Call service not available for processing signal');
       return;
     }
 
     try {
-      this.isProcessingCallMessages = true;
-
-      // Find call signaling messages
-      for (const message of messages) {
-        // Skip our own messages
-        if (message.sender === this.currentUserKey) continue;
-
-        // Check if this is a call signaling message
-        if (typeof message.content === 'string' && message.content.startsWith(this.callSignalPrefix)) {
-          console.log('Found call signal message:', message.id);
-
-          // Extract the signaling data
-          try {
-            const signalString = message.content.substring(this.callSignalPrefix.length);
-            const signalData = JSON.parse(signalString);
-
-            // Log the signal type for debugging
-            console.log('Processing call signal type:', signalData.type);
-
-            // Process the signaling message
-            if (window.voiceService && typeof window.voiceService.processSignalingMessage === 'function') {
-              window.voiceService.processSignalingMessage(message.sender, signalData.data || signalData);
-            } else {
-              console.warn('Call service not available for processing signal');
-            }
-          } catch (err) {
-            console.warn('Error parsing call signal:', err);
-          }
-        }
-      }
-    } catch (error) {
-      console.error('Error processing call signals:', error);
-    } finally {
-      this.isProcessingCallMessages = false;
-    }
-  }
-
-  /**
-  * Process a new message and handle any special message types (like call signals)
-  * @param {Object} message - The message to process
-  * @private
-  */
-  _processMessage(message) {
-    // Skip processing our own messages
-    if (message.sender === this.currentUserKey) return;
-
-    try {
-      // Check if this is a call signaling message
-      if (typeof message.content === 'string' && message.content.startsWith(this.callSignalPrefix)) {
-        console.log('Found call signal in _processMessage:', message.content.substring(0, 100) + '...');
-
-        try {
-          // Extract the signaling data
-          const signalString = message.content.substring(this.callSignalPrefix.length);
-          const signalData = JSON.parse(signalString);
-
-          // Process WebRTC signal immediately
-          if (typeof window !== 'undefined' && window.voiceService) {
-            if (signalData.data) {
-              window.voiceService.processSignalingMessage(message.sender, signalData.data);
-            } else {
-              window.voiceService.processSignalingMessage(message.sender, signalData);
-            }
-          }
-        } catch (err) {
-          console.warn('Error parsing call signal:', err);
-        }
-      }
+      console.log('Processing call signal type:', signal.type);
+      window.voiceService.processSignalingMessage(senderId, signal.data || signal);
     } catch (error) {
-      console.error('Error in message processor:', error);
+      console.warn('Error processing call signal:', error);
     }
   }
 
@@ -267,11 +1420,8 @@ class ConversationManager {
   async sendCallSignal(recipientPublicKey, signalData) {
     try {
       console.log("Sending call signal:", signalData.type || signalData.data?.type);
-      // Add prefix to identify as call signal
-      const signalMessage = `${this.callSignalPrefix}${JSON.stringify(signalData)}`;
-
-      // Send using regular message channel
-      await this.sendMessage(recipientPublicKey, signalMessage);
+      // Signals are handled on arrival, they are neither shown nor queued
+      await this._sendDirectControl(recipientPublicKey, MESSAGE_TYPES.CALL_SIGNAL, signalData);
       console.log("Call signal sent successfully");
       return true;
     } catch (error) {
@@ -281,99 +1431,239 @@ class ConversationManager {
   }
 
   /**
-   * Process WebRTC signaling messages
-   * @param {Object} message - The message to process
-   * @private
+  * Send a message with expiry support
+  * The message is queued in the outbox and shown as pending until it is sent
+  * @param {string} contactPublicKey - Recipient's public key
+  * @param {string} content - Message content
+  * @param {string} [replyToId] - ID of the message this one replies to
+  * @returns {Promise<Object>} - The queued message
+  */
+  async sendMessage(contactPublicKey, content, replyToId = null) {
+    // Ensure conversation exists
+    const conversation = this.createOrUpdateConversation(contactPublicKey);
+
+    // Disappearing message timer of this conversation, 0 when off
+    const ttlSeconds = this.getConversationTimer(contactPublicKey);
+
+    const replyTo = replyToId ? this._createReplyReference(conversation.messages, replyToId) : null;
+
+    // Calculate expiry timestamp
+    const expiryTimestamp = ttlSeconds > 0 ? new Date(Date.now() + ttlSeconds * 1000).toISOString() : null;
+
+    // Create message object with expiry information
+    const message = {
+      id: this._createOutgoingId(),
+      sender: this.currentUserKey,
+      recipient: contactPublicKey,
+      content,
+      timestamp: new Date().toISOString(),
+      status: 'queued',
+      statusTimes: { queued: new Date().toISOString() },
+      expiresAt: expiryTimestamp,
+      ttl: ttlSeconds || null,
+      ...(replyTo && { replyTo })
+    };
+
+    // Add to conversation
+    conversation.messages.push(message);
+    conversation.lastMessageTime = message.timestamp;
+
+    // Update conversation order based on last message time
+    this._sortConversationsByTime();
+
+    // Persist changes
+    this._persistConversations([{ conversationId: contactPublicKey, messageIds: [message.id] }]);
+
+    messageOutbox.add({
+      id: message.id,
+      scope: { contactPublicKey },
+      kind: 'message',
+      content: this._encodeText(content, replyTo, ttlSeconds),
+      ttl: ttlSeconds
+    });
+
+    return message;
+  }
+
+  /**
+   * Whether a message of the user is still in the outbox, waiting to be sent or failed
+   * @param {Object} message - Stored message
+   * @returns {boolean}
    */
-  _processWebRTCSignal(message) {
-    if (typeof window === 'undefined' || !window.voiceService) {
-      return;
+  isMessageQueued(message) {
+    return !!message && ['queued', 'sending', 'failed'].includes(this._getStoredStatus(message));
+  }
+
+  /**
+   * Outbox state of a queued message
+   * @param {string} messageId - ID of the queued message
+   * @returns {{attempts: number, nextAttemptAt: number, lastError: string|null}|null}
+   */
+  getOutgoingState(messageId) {
+    const entry = messageOutbox.get(messageId);
+    if (!entry) return null;
+
+    const { attempts, nextAttemptAt, lastError } = entry;
+    return { attempts, nextAttemptAt, lastError };
+  }
+
+  /**
+   * Try a queued message again right away, also after the outbox gave up on it
+   * @param {string} messageId - ID of the queued message
+   */
+  retryMessage(messageId) {
+    messageOutbox.retry(messageId);
+  }
+
+  /**
+   * Drop a message that was not sent yet and remove it from its conversation
+   * @param {string} messageId - ID of the queued message
+   */
+  cancelMessage(messageId) {
+    const entry = messageOutbox.cancel(messageId);
+    if (!entry) return;
+
+    const { scope } = entry;
+    if (scope.groupId) {
+      this.groupMessages[scope.groupId] = (this.groupMessages[scope.groupId] || []).filter(msg => msg && msg.id !== messageId);
+    } else {
+      const conversation = this.getConversation(scope.contactPublicKey);
+      if (conversation) conversation.messages = conversation.messages.filter(msg => msg && msg.id !== messageId);
     }
+    this._persistScope(scope, [messageId]);
+    this._notifyMessageChanged(scope, { messageId, type: 'cancel' });
+  }
 
-    try {
-      // Extract the JSON part after the prefix
-      const signalString = message.content.substring(this.callSignalPrefix.length);
-      const signalData = JSON.parse(signalString);
+  /**
+   * @private
+   */
+  _encodeText(text, replyTo, ttlSeconds) {
+    return messageEnvelope.encode({ type: MESSAGE_TYPES.TEXT, body: { text }, references: replyTo ? { replyTo } : {}, ttl: ttlSeconds });
+  }
+
+  /**
+   * @private
+   */
+  _createOutgoingId() {
+    return `local-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+  }
+
+  /**
+   * Send a message queued in the outbox, throwing lets the outbox retry it later
+   * @param {Object} entry - Outbox entry
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _deliverOutgoing(entry) {
+    const { scope } = entry;
+    const message = this._getScopeMessages(scope).find(msg => msg && msg.id === entry.id);
+    if (!message) {
+      // Expired or deleted with its conversation, there is nothing left to send
+      const isScopeGone = scope.groupId ? !this.getGroup(scope.groupId) : !this.getConversation(scope.contactPublicKey);
+      const isExpired = entry.ttl > 0 && new Date(entry.createdAt).getTime() + entry.ttl * 1000 <= Date.now();
+      if (isScopeGone || isExpired) return;
+
+      // Paged out of the loaded history, it is sent once it is loaded again so its status can be kept
+      throw new Error('The queued message is not loaded');
+    }
 
-      // Log the signal type for debugging
-      console.log('Processing call signal type:', signalData.type);
+    const metadata = entry.kind === 'file' ? await this._uploadOutgoingFile(entry, message) : null;
+    const content = metadata
+      ? messageEnvelope.encode({ type: MESSAGE_TYPES.FILE, body: metadata, ttl: entry.ttl })
+      : entry.content;
+
+    let result;
+    if (scope.groupId) {
+      // Members need our sender key before they can read the message
+      await this._distributeSenderKey(scope.groupId);
+      const encryptedContent = senderKeyManager.encryptGroupMessage(scope.groupId, content);
+      result = await subworldNetwork.sendGroupMessage(scope.groupId, encryptedContent, entry.ttl);
+    } else {
+      result = await subworldNetwork.sendMessage(scope.contactPublicKey, content, entry.ttl);
+    }
 
-      // Process the signaling message with the voice service
-      if (window.voiceService && typeof window.voiceService.processSignalingMessage === 'function') {
-        window.voiceService.processSignalingMessage(message.sender, signalData);
+    // From now on the message goes by its network ID, which fetches, replies and reactions use
+    const queuedId = message.id;
+    if (result?.messageId) message.id = result.messageId;
+    this._setMessageStatus(scope, message, 'sent');
+    if (metadata) {
+      if (scope.groupId) {
+        message.content = JSON.stringify({ messageType: 'file', ...metadata });
       } else {
-        console.warn('Voice service not available for processing signal');
+        message.fileID = metadata.fileID;
       }
-    } catch (error) {
-      console.warn('Error processing WebRTC signal:', error);
     }
+
+    this._persistScope(scope, [queuedId, message.id]);
   }
 
   /**
-  * Modified sendMessage method with expiry support
-  * @param {string} contactPublicKey - Recipient's public key
-  * @param {string} content - Message content
-  * @returns {Promise<Object>} - The sent message
-  */
-  async sendMessage(contactPublicKey, content) {
-    try {
-      // Ensure conversation exists
-      const conversation = this.createOrUpdateConversation(contactPublicKey);
-
-      // Get the auto-deletion setting (in hours)
-      let expiryHours = 24; // Default 24 hours
-      try {
-        const storedExpiry = localStorage.getItem('subworld_message_expiry');
-        if (storedExpiry) {
-          expiryHours = parseInt(storedExpiry, 10);
-          if (isNaN(expiryHours) || expiryHours < 1) {
-            expiryHours = 24;
-          }
+   * Upload the file of an outbox entry once, then describe it for the message announcing it
+   * @returns {Promise<Object>} - File metadata
+   * @private
+   */
+  async _uploadOutgoingFile(entry, message) {
+    const { scope, file } = entry;
+
+    // A file uploaded by an earlier attempt is only announced again
+    if (!entry.fileId) {
+      const fileData = decodeBase64(file.data);
+      let uploaded;
+      if (scope.groupId) {
+        uploaded = await this._uploadGroupFile(scope.groupId, file, fileData);
+      } else {
+        const uploadResult = await subworldNetwork.uploadFile(
+          scope.contactPublicKey,
+          new File([fileData], file.name, { type: file.type }),
+          entry.ttl
+        );
+        if (!uploadResult.success || !uploadResult.fileId) {
+          throw new Error('Failed to upload file to the network');
         }
-      } catch (err) {
-        console.warn('Error reading expiry setting:', err);
+        uploaded = { fileId: uploadResult.fileId };
       }
 
-      const ttlSeconds = expiryHours * 3600; // Convert hours to seconds
-
-      // Send through network service with TTL
-      const result = await subworldNetwork.sendMessage(
-        contactPublicKey,
-        content,
-        ttlSeconds
-      );
+      // The contents are not needed any more once uploaded
+      messageOutbox.update(entry.id, { ...uploaded, file: { ...file, data: null } });
+    }
 
-      // Calculate expiry timestamp
-      const expiryDate = new Date(Date.now() + ttlSeconds * 1000);
-      const expiryTimestamp = expiryDate.toISOString();
-
-      // Create message object with expiry information
-      const message = {
-        id: result.messageId || `local-${Date.now()}`,
-        sender: this.currentUserKey,
-        recipient: contactPublicKey,
-        content,
-        timestamp: new Date().toISOString(),
-        status: 'sent',
-        expiresAt: expiryTimestamp,
-        ttl: ttlSeconds
+    if (scope.groupId) {
+      return {
+        fileID: entry.fileId,
+        fileName: file.name,
+        fileType: file.type,
+        fileSize: file.size,
+        fileKey: entry.fileKey,
+        timestamp: message.timestamp,
+        isGroupFile: true
       };
+    }
 
-      // Add to conversation
-      conversation.messages.push(message);
-      conversation.lastMessageTime = message.timestamp;
-
-      // Update conversation order based on last message time
-      this._sortConversationsByTime();
+    return {
+      fileID: entry.fileId,
+      fileName: file.name,
+      fileType: file.type,
+      fileSize: file.size,
+      expiresAt: message.expiresAt,
+      ttl: message.ttl
+    };
+  }
 
-      // Persist changes
-      this._persistConversations();
+  /**
+   * Keep a queued message in line with its outbox entry, so it shows whether it is being sent or failed
+   * @param {Object} entry - Outbox entry
+   * @private
+   */
+  _updateOutgoingStatus(entry) {
+    const message = this._getScopeMessages(entry.scope).find(msg => msg && msg.id === entry.id);
+    if (!message) return;
 
-      return message;
-    } catch (error) {
-      console.error('Error sending message:', error);
-      throw error;
+    const status = { pending: 'queued', sending: 'sending', failed: 'failed' }[entry.status];
+    if (this._setMessageStatus(entry.scope, message, status)) {
+      this._persistScope(entry.scope, [message.id]);
     }
+    // Attempts and errors change without a new status
+    this._notifyMessageChanged(entry.scope, { messageId: entry.id, type: 'outbox' });
   }
 
   _calculateGroupUnreadCounts() {
@@ -391,7 +1681,7 @@ class ConversationManager {
 
       // Count messages newer than last read timestamp
       for (const message of messages) {
-        if (message.sender !== this.currentUserKey) { // Don't count our own messages
+        if (message.sender !== this.currentUserKey && !message.isSystem && !message.isDeleted) { // Don't count our own messages or notices
           const messageTime = new Date(message.timestamp);
           if (messageTime > lastReadTime) {
             unreadCount++;
@@ -439,7 +1729,8 @@ class ConversationManager {
       let newMessageCount = 0;
 
       try {
-        messages = await subworldNetwork.fetchMessages();
+        const knownMessageIds = this._getKnownMessageIds();
+        messages = await subworldNetwork.fetchMessages(id => knownMessageIds.has(id) || localDatabase.isMessageStored(id));
         console.log('Messages received:', messages ? (Array.isArray(messages) ? messages.length : 'non-array') : 'null');
       } catch (fetchError) {
         console.error('Error in network fetchMessages:', fetchError);
@@ -458,7 +1749,21 @@ class ConversationManager {
       }
 
       // Process new messages
-      const processedIds = [];
+      // Delivery receipts go to the inbox each message arrived in
+      const processedIdsByInbox = {};
+      // Senders are told which of their messages arrived, per contact
+      const deliveredIdsByContact = {};
+      // Messages added to each conversation, the only ones written to the database
+      const storedIdsByContact = {};
+
+      // Control messages are applied rather than stored, the node is told they arrived once applied
+      const markControlApplied = (message) => {
+        this._rememberControlMessage(message.id);
+        if (message.id && message.sender !== this.currentUserKey) {
+          const inbox = message.networkRecipient || this.currentUserKey;
+          processedIdsByInbox[inbox] = [...(processedIdsByInbox[inbox] || []), message.id];
+        }
+      };
 
       for (let i = 0; i < messages.length; i++) {
         const message = messages[i];
@@ -475,30 +1780,73 @@ class ConversationManager {
           continue;
         }
 
-        try {
-          // Process any call signals in this message immediately
-          this._processMessage(message);
-
-          // Check if this is a file metadata message
-          if (typeof message.content === 'string') {
-            try {
-              const potentialMetadata = JSON.parse(message.content);
-              if (potentialMetadata && potentialMetadata.messageType === 'file') {
-                // This is a file metadata message - convert it to a file message
-                message.isFile = true;
-                message.fileID = potentialMetadata.fileID;
-                message.fileName = potentialMetadata.fileName;
-                message.fileType = potentialMetadata.fileType;
-                message.fileSize = potentialMetadata.fileSize;
-                // Update the content to show it's a file
-                message.content = `[File: ${potentialMetadata.fileName}]`;
-                console.log('Converted message to file message:', message);
-              }
-            } catch (jsonError) {
-              // Not JSON, just a regular message
+        try {
+          const envelope = messageEnvelope.decode(message.content);
+
+          // Session resets only restart the ratchet, they are not shown
+          if (envelope.type === MESSAGE_TYPES.SESSION_RESET) {
+            markControlApplied(message);
+            continue;
+          }
+
+          // Group sender keys are stored, not shown
+          if (envelope.type === MESSAGE_TYPES.SENDER_KEY) {
+            if (message.senderVerified !== false) {
+              await this._receiveSenderKey(message.sender, envelope.body?.distribution);
+            } else {
+              console.warn('Ignoring sender key from unverified sender', message.sender);
+            }
+            markControlApplied(message);
+            continue;
+          }
+
+          // Call signals go straight to the voice service
+          if (envelope.type === MESSAGE_TYPES.CALL_SIGNAL) {
+            if (message.senderVerified === false) {
+              console.warn('Ignoring call signal from unverified sender', message.sender);
+            } else if (message.sender !== this.currentUserKey) {
+              this._receiveCallSignal(message.sender, envelope.body);
+            }
+            markControlApplied(message);
+            continue;
+          }
+
+          // Timer changes update the conversation and leave a notice in the timeline
+          if (envelope.type === MESSAGE_TYPES.TIMER) {
+            if (message.senderVerified !== false) {
+              this._receiveConversationTimer(message, envelope);
+            } else {
+              console.warn('Ignoring message timer change from unverified sender', message.sender);
+            }
+            markControlApplied(message);
+            continue;
+          }
+
+          // Read and delivery receipts move our own messages along their lifecycle
+          if (this._isReceipt(envelope)) {
+            if (message.senderVerified !== false && message.sender !== this.currentUserKey) {
+              this._receiveReceipt({ contactPublicKey: message.sender }, envelope, message.sender);
+            }
+            markControlApplied(message);
+            continue;
+          }
+
+          // Edits, deletes and reactions change the stored copy of an earlier message
+          // without counting as new messages or moving the conversation up
+          if (this._isMessageChange(envelope)) {
+            if (message.senderVerified !== false) {
+              const contactPublicKey = message.sender === this.currentUserKey ? message.recipient : message.sender;
+              this._receiveMessageChange({ contactPublicKey }, envelope, message.sender);
+            } else {
+              console.warn('Ignoring message change from unverified sender', message.sender);
             }
+            markControlApplied(message);
+            continue;
           }
 
+          // Text, files, call invitations and anything this version cannot show
+          this._applyEnvelope(message, envelope);
+
           // Determine the other party (sender if received, recipient if sent)
           const contactPublicKey = message.sender === this.currentUserKey
             ? message.recipient
@@ -522,8 +1870,18 @@ class ConversationManager {
           const messageExists = conversation.messages.some(m => m && m.id === message.id);
 
           if (!messageExists) {
+            if (message.sender !== this.currentUserKey) {
+              this._applyRetention(message, this.getConversationTimer(contactPublicKey));
+            }
+
+            // Received messages are delivered once stored, our own ones coming back were sent
+            message.status = message.sender === this.currentUserKey ? 'sent' : 'delivered';
+            message.statusTimes = { [message.status]: message.sender === this.currentUserKey ? message.timestamp : new Date().toISOString() };
+
             // Add message to conversation
             conversation.messages.push(message);
+            storedIdsByContact[contactPublicKey] = [...(storedIdsByContact[contactPublicKey] || []), message.id];
+            this._applyPendingMessageChanges(message.id);
 
             // Update last message time safely
             const messageTime = new Date(message.timestamp || Date.now());
@@ -539,7 +1897,9 @@ class ConversationManager {
 
               // Collect ID for delivery receipt
               if (message.id) {
-                processedIds.push(message.id);
+                const inbox = message.networkRecipient || this.currentUserKey;
+                processedIdsByInbox[inbox] = [...(processedIdsByInbox[inbox] || []), message.id];
+                deliveredIdsByContact[contactPublicKey] = [...(deliveredIdsByContact[contactPublicKey] || []), message.id];
               }
             }
           }
@@ -549,19 +1909,23 @@ class ConversationManager {
         }
       }
 
-      console.log("Processing call signals from messages if any...");
-      this._processCallSignals(messages);
+      await this._recoverOutOfSyncSessions();
+      await this._migrateLegacyAddresses();
 
       // Mark messages as delivered on the server if any were found
-      if (newMessageCount > 0 && processedIds.length > 0) {
+      if (Object.keys(processedIdsByInbox).length > 0) {
         try {
           // Fire and forget - don't wait for this to complete
-          subworldNetwork.markMessagesAsDelivered(this.currentUserKey, processedIds)
-            .catch(err => console.log('Failed to mark messages as delivered:', err));
+          for (const [inbox, inboxMessageIds] of Object.entries(processedIdsByInbox)) {
+            subworldNetwork.markMessagesAsDelivered(inbox, inboxMessageIds)
+              .catch(err => console.log('Failed to mark messages as delivered:', err));
+          }
         } catch (markError) {
           console.error('Error initiating mark as delivered:', markError);
         }
       }
+      Object.entries(deliveredIdsByContact).forEach(([contactPublicKey, messageIds]) =>
+        this._sendDeliveryReceipt({ contactPublicKey }, messageIds));
 
       // Additionally fetch group messages for all groups
       try {
@@ -615,9 +1979,9 @@ class ConversationManager {
         // Sort conversations
         this._sortConversationsByTime();
 
-        // Persist changes
-        this._persistConversations();
-        this._persistGroupMessages();
+        // Group messages were persisted as they were fetched
+        this._persistConversations(Object.entries(storedIdsByContact)
+          .map(([conversationId, messageIds]) => ({ conversationId, messageIds })));
         this._persistGroups();
       } catch (updateError) {
         console.error('Error updating conversation state:', updateError);
@@ -639,109 +2003,202 @@ class ConversationManager {
   }
 
   /**
- * Modified sendFile method with expiry support
- * @param {string} contactPublicKey - Recipient's public key
- * @param {File} file - The file to send
- * @returns {Promise<Object>} - The sent message
- */
-  async sendFile(contactPublicKey, file) {
-    try {
-      // Ensure conversation exists
-      const conversation = this.createOrUpdateConversation(contactPublicKey);
+   * IDs of messages that are loaded or were handled as control messages
+   * Messages that are stored but not loaded are known to localDatabase.isMessageStored
+   * @returns {Set<string>}
+   * @private
+   */
+  _getKnownMessageIds() {
+    const knownMessageIds = new Set([...this.handledControlMessageIds, ...this.expiredMessageIds]);
+    for (const conversation of this.conversations) {
+      for (const message of conversation.messages || []) {
+        if (message && message.id) knownMessageIds.add(message.id);
+      }
+    }
+    return knownMessageIds;
+  }
 
-      // Show original file size
-      const fileSizeFormatted = this.formatFileSize(file.size);
+  /**
+   * Remember a control message so it is not processed again
+   * @param {string} messageId - Message ID
+   * @private
+   */
+  _rememberControlMessage(messageId) {
+    if (!messageId || this.handledControlMessageIds.includes(messageId)) return;
 
-      // Get the auto-deletion setting (in hours)
-      let expiryHours = 24; // Default 24 hours
-      try {
-        const storedExpiry = localStorage.getItem('subworld_message_expiry');
-        if (storedExpiry) {
-          expiryHours = parseInt(storedExpiry, 10);
-          if (isNaN(expiryHours) || expiryHours < 1) {
-            expiryHours = 24;
-          }
-        }
-      } catch (err) {
-        console.warn('Error reading expiry setting:', err);
-      }
+    this.handledControlMessageIds = [...this.handledControlMessageIds, messageId].slice(-MAX_CONTROL_MESSAGE_IDS);
+    localDatabase.saveValue('controlMessageIds', this.handledControlMessageIds);
+  }
+
+  /**
+   * Move conversations and messages from legacy display keys to v2 addresses
+   * Contacts move once their full public key is known, so this runs again after every fetch
+   * @private
+   */
+  async _migrateLegacyAddresses() {
+    for (const contact of contactStore.getAllContacts()) {
+      await contactStore.migrateContactToAddress(contact.publicKey);
+    }
 
-      const ttlSeconds = expiryHours * 3600; // Convert hours to seconds
+    const currentIds = this._getLegacyAddresses();
+    if (currentIds.size === 0) return;
+    const migrateMessages = (messages) => this._migrateMessageAddresses(messages, currentIds);
 
-      // Upload the file to the network with expiry
-      const uploadResult = await subworldNetwork.uploadFile(
-        contactPublicKey,
-        file,
-        ttlSeconds
-      );
+    // A conversation that moves is written under its new address, so all of its messages are loaded first.
+    // Messages of other conversations are migrated as their pages are loaded
+    for (const conversation of this.conversations.filter(c => currentIds.has(c.contactPublicKey))) {
+      const contactId = currentIds.get(conversation.contactPublicKey);
+      await this.loadFullHistory({ contactPublicKey: conversation.contactPublicKey });
+      if (this.conversations.some(c => c.contactPublicKey === contactId)) await this.loadFullHistory({ contactPublicKey: contactId });
+    }
+
+    let conversationsChanged = false;
+    for (const conversation of [...this.conversations]) {
+      if (migrateMessages(conversation.messages)) conversationsChanged = true;
 
-      if (!uploadResult.success || !uploadResult.fileId) {
-        throw new Error('Failed to upload file to the network');
+      const contactId = currentIds.get(conversation.contactPublicKey);
+      if (!contactId) continue;
+      conversationsChanged = true;
+
+      const target = this.conversations.find(c => c.contactPublicKey === contactId);
+      if (!target) {
+        conversation.contactPublicKey = contactId;
+        continue;
       }
 
-      // Create a unique ID for this message
-      const messageId = `file-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
-
-      // Calculate expiry timestamp
-      const expiryDate = new Date(Date.now() + ttlSeconds * 1000);
-      const expiryTimestamp = expiryDate.toISOString();
-
-      // Create message object with file reference and expiry information
-      const message = {
-        id: messageId,
-        sender: this.currentUserKey,
-        recipient: contactPublicKey,
-        content: `[File: ${file.name}]`,
-        timestamp: new Date().toISOString(),
-        status: 'sent',
-        isFile: true,
-        fileID: uploadResult.fileId,
-        fileName: file.name,
-        fileType: file.type,
-        fileSize: file.size,
-        expiresAt: expiryTimestamp,
-        ttl: ttlSeconds
-      };
+      // Both IDs had a conversation, keep one with the messages of both
+      const targetMessageIds = new Set(target.messages.map(m => m && m.id));
+      target.messages.push(...conversation.messages.filter(m => m && !targetMessageIds.has(m.id)));
+      target.messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      target.unreadCount = (target.unreadCount || 0) + (conversation.unreadCount || 0);
+      if (new Date(conversation.lastMessageTime || 0) > new Date(target.lastMessageTime || 0)) {
+        target.lastMessageTime = conversation.lastMessageTime;
+      }
+      this.conversations = this.conversations.filter(c => c !== conversation);
+    }
 
-      // Add to conversation
-      conversation.messages.push(message);
-      conversation.lastMessageTime = message.timestamp;
+    let groupMessagesChanged = false;
+    for (const groupId of Object.keys(this.groupMessages || {})) {
+      if (migrateMessages(this.groupMessages[groupId])) groupMessagesChanged = true;
+    }
 
-      // Update conversation order
-      this._sortConversationsByTime();
+    if (conversationsChanged) this._persistConversations();
+    if (groupMessagesChanged) this._persistGroupMessages();
+  }
 
-      // Persist changes
-      this._persistConversations();
+  /**
+   * Current addresses of the contacts and of the user, by the legacy display key they had
+   * @returns {Map<string, string>}
+   * @private
+   */
+  _getLegacyAddresses() {
+    const currentIds = new Map();
+    for (const contact of contactStore.getAllContacts()) {
+      if (contact.legacyId && contact.legacyId !== contact.publicKey) currentIds.set(contact.legacyId, contact.publicKey);
+    }
+    const ownLegacyId = LocalKeyStorageManager.getKeyPair()?.legacyPublicKeyDisplay;
+    if (ownLegacyId && ownLegacyId !== this.currentUserKey) currentIds.set(ownLegacyId, this.currentUserKey);
+    return currentIds;
+  }
 
-      // Send a message with the file metadata
-      try {
-        const fileMetadata = {
-          messageType: 'file',
-          fileID: uploadResult.fileId,
-          fileName: file.name,
-          fileType: file.type,
-          fileSize: file.size,
-          expiresAt: expiryTimestamp,
-          ttl: ttlSeconds
-        };
-
-        // Send as JSON string
-        await this.sendMessage(
-          contactPublicKey,
-          JSON.stringify(fileMetadata)
-        );
-      } catch (networkError) {
-        console.log('Network notification failed, but file was uploaded');
+  /**
+   * Replace legacy display keys in the sender and recipient of messages
+   * @returns {boolean} - Whether any message changed
+   * @private
+   */
+  _migrateMessageAddresses(messages, currentIds) {
+    let changed = false;
+    for (const message of messages || []) {
+      if (!message) continue;
+      for (const field of ['sender', 'recipient']) {
+        if (currentIds.has(message[field])) {
+          message[field] = currentIds.get(message[field]);
+          changed = true;
+        }
       }
+    }
+    return changed;
+  }
 
-      return message;
-    } catch (error) {
-      console.error('Error sending file:', error);
-      throw error;
+  /**
+   * Restart ratchet sessions that could not decrypt a contact's messages
+   * The reset message sets up a new session, so the contact's next messages decrypt again
+   * @private
+   */
+  async _recoverOutOfSyncSessions() {
+    for (const contactPublicKey of sessionManager.takeOutOfSyncContacts()) {
+      const lastReset = this.sessionResetTimes[contactPublicKey] || 0;
+      if (Date.now() - lastReset < SESSION_RESET_COOLDOWN) continue;
+      this.sessionResetTimes[contactPublicKey] = Date.now();
+
+      try {
+        sessionManager.resetSession(contactPublicKey);
+        await this._sendDirectControl(contactPublicKey, MESSAGE_TYPES.SESSION_RESET, { resetAt: new Date().toISOString() });
+        console.log('Restarted secure session with', contactPublicKey);
+      } catch (error) {
+        console.warn('Failed to restart secure session:', error);
+      }
     }
   }
 
+  /**
+ * Send a file with expiry support
+ * The file is kept in the outbox until it is uploaded and announced to the recipient
+ * @param {string} contactPublicKey - Recipient's public key
+ * @param {File} file - The file to send
+ * @returns {Promise<Object>} - The queued message
+ */
+  async sendFile(contactPublicKey, file) {
+    // Ensure conversation exists
+    const conversation = this.createOrUpdateConversation(contactPublicKey);
+
+    // Disappearing message timer of this conversation, 0 when off
+    const ttlSeconds = this.getConversationTimer(contactPublicKey);
+
+    // Calculate expiry timestamp
+    const expiryTimestamp = ttlSeconds > 0 ? new Date(Date.now() + ttlSeconds * 1000).toISOString() : null;
+
+    // The outbox keeps the contents, so the upload survives a reload
+    const fileData = encodeBase64(new Uint8Array(await file.arrayBuffer()));
+
+    // Create message object with file reference and expiry information, the file ID follows once uploaded
+    const message = {
+      id: this._createOutgoingId(),
+      sender: this.currentUserKey,
+      recipient: contactPublicKey,
+      content: `[File: ${file.name}]`,
+      timestamp: new Date().toISOString(),
+      status: 'queued',
+      statusTimes: { queued: new Date().toISOString() },
+      isFile: true,
+      fileID: null,
+      fileName: file.name,
+      fileType: file.type,
+      fileSize: file.size,
+      expiresAt: expiryTimestamp,
+      ttl: ttlSeconds || null
+    };
+
+    // Add to conversation
+    conversation.messages.push(message);
+    conversation.lastMessageTime = message.timestamp;
+
+    // Update conversation order
+    this._sortConversationsByTime();
+
+    // Persist changes
+    this._persistConversations([{ conversationId: contactPublicKey, messageIds: [message.id] }]);
+
+    messageOutbox.add({
+      id: message.id,
+      scope: { contactPublicKey },
+      kind: 'file',
+      file: { name: file.name, type: file.type, size: file.size, data: fileData },
+      ttl: ttlSeconds
+    });
 
+    return message;
+  }
 
   // Helper method to format file size
   formatFileSize(bytes) {
@@ -768,11 +2225,33 @@ class ConversationManager {
   markConversationAsRead(contactPublicKey) {
     const conversation = this.getConversation(contactPublicKey)
     if (conversation) {
+      const previousReadAt = this.getConversationLastReadTimestamp(contactPublicKey)
       conversation.unreadCount = 0
-      this._persistConversations()
+      conversation.lastReadAt = new Date().toISOString()
+      this._persistConversations([{ conversationId: contactPublicKey, messageIds: [] }])
+      this._sendReadReceipt({ contactPublicKey }, conversation.messages, previousReadAt)
     }
   }
 
+  /**
+   * Get the time a conversation was last read, for placing the unread divider
+   * @param {string} contactPublicKey - Contact's public key
+   * @returns {string|null} - ISO timestamp string or null if not known
+   */
+  getConversationLastReadTimestamp(contactPublicKey) {
+    const conversation = this.getConversation(contactPublicKey)
+    if (!conversation) return null
+    if (conversation.lastReadAt) return conversation.lastReadAt
+
+    // Conversations read before this was tracked only know how many messages are unread
+    const incoming = conversation.messages
+      .filter(msg => !msg.isSystem && msg.sender !== this.currentUserKey)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    if (!conversation.unreadCount || incoming.length === 0) return null
+    const firstUnread = incoming[Math.max(0, incoming.length - conversation.unreadCount)]
+    return new Date(new Date(firstUnread.timestamp).getTime() - 1).toISOString()
+  }
+
   /**
  * Get conversation preview data (for conversation list)
  * @returns {Array} - Array of conversation previews
@@ -787,7 +2266,7 @@ class ConversationManager {
         id: `direct-${conversation.id || conversation.contactPublicKey}`, // Prefix for uniqueness
         contactPublicKey: conversation.contactPublicKey,
         contactName: contact?.alias || conversation.contactPublicKey,
-        lastMessage: lastMessage?.content || '',
+        lastMessage: this._getPreviewText(lastMessage),
         lastMessageTime: lastMessage?.timestamp || conversation.createdAt,
         unreadCount: conversation.unreadCount || 0,
         isOnline: false,
@@ -805,6 +2284,9 @@ class ConversationManager {
   markGroupAsRead(groupId) {
     if (!groupId) return;
 
+    // Let the senders know which of their messages were read since the last time
+    this._sendReadReceipt({ groupId }, this.groupMessages[groupId] || [], this.groupReadTimestamps[groupId]);
+
     // Update the last read timestamp to now
     this.groupReadTimestamps[groupId] = new Date().toISOString();
 
@@ -825,12 +2307,12 @@ class ConversationManager {
 
 
   /**
-   * Persist group read timestamps to localStorage
+   * Persist group read timestamps to the local database
    * @private
    */
   _persistGroupReadTimestamps() {
     try {
-      localStorage.setItem('subworld_group_read_timestamps', JSON.stringify(this.groupReadTimestamps));
+      localDatabase.saveValue('groupReadTimestamps', this.groupReadTimestamps);
     } catch (error) {
       console.error('Error persisting group read timestamps:', error);
     }
@@ -856,6 +2338,18 @@ class ConversationManager {
     return sortedMessages[0]
   }
 
+  /**
+   * Text shown for a message in the conversation list
+   * @private
+   */
+  _getPreviewText(message) {
+    if (!message) return ''
+    if (message.isDeleted) return 'Message deleted'
+    if (message.isUnsupported) return 'Unsupported message'
+    if (this.getCallInvitation(message)) return 'Call'
+    return message.content || ''
+  }
+
   /**
    * Sort conversations by last message time
    * @private
@@ -898,10 +2392,11 @@ class ConversationManager {
   }
 
   /**
-   * Persist conversations to localStorage
+   * Persist conversations to the local database
+   * @param {Array<{conversationId: string, messageIds?: Array<string>}>} [changes] - Changed conversations and messages, see localDatabase.saveConversations
    * @private
    */
-  _persistConversations() {
+  _persistConversations(changes) {
     try {
       // Make sure conversations is an array
       if (!Array.isArray(this.conversations)) {
@@ -914,10 +2409,8 @@ class ConversationManager {
         return conv && typeof conv === 'object';
       });
 
-      // Only save if we have localStorage available
-      if (typeof localStorage !== 'undefined') {
-        localStorage.setItem('subworld_conversations', JSON.stringify(cleanConversations));
-      }
+      localDatabase.saveConversations(cleanConversations, changes);
+      this._indexConversations();
     } catch (error) {
       console.error('Error persisting conversations:', error);
       // Don't throw, just continue execution
@@ -937,7 +2430,7 @@ class ConversationManager {
 
       // Check if a conversation was removed
       if (this.conversations.length < originalLength) {
-        this._persistConversations()
+        this._persistConversations([{ conversationId: contactPublicKey }])
         return true
       }
       return false
@@ -947,37 +2440,78 @@ class ConversationManager {
     }
   }
 
+  /**
+   * Merge messages from a conversation export into the local history
+   * Messages that are already present or past their expiry are skipped
+   * @param {Object} imported - Conversation to merge
+   * @param {'dm'|'group'} imported.type - Kind of conversation
+   * @param {string} imported.id - Contact public key or group ID
+   * @param {Array} imported.messages - Stored message records
+   * @param {string} [imported.alias] - Alias for a contact that is not known yet
+   * @returns {number} - Number of messages added
+   */
+  importConversation({ type, id, messages, alias = null }) {
+    const now = Date.now();
+    const isImportable = (message) => message && message.id !== undefined && message.id !== null &&
+      typeof message.content === 'string' &&
+      !isNaN(new Date(message.timestamp).getTime()) &&
+      !(message.expiresAt && new Date(message.expiresAt).getTime() <= now);
+    const isKnown = (knownIds, message) => knownIds.has(message.id) || localDatabase.isMessageStored(message.id);
+    const byTime = (a, b) => new Date(a.timestamp) - new Date(b.timestamp);
+
+    let added;
+    if (type === 'group') {
+      if (!this.getGroup(id)) {
+        throw new Error('This group is not on this device. Restore or join it before importing its messages.');
+      }
+
+      const existing = Array.isArray(this.groupMessages[id]) ? this.groupMessages[id] : [];
+      const knownIds = new Set(existing.map(msg => msg.id));
+      added = messages.filter(msg => isImportable(msg) && !isKnown(knownIds, msg)).map(msg => ({ ...msg, groupId: id }));
+      if (added.length === 0) return 0;
+
+      this.groupMessages[id] = [...existing, ...added].sort(byTime);
+      this._persistGroupMessages([{ conversationId: id, messageIds: added.map(msg => msg.id) }]);
+    } else {
+      const conversation = this.createOrUpdateConversation(id, contactStore.getContact(id) ? null : alias);
+      const knownIds = new Set(conversation.messages.map(msg => msg.id));
+      added = messages.filter(msg => isImportable(msg) && !isKnown(knownIds, msg));
+      if (added.length === 0) return 0;
+
+      conversation.messages = [...conversation.messages, ...added].sort(byTime);
+      conversation.lastMessageTime = conversation.messages[conversation.messages.length - 1].timestamp;
+      this._persistConversations([{ conversationId: id, messageIds: added.map(msg => msg.id) }]);
+    }
+
+    this._updateConversationList();
+    return added.length;
+  }
+
   /**
    * Clean up resources
    */
   cleanup() {
     this.stopFetchInterval()
+    this.stopRetentionInterval()
+
+    Object.values(this.pendingGroupReceipts).forEach(({ timer }) => clearTimeout(timer))
+    this.pendingGroupReceipts = {}
   }
 
   /**
- * Initialize groups from localStorage
+ * Initialize groups from the local database
  */
   async initializeGroups() {
     try {
-      // Load groups from localStorage
-      const savedGroups = localStorage.getItem('subworld_groups');
-      if (savedGroups) {
-        const parsed = JSON.parse(savedGroups);
-        this.groups = Array.isArray(parsed) ? parsed : [];
-      } else {
-        this.groups = [];
-      }
+      // Load groups from the local database
+      const savedGroups = await localDatabase.loadGroups();
+      this.groups = Array.isArray(savedGroups) ? savedGroups : [];
 
-      // Load group messages
-      const savedGroupMessages = localStorage.getItem('subworld_group_messages');
-      if (savedGroupMessages) {
-        this.groupMessages = JSON.parse(savedGroupMessages);
-      } else {
-        this.groupMessages = {};
-      }
+      // Load the newest messages of each group
+      this.groupMessages = await localDatabase.loadGroupMessages(this.groups.map(g => g.id), HISTORY_PAGE_SIZE);
 
       // Load group read timestamps
-      this._loadGroupReadTimestamps();
+      await this._loadGroupReadTimestamps();
 
       // Fetch latest groups from network
       await this.fetchGroups();
@@ -1084,7 +2618,7 @@ class ConversationManager {
         body: JSON.stringify({
           group_id: groupId,
           user_id: memberPublicKey,
-          admin_id: this.currentUserKey
+          admin_id: subworldNetwork.getGroupMemberId(groupId)
         })
       });
 
@@ -1095,6 +2629,9 @@ class ConversationManager {
       // Parse response
       const data = await response.json();
 
+      // The removed member holds our sender key, so the next message uses a new one
+      senderKeyManager.rotateSenderKey(groupId);
+
       // Immediately refresh the group
       await this.refreshGroup(groupId);
 
@@ -1119,125 +2656,104 @@ class ConversationManager {
   }
 
   /**
- * Remove a member from a group (admin only)
- * @param {string} groupId - Group ID
- * @param {string} memberPublicKey - Public key of member to remove
- * @returns {Promise<{success: boolean}>} Success response
- */
-  async removeGroupMember(groupId, memberPublicKey) {
-    try {
-      if (!this.currentNode || !this.keyPair) {
-        throw new Error('No node selected or user keys not available');
-      }
-
-      // Prepare the request data
-      const removeData = {
-        group_id: groupId,
-        user_id: memberPublicKey,
-        admin_id: this.keyPair.publicKeyDisplay // Current user must be admin
-      };
-
-      // Use proxy for the API request
-      const nodeId = this.currentNode.id || 'bootstrap2';
-      console.log('Removing member from group via proxy:',
-        `${this.proxyBaseUrl}${nodeId}/groups/remove_member`);
-
-      // Make the API request
-      const response = await fetch(`${this.proxyBaseUrl}${nodeId}/groups/remove_member`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(removeData)
-      });
-
-      // Handle errors
-      if (!response.ok) {
-        // Try to get error details
-        let errorText = '';
-        try {
-          const errorData = await response.text();
-          errorText = errorData;
-        } catch (e) {
-          errorText = `Status code: ${response.status}`;
-        }
-
-        throw new Error(`Failed to remove group member: ${errorText}`);
-      }
+  * Send a group message with expiry support
+  * The message is queued in the outbox and shown as pending until it is sent
+  * @param {string} groupId - Group ID
+  * @param {string} content - Message content
+  * @param {string} [replyToId] - ID of the message this one replies to
+  * @returns {Promise<Object>} - The queued message
+  */
+  async sendGroupMessage(groupId, content, replyToId = null) {
+    // Disappearing message timer of this group, 0 when off
+    const ttlSeconds = this.getGroupTimer(groupId);
+    const expiryTimestamp = ttlSeconds > 0 ? new Date(Date.now() + ttlSeconds * 1000).toISOString() : null;
+
+    const replyTo = replyToId ? this._createReplyReference(this.groupMessages[groupId] || [], replyToId) : null;
+
+    // Create message object with expiry information
+    const message = {
+      id: this._createOutgoingId(),
+      sender: this.currentUserKey,
+      groupId: groupId,
+      content: content,
+      timestamp: new Date().toISOString(),
+      status: 'queued',
+      statusTimes: { queued: new Date().toISOString() },
+      isGroupMsg: true,
+      expiresAt: expiryTimestamp,
+      ttl: ttlSeconds || null,
+      ...(replyTo && { replyTo })
+    };
+
+    if (!this.groupMessages[groupId]) {
+      this.groupMessages[groupId] = [];
+    }
 
-      // Parse success response
-      const data = await response.json();
+    this.groupMessages[groupId].push(message);
+    this._persistGroupMessages([{ conversationId: groupId, messageIds: [message.id] }]);
 
-      // Also refresh the group info immediately
-      await this.getGroup(groupId);
+    messageOutbox.add({
+      id: message.id,
+      scope: { groupId },
+      kind: 'message',
+      content: this._encodeText(content, replyTo, ttlSeconds),
+      ttl: ttlSeconds
+    });
 
-      return { success: true };
-    } catch (error) {
-      console.error('Error removing group member:', error);
-      throw error;
-    }
+    return message;
   }
 
   /**
-  * Modified sendGroupMessage method with expiry support
-  * @param {string} groupId - Group ID
-  * @param {string} content - Message content
-  * @returns {Promise<Object>} - The sent message
-  */
-  async sendGroupMessage(groupId, content) {
-    try {
-      if (!subworldNetwork) {
-        throw new Error('Network service not available');
+   * Send our sender key for a group to the members who do not have it yet, a new key when someone left
+   * Members whose full public key is unknown are retried on the next message
+   * @param {string} groupId - Group ID
+   * @param {Object} [knownGroup] - The group as last fetched, fetched again when left out
+   * @private
+   */
+  async _distributeSenderKey(groupId, knownGroup = null) {
+    const group = knownGroup || await this.refreshGroup(groupId);
+    const members = (group?.members || []).filter(member => member !== this.currentUserKey);
+
+    const { recipients, distribution } = senderKeyManager.prepareSenderKey(groupId, members);
+    const delivered = [];
+
+    for (const member of recipients) {
+      if (!contactStore.getContactPublicKey(member)) {
+        console.warn(`Cannot send sender key to ${member} yet, their full public key is unknown`);
+        continue;
       }
 
-      // Get the auto-deletion setting (in hours)
-      let expiryHours = 24; // Default 24 hours
       try {
-        const storedExpiry = localStorage.getItem('subworld_message_expiry');
-        if (storedExpiry) {
-          expiryHours = parseInt(storedExpiry, 10);
-          if (isNaN(expiryHours) || expiryHours < 1) {
-            expiryHours = 24;
-          }
-        }
-      } catch (err) {
-        console.warn('Error reading expiry setting:', err);
+        await subworldNetwork.sendMessage(member, messageEnvelope.encode({ type: MESSAGE_TYPES.SENDER_KEY, body: { distribution } }));
+        delivered.push(member);
+      } catch (error) {
+        console.warn(`Failed to send sender key to ${member}:`, error);
       }
+    }
 
-      const ttlSeconds = expiryHours * 3600; // Convert hours to seconds
-      const expiryDate = new Date(Date.now() + ttlSeconds * 1000);
-      const expiryTimestamp = expiryDate.toISOString();
-
-      // Send the message with TTL
-      const result = await subworldNetwork.sendGroupMessage(groupId, content, ttlSeconds);
-
-      // Create message object with expiry information
-      const message = {
-        id: result.messageId,
-        sender: this.currentUserKey,
-        groupId: groupId,
-        content: content,
-        timestamp: new Date().toISOString(),
-        status: 'sent',
-        isGroupMsg: true,
-        expiresAt: expiryTimestamp,
-        ttl: ttlSeconds
-      };
-
+    senderKeyManager.markDistributed(groupId, delivered);
+  }
 
-      if (!this.groupMessages[groupId]) {
-        this.groupMessages[groupId] = [];
-      }
+  /**
+   * Store a group sender key, only members of the group it is for may send one
+   * @param {string} senderId - Sender of the key
+   * @param {string} distribution - Key message
+   * @private
+   */
+  async _receiveSenderKey(senderId, distribution) {
+    const groupId = senderKeyManager.getDistributionGroupId(distribution);
+    if (!groupId) {
+      console.warn('Ignoring malformed sender key from', senderId);
+      return;
+    }
 
-      this.groupMessages[groupId].push(message);
-      this._persistGroupMessages();
+    // The key can arrive before we know about a group we were just added to, or about its newest member
+    let group = this.getGroup(groupId);
+    if (!group?.members?.includes(senderId)) group = await this.refreshGroup(groupId);
 
-      return message;
-    } catch (error) {
-      console.error('Error sending group message:', error);
-      throw error;
-    }
+    senderKeyManager.storeSenderKey(senderId, distribution, group?.members || []);
   }
+
   /**
  * Fetch messages for a group
  * @param {string} groupId - The ID of the group to fetch messages for
@@ -1271,6 +2787,8 @@ class ConversationManager {
           existingMessageIds.set(msg.id, true);
         }
       });
+      this.expiredMessageIds.forEach(id => existingMessageIds.set(id, true));
+      this.handledControlMessageIds.forEach(id => existingMessageIds.set(id, true));
 
       // Ensure messages is an array
       const messageArray = Array.isArray(messages) ? messages : [];
@@ -1278,33 +2796,103 @@ class ConversationManager {
       // Process and normalize new messages
       let newMessagesCount = 0;
 
-      const processedMessages = messageArray.map(msg => {
+      const processedMessages = [];
+      for (const msg of messageArray) {
         // Generate a reliable ID if missing
         const messageId = msg.id ||
           `grp-${groupId}-${msg.sender_id || msg.senderID || 'unknown'}-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
 
-        // Structure the message consistently
-        return {
+        // Sender key message keys are single use, so stored messages are not opened again
+        if (existingMessageIds.has(messageId) || localDatabase.isMessageStored(messageId)) continue;
+
+        // Check the sender's signature, forged messages are dropped
+        const opened = subworldNetwork.openGroupMessage(msg, groupId);
+        if (!opened) continue;
+
+        const senderId = opened.sender;
+        let content = opened.content;
+
+        if (senderKeyManager.isGroupEnvelope(content)) {
+          // Our own messages are kept locally, and we cannot decrypt them again
+          if (senderId === this.currentUserKey) continue;
+
+          // The sender key may still be on its way, the message is picked up on a later fetch
+          if (!senderKeyManager.hasSenderKey(groupId, senderId, content)) {
+            console.log(`Waiting for the sender key of ${senderId} to read message ${messageId}`);
+            continue;
+          }
+
+          try {
+            content = senderKeyManager.decryptGroupMessage(groupId, senderId, content);
+          } catch (decryptError) {
+            console.error(`Failed to decrypt group message ${messageId}:`, decryptError);
+            content = '[Encrypted message - Unable to decrypt]';
+          }
+        }
+
+        const envelope = messageEnvelope.decode(content);
+
+        // Timer changes update the group and leave a notice in the timeline
+        if (envelope.type === MESSAGE_TYPES.TIMER) {
+          const update = this._parseTimerUpdate(envelope.body);
+          if (update && opened.senderVerified !== false) {
+            this._applyGroupTimer(groupId, update, senderId, messageId);
+          }
+          this._rememberControlMessage(messageId);
+          continue;
+        }
+
+        // Read and delivery receipts move our own messages along their lifecycle
+        if (this._isReceipt(envelope)) {
+          if (opened.senderVerified !== false && senderId !== this.currentUserKey) {
+            this._receiveReceipt({ groupId }, envelope, senderId);
+          }
+          this._rememberControlMessage(messageId);
+          continue;
+        }
+
+        // Edits, deletes and reactions change the stored copy of an earlier message
+        // without counting as unread or changing the group's last message time
+        if (this._isMessageChange(envelope)) {
+          if (opened.senderVerified !== false) {
+            this._receiveMessageChange({ groupId }, envelope, senderId);
+          }
+          this._rememberControlMessage(messageId);
+          continue;
+        }
+
+        // Structure the message consistently, its envelope fills in what it shows
+        processedMessages.push(this._applyEnvelope({
           id: messageId,
-          sender: msg.sender_id || msg.senderID || 'unknown',
+          sender: senderId,
           groupId: msg.group_id || msg.groupID || groupId,
-          content: msg.encrypted_data || msg.encryptedData || '[No content]',
+          content: '',
           timestamp: msg.timestamp || new Date().toISOString(),
-          status: 'received',
-          isGroupMsg: true
-        };
-      });
+          status: 'delivered',
+          statusTimes: { delivered: new Date().toISOString() },
+          isGroupMsg: true,
+          senderVerified: opened.senderVerified,
+          expiresAt: msg.expires_at || msg.expiresAt
+        }, envelope));
+      }
 
       // Add only new messages to avoid duplicates
+      const deliveredIds = [];
+      const storedIds = [];
       for (const message of processedMessages) {
         if (!existingMessageIds.has(message.id)) {
+          this._applyRetention(message, this.getGroupTimer(groupId));
           this.groupMessages[groupId].push(message);
+          storedIds.push(message.id);
+          this._applyPendingMessageChanges(message.id);
           newMessagesCount++;
+          if (message.sender !== this.currentUserKey) deliveredIds.push(message.id);
 
           // Update the group's last message time if this is the newest message
           this._updateGroupLastMessageTime(groupId, message.timestamp);
         }
       }
+      this._sendDeliveryReceipt({ groupId }, deliveredIds);
 
       // Sort messages by timestamp
       this.groupMessages[groupId].sort((a, b) => {
@@ -1319,7 +2907,7 @@ class ConversationManager {
       // Count unread messages (newer than last read timestamp, not from current user)
       if (Array.isArray(this.groupMessages[groupId])) {
         for (const message of this.groupMessages[groupId]) {
-          if (message.sender !== this.currentUserKey) {
+          if (message.sender !== this.currentUserKey && !message.isSystem && !message.isDeleted) {
             const messageTime = new Date(message.timestamp);
             if (messageTime > lastReadTime) {
               unreadCount++;
@@ -1341,7 +2929,7 @@ class ConversationManager {
       }
 
       // Persist changes
-      this._persistGroupMessages();
+      this._persistGroupMessages([{ conversationId: groupId, messageIds: storedIds }]);
 
       console.log(`Added ${newMessagesCount} new messages for group ${groupId}, unread: ${unreadCount}`);
 
@@ -1519,6 +3107,9 @@ class ConversationManager {
     try {
       await subworldNetwork.leaveGroup(groupId);
 
+      // Sender keys of a group we left are of no further use
+      senderKeyManager.forgetGroup(groupId);
+
       // Remove from local list
       this.groups = this.groups.filter(g => g.id !== groupId);
       this._persistGroups();
@@ -1637,137 +3228,190 @@ class ConversationManager {
   }
 
   /**
-   * Persist groups to localStorage
+   * Persist groups to the local database
    */
   _persistGroups() {
-    localStorage.setItem('subworld_groups', JSON.stringify(this.groups));
+    localDatabase.saveGroups(this.groups);
+  }
+
+  /**
+   * Persist group messages to the local database
+   * @param {Array<{conversationId: string, messageIds?: Array<string>}>} [changes] - Changed groups and messages, see localDatabase.saveGroupMessages
+   */
+  _persistGroupMessages(changes) {
+    localDatabase.saveGroupMessages(this.groupMessages, changes);
+    this._indexGroupMessages();
+  }
+
+  /**
+   * Persist the conversation or group of a scope, writing only the given messages
+   * @param {Object} scope - {contactPublicKey} or {groupId}
+   * @param {Array<string>} messageIds - Messages that were added, changed or removed
+   * @private
+   */
+  _persistScope(scope, messageIds) {
+    if (scope.groupId) {
+      this._persistGroupMessages([{ conversationId: scope.groupId, messageIds }]);
+    } else {
+      this._persistConversations([{ conversationId: scope.contactPublicKey, messageIds }]);
+    }
   }
 
   /**
-   * Persist group messages to localStorage
+   * Search decrypted direct and group messages
+   * Only loaded messages are searched, older pages are indexed as they are loaded
+   * @param {string} query - Words to look for
+   * @param {Object} filters - contactId, groupId, from, to and kind ('all', 'text' or 'file')
+   * @returns {Array<Object>} - Matches, newest first
    */
-  _persistGroupMessages() {
-    localStorage.setItem('subworld_group_messages', JSON.stringify(this.groupMessages));
+  searchMessages(query, filters = {}) {
+    return searchIndex.search(query, filters);
+  }
+
+  /**
+   * Update the search index with the current direct messages
+   * @private
+   */
+  _indexConversations() {
+    const conversations = this.conversations.filter(conv => conv && conv.contactPublicKey);
+    conversations.forEach(conv => searchIndex.syncConversation('dm', conv.contactPublicKey, conv.messages));
+    searchIndex.retainConversations('dm', conversations.map(conv => conv.contactPublicKey));
+  }
+
+  /**
+   * Update the search index with the current group messages
+   * @private
+   */
+  _indexGroupMessages() {
+    const groupIds = Object.keys(this.groupMessages || {});
+    groupIds.forEach(groupId => searchIndex.syncConversation('group', groupId, this.groupMessages[groupId]));
+    searchIndex.retainConversations('group', groupIds);
   }
 
   /**
  * Send a file in a group through the network
+ * The file is kept in the outbox until it is uploaded and announced to the members
  * @param {string} groupId - Group ID
  * @param {File} file - The file to send
- * @returns {Promise<Object>} - The sent message
+ * @returns {Promise<Object>} - The queued message
  */
   async sendGroupFile(groupId, file) {
-    try {
-      if (!groupId || !file || !subworldNetwork) {
-        throw new Error('Missing required parameters or network service');
-      }
-
-      // Check if we have permission to post to this group
-      const group = await this.refreshGroup(groupId);
-      if (!group || !Array.isArray(group.members) || !group.members.includes(this.currentUserKey)) {
-        throw new Error('Not a member of this group');
-      }
-
-      // Format file size for logging
-      const fileSizeFormatted = this.formatFileSize(file.size);
-      console.log(`Uploading ${file.name} (${fileSizeFormatted}) to group ${groupId}`);
-
-      // Create FormData for multipart upload
-      const formData = new FormData();
-      formData.append('file', file);
-      formData.append('group_id', groupId);
-      formData.append('sender_id', this.currentUserKey);
-      formData.append('file_name', file.name);
-      formData.append('file_type', file.type || 'application/octet-stream');
-
-      // Generate a unique ID for this file
-      const fileId = `groupfile-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
-      formData.append('content_id', fileId);
-
-      // Get current node from network service
-      const currentNode = subworldNetwork.getCurrentNode();
-      if (!currentNode) {
-        throw new Error('No network node available');
-      }
-
-      const nodeId = currentNode.id || 'bootstrap2';
-      const proxyBaseUrl = 'https://proxy.inhouses.xyz/api/';
-      const uploadUrl = `${proxyBaseUrl}${nodeId}/groups/files/upload`;
-
-      console.log(`Uploading file to: ${uploadUrl}`);
-
-      // Upload file to server
-      const response = await fetch(uploadUrl, {
-        method: 'POST',
-        body: formData
-      });
+    if (!groupId || !file) {
+      throw new Error('Missing required parameters');
+    }
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('File upload failed:', errorText);
-        throw new Error(`Server returned error: ${response.status}`);
-      }
+    // Check if we have permission to post to this group
+    const group = this.getGroup(groupId);
+    if (!group || !Array.isArray(group.members) || !group.members.includes(this.currentUserKey)) {
+      throw new Error('Not a member of this group');
+    }
 
-      const result = await response.json();
-      console.log('File upload result:', result);
+    // Disappearing message timer of this group, 0 when off
+    const ttlSeconds = this.getGroupTimer(groupId);
+    const expiryTimestamp = ttlSeconds > 0 ? new Date(Date.now() + ttlSeconds * 1000).toISOString() : null;
 
-      if (result.status !== 'success') {
-        throw new Error('Upload failed on server');
-      }
+    // The outbox keeps the contents, so the upload survives a reload
+    const fileType = file.type || 'application/octet-stream';
+    const fileData = encodeBase64(new Uint8Array(await file.arrayBuffer()));
 
-      // Create file metadata for the group message
-      const fileMetadata = {
+    // Group file messages carry their metadata, the file ID and key follow once uploaded
+    const message = {
+      id: this._createOutgoingId(),
+      sender: this.currentUserKey,
+      groupId: groupId,
+      content: JSON.stringify({
         messageType: 'file',
-        fileID: result.id || fileId,
+        fileID: null,
         fileName: file.name,
-        fileType: file.type || 'application/octet-stream',
+        fileType,
         fileSize: file.size,
-        timestamp: new Date().toISOString(),
         isGroupFile: true
-      };
+      }),
+      timestamp: new Date().toISOString(),
+      status: 'queued',
+      statusTimes: { queued: new Date().toISOString() },
+      isGroupMsg: true,
+      expiresAt: expiryTimestamp,
+      ttl: ttlSeconds || null
+    };
+
+    // Store in local messages
+    if (!this.groupMessages[groupId]) {
+      this.groupMessages[groupId] = [];
+    }
+    this.groupMessages[groupId].push(message);
+    this._persistGroupMessages([{ conversationId: groupId, messageIds: [message.id] }]);
+
+    // Update group last message time
+    this._updateGroupLastMessageTime(groupId, message.timestamp);
+
+    messageOutbox.add({
+      id: message.id,
+      scope: { groupId },
+      kind: 'file',
+      file: { name: file.name, type: fileType, size: file.size, data: fileData },
+      ttl: ttlSeconds
+    });
 
-      // Send a message to the group with the file metadata
-      const metadataMessage = await this.sendGroupMessage(
-        groupId,
-        JSON.stringify(fileMetadata)
-      );
+    return message;
+  }
 
-      // Create a file message object for local tracking
-      const fileMessage = {
-        id: metadataMessage.id || `file-${Date.now()}`,
-        sender: this.currentUserKey,
-        groupId: groupId,
-        content: `[File: ${file.name}]`,
-        timestamp: new Date().toISOString(),
-        status: 'sent',
-        isFile: true,
-        fileData: {
-          fileID: result.id || fileId,
-          fileName: file.name,
-          fileType: file.type,
-          fileSize: file.size
-        },
-        isGroupMsg: true
-      };
+  /**
+   * Encrypt a file with a new key, which only travels inside the encrypted group message, and upload it
+   * @param {string} groupId - Group ID
+   * @param {Object} file - Name and type of the file
+   * @param {Uint8Array} fileData - File contents
+   * @returns {Promise<{fileId: string, fileKey: string}>}
+   * @private
+   */
+  async _uploadGroupFile(groupId, file, fileData) {
+    const { encryptedData, fileKey } = subworldNetwork.encryptGroupFileData(fileData, groupId);
+
+    // Create FormData for multipart upload
+    const formData = new FormData();
+    formData.append('file', new Blob([encryptedData]), file.name);
+    formData.append('group_id', groupId);
+    formData.append('sender_id', subworldNetwork.getGroupMemberId(groupId));
+    formData.append('file_name', file.name);
+    formData.append('file_type', file.type);
+
+    // Generate a unique ID for this file
+    const fileId = `groupfile-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+    formData.append('content_id', fileId);
+
+    // Get current node from network service
+    const currentNode = subworldNetwork.getCurrentNode();
+    if (!currentNode) {
+      throw new Error('No network node available');
+    }
 
-      // Store in local messages
-      if (!this.groupMessages[groupId]) {
-        this.groupMessages[groupId] = [];
-      }
-      this.groupMessages[groupId].push(fileMessage);
-      this._persistGroupMessages();
+    // Same proxy and node as every other request of the network service
+    const nodeId = currentNode.id || 'bootstrap2';
+    const uploadUrl = `${subworldNetwork.proxyBaseUrl}${nodeId}/groups/files/upload`;
 
-      // Update group last message time
-      this._updateGroupLastMessageTime(groupId, fileMessage.timestamp);
+    console.log(`Uploading ${file.name} (${this.formatFileSize(fileData.length)}) to: ${uploadUrl}`);
 
-      return fileMessage;
-    } catch (error) {
-      console.error('Error in sendGroupFile:', error);
-      throw error;
+    // Upload file to server
+    const response = await fetch(uploadUrl, {
+      method: 'POST',
+      body: formData
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('File upload failed:', errorText);
+      throw new Error(`Server returned error: ${response.status}`);
     }
-  }
 
+    const result = await response.json();
+    console.log('File upload result:', result);
+
+    if (result.status !== 'success') {
+      throw new Error('Upload failed on server');
+    }
 
+    return { fileId: result.id || fileId, fileKey };
+  }
 
   /**
   * Get group previews for the conversation list
@@ -1808,7 +3452,7 @@ class ConversationManager {
         description: group.description || '',
         members: Array.isArray(group.members) ? group.members.length : 0,
         isAdmin: Array.isArray(group.admins) ? group.admins.includes(this.currentUserKey) : false,
-        lastMessage: lastMessage ? lastMessage.content : '',
+        lastMessage: this._getPreviewText(lastMessage),
         lastMessageTime: lastMessage ? lastMessage.timestamp : group.created,
         unreadCount: group.unreadCount || 0, // Include unread count
         avatar: group.avatar || null,
@@ -0,0 +1,1144 @@
+'use client'
+
+import nacl from 'tweetnacl'
+import { encodeBase64, decodeBase64 } from 'tweetnacl-util'
+import { encode as encodeUTF8, decode as decodeUTF8 } from '@stablelib/utf8'
+import LocalKeyStorageManager from './LocalKeyStorageManager'
+
+const DB_NAME = 'subworld'
+const DB_VERSION = 2
+
+// Key path of each object store
+const STORE_KEY_PATHS = {
+  conversations: 'contactPublicKey',
+  messages: 'key',
+  groups: 'id',
+  contacts: 'publicKey',
+  meta: 'name'
+}
+
+// localStorage entries that held this data before the database existed, also used without IndexedDB
+const LOCAL_STORAGE_KEYS = {
+  conversations: 'subworld_conversations',
+  groupMessages: 'subworld_group_messages',
+  groups: 'subworld_groups',
+  contacts: 'subworld_contacts',
+  controlMessageIds: 'subworld_control_message_ids',
+  groupReadTimestamps: 'subworld_group_read_timestamps',
+  expiredMessageIds: 'subworld_expired_message_ids',
+  groupMessageTimers: 'subworld_group_message_timers',
+  pendingMessageChanges: 'subworld_pending_message_changes',
+  outbox: 'subworld_outbox',
+  sessions: 'subworld_sessions',
+  senderKeys: 'subworld_sender_keys'
+}
+
+// Entries holding a single value, kept in the meta store
+const VALUE_NAMES = ['controlMessageIds', 'groupReadTimestamps', 'expiredMessageIds', 'groupMessageTimers', 'pendingMessageChanges', 'outbox', 'sessions', 'senderKeys']
+
+// Name prefix of the records holding files waiting in the outbox, one record per file
+const OUTBOX_FILE_PREFIX = 'outboxFile:'
+
+// Marks a database whose records written before encryption have been encrypted
+const ENCRYPTION_RECORD = 'encryption'
+
+// Marks a database whose messages stored before version 2 carry the messageId and expiresAt index fields
+const MESSAGE_INDEX_RECORD = 'messageIndex'
+
+// Context of the key that blinds record keys, so contact and group IDs are not stored in the clear
+const INDEX_KEY_CONTEXT = 'subworld-storage-index-v1'
+
+// Prefix of encrypted values in localStorage when IndexedDB is not available
+const SEALED_VALUE_PREFIX = 'SWE1:'
+
+// Saves that arrive close together are written in one transaction
+const WRITE_DELAY = 100
+
+// Marks every conversation of a collection as changed, for saves that do not say what changed
+const ALL_CHANGED = 'all'
+
+/**
+ * Encrypted IndexedDB storage for conversations, group messages, groups and contacts
+ *
+ * Every message is its own record, indexed by conversation and timestamp, so a new
+ * message only writes that message instead of serializing the whole history. Only the
+ * newest messages of each conversation are loaded, older ones are read page by page
+ * with loadMessagesBefore. The managers keep working on what they loaded and hand it to
+ * the save methods together with the conversations and messages they changed, only
+ * those are written, so messages that were never loaded are left alone.
+ *
+ * Records are sealed with the storage key of the unlocked account. Record keys, message
+ * IDs and conversation IDs are replaced by keyed hashes, only message timestamps and
+ * expiry times stay readable so the history can be loaded in order and expired messages
+ * deleted without loading them. Nothing can be read or written while locked.
+ *
+ * Storage errors are reported through a `storageError` window event rather than
+ * swallowed. Without IndexedDB the encrypted data is kept in localStorage.
+ */
+class LocalDatabase {
+  constructor() {
+    this.db = null
+    this.opening = null
+    this.useLocalStorage = false
+    this.lastError = null
+
+    this.storageKey = null
+    this.indexKey = null
+
+    // JSON of each group, contact and value as last written, so unchanged records are skipped
+    this.savedRecords = {}
+
+    // Keys of the loaded message records per conversation, so messages that are gone can be deleted
+    this.storedMessageKeys = {}
+
+    // Keyed hashes of the IDs of all stored messages, loaded or not
+    this.storedMessageIds = new Set()
+
+    // Conversations changed since the last write per collection, see _markChanged
+    this.changedConversations = {}
+
+    this.pendingWrites = {}
+    this.writeTimer = null
+    this.writing = Promise.resolve()
+  }
+
+  /**
+   * Open the database with the storage key of the unlocked account
+   * Moves data out of localStorage and encrypts records stored before encryption
+   * @returns {Promise<IDBDatabase|null>} - The database, or null when falling back to localStorage
+   */
+  async open() {
+    if (this.db || this.useLocalStorage) return this.db
+    if (!this.opening) {
+      this.opening = this._open().catch(error => {
+        this.opening = null
+        throw error
+      })
+    }
+    return this.opening
+  }
+
+  /**
+   * Write pending saves and forget the storage key
+   * @returns {Promise<void>}
+   */
+  async lock() {
+    await this.flush()
+
+    if (this.db) this.db.close()
+    this.db = null
+    this.opening = null
+    this.useLocalStorage = false
+    this.storageKey = null
+    this.indexKey = null
+    this.savedRecords = {}
+    this.storedMessageKeys = {}
+    this.storedMessageIds = new Set()
+    this.changedConversations = {}
+  }
+
+  /**
+   * Load direct conversations with their newest messages, oldest message first
+   * @param {number} [messageLimit] - Most messages loaded per conversation, all when left out
+   * @returns {Promise<Array>} - Conversations
+   */
+  async loadConversations(messageLimit = Infinity) {
+    try {
+      const db = await this.open()
+      if (!db) return this._readLocalStorage('conversations', [])
+
+      const storedConversations = await this._request(db.transaction('conversations', 'readonly').objectStore('conversations').getAll())
+      const conversations = this._unsealRecords(storedConversations)
+      const pages = await Promise.all(conversations.map(c => this._readMessagePage(db, `dm:${c.contactPublicKey}`, null, messageLimit)))
+      const messageRecords = this._unsealRecords(pages.flatMap(page => page.storedRecords))
+
+      const messagesByContact = this._groupMessageRecords(messageRecords, 'dm:')
+      this.storedMessageKeys.directMessages = new Map()
+      this._rememberMessageKeys('directMessages', conversations.map(c => c.contactPublicKey), messageRecords, 'dm:')
+
+      return conversations.map(conversation => ({
+        ...conversation,
+        messages: messagesByContact[conversation.contactPublicKey] || []
+      }))
+    } catch (error) {
+      this._reportError('load conversations', error)
+      return []
+    }
+  }
+
+  /**
+   * Load the newest messages of groups, oldest message first
+   * @param {Array<string>} groupIds - Groups to load the messages of
+   * @param {number} [messageLimit] - Most messages loaded per group, all when left out
+   * @returns {Promise<Object>} - Messages per group ID
+   */
+  async loadGroupMessages(groupIds, messageLimit = Infinity) {
+    try {
+      const db = await this.open()
+      if (!db) return this._readLocalStorage('groupMessages', {})
+
+      const pages = await Promise.all(groupIds.map(id => this._readMessagePage(db, `group:${id}`, null, messageLimit)))
+      const messageRecords = this._unsealRecords(pages.flatMap(page => page.storedRecords))
+      this.storedMessageKeys.groupMessages = new Map()
+      this._rememberMessageKeys('groupMessages', [], messageRecords, 'group:')
+      return this._groupMessageRecords(messageRecords, 'group:')
+    } catch (error) {
+      this._reportError('load group messages', error)
+      return {}
+    }
+  }
+
+  /**
+   * Load a page of older messages of a conversation, oldest message first
+   * Messages sent at the cursor time itself are included, callers skip the ones they already have
+   * @param {'dm'|'group'} kind - Direct conversation or group
+   * @param {string} id - Contact public key or group ID
+   * @param {string|null} before - Timestamp of the oldest loaded message, null for the newest messages
+   * @param {number} limit - Most messages in the page
+   * @returns {Promise<{messages: Array, hasMore: boolean}>} - The page and whether even older messages are stored
+   */
+  async loadMessagesBefore(kind, id, before, limit) {
+    try {
+      const db = await this.open()
+      // Without IndexedDB every message was loaded already
+      if (!db) return { messages: [], hasMore: false }
+
+      const { storedRecords, hasMore } = await this._readMessagePage(db, `${kind}:${id}`, before, limit)
+      const messageRecords = this._unsealRecords(storedRecords)
+      this._rememberMessageKeys(kind === 'group' ? 'groupMessages' : 'directMessages', [], messageRecords, `${kind}:`)
+      return { messages: messageRecords.map(record => record.message), hasMore }
+    } catch (error) {
+      this._reportError('load messages', error)
+      return { messages: [], hasMore: false }
+    }
+  }
+
+  /**
+   * Whether a message is stored, also when it was not loaded
+   * @param {string} messageId - Message ID
+   * @returns {boolean}
+   */
+  isMessageStored(messageId) {
+    if (!this.indexKey || messageId === undefined || messageId === null) return false
+    return this.storedMessageIds.has(this._blindMessageId(messageId))
+  }
+
+  /**
+   * Delete every stored message whose expiry time has passed, also the ones that were not loaded
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Array<{conversationId: string, message: Object}>>} - Deleted messages, conversation IDs
+   *   prefixed with 'dm:' or 'group:'
+   */
+  async deleteExpiredMessages(now = new Date()) {
+    try {
+      const db = await this.open()
+      if (!db) return []
+
+      const transaction = db.transaction('messages', 'readwrite')
+      const done = this._transactionDone(transaction)
+      const storedRecords = await new Promise((resolve, reject) => {
+        const expired = []
+        const request = transaction.objectStore('messages').index('expiresAt').openCursor(IDBKeyRange.upperBound(now.toISOString()))
+        request.onsuccess = () => {
+          const cursor = request.result
+          if (!cursor) return resolve(expired)
+          expired.push(cursor.value)
+          cursor.delete()
+          cursor.continue()
+        }
+        request.onerror = () => reject(request.error)
+      })
+      await done
+
+      const records = this._unsealRecords(storedRecords)
+      for (const record of records) {
+        const [kind] = record.conversationId.split(':')
+        const stored = this.storedMessageKeys[kind === 'group' ? 'groupMessages' : 'directMessages']
+        const id = record.conversationId.slice(kind.length + 1)
+        if (stored?.has(id)) stored.set(id, new Set([...stored.get(id)].filter(key => key !== record.key)))
+      }
+      storedRecords.forEach(stored => this.storedMessageIds.delete(stored.messageId))
+      return records.map(({ conversationId, message }) => ({ conversationId, message }))
+    } catch (error) {
+      this._reportError('delete expired messages', error)
+      return []
+    }
+  }
+
+  /**
+   * Load groups
+   * @returns {Promise<Array>} - Groups
+   */
+  async loadGroups() {
+    return this._loadAll('groups', 'groups', g => g.id)
+  }
+
+  /**
+   * Load contacts
+   * @returns {Promise<Array>} - Contacts
+   */
+  async loadContacts() {
+    return this._loadAll('contacts', 'contacts', c => c.publicKey)
+  }
+
+  /**
+   * Load a single stored value
+   * @param {string} name - One of the value names, e.g. 'groupReadTimestamps'
+   * @param {*} fallback - Returned when nothing is stored
+   * @returns {Promise<*>} - The value
+   */
+  async loadValue(name, fallback) {
+    try {
+      const db = await this.open()
+      if (!db) return this._readLocalStorage(name, fallback)
+
+      const stored = await this._request(db.transaction('meta', 'readonly').objectStore('meta').get(this._blind(name)))
+      const [record] = this._unsealRecords(stored ? [stored] : [])
+      if (!record) return fallback
+
+      const saved = this.savedRecords.values || new Map()
+      saved.set(name, JSON.stringify(record))
+      this.savedRecords.values = saved
+      return record.value
+    } catch (error) {
+      this._reportError(`load ${name}`, error)
+      return fallback
+    }
+  }
+
+  /**
+   * Save direct conversations and their messages
+   * A change without messageIds writes all messages of its conversation, one with an empty list only the conversation
+   * @param {Array} conversations - All conversations
+   * @param {Array<{conversationId: string, messageIds?: Array<string>}>} [changes] - Conversations by contact public key
+   *   with the messages that were added, changed or removed, everything is written when left out
+   */
+  saveConversations(conversations, changes) {
+    this._markChanged('conversations', changes)
+    this._scheduleWrite('conversations', conversations)
+  }
+
+  /**
+   * Save the messages of all groups
+   * @param {Object} groupMessages - Messages per group ID
+   * @param {Array<{conversationId: string, messageIds?: Array<string>}>} [changes] - Groups by ID with the messages
+   *   that were added, changed or removed, all messages of a group without messageIds, everything when left out
+   */
+  saveGroupMessages(groupMessages, changes) {
+    this._markChanged('groupMessages', changes)
+    this._scheduleWrite('groupMessages', groupMessages)
+  }
+
+  /**
+   * Save groups
+   * @param {Array} groups - All groups
+   */
+  saveGroups(groups) {
+    this._scheduleWrite('groups', groups)
+  }
+
+  /**
+   * Save contacts
+   * @param {Array} contacts - All contacts
+   */
+  saveContacts(contacts) {
+    this._scheduleWrite('contacts', contacts)
+  }
+
+  /**
+   * Save a single value
+   * @param {string} name - One of the value names, e.g. 'groupReadTimestamps'
+   * @param {*} value - JSON serializable value
+   */
+  saveValue(name, value) {
+    this._scheduleWrite('values', { ...this.pendingWrites.values, [name]: value })
+  }
+
+  /**
+   * Store the contents of a file waiting in the outbox
+   * Each file is its own record, so the outbox itself stays small when it is saved after every attempt
+   * @param {string} id - ID of the outbox entry
+   * @param {string} data - Base64 encoded file contents
+   * @returns {Promise<void>}
+   */
+  async saveOutboxFile(id, data) {
+    const name = `${OUTBOX_FILE_PREFIX}${id}`
+    try {
+      const db = await this.open()
+      if (!db) {
+        localStorage.setItem(`${LOCAL_STORAGE_KEYS.outbox}_${name}`, SEALED_VALUE_PREFIX + this._seal(data))
+        return
+      }
+
+      const transaction = db.transaction('meta', 'readwrite')
+      transaction.objectStore('meta').put(this._toStored('meta', { name, value: data }))
+      await this._transactionDone(transaction)
+    } catch (error) {
+      this._reportError(`save ${name}`, error)
+    }
+  }
+
+  /**
+   * Load the contents of a file waiting in the outbox
+   * @param {string} id - ID of the outbox entry
+   * @returns {Promise<string|null>} - Base64 encoded file contents, null when none are stored
+   */
+  async loadOutboxFile(id) {
+    const name = `${OUTBOX_FILE_PREFIX}${id}`
+    try {
+      const db = await this.open()
+      if (!db) {
+        const json = localStorage.getItem(`${LOCAL_STORAGE_KEYS.outbox}_${name}`)
+        return json ? this._parseStoredValue(json) : null
+      }
+
+      const stored = await this._request(db.transaction('meta', 'readonly').objectStore('meta').get(this._blind(name)))
+      const [record] = this._unsealRecords(stored ? [stored] : [])
+      return record ? record.value : null
+    } catch (error) {
+      this._reportError(`load ${name}`, error)
+      return null
+    }
+  }
+
+  /**
+   * Delete the contents of a file that left the outbox
+   * @param {string} id - ID of the outbox entry
+   * @returns {Promise<void>}
+   */
+  async deleteOutboxFile(id) {
+    const name = `${OUTBOX_FILE_PREFIX}${id}`
+    try {
+      const db = await this.open()
+      if (!db) {
+        localStorage.removeItem(`${LOCAL_STORAGE_KEYS.outbox}_${name}`)
+        return
+      }
+
+      const transaction = db.transaction('meta', 'readwrite')
+      transaction.objectStore('meta').delete(this._blind(name))
+      await this._transactionDone(transaction)
+    } catch (error) {
+      this._reportError(`delete ${name}`, error)
+    }
+  }
+
+  /**
+   * Write pending saves right away
+   * @returns {Promise<void>} - Resolves once everything handed to the save methods is written
+   */
+  flush() {
+    clearTimeout(this.writeTimer)
+    this.writeTimer = null
+
+    const pending = this.pendingWrites
+    const changed = this.changedConversations
+    this.pendingWrites = {}
+    this.changedConversations = {}
+    if (Object.keys(pending).length > 0) {
+      this.writing = this.writing.then(() => this._write(pending, changed))
+    }
+    return this.writing
+  }
+
+  /**
+   * Delete all stored conversations, groups and contacts
+   * Works while locked, the database is deleted without being read
+   * @returns {Promise<boolean>} - Success status
+   */
+  async clear() {
+    clearTimeout(this.writeTimer)
+    this.writeTimer = null
+    this.pendingWrites = {}
+    this.changedConversations = {}
+    await this.writing
+
+    for (const storageKey of Object.values(LOCAL_STORAGE_KEYS)) {
+      localStorage.removeItem(storageKey)
+    }
+    Object.keys(localStorage)
+      .filter(storageKey => storageKey.startsWith(`${LOCAL_STORAGE_KEYS.outbox}_${OUTBOX_FILE_PREFIX}`))
+      .forEach(storageKey => localStorage.removeItem(storageKey))
+
+    if (this.db) this.db.close()
+    this.db = null
+    this.opening = null
+    this.savedRecords = {}
+    this.storedMessageKeys = {}
+    this.storedMessageIds = new Set()
+    if (typeof indexedDB === 'undefined') return true
+
+    try {
+      await this._request(indexedDB.deleteDatabase(DB_NAME))
+      return true
+    } catch (error) {
+      this._reportError('clear', error)
+      return false
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _open() {
+    const storageKey = LocalKeyStorageManager.getStorageKey()
+    if (!storageKey) throw new Error('Local data is locked until the account is unlocked')
+    this.storageKey = storageKey
+    this.indexKey = LocalKeyStorageManager.hmac(storageKey, encodeUTF8(INDEX_KEY_CONTEXT)).slice(0, 32)
+
+    try {
+      if (typeof indexedDB === 'undefined') throw new Error('IndexedDB is not available')
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => this._upgrade(request.result, request.transaction)
+      const db = await this._request(request)
+
+      // Let another tab upgrade the schema, the next access opens the database again
+      db.onversionchange = () => {
+        db.close()
+        this.db = null
+        this.opening = null
+      }
+
+      await this._encryptPlaintextRecords(db)
+      await this._indexMessageRecords(db)
+      await this._migrateFromLocalStorage(db)
+      this.storedMessageIds = await this._loadStoredMessageIds(db)
+      this.db = db
+      return db
+    } catch (error) {
+      this._reportError('open', error)
+      this.useLocalStorage = true
+      return null
+    }
+  }
+
+  /**
+   * Create the object stores and indexes
+   * @private
+   */
+  _upgrade(db, transaction) {
+    if (!db.objectStoreNames.contains('conversations')) {
+      db.createObjectStore('conversations', { keyPath: STORE_KEY_PATHS.conversations })
+    }
+    const messages = db.objectStoreNames.contains('messages')
+      ? transaction.objectStore('messages')
+      : db.createObjectStore('messages', { keyPath: STORE_KEY_PATHS.messages })
+    if (!messages.indexNames.contains('conversation')) {
+      messages.createIndex('conversation', 'conversationId')
+      messages.createIndex('conversationTime', ['conversationId', 'timestamp'])
+    }
+    // Added in version 2
+    if (!messages.indexNames.contains('messageId')) {
+      messages.createIndex('messageId', 'messageId')
+      messages.createIndex('expiresAt', 'expiresAt')
+    }
+    if (!db.objectStoreNames.contains('groups')) {
+      db.createObjectStore('groups', { keyPath: STORE_KEY_PATHS.groups })
+    }
+    if (!db.objectStoreNames.contains('contacts')) {
+      db.createObjectStore('contacts', { keyPath: STORE_KEY_PATHS.contacts })
+    }
+    if (!db.objectStoreNames.contains('meta')) {
+      db.createObjectStore('meta', { keyPath: STORE_KEY_PATHS.meta })
+    }
+  }
+
+  /**
+   * Encrypt records that were stored before the database was encrypted, once
+   * @private
+   */
+  async _encryptPlaintextRecords(db) {
+    const encrypted = await this._request(db.transaction('meta', 'readonly').objectStore('meta').get(ENCRYPTION_RECORD))
+    if (encrypted) return
+
+    const storeNames = ['conversations', 'messages', 'groups', 'contacts']
+    const readTransaction = db.transaction(storeNames, 'readonly')
+    const storedRecords = await Promise.all(storeNames.map(storeName => this._request(readTransaction.objectStore(storeName).getAll())))
+
+    const transaction = db.transaction([...storeNames, 'meta'], 'readwrite')
+    storeNames.forEach((storeName, index) => {
+      const store = transaction.objectStore(storeName)
+      for (const record of storedRecords[index].filter(r => !r.sealed)) {
+        store.delete(record[STORE_KEY_PATHS[storeName]])
+        store.put(this._toStored(storeName, record))
+      }
+    })
+    transaction.objectStore('meta').put({ name: ENCRYPTION_RECORD, version: 1 })
+    await this._transactionDone(transaction)
+  }
+
+  /**
+   * Add the messageId and expiresAt index fields to messages stored before version 2, once
+   * @private
+   */
+  async _indexMessageRecords(db) {
+    const indexed = await this._request(db.transaction('meta', 'readonly').objectStore('meta').get(MESSAGE_INDEX_RECORD))
+    if (indexed) return
+
+    const storedRecords = await this._request(db.transaction('messages', 'readonly').objectStore('messages').getAll())
+    const records = this._unsealRecords(storedRecords)
+
+    const transaction = db.transaction(['messages', 'meta'], 'readwrite')
+    const store = transaction.objectStore('messages')
+    records.forEach(record => store.put(this._toStored('messages', record)))
+    transaction.objectStore('meta').put({ name: MESSAGE_INDEX_RECORD, version: 1 })
+    await this._transactionDone(transaction)
+  }
+
+  /**
+   * @private
+   */
+  _loadStoredMessageIds(db) {
+    const request = db.transaction('messages', 'readonly').objectStore('messages').index('messageId').openKeyCursor()
+    return new Promise((resolve, reject) => {
+      const messageIds = new Set()
+      request.onsuccess = () => {
+        const cursor = request.result
+        if (!cursor) return resolve(messageIds)
+        messageIds.add(cursor.key)
+        cursor.continue()
+      }
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * Move data from the old localStorage entries into the database
+   * The entries are only removed after everything was written
+   * @private
+   */
+  async _migrateFromLocalStorage(db) {
+    const legacyData = {}
+    for (const [collection, storageKey] of Object.entries(LOCAL_STORAGE_KEYS)) {
+      const json = localStorage.getItem(storageKey)
+      if (json === null) continue
+      try {
+        const value = this._parseStoredValue(json)
+        if (VALUE_NAMES.includes(collection)) {
+          legacyData.values = { ...legacyData.values, [collection]: value }
+        } else {
+          legacyData[collection] = value
+        }
+      } catch (error) {
+        // Unreadable entries are left in place rather than deleted
+        this._reportError(`migrate ${storageKey}`, error)
+      }
+    }
+    if (Object.keys(legacyData).length === 0) return
+
+    const changes = this._collectChanges(legacyData)
+    const transaction = db.transaction([...new Set(changes.map(c => c.storeName))], 'readwrite')
+    for (const change of changes) {
+      const store = transaction.objectStore(change.storeName)
+      change.puts.forEach(record => store.put(this._toStored(change.storeName, record)))
+    }
+    await this._transactionDone(transaction)
+
+    for (const collection of [...Object.keys(legacyData), ...Object.keys(legacyData.values || {})]) {
+      if (LOCAL_STORAGE_KEYS[collection]) localStorage.removeItem(LOCAL_STORAGE_KEYS[collection])
+    }
+
+    console.log('Moved conversations, groups and contacts from localStorage to IndexedDB')
+  }
+
+  /**
+   * @private
+   */
+  async _loadAll(storeName, collection, keyOf) {
+    try {
+      const db = await this.open()
+      if (!db) return this._readLocalStorage(collection, [])
+
+      const storedRecords = await this._request(db.transaction(storeName, 'readonly').objectStore(storeName).getAll())
+      const records = this._unsealRecords(storedRecords)
+      this._remember(collection, records, keyOf)
+      return records
+    } catch (error) {
+      this._reportError(`load ${collection}`, error)
+      return []
+    }
+  }
+
+  /**
+   * @private
+   */
+  _scheduleWrite(collection, data) {
+    this.pendingWrites[collection] = data
+    if (!this.writeTimer) {
+      this.writeTimer = setTimeout(() => this.flush(), WRITE_DELAY)
+    }
+  }
+
+  /**
+   * Write the records that changed in one transaction
+   * Nothing is marked as saved unless the transaction completes, so failed writes are retried
+   * @private
+   */
+  async _write(pending, changed) {
+    try {
+      const db = await this.open()
+      if (!db) {
+        this._writeLocalStorage(pending)
+        return
+      }
+
+      const changes = this._collectChanges(pending, changed)
+        .filter(c => c.puts.length > 0 || c.deletes.length > 0 || c.clears.length > 0)
+      if (changes.length === 0) return
+
+      const transaction = db.transaction([...new Set(changes.map(c => c.storeName))], 'readwrite')
+      const messageIds = []
+      for (const change of changes) {
+        const store = transaction.objectStore(change.storeName)
+        change.puts.forEach(record => {
+          const stored = this._toStored(change.storeName, record)
+          if (stored.messageId) messageIds.push(stored.messageId)
+          store.put(stored)
+        })
+        change.deletes.forEach(key => store.delete(this._blind(key)))
+        change.clears.forEach(conversationId => this._deleteConversationMessages(store, conversationId))
+      }
+      await this._transactionDone(transaction)
+
+      // IDs of deleted messages stay, they were stored once and should not be fetched again either
+      messageIds.forEach(messageId => this.storedMessageIds.add(messageId))
+      changes.forEach(change => change.onSaved())
+    } catch (error) {
+      this._reportError('save', error)
+      this._restoreChanged(changed)
+    }
+  }
+
+  /**
+   * Turn the data handed to the save methods into the records to write and delete
+   * Conversations and messages are taken from what was marked as changed, the rest is compared with what was saved
+   * @private
+   */
+  _collectChanges(data, changed = {}) {
+    const changes = []
+
+    if (data.conversations) {
+      const conversations = new Map(data.conversations.filter(c => c && c.contactPublicKey).map(c => [c.contactPublicKey, c]))
+      const { conversationIds, removedIds, ...messageChange } = this._messageChanges(
+        'directMessages', 'dm', conversations, c => c.messages, changed.conversations)
+      changes.push({
+        storeName: 'conversations',
+        puts: conversationIds.map(id => {
+          const { messages, ...conversation } = conversations.get(id)
+          return conversation
+        }),
+        deletes: removedIds,
+        clears: [],
+        onSaved: () => {}
+      })
+      changes.push(messageChange)
+    }
+
+    if (data.groupMessages) {
+      const groupMessages = new Map(Object.entries(data.groupMessages))
+      const { conversationIds, removedIds, ...messageChange } = this._messageChanges(
+        'groupMessages', 'group', groupMessages, messages => messages, changed.groupMessages)
+      changes.push(messageChange)
+    }
+
+    if (data.groups) {
+      changes.push(this._diff('groups', 'groups', data.groups.filter(g => g && g.id), g => g.id))
+    }
+
+    if (data.contacts) {
+      changes.push(this._diff('contacts', 'contacts', data.contacts.filter(c => c && c.publicKey), c => c.publicKey))
+    }
+
+    if (data.values) {
+      // Values are saved one at a time, so values missing here are kept
+      changes.push(this._diff('values', 'meta',
+        Object.entries(data.values).map(([name, value]) => ({ name, value })),
+        r => r.name, { partial: true }))
+    }
+
+    return changes
+  }
+
+  /**
+   * @private
+   */
+  _diff(collection, storeName, records, keyOf, { partial = false } = {}) {
+    const saved = this.savedRecords[collection] || new Map()
+    const snapshot = partial ? new Map(saved) : new Map()
+    const puts = []
+
+    for (const record of records) {
+      const key = keyOf(record)
+      const json = JSON.stringify(record)
+      snapshot.set(key, json)
+      if (saved.get(key) !== json) puts.push(record)
+    }
+
+    const deletes = partial ? [] : [...saved.keys()].filter(key => !snapshot.has(key))
+    return { storeName, puts, deletes, clears: [], onSaved: () => { this.savedRecords[collection] = snapshot } }
+  }
+
+  /**
+   * Message records to write and delete for the conversations marked as changed
+   * Only loaded messages are deleted when they are gone, except that conversations that
+   * are gone lose all their messages, also the ones that were never loaded
+   * @private
+   */
+  _messageChanges(collection, kind, conversations, messagesOf, marked = ALL_CHANGED) {
+    const stored = this.storedMessageKeys[collection] || new Map()
+    // Stored keys of the conversations written here, null for the ones that are gone
+    const next = new Map()
+    const ids = marked === ALL_CHANGED ? new Set([...stored.keys(), ...conversations.keys()]) : marked.keys()
+    const change = { storeName: 'messages', puts: [], deletes: [], clears: [], conversationIds: [], removedIds: [] }
+
+    for (const id of ids) {
+      const conversationId = `${kind}:${id}`
+      if (!conversations.has(id)) {
+        change.removedIds.push(id)
+        change.clears.push(conversationId)
+        next.set(id, null)
+        continue
+      }
+
+      const messages = messagesOf(conversations.get(id))
+      const messageIds = marked === ALL_CHANGED ? null : marked.get(id)
+      const keys = new Set(stored.get(id))
+      change.conversationIds.push(id)
+
+      if (messageIds === null) {
+        const records = this._messageRecords(conversationId, messages)
+        const recordKeys = new Set(records.map(record => record.key))
+        change.puts.push(...records)
+        change.deletes.push(...[...keys].filter(key => !recordKeys.has(key)))
+        next.set(id, recordKeys)
+        continue
+      }
+
+      const messagesById = new Map(this._messageRecords(conversationId, messages).map(record => [record.message.id, record]))
+      for (const messageId of messageIds) {
+        const key = `${conversationId}:${messageId}`
+        if (messagesById.has(messageId)) {
+          change.puts.push(messagesById.get(messageId))
+          keys.add(key)
+        } else {
+          change.deletes.push(key)
+          keys.delete(key)
+        }
+      }
+      next.set(id, keys)
+    }
+
+    // Messages loaded while writing are kept
+    change.onSaved = () => {
+      const current = this.storedMessageKeys[collection] || new Map()
+      for (const [id, keys] of next) {
+        if (keys === null) {
+          current.delete(id)
+        } else {
+          // Sets are replaced rather than changed, so keys not in the one this write started from were loaded since
+          const loaded = [...(current.get(id) || [])].filter(key => !stored.get(id)?.has(key))
+          current.set(id, new Set([...keys, ...loaded]))
+        }
+      }
+      this.storedMessageKeys[collection] = current
+    }
+    return change
+  }
+
+  /**
+   * Remember which conversations and messages to write on the next flush
+   * Maps each conversation ID to the changed message IDs, or to null when all its messages are written
+   * @private
+   */
+  _markChanged(collection, changes) {
+    const marked = this.changedConversations[collection]
+    if (marked === ALL_CHANGED) return
+    if (!changes) {
+      this.changedConversations[collection] = ALL_CHANGED
+      return
+    }
+
+    const next = marked || new Map()
+    for (const { conversationId, messageIds } of changes) {
+      if (!conversationId) continue
+      const current = next.has(conversationId) ? next.get(conversationId) : new Set()
+
+      // Messages without an ID are stored by their position, so the whole conversation is written
+      if (current === null || !Array.isArray(messageIds) || messageIds.some(id => id === undefined || id === null)) {
+        next.set(conversationId, null)
+      } else {
+        next.set(conversationId, new Set([...current, ...messageIds]))
+      }
+    }
+    this.changedConversations[collection] = next
+  }
+
+  /**
+   * Mark the conversations of a failed write as changed again, so the next save retries them
+   * @private
+   */
+  _restoreChanged(changed) {
+    for (const [collection, marked] of Object.entries(changed)) {
+      this._markChanged(collection, marked === ALL_CHANGED ? undefined : [...marked].map(([conversationId, messageIds]) => ({
+        conversationId,
+        messageIds: messageIds && [...messageIds]
+      })))
+    }
+  }
+
+  /**
+   * Delete every stored message of a conversation within a write transaction
+   * @private
+   */
+  _deleteConversationMessages(store, conversationId) {
+    const [kind] = conversationId.split(':')
+    const request = store.index('conversation').getAllKeys(`${kind}:${this._blind(conversationId)}`)
+    request.onsuccess = () => request.result.forEach(key => store.delete(key))
+  }
+
+  /**
+   * @private
+   */
+  _messageRecords(conversationId, messages) {
+    return (Array.isArray(messages) ? messages : [])
+      .filter(message => message && typeof message === 'object')
+      .map((message, index) => ({
+        // Messages without an ID still get a stable key from their position
+        key: `${conversationId}:${message.id ?? `#${index}`}`,
+        conversationId,
+        timestamp: message.timestamp || '',
+        message
+      }))
+  }
+
+  /**
+   * Remember the stored message keys of each conversation after loading messages
+   * @private
+   */
+  _rememberMessageKeys(collection, conversationIds, records, prefix) {
+    const stored = this.storedMessageKeys[collection] || new Map()
+    const loaded = new Map(conversationIds.map(id => [id, []]))
+    for (const record of records) {
+      const id = record.conversationId.slice(prefix.length)
+      if (!loaded.has(id)) loaded.set(id, [])
+      loaded.get(id).push(record.key)
+    }
+    for (const [id, keys] of loaded) {
+      stored.set(id, new Set([...(stored.get(id) || []), ...keys]))
+    }
+    this.storedMessageKeys[collection] = stored
+  }
+
+  /**
+   * @private
+   */
+  _groupMessageRecords(records, prefix) {
+    const messages = {}
+    for (const record of records) {
+      const id = record.conversationId.slice(prefix.length)
+      if (!messages[id]) messages[id] = []
+      messages[id].push(record.message)
+    }
+    return messages
+  }
+
+  /**
+   * Encrypted form of a record, as written to an object store
+   * Messages keep a blinded conversation ID and their timestamp for the conversationTime index,
+   * a blinded message ID and their expiry time for the messageId and expiresAt indexes
+   * @private
+   */
+  _toStored(storeName, record) {
+    const keyPath = STORE_KEY_PATHS[storeName]
+    const stored = {
+      [keyPath]: this._blind(record[keyPath]),
+      sealed: this._seal(record)
+    }
+
+    if (storeName === 'messages') {
+      const [kind] = record.conversationId.split(':')
+      stored.conversationId = `${kind}:${this._blind(record.conversationId)}`
+      stored.timestamp = record.timestamp
+      stored.messageId = this._blindMessageId(record.message.id ?? record.key)
+      const expiresAt = record.message.expiresAt ? new Date(record.message.expiresAt) : null
+      if (expiresAt && !isNaN(expiresAt.getTime())) stored.expiresAt = expiresAt.toISOString()
+    }
+    return stored
+  }
+
+  /**
+   * Decrypt stored records, reporting the ones that cannot be read
+   * Unreadable records are left in the database
+   * @private
+   */
+  _unsealRecords(storedRecords) {
+    const records = []
+    let failed = 0
+    for (const stored of storedRecords) {
+      try {
+        records.push(this._unseal(stored.sealed))
+      } catch (error) {
+        failed++
+      }
+    }
+
+    if (failed > 0) {
+      this._reportError('decrypt', new Error(`${failed} stored records could not be decrypted`))
+    }
+    return records
+  }
+
+  /**
+   * Read the newest stored messages of a conversation sent at or before a time from the conversationTime index
+   * One more than the limit is read to tell whether older messages are stored
+   * @private
+   */
+  _readMessagePage(db, conversationId, before, limit) {
+    const [kind] = conversationId.split(':')
+    const indexId = `${kind}:${this._blind(conversationId)}`
+    const range = IDBKeyRange.bound([indexId], [indexId, before ?? '\uffff'])
+    const request = db.transaction('messages', 'readonly').objectStore('messages').index('conversationTime').openCursor(range, 'prev')
+
+    return new Promise((resolve, reject) => {
+      const storedRecords = []
+      request.onsuccess = () => {
+        const cursor = request.result
+        if (cursor && storedRecords.length <= limit) {
+          storedRecords.push(cursor.value)
+          cursor.continue()
+          return
+        }
+        resolve({ storedRecords: storedRecords.slice(0, limit).reverse(), hasMore: storedRecords.length > limit })
+      }
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * Keyed hash of a message ID for the messageId index
+   * @private
+   */
+  _blindMessageId(messageId) {
+    return this._blind(`message:${messageId}`)
+  }
+
+  /**
+   * Keyed hash of a record key
+   * @private
+   */
+  _blind(key) {
+    const mac = LocalKeyStorageManager.hmac(this.indexKey, encodeUTF8(String(key)))
+    return Array.from(mac.slice(0, 16), byte => byte.toString(16).padStart(2, '0')).join('')
+  }
+
+  /**
+   * Encrypt a JSON serializable value with the storage key
+   * @private
+   */
+  _seal(value) {
+    const nonce = nacl.randomBytes(nacl.secretbox.nonceLength)
+    const box = nacl.secretbox(encodeUTF8(JSON.stringify(value)), nonce, this.storageKey)
+    const sealed = new Uint8Array(nonce.length + box.length)
+    sealed.set(nonce)
+    sealed.set(box, nonce.length)
+    return encodeBase64(sealed)
+  }
+
+  /**
+   * @private
+   */
+  _unseal(sealed) {
+    const bytes = decodeBase64(sealed)
+    const nonce = bytes.slice(0, nacl.secretbox.nonceLength)
+    const plaintext = nacl.secretbox.open(bytes.slice(nacl.secretbox.nonceLength), nonce, this.storageKey)
+    if (!plaintext) throw new Error('Stored data could not be decrypted')
+    return JSON.parse(decodeUTF8(plaintext))
+  }
+
+  /**
+   * @private
+   */
+  _remember(collection, records, keyOf) {
+    this.savedRecords[collection] = new Map(records.map(record => [keyOf(record), JSON.stringify(record)]))
+  }
+
+  /**
+   * Parse a localStorage entry, encrypted or written before encryption
+   * @private
+   */
+  _parseStoredValue(json) {
+    if (json.startsWith(SEALED_VALUE_PREFIX)) return this._unseal(json.slice(SEALED_VALUE_PREFIX.length))
+    return JSON.parse(json)
+  }
+
+  /**
+   * @private
+   */
+  _readLocalStorage(collection, fallback) {
+    try {
+      const json = localStorage.getItem(LOCAL_STORAGE_KEYS[collection])
+      return json ? this._parseStoredValue(json) : fallback
+    } catch (error) {
+      this._reportError(`load ${collection}`, error)
+      return fallback
+    }
+  }
+
+  /**
+   * @private
+   */
+  _writeLocalStorage(pending) {
+    const { values, ...collections } = pending
+    for (const [collection, data] of Object.entries({ ...collections, ...values })) {
+      try {
+        localStorage.setItem(LOCAL_STORAGE_KEYS[collection], SEALED_VALUE_PREFIX + this._seal(data))
+      } catch (error) {
+        this._reportError(`save ${collection}`, error)
+      }
+    }
+  }
+
+  /**
+   * Log a storage failure and let the UI know about it
+   * @private
+   */
+  _reportError(operation, error) {
+    console.error(`Storage error (${operation}):`, error)
+    this.lastError = {
+      operation,
+      message: error?.message || String(error),
+      timestamp: new Date().toISOString()
+    }
+
+    if (typeof window !== 'undefined' && typeof window.dispatchEvent === 'function') {
+      window.dispatchEvent(new CustomEvent('storageError', { detail: this.lastError }))
+    }
+  }
+
+  /**
+   * @private
+   */
+  _request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * @private
+   */
+  _transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve()
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'))
+    })
+  }
+}
+
+// Create singleton instance
+const localDatabase = new LocalDatabase()
+
+export default localDatabase
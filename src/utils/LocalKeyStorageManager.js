@@ -9,11 +9,45 @@
 import nacl from 'tweetnacl';
 import { encodeBase64, decodeBase64 } from 'tweetnacl-util';
 import { encode as encodeUTF8, decode as decodeUTF8 } from '@stablelib/utf8';
+import { entropyToMnemonic, mnemonicToEntropy, validateMnemonic } from '@scure/bip39';
+import { wordlist } from '@scure/bip39/wordlists/english';
+
+// Header of versioned ciphertexts: 'S', 'W' magic bytes followed by the format version
+const CIPHERTEXT_HEADER = new Uint8Array([0x53, 0x57, 0x02]);
+
+// Signed envelopes carry the sender's Ed25519 signing key and a detached signature
+const SIGNED_PAYLOAD_PREFIX = 'SWS1:';
+const SIGNED_BYTES_HEADER = new Uint8Array([0x53, 0x57, 0x53, 0x01]);
+const SIGNING_KEY_CONTEXT = 'subworld-signing-key-v1';
+
+// Context of the key that encrypts the local database
+const STORAGE_KEY_CONTEXT = 'subworld-storage-key-v1';
+
+// Safety numbers: 30 digits per party, hashed repeatedly to slow down collision searches
+const SAFETY_NUMBER_VERSION = 'subworld-safety-number-v1';
+const SAFETY_NUMBER_ITERATIONS = 1024;
+
+// Protocol v2 addresses carry the full public key: 'sw2' | 32 key bytes (hex) | 2 checksum bytes (hex)
+const ADDRESS_PREFIX = 'sw2';
+const ADDRESS_CHECKSUM_CONTEXT = 'subworld-address-v2';
+const ADDRESS_PATTERN = /^sw2[0-9a-f]{68}$/;
+const LEGACY_DISPLAY_KEY_PATTERN = /^[0-9a-f]{4}(-[0-9a-f]{4}){3}$/;
+
+// Passphrase key derivation settings for the stored private key
+const KEY_VAULT_VERSION = 1;
+const PBKDF2_ITERATIONS = 310000;
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// A 24 word BIP39 phrase carries exactly the 32 bytes of a NaCl secret key
+export const RECOVERY_PHRASE_WORD_COUNT = 24;
+
+// Private key of the unlocked account, kept in memory only
+let unlockedPrivateKey = null;
 
 class LocalKeyStorageManager {
   /**
    * Generate a secure key pair
-   * @returns {Promise<{publicKey: string, privateKey: string, publicKeyDisplay: string, privateKeyDisplay: string, publicKeyHash: string}>}
+   * @returns {Promise<{publicKey: string, privateKey: string, publicKeyDisplay: string, legacyPublicKeyDisplay: string, privateKeyDisplay: string, publicKeyHash: string, recoveryPhrase: string}>}
    */
   static async generateKeyPair() {
     try {
@@ -28,15 +62,18 @@ class LocalKeyStorageManager {
       const publicKeyHash = await this.hashString(publicKey);
       
       // Create display versions of the keys
-      const publicKeyDisplay = this.formatHashForDisplay(publicKeyHash.slice(0, 16));
+      const publicKeyDisplay = this.deriveAddress(publicKey);
+      const legacyPublicKeyDisplay = this.formatHashForDisplay(publicKeyHash.slice(0, 16));
       const privateKeyDisplay = this.createShortPrivateKey(privateKey);
       
       return {
         publicKey,
         privateKey,
         publicKeyDisplay,
+        legacyPublicKeyDisplay,
         privateKeyDisplay,
-        publicKeyHash
+        publicKeyHash,
+        recoveryPhrase: this.privateKeyToRecoveryPhrase(privateKey)
       };
     } catch (error) {
       console.error('Failed to generate key pair:', error);
@@ -46,13 +83,22 @@ class LocalKeyStorageManager {
   
   /**
    * Import an existing private key
-   * @param {string} privateKey - Base64 encoded private key
-   * @returns {Promise<{publicKey: string, privateKey: string, publicKeyDisplay: string, privateKeyDisplay: string, publicKeyHash: string}>}
+   * @param {string} privateKeyOrPhrase - Base64 encoded private key or recovery phrase
+   * @returns {Promise<{publicKey: string, privateKey: string, publicKeyDisplay: string, legacyPublicKeyDisplay: string, privateKeyDisplay: string, publicKeyHash: string, recoveryPhrase: string}>}
    */
-  static async importPrivateKey(privateKey) {
+  static async importPrivateKey(privateKeyOrPhrase) {
+    const isPhrase = this.isRecoveryPhrase(privateKeyOrPhrase);
+    
     try {
+      const privateKey = isPhrase
+        ? this.recoveryPhraseToPrivateKey(privateKeyOrPhrase)
+        : privateKeyOrPhrase.trim();
+      
       // Decode the private key from Base64
       const secretKey = decodeBase64(privateKey);
+      if (secretKey.length !== nacl.box.secretKeyLength) {
+        throw new Error('Invalid private key length');
+      }
       
       // Derive the public key from the private key
       const keyPair = nacl.box.keyPair.fromSecretKey(secretKey);
@@ -62,41 +108,51 @@ class LocalKeyStorageManager {
       const publicKeyHash = await this.hashString(publicKey);
       
       // Create display versions
-      const publicKeyDisplay = this.formatHashForDisplay(publicKeyHash.slice(0, 16));
+      const publicKeyDisplay = this.deriveAddress(publicKey);
+      const legacyPublicKeyDisplay = this.formatHashForDisplay(publicKeyHash.slice(0, 16));
       const privateKeyDisplay = this.createShortPrivateKey(privateKey);
       
       return {
         publicKey,
         privateKey,
         publicKeyDisplay,
+        legacyPublicKeyDisplay,
         privateKeyDisplay,
-        publicKeyHash
+        publicKeyHash,
+        recoveryPhrase: this.privateKeyToRecoveryPhrase(privateKey)
       };
     } catch (error) {
       console.error('Failed to import private key:', error);
-      throw new Error('Invalid key format. Please check your private key and try again.');
+      throw new Error(isPhrase
+        ? 'Invalid recovery phrase. Please check the words and their order and try again.'
+        : 'Invalid key format. Please check your private key and try again.');
     }
   }
   
   /**
-   * Save key pair to local storage
-   * @param {{publicKey: string, privateKey: string, publicKeyDisplay: string, privateKeyDisplay: string, publicKeyHash: string}} keyInfo
-   * @returns {boolean} Success status
+   * Save key pair to local storage, wrapping the private key with a passphrase
+   * @param {{publicKey: string, privateKey: string, publicKeyDisplay: string, legacyPublicKeyDisplay: string, privateKeyDisplay: string, publicKeyHash: string}} keyInfo
+   * @param {string} passphrase - Passphrase used to protect the private key
+   * @returns {Promise<boolean>} Success status
    */
-  static saveKeyPair(keyInfo) {
+  static async saveKeyPair(keyInfo, passphrase) {
     try {
       if (typeof window === 'undefined') return false;
       
       // Encrypt the private key before storing
-      const encryptedPrivateKey = this.simpleEncrypt(keyInfo.privateKey);
+      const vault = await this.createKeyVault(keyInfo.privateKey, passphrase);
       
       // Store all key information
-      localStorage.setItem('subworld_private_key', encryptedPrivateKey);
+      localStorage.setItem('subworld_private_key', JSON.stringify(vault));
       localStorage.setItem('subworld_public_key', keyInfo.publicKey);
       localStorage.setItem('subworld_public_key_display', keyInfo.publicKeyDisplay);
+      localStorage.setItem('subworld_legacy_public_key_display', keyInfo.legacyPublicKeyDisplay);
       localStorage.setItem('subworld_private_key_display', keyInfo.privateKeyDisplay);
       localStorage.setItem('subworld_public_key_hash', keyInfo.publicKeyHash);
       
+      // The account that was just saved is unlocked
+      unlockedPrivateKey = keyInfo.privateKey;
+      
       return true;
     } catch (error) {
       console.error('Error saving keys:', error);
@@ -106,7 +162,8 @@ class LocalKeyStorageManager {
   
   /**
    * Retrieve key pair from local storage
-   * @returns {{publicKey: string, privateKey: string, publicKeyDisplay: string, privateKeyDisplay: string, publicKeyHash: string} | null}
+   * Returns null while a passphrase protected key is locked
+   * @returns {{publicKey: string, privateKey: string, publicKeyDisplay: string, legacyPublicKeyDisplay: string, privateKeyDisplay: string, publicKeyHash: string} | null}
    */
   static getKeyPair() {
     try {
@@ -118,17 +175,34 @@ class LocalKeyStorageManager {
       
       // Get other key information
       const publicKey = localStorage.getItem('subworld_public_key');
-      const publicKeyDisplay = localStorage.getItem('subworld_public_key_display');
+      let publicKeyDisplay = localStorage.getItem('subworld_public_key_display');
+      let legacyPublicKeyDisplay = localStorage.getItem('subworld_legacy_public_key_display');
       const privateKeyDisplay = localStorage.getItem('subworld_private_key_display');
       const publicKeyHash = localStorage.getItem('subworld_public_key_hash');
       
-      // Decrypt the private key
-      const privateKey = this.simpleDecrypt(encryptedPrivateKey);
+      // Accounts created before protocol v2 stored the short display key as their address
+      if (publicKey && !this.isAddress(publicKeyDisplay)) {
+        legacyPublicKeyDisplay = publicKeyDisplay;
+        publicKeyDisplay = this.deriveAddress(publicKey);
+        localStorage.setItem('subworld_public_key_display', publicKeyDisplay);
+        localStorage.setItem('subworld_legacy_public_key_display', legacyPublicKeyDisplay);
+      }
+      
+      // Passphrase protected keys are only available after unlock()
+      let privateKey;
+      if (this.isPassphraseProtected()) {
+        if (!unlockedPrivateKey) return null;
+        privateKey = unlockedPrivateKey;
+      } else {
+        // Legacy storage - decrypt the obfuscated private key
+        privateKey = this.simpleDecrypt(encryptedPrivateKey);
+      }
       
       return {
         publicKey,
         privateKey,
         publicKeyDisplay,
+        legacyPublicKeyDisplay,
         privateKeyDisplay,
         publicKeyHash
       };
@@ -138,6 +212,155 @@ class LocalKeyStorageManager {
     }
   }
   
+  /**
+   * Check whether an account is stored, whether or not it is unlocked
+   * @returns {boolean}
+   */
+  static hasStoredKeyPair() {
+    if (typeof window === 'undefined') return false;
+    return !!localStorage.getItem('subworld_private_key');
+  }
+  
+  /**
+   * Check whether the stored private key is wrapped with a passphrase
+   * @returns {boolean}
+   */
+  static isPassphraseProtected() {
+    if (typeof window === 'undefined') return false;
+    const storedKey = localStorage.getItem('subworld_private_key');
+    return !!storedKey && storedKey.startsWith('{');
+  }
+  
+  /**
+   * Check whether the private key is available for use
+   * @returns {boolean}
+   */
+  static isUnlocked() {
+    if (!this.hasStoredKeyPair()) return false;
+    return !this.isPassphraseProtected() || !!unlockedPrivateKey;
+  }
+  
+  /**
+   * Unlock the stored private key with the user's passphrase
+   * @param {string} passphrase - The user's passphrase
+   * @returns {Promise<boolean>} Success status
+   */
+  static async unlock(passphrase) {
+    const storedKey = localStorage.getItem('subworld_private_key');
+    if (!storedKey) throw new Error('No key pair found. Please create or import a key pair.');
+    
+    if (!this.isPassphraseProtected()) return true;
+    
+    unlockedPrivateKey = await this.openKeyVault(JSON.parse(storedKey), passphrase);
+    return true;
+  }
+  
+  /**
+   * Forget the unlocked private key
+   */
+  static lock() {
+    unlockedPrivateKey = null;
+  }
+  
+  /**
+   * Re-wrap the private key with a new passphrase
+   * Also used to protect keys still stored in the legacy format
+   * @param {string|null} currentPassphrase - Current passphrase (ignored for legacy storage)
+   * @param {string} newPassphrase - The new passphrase
+   * @returns {Promise<boolean>} Success status
+   */
+  static async changePassphrase(currentPassphrase, newPassphrase) {
+    if (this.isPassphraseProtected()) {
+      // Verify the current passphrase before re-keying
+      const storedKey = localStorage.getItem('subworld_private_key');
+      await this.openKeyVault(JSON.parse(storedKey), currentPassphrase);
+    }
+    
+    const keyPair = this.getKeyPair();
+    if (!keyPair) throw new Error('Unlock your account before changing the passphrase.');
+    
+    const vault = await this.createKeyVault(keyPair.privateKey, newPassphrase);
+    localStorage.setItem('subworld_private_key', JSON.stringify(vault));
+    unlockedPrivateKey = keyPair.privateKey;
+    
+    return true;
+  }
+  
+  /**
+   * Wrap a private key with a key derived from a passphrase
+   * @param {string} privateKey - Base64 encoded private key
+   * @param {string} passphrase - Passphrase to protect it with
+   * @returns {Promise<Object>} Serializable key vault
+   */
+  static async createKeyVault(privateKey, passphrase) {
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters long.`);
+    }
+    
+    const salt = nacl.randomBytes(16);
+    const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+    const wrappingKey = await this.deriveKeyFromPassphrase(passphrase, salt, PBKDF2_ITERATIONS);
+    const ciphertext = nacl.secretbox(decodeBase64(privateKey), nonce, wrappingKey);
+    
+    return {
+      version: KEY_VAULT_VERSION,
+      kdf: 'PBKDF2-SHA256',
+      iterations: PBKDF2_ITERATIONS,
+      salt: encodeBase64(salt),
+      nonce: encodeBase64(nonce),
+      ciphertext: encodeBase64(ciphertext)
+    };
+  }
+  
+  /**
+   * Unwrap a private key vault
+   * @param {Object} vault - Key vault created by createKeyVault
+   * @param {string} passphrase - The user's passphrase
+   * @returns {Promise<string>} Base64 encoded private key
+   */
+  static async openKeyVault(vault, passphrase) {
+    if (!vault || vault.version !== KEY_VAULT_VERSION) {
+      throw new Error('Unsupported key storage format.');
+    }
+    
+    const wrappingKey = await this.deriveKeyFromPassphrase(
+      passphrase || '',
+      decodeBase64(vault.salt),
+      vault.iterations
+    );
+    const privateKey = nacl.secretbox.open(
+      decodeBase64(vault.ciphertext),
+      decodeBase64(vault.nonce),
+      wrappingKey
+    );
+    if (!privateKey) throw new Error('Incorrect passphrase.');
+    
+    return encodeBase64(privateKey);
+  }
+  
+  /**
+   * Derive a 32-byte key from a passphrase with PBKDF2 (WebCrypto)
+   * @param {string} passphrase - The passphrase
+   * @param {Uint8Array} salt - Random salt
+   * @param {number} iterations - PBKDF2 iteration count
+   * @returns {Promise<Uint8Array>} Derived key
+   */
+  static async deriveKeyFromPassphrase(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      baseKey,
+      256
+    );
+    return new Uint8Array(bits);
+  }
+  
   /**
    * Delete key pair from local storage
    * @returns {boolean} Success status
@@ -149,8 +372,10 @@ class LocalKeyStorageManager {
       localStorage.removeItem('subworld_private_key');
       localStorage.removeItem('subworld_public_key');
       localStorage.removeItem('subworld_public_key_display');
+      localStorage.removeItem('subworld_legacy_public_key_display');
       localStorage.removeItem('subworld_private_key_display');
       localStorage.removeItem('subworld_public_key_hash');
+      unlockedPrivateKey = null;
       
       return true;
     } catch (error) {
@@ -160,37 +385,15 @@ class LocalKeyStorageManager {
   }
   
   /**
-   * Encrypt a message 
+   * Encrypt a message for a recipient using X25519 key agreement (nacl.box)
    * @param {string} message - Plain text message to encrypt
-   * @param {string} recipientKeyDisplay - Recipient's display key
-   * @returns {Promise<string>} Base64 encoded encrypted message
+   * @param {string} recipientPublicKey - Recipient's full Base64 encoded public key
+   * @returns {Promise<string>} Base64 encoded versioned ciphertext
    */
-  static async encryptMessage(message, recipientKeyDisplay) {
+  static async encryptMessage(message, recipientPublicKey) {
     try {
-      // Get sender's key pair
-      const senderKeyPair = this.getKeyPair();
-      if (!senderKeyPair) throw new Error('No key pair found. Please create or import a key pair.');
-      
-      // Create a symmetric key from both parties' display keys
-      const symmetricKey = await this.deriveSharedKeyFromDisplayKeys(
-        senderKeyPair.publicKeyDisplay,
-        recipientKeyDisplay
-      );
-      
-      // Generate a random nonce
-      const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
-      
-      // Encrypt the message using the symmetric key
-      const messageUint8 = encodeUTF8(message);
-      const encryptedMessage = nacl.secretbox(messageUint8, nonce, symmetricKey);
-      
-      // Combine nonce and encrypted message
-      const fullMessage = new Uint8Array(nonce.length + encryptedMessage.length);
-      fullMessage.set(nonce);
-      fullMessage.set(encryptedMessage, nonce.length);
-      
-      // Return as Base64
-      return encodeBase64(fullMessage);
+      const sealed = this.sealBytes(encodeUTF8(message), recipientPublicKey);
+      return encodeBase64(sealed);
     } catch (error) {
       console.error('Encryption failed:', error);
       throw error;
@@ -200,24 +403,31 @@ class LocalKeyStorageManager {
   /**
    * Decrypt a message
    * @param {string} encryptedMessage - Base64 encoded encrypted message
-   * @param {string} senderKeyDisplay - Sender's display key
+   * @param {string} senderKeyDisplay - Display key of the other party in the conversation
+   * @param {string|null} peerPublicKey - Full public key of the other party, if known
    * @returns {Promise<string>} Decrypted plain text message
    */
-  static async decryptMessage(encryptedMessage, senderKeyDisplay) {
+  static async decryptMessage(encryptedMessage, senderKeyDisplay, peerPublicKey = null) {
     try {
-      // Get receiver's key pair
+      // Decode the full message from Base64
+      const fullMessage = decodeBase64(encryptedMessage);
+      
+      // Current messages carry a versioned header and use nacl.box
+      if (this.isVersionedCiphertext(fullMessage)) {
+        const opened = await this.openBytes(fullMessage, senderKeyDisplay, peerPublicKey);
+        return decodeUTF8(opened);
+      }
+      
+      // Legacy messages (no header) were encrypted with a key derived from display keys
       const receiverKeyPair = this.getKeyPair();
       if (!receiverKeyPair) throw new Error('No key pair found. Please create or import a key pair.');
       
-      // Create the same symmetric key from both parties' display keys
+      // Both parties were addressed by their legacy display keys back then
       const symmetricKey = await this.deriveSharedKeyFromDisplayKeys(
-        senderKeyDisplay,
-        receiverKeyPair.publicKeyDisplay
+        await this.toLegacyDisplayKey(senderKeyDisplay),
+        receiverKeyPair.legacyPublicKeyDisplay
       );
       
-      // Decode the full message from Base64
-      const fullMessage = decodeBase64(encryptedMessage);
-      
       // Extract nonce and encrypted message
       const nonce = fullMessage.slice(0, nacl.secretbox.nonceLength);
       const encryptedData = fullMessage.slice(nacl.secretbox.nonceLength);
@@ -234,8 +444,460 @@ class LocalKeyStorageManager {
     }
   }
   
+  /**
+   * Encrypt raw bytes for a recipient with nacl.box
+   * Layout: header (magic + version) | sender public key | nonce | box
+   * @param {Uint8Array} data - Data to encrypt
+   * @param {string} recipientPublicKey - Recipient's full Base64 encoded public key
+   * @returns {Uint8Array} Versioned ciphertext
+   */
+  static sealBytes(data, recipientPublicKey) {
+    const senderKeyPair = this.getKeyPair();
+    if (!senderKeyPair) throw new Error('No key pair found. Please create or import a key pair.');
+    if (!recipientPublicKey) throw new Error('Recipient public key is required for encryption.');
+    
+    const theirPublicKey = decodeBase64(recipientPublicKey);
+    if (theirPublicKey.length !== nacl.box.publicKeyLength) {
+      throw new Error('Invalid recipient public key.');
+    }
+    
+    const ourPublicKey = decodeBase64(senderKeyPair.publicKey);
+    const nonce = nacl.randomBytes(nacl.box.nonceLength);
+    const box = nacl.box(data, nonce, theirPublicKey, decodeBase64(senderKeyPair.privateKey));
+    
+    const sealed = new Uint8Array(CIPHERTEXT_HEADER.length + ourPublicKey.length + nonce.length + box.length);
+    sealed.set(CIPHERTEXT_HEADER);
+    sealed.set(ourPublicKey, CIPHERTEXT_HEADER.length);
+    sealed.set(nonce, CIPHERTEXT_HEADER.length + ourPublicKey.length);
+    sealed.set(box, CIPHERTEXT_HEADER.length + ourPublicKey.length + nonce.length);
+    
+    return sealed;
+  }
+  
+  /**
+   * Decrypt bytes produced by sealBytes
+   * @param {Uint8Array} sealed - Versioned ciphertext
+   * @param {string|null} peerKeyDisplay - Address or legacy display key of the other party, checked against the embedded sender key
+   * @param {string|null} peerPublicKey - Full public key of the other party, required for our own messages
+   * @returns {Promise<Uint8Array>} Decrypted data
+   */
+  static async openBytes(sealed, peerKeyDisplay, peerPublicKey = null) {
+    const ownKeyPair = this.getKeyPair();
+    if (!ownKeyPair) throw new Error('No key pair found. Please create or import a key pair.');
+    
+    const senderKey = this.getCiphertextSenderKey(sealed);
+    if (!senderKey) throw new Error('Unsupported ciphertext version.');
+    
+    const offset = CIPHERTEXT_HEADER.length + nacl.box.publicKeyLength;
+    const nonce = sealed.slice(offset, offset + nacl.box.nonceLength);
+    const box = sealed.slice(offset + nacl.box.nonceLength);
+    
+    let theirPublicKey;
+    if (senderKey === ownKeyPair.publicKey) {
+      // Sent by us - the shared key needs the recipient's public key
+      if (!peerPublicKey) throw new Error('Public key of the recipient is unknown.');
+      theirPublicKey = peerPublicKey;
+    } else {
+      // Make sure the embedded key really belongs to the claimed sender
+      if (peerKeyDisplay && !await this.addressMatchesPublicKey(peerKeyDisplay, senderKey)) {
+        throw new Error('Sender key does not match the sender address.');
+      }
+      if (peerPublicKey && peerPublicKey !== senderKey) {
+        throw new Error('Sender key does not match the known contact key.');
+      }
+      theirPublicKey = senderKey;
+    }
+    
+    const opened = nacl.box.open(box, nonce, decodeBase64(theirPublicKey), decodeBase64(ownKeyPair.privateKey));
+    if (!opened) throw new Error('Decryption failed. Invalid message or wrong key.');
+    
+    return opened;
+  }
+  
+  /**
+   * Check whether ciphertext carries the versioned header
+   * @param {Uint8Array} data - Ciphertext bytes
+   * @returns {boolean}
+   */
+  static isVersionedCiphertext(data) {
+    if (!data || data.length < CIPHERTEXT_HEADER.length + nacl.box.publicKeyLength + nacl.box.nonceLength) {
+      return false;
+    }
+    return CIPHERTEXT_HEADER.every((byte, i) => data[i] === byte);
+  }
+  
+  /**
+   * Extract the sender's full public key from a versioned ciphertext
+   * @param {Uint8Array|string} data - Ciphertext bytes or Base64 string
+   * @returns {string|null} Base64 encoded sender public key, or null for legacy ciphertext
+   */
+  static getCiphertextSenderKey(data) {
+    try {
+      const bytes = typeof data === 'string' ? decodeBase64(data) : data;
+      if (!this.isVersionedCiphertext(bytes)) return null;
+      
+      return encodeBase64(bytes.slice(CIPHERTEXT_HEADER.length, CIPHERTEXT_HEADER.length + nacl.box.publicKeyLength));
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * Get the Ed25519 signing key pair of the unlocked identity
+   * Derived from the private key, so restoring the account restores the signing key too
+   * @returns {{publicKey: string, secretKey: Uint8Array} | null} Signing key pair, or null while locked
+   */
+  static getSigningKeyPair() {
+    const keyPair = this.getKeyPair();
+    if (!keyPair) return null;
+    
+    const seed = this._derivePrivateKeySecret(keyPair.privateKey, SIGNING_KEY_CONTEXT);
+    const signingKeyPair = nacl.sign.keyPair.fromSeed(seed.slice(0, nacl.sign.seedLength));
+    return {
+      publicKey: encodeBase64(signingKeyPair.publicKey),
+      secretKey: signingKeyPair.secretKey
+    };
+  }
+  
+  /**
+   * Get the key that encrypts conversations, groups and contacts on this device
+   * Derived from the private key, so it is only available while the account is unlocked
+   * and stays the same when the passphrase changes or the account is restored
+   * @returns {Uint8Array | null} 32-byte secretbox key, or null while locked
+   */
+  static getStorageKey() {
+    const keyPair = this.getKeyPair();
+    if (!keyPair) return null;
+    
+    return this._derivePrivateKeySecret(keyPair.privateKey, STORAGE_KEY_CONTEXT).slice(0, nacl.secretbox.keyLength);
+  }
+  
+  /**
+   * Hash the private key together with a context string
+   * @private
+   */
+  static _derivePrivateKeySecret(privateKey, context) {
+    const contextBytes = encodeUTF8(context);
+    const secretKey = decodeBase64(privateKey);
+    const input = new Uint8Array(contextBytes.length + secretKey.length);
+    input.set(contextBytes);
+    input.set(secretKey, contextBytes.length);
+    
+    return nacl.hash(input);
+  }
+  
+  /**
+   * Sign a string payload for the given envelope context
+   * Layout: prefix | signing public key | signature | payload
+   * @param {string} payload - Payload to sign (e.g. encrypted message data)
+   * @param {Array<string>} context - Envelope fields the signature is bound to (kind, sender, recipient or group)
+   * @returns {string} Signed payload
+   */
+  static signPayload(payload, context) {
+    const signingKeyPair = this.getSigningKeyPair();
+    if (!signingKeyPair) throw new Error('No key pair found. Please create or import a key pair.');
+    
+    const signature = nacl.sign.detached(
+      encodeUTF8(JSON.stringify([...context, payload])),
+      signingKeyPair.secretKey
+    );
+    
+    return `${SIGNED_PAYLOAD_PREFIX}${signingKeyPair.publicKey}:${encodeBase64(signature)}:${payload}`;
+  }
+  
+  /**
+   * Split a signed payload and check its signature
+   * Unsigned payloads are returned unchanged with isSigned set to false
+   * @param {string} signed - Signed payload
+   * @param {Array<string>} context - Envelope fields the signature must be bound to
+   * @returns {{payload: string, signingPublicKey: string|null, isSigned: boolean, isValid: boolean}}
+   */
+  static openSignedPayload(signed, context) {
+    if (typeof signed !== 'string' || !signed.startsWith(SIGNED_PAYLOAD_PREFIX)) {
+      return { payload: signed, signingPublicKey: null, isSigned: false, isValid: false };
+    }
+    
+    const [signingPublicKey, signature] = signed.slice(SIGNED_PAYLOAD_PREFIX.length).split(':', 2);
+    const payload = signed.slice(SIGNED_PAYLOAD_PREFIX.length + signingPublicKey.length + 1 + (signature || '').length + 1);
+    
+    let isValid = false;
+    try {
+      isValid = nacl.sign.detached.verify(
+        encodeUTF8(JSON.stringify([...context, payload])),
+        decodeBase64(signature),
+        decodeBase64(signingPublicKey)
+      );
+    } catch (error) {
+      // Malformed key or signature
+      isValid = false;
+    }
+    
+    return { payload, signingPublicKey, isSigned: true, isValid };
+  }
+  
+  /**
+   * Sign binary data (e.g. an encrypted file) for the given envelope context
+   * Layout: header | signing public key | signature | data
+   * @param {Uint8Array} data - Data to sign
+   * @param {Array<string>} context - Envelope fields the signature is bound to
+   * @returns {Uint8Array} Signed data
+   */
+  static signBytes(data, context) {
+    const signingKeyPair = this.getSigningKeyPair();
+    if (!signingKeyPair) throw new Error('No key pair found. Please create or import a key pair.');
+    
+    const signature = nacl.sign.detached(this._bytesSignatureMessage(data, context), signingKeyPair.secretKey);
+    const signingPublicKey = decodeBase64(signingKeyPair.publicKey);
+    
+    const signed = new Uint8Array(SIGNED_BYTES_HEADER.length + signingPublicKey.length + signature.length + data.length);
+    signed.set(SIGNED_BYTES_HEADER);
+    signed.set(signingPublicKey, SIGNED_BYTES_HEADER.length);
+    signed.set(signature, SIGNED_BYTES_HEADER.length + signingPublicKey.length);
+    signed.set(data, SIGNED_BYTES_HEADER.length + signingPublicKey.length + signature.length);
+    
+    return signed;
+  }
+  
+  /**
+   * Split signed binary data and check its signature
+   * Unsigned data is returned unchanged with isSigned set to false
+   * @param {Uint8Array} signed - Signed data
+   * @param {Array<string>} context - Envelope fields the signature must be bound to
+   * @returns {{payload: Uint8Array, signingPublicKey: string|null, isSigned: boolean, isValid: boolean}}
+   */
+  static openSignedBytes(signed, context) {
+    const headerLength = SIGNED_BYTES_HEADER.length + nacl.sign.publicKeyLength + nacl.sign.signatureLength;
+    const hasHeader = signed && signed.length >= headerLength &&
+      SIGNED_BYTES_HEADER.every((byte, i) => signed[i] === byte);
+    
+    if (!hasHeader) {
+      return { payload: signed, signingPublicKey: null, isSigned: false, isValid: false };
+    }
+    
+    const signingPublicKey = signed.slice(SIGNED_BYTES_HEADER.length, SIGNED_BYTES_HEADER.length + nacl.sign.publicKeyLength);
+    const signature = signed.slice(SIGNED_BYTES_HEADER.length + nacl.sign.publicKeyLength, headerLength);
+    const payload = signed.slice(headerLength);
+    
+    return {
+      payload,
+      signingPublicKey: encodeBase64(signingPublicKey),
+      isSigned: true,
+      isValid: nacl.sign.detached.verify(this._bytesSignatureMessage(payload, context), signature, signingPublicKey)
+    };
+  }
+  
+  /**
+   * Message signed for binary data: the context followed by a hash of the data
+   * @private
+   */
+  static _bytesSignatureMessage(data, context) {
+    const contextBytes = encodeUTF8(JSON.stringify(context));
+    const digest = nacl.hash(data);
+    const message = new Uint8Array(contextBytes.length + digest.length);
+    message.set(contextBytes);
+    message.set(digest, contextBytes.length);
+    return message;
+  }
+  
+  /**
+   * Compute the safety number two parties compare to verify each other's keys
+   * Both parties get the same number because the two halves are sorted
+   * @param {string} ourPublicKey - Our full Base64 encoded public key
+   * @param {string} theirPublicKey - The contact's full Base64 encoded public key
+   * @returns {string} 60 digits in groups of five separated by spaces
+   */
+  static computeSafetyNumber(ourPublicKey, theirPublicKey) {
+    const fingerprint = (publicKey) => {
+      const version = encodeUTF8(SAFETY_NUMBER_VERSION);
+      const keyBytes = decodeBase64(publicKey);
+      
+      let hash = new Uint8Array(version.length + keyBytes.length);
+      hash.set(version);
+      hash.set(keyBytes, version.length);
+      for (let i = 0; i < SAFETY_NUMBER_ITERATIONS; i++) {
+        const input = new Uint8Array(hash.length + keyBytes.length);
+        input.set(hash);
+        input.set(keyBytes, hash.length);
+        hash = nacl.hash(input);
+      }
+      
+      // Six chunks of five bytes, each reduced to five digits
+      let digits = '';
+      for (let chunk = 0; chunk < 6; chunk++) {
+        let value = 0;
+        for (let i = 0; i < 5; i++) {
+          value = value * 256 + hash[chunk * 5 + i];
+        }
+        digits += String(value % 100000).padStart(5, '0');
+      }
+      return digits;
+    };
+    
+    const halves = [fingerprint(ourPublicKey), fingerprint(theirPublicKey)].sort();
+    return halves.join('').match(/.{5}/g).join(' ');
+  }
+  
+  /**
+   * HMAC-SHA512, used by the session key derivations
+   * @param {Uint8Array} key - MAC key
+   * @param {Uint8Array} data - Data to authenticate
+   * @returns {Uint8Array} 64-byte MAC
+   */
+  static hmac(key, data) {
+    const blockSize = 128;
+    const paddedKey = new Uint8Array(blockSize);
+    paddedKey.set(key.length > blockSize ? nacl.hash(key) : key);
+    
+    const inner = new Uint8Array(blockSize + data.length);
+    const outer = new Uint8Array(blockSize + nacl.hash.hashLength);
+    for (let i = 0; i < blockSize; i++) {
+      inner[i] = paddedKey[i] ^ 0x36;
+      outer[i] = paddedKey[i] ^ 0x5c;
+    }
+    inner.set(data, blockSize);
+    outer.set(nacl.hash(inner), blockSize);
+    
+    return nacl.hash(outer);
+  }
+  
+  /**
+   * Derive the legacy (pre v2) display key that belongs to a full public key
+   * @param {string} publicKey - Base64 encoded public key
+   * @returns {Promise<string>} Formatted display key
+   */
+  static async deriveDisplayKey(publicKey) {
+    const publicKeyHash = await this.hashString(publicKey);
+    return this.formatHashForDisplay(publicKeyHash.slice(0, 16));
+  }
+  
+  /**
+   * Derive the protocol v2 address of a full public key
+   * The address carries the whole key, so it cannot collide with another account
+   * @param {string} publicKey - Base64 encoded public key
+   * @returns {string} Address
+   */
+  static deriveAddress(publicKey) {
+    const keyBytes = decodeBase64(publicKey);
+    if (keyBytes.length !== nacl.box.publicKeyLength) throw new Error('Invalid public key.');
+    
+    return ADDRESS_PREFIX + this._toHex(keyBytes) + this._toHex(this._addressChecksum(keyBytes));
+  }
+  
+  /**
+   * Check whether an ID is a protocol v2 address with a valid checksum
+   * @param {string} id - Contact ID
+   * @returns {boolean}
+   */
+  static isAddress(id) {
+    return this.addressToPublicKey(id) !== null;
+  }
+  
+  /**
+   * Check whether an ID is a legacy 64-bit display key
+   * @param {string} id - Contact ID
+   * @returns {boolean}
+   */
+  static isLegacyDisplayKey(id) {
+    return typeof id === 'string' && LEGACY_DISPLAY_KEY_PATTERN.test(id);
+  }
+  
+  /**
+   * Extract the full public key from a protocol v2 address
+   * @param {string} address - Address
+   * @returns {string|null} Base64 encoded public key, or null if the address is invalid
+   */
+  static addressToPublicKey(address) {
+    if (typeof address !== 'string' || !ADDRESS_PATTERN.test(address)) return null;
+    
+    const bytes = new Uint8Array(34);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(address.substr(ADDRESS_PREFIX.length + i * 2, 2), 16);
+    }
+    
+    const keyBytes = bytes.slice(0, nacl.box.publicKeyLength);
+    const checksum = this._addressChecksum(keyBytes);
+    if (checksum[0] !== bytes[32] || checksum[1] !== bytes[33]) return null;
+    
+    return encodeBase64(keyBytes);
+  }
+  
+  /**
+   * Check that an address or legacy display key belongs to a full public key
+   * @param {string} id - Address or legacy display key
+   * @param {string} publicKey - Base64 encoded public key
+   * @returns {Promise<boolean>}
+   */
+  static async addressMatchesPublicKey(id, publicKey) {
+    if (this.isAddress(id)) return this.addressToPublicKey(id) === publicKey;
+    return await this.deriveDisplayKey(publicKey) === id;
+  }
+  
+  /**
+   * Get the legacy display key of an address, which legacy ciphertext was derived from
+   * @param {string} id - Address or legacy display key
+   * @returns {Promise<string>} Legacy display key
+   */
+  static async toLegacyDisplayKey(id) {
+    const publicKey = this.addressToPublicKey(id);
+    return publicKey ? await this.deriveDisplayKey(publicKey) : id;
+  }
+  
+  /**
+   * Turn user input into a contact ID
+   * Accepts a v2 address, a legacy display key (with or without dashes) or a full Base64 public key
+   * @param {string} input - User input
+   * @returns {string|null} Address or legacy display key, or null if the input is neither
+   */
+  static normalizeContactId(input) {
+    if (typeof input !== 'string') return null;
+    const trimmed = input.trim();
+    
+    // Base64 is case sensitive, so check for a full key before lowercasing
+    if (trimmed.length === 44 && this.isValidPublicKey(trimmed)) {
+      return this.deriveAddress(trimmed);
+    }
+    
+    const compact = trimmed.toLowerCase().replace(/[\s-]/g, '');
+    if (this.isAddress(compact)) return compact;
+    if (/^[0-9a-f]{16}$/.test(compact)) return this.formatHashForDisplay(compact);
+    
+    return null;
+  }
+  
+  /**
+   * @private
+   */
+  static _addressChecksum(keyBytes) {
+    const context = encodeUTF8(ADDRESS_CHECKSUM_CONTEXT);
+    const input = new Uint8Array(context.length + keyBytes.length);
+    input.set(context);
+    input.set(keyBytes, context.length);
+    return nacl.hash(input).slice(0, 2);
+  }
+  
+  /**
+   * @private
+   */
+  static _toHex(bytes) {
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+  
+  /**
+   * Check that a string is a valid Base64 encoded public key
+   * @param {string} publicKey - Candidate public key
+   * @returns {boolean}
+   */
+  static isValidPublicKey(publicKey) {
+    try {
+      return decodeBase64(publicKey).length === nacl.box.publicKeyLength;
+    } catch (error) {
+      return false;
+    }
+  }
+  
   /**
    * Derive a shared encryption key from two display keys
+   * Only used to read legacy (unversioned) ciphertext
    * @param {string} key1 - First display key
    * @param {string} key2 - Second display key
    * @returns {Promise<Uint8Array>} 32-byte key for encryption/decryption
@@ -293,18 +955,78 @@ class LocalKeyStorageManager {
   }
   
   /**
-   * Simple encryption for local storage (not secure, just obfuscation)
-   * @param {string} text - Text to encrypt
-   * @returns {string} Encrypted text
+   * Check whether an import input looks like a recovery phrase rather than a base64 key
+   * @param {string} input - User input
+   * @returns {boolean}
+   */
+  static isRecoveryPhrase(input) {
+    return typeof input === 'string' && input.trim().split(/\s+/).length > 1;
+  }
+  
+  /**
+   * Normalize a recovery phrase to lowercase words separated by single spaces
+   * @param {string} phrase - Recovery phrase
+   * @returns {string} Normalized phrase
+   */
+  static normalizeRecoveryPhrase(phrase) {
+    return phrase.trim().toLowerCase().split(/\s+/).join(' ');
+  }
+  
+  /**
+   * Check a recovery phrase's words and checksum
+   * @param {string} phrase - Recovery phrase
+   * @returns {boolean}
+   */
+  static validateRecoveryPhrase(phrase) {
+    const normalized = this.normalizeRecoveryPhrase(phrase);
+    return normalized.split(' ').length === RECOVERY_PHRASE_WORD_COUNT && validateMnemonic(normalized, wordlist);
+  }
+  
+  /**
+   * Encode a private key as its recovery phrase
+   * @param {string} privateKey - Base64 encoded private key
+   * @returns {string} Recovery phrase
+   */
+  static privateKeyToRecoveryPhrase(privateKey) {
+    return entropyToMnemonic(decodeBase64(privateKey), wordlist);
+  }
+  
+  /**
+   * Decode a recovery phrase back into the private key it encodes
+   * @param {string} phrase - Recovery phrase
+   * @returns {string} Base64 encoded private key
+   */
+  static recoveryPhraseToPrivateKey(phrase) {
+    if (!this.validateRecoveryPhrase(phrase)) {
+      throw new Error('Invalid recovery phrase.');
+    }
+    return encodeBase64(mnemonicToEntropy(this.normalizeRecoveryPhrase(phrase), wordlist));
+  }
+  
+  /**
+   * Suggest recovery phrase words starting with a prefix
+   * @param {string} prefix - Start of a word
+   * @param {number} limit - Maximum number of suggestions
+   * @returns {string[]} Matching words
+   */
+  static getRecoveryWordSuggestions(prefix, limit = 5) {
+    const normalized = (prefix || '').trim().toLowerCase();
+    if (!normalized) return [];
+    return wordlist.filter(word => word.startsWith(normalized)).slice(0, limit);
+  }
+  
+  /**
+   * Check whether a word is in the recovery phrase word list
+   * @param {string} word - Word to check
+   * @returns {boolean}
    */
-  static simpleEncrypt(text) {
-    return btoa(text.split('').map(char =>
-      String.fromCharCode(char.charCodeAt(0) + 1)
-    ).join(''));
+  static isRecoveryWord(word) {
+    return wordlist.includes((word || '').trim().toLowerCase());
   }
   
   /**
    * Simple decryption for local storage
+   * Only kept to read keys stored before passphrase protection
    * @param {string} encrypted - Encrypted text
    * @returns {string} Decrypted text
    */
@@ -329,11 +1051,11 @@ class LocalKeyStorageManager {
       console.log('Original message:', message);
       
       // Encrypt with own key (for testing)
-      const encrypted = await this.encryptMessage(message, keyPair.publicKeyDisplay);
+      const encrypted = await this.encryptMessage(message, keyPair.publicKey);
       console.log('Encrypted:', encrypted);
       
       // Decrypt
-      const decrypted = await this.decryptMessage(encrypted, keyPair.publicKeyDisplay);
+      const decrypted = await this.decryptMessage(encrypted, keyPair.publicKeyDisplay, keyPair.publicKey);
       console.log('Decrypted:', decrypted);
       
       return {
@@ -0,0 +1,168 @@
+'use client'
+
+// Marks message content that is an envelope
+const ENVELOPE_PREFIX = 'ENVELOPE:'
+
+// Newest envelope layout this client writes and reads
+export const ENVELOPE_VERSION = 1
+
+// Everything a message can carry, anything else is decoded as unsupported
+export const MESSAGE_TYPES = {
+  TEXT: 'text',
+  FILE: 'file',
+  CALL_INVITATION: 'call_invitation',
+  CALL_SIGNAL: 'call_signal',
+  SESSION_RESET: 'session_reset',
+  SENDER_KEY: 'sender_key',
+  TIMER: 'timer',
+  EDIT: 'edit',
+  DELETE: 'delete',
+  REACTION: 'reaction',
+  READ_RECEIPT: 'read_receipt',
+  DELIVERY_RECEIPT: 'delivery_receipt',
+  UNSUPPORTED: 'unsupported'
+}
+
+// Prefixes used before envelopes, with the type their content is read as
+const LEGACY_PREFIXES = [
+  ['CALL_SIGNAL:', MESSAGE_TYPES.CALL_SIGNAL],
+  ['CALL_INVITATION:', MESSAGE_TYPES.CALL_INVITATION],
+  ['SESSION_RESET:', MESSAGE_TYPES.SESSION_RESET],
+  ['SENDER_KEY:', MESSAGE_TYPES.SENDER_KEY],
+  ['MESSAGE_TIMER:', MESSAGE_TYPES.TIMER],
+  ['MESSAGE_EDIT:', MESSAGE_TYPES.EDIT],
+  ['MESSAGE_DELETE:', MESSAGE_TYPES.DELETE],
+  ['MESSAGE_REACTION:', MESSAGE_TYPES.REACTION],
+  ['MESSAGE_REPLY:', MESSAGE_TYPES.TEXT],
+  ['READ_RECEIPT:', MESSAGE_TYPES.READ_RECEIPT],
+  ['DELIVERY_RECEIPT:', MESSAGE_TYPES.DELIVERY_RECEIPT]
+]
+
+/**
+ * Codec for the content of every message ConversationManager sends and receives
+ *
+ * An envelope is `ENVELOPE:` followed by JSON with the message type, the version of
+ * the layout, a type specific body, references to other messages (the quoted message
+ * of a reply, the message an edit, delete or reaction changes, the messages a receipt
+ * covers) and the disappearing message timer in seconds, null when off.
+ *
+ * Content from clients that predate envelopes is decoded into the same shape, so
+ * callers only deal with envelopes. Types or versions this client does not know are
+ * decoded as unsupported instead of being shown as text.
+ */
+class MessageEnvelope {
+  /**
+   * Encode a message for sending
+   * @param {Object} envelope
+   * @param {string} envelope.type - One of MESSAGE_TYPES
+   * @param {Object} [envelope.body] - Type specific content
+   * @param {Object} [envelope.references] - Messages this one refers to
+   * @param {number} [envelope.ttl] - Disappearing message timer in seconds
+   * @returns {string} - Message content
+   */
+  encode({ type, body = {}, references = {}, ttl = null }) {
+    if (!Object.values(MESSAGE_TYPES).includes(type) || type === MESSAGE_TYPES.UNSUPPORTED) {
+      throw new Error(`Unknown message type: ${type}`)
+    }
+
+    return `${ENVELOPE_PREFIX}${JSON.stringify({ type, version: ENVELOPE_VERSION, body, references, ttl: ttl || null })}`
+  }
+
+  /**
+   * Decode received message content
+   * Unsupported envelopes keep the type and version they were sent with in their body
+   * @param {string} content - Message content
+   * @returns {{type: string, version: number, body: Object|null, references: Object, ttl: number|null}}
+   */
+  decode(content) {
+    if (typeof content !== 'string') return this._create(MESSAGE_TYPES.TEXT, { text: '' })
+    if (!content.startsWith(ENVELOPE_PREFIX)) return this._decodeLegacy(content)
+
+    let envelope
+    try {
+      envelope = JSON.parse(content.substring(ENVELOPE_PREFIX.length))
+    } catch (error) {
+      console.warn('Ignoring malformed message envelope:', error)
+      return this._create(MESSAGE_TYPES.UNSUPPORTED, { type: null, version: null })
+    }
+
+    const { type, version } = envelope || {}
+    const isKnown = typeof type === 'string' && type !== MESSAGE_TYPES.UNSUPPORTED && Object.values(MESSAGE_TYPES).includes(type)
+    if (!isKnown || !Number.isInteger(version) || version < 1 || version > ENVELOPE_VERSION) {
+      return this._create(MESSAGE_TYPES.UNSUPPORTED, {
+        type: typeof type === 'string' ? type : null,
+        version: Number.isInteger(version) ? version : null
+      })
+    }
+
+    return this._create(type, envelope.body, envelope.references, envelope.ttl)
+  }
+
+  /**
+   * @private
+   */
+  _decodeLegacy(content) {
+    const legacy = LEGACY_PREFIXES.find(([prefix]) => content.startsWith(prefix))
+
+    if (legacy) {
+      const [prefix, type] = legacy
+      const payload = content.substring(prefix.length)
+
+      // These two carried plain strings instead of JSON
+      if (type === MESSAGE_TYPES.SESSION_RESET) return this._create(type, { resetAt: payload })
+      if (type === MESSAGE_TYPES.SENDER_KEY) return this._create(type, { distribution: payload })
+
+      let data = null
+      try {
+        data = JSON.parse(payload)
+      } catch (error) {
+        console.warn(`Ignoring malformed ${type} message:`, error)
+      }
+      // Malformed legacy messages keep their type, so they are ignored rather than shown
+      if (!data || typeof data !== 'object') return this._create(type, null)
+
+      if (prefix === 'MESSAGE_REPLY:') {
+        return this._create(type, { text: data.content }, { replyTo: data.replyTo })
+      }
+      if ([MESSAGE_TYPES.EDIT, MESSAGE_TYPES.DELETE, MESSAGE_TYPES.REACTION].includes(type)) {
+        const { messageId, ...body } = data
+        return this._create(type, body, { messageId })
+      }
+      if ([MESSAGE_TYPES.READ_RECEIPT, MESSAGE_TYPES.DELIVERY_RECEIPT].includes(type)) {
+        const { messageIds, ...body } = data
+        return this._create(type, body, { messageIds })
+      }
+      return this._create(type, data)
+    }
+
+    // Files were announced with their metadata as JSON
+    if (content.startsWith('{')) {
+      try {
+        const { messageType, ...metadata } = JSON.parse(content) || {}
+        if (messageType === 'file') return this._create(MESSAGE_TYPES.FILE, metadata)
+      } catch (error) {
+        // Not JSON, just a regular message
+      }
+    }
+
+    return this._create(MESSAGE_TYPES.TEXT, { text: content })
+  }
+
+  /**
+   * @private
+   */
+  _create(type, body, references, ttl) {
+    return {
+      type,
+      version: ENVELOPE_VERSION,
+      body: body && typeof body === 'object' ? body : null,
+      references: references && typeof references === 'object' ? references : {},
+      ttl: Number.isInteger(ttl) && ttl > 0 ? ttl : null
+    }
+  }
+}
+
+// Create singleton instance
+const messageEnvelope = new MessageEnvelope()
+
+export default messageEnvelope
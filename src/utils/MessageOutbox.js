@@ -0,0 +1,288 @@
+'use client'
+
+import localDatabase from './LocalDatabase'
+import subworldNetwork from './SubworldNetworkService'
+
+// Wait before the first retry, doubled after every failed attempt
+const BASE_RETRY_DELAY = 2000
+
+// Longest wait between two attempts
+const MAX_RETRY_DELAY = 5 * 60 * 1000
+
+// Failed attempts after which a send is left for the user to retry or cancel
+const MAX_ATTEMPTS = 8
+
+/**
+ * Persistent queue of messages and files waiting to be sent
+ *
+ * Entries are kept in the encrypted local database, the contents of files in records of
+ * their own, so a send cut off by a reload or a lost connection is picked up again on
+ * the next start or when the node can be reached again. Failed attempts are retried with
+ * exponential backoff and random jitter, so clients that lost the same node do not all
+ * retry at once. Entries of a conversation go out in the order they were queued.
+ *
+ * ConversationManager does the sending through the deliver callback, which throws when
+ * an attempt fails, and keeps the queued message in its conversation up to date from
+ * the onUpdate callback.
+ */
+class MessageOutbox {
+  constructor() {
+    this.entries = []
+    this.deliver = null
+    this.onUpdate = null
+    this.timer = null
+    this.processing = false
+    this.processAgain = false
+    this.removeConnectionListener = null
+  }
+
+  /**
+   * Load the queued entries and start sending them
+   * @param {Object} handlers
+   * @param {Function} handlers.deliver - Sends an entry, throws when the attempt failed
+   * @param {Function} handlers.onUpdate - Called with an entry whose status changed
+   * @returns {Promise<void>}
+   */
+  async start({ deliver, onUpdate }) {
+    this.deliver = deliver
+    this.onUpdate = onUpdate
+
+    const entries = await localDatabase.loadValue('outbox', [])
+    // Attempts running when the app was closed are tried again
+    this.entries = (Array.isArray(entries) ? entries : []).map(entry =>
+      entry.status === 'sending' ? { ...entry, status: 'pending', nextAttemptAt: Date.now() } : entry
+    )
+
+    // Files that are not uploaded yet, outboxes saved before files had records of their own hold them inline
+    for (const entry of this.entries) {
+      if (!entry.file || entry.fileId) continue
+      if (entry.file.data) {
+        await localDatabase.saveOutboxFile(entry.id, entry.file.data)
+      } else {
+        entry.file = { ...entry.file, data: await localDatabase.loadOutboxFile(entry.id) }
+      }
+    }
+    this._persist()
+
+    // Waiting entries go out as soon as the node answers its health checks again
+    this.removeConnectionListener?.()
+    this.removeConnectionListener = subworldNetwork.addConnectionListener(isConnected => {
+      if (isConnected) this.resume()
+    })
+    this._process()
+  }
+
+  /**
+   * Queue a send, it is attempted right away when the node can be reached
+   * @param {Object} entry - What to send, with the ID of the queued message as `id`
+   * @param {Object} entry.scope - {contactPublicKey} or {groupId}
+   * @param {Object} [entry.file] - File to upload, with its Base64 encoded contents as `data`
+   */
+  add(entry) {
+    if (entry.file?.data) localDatabase.saveOutboxFile(entry.id, entry.file.data)
+    this.entries.push({
+      ...entry,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      lastError: null,
+      createdAt: new Date().toISOString()
+    })
+    this._persist()
+    this._process()
+  }
+
+  /**
+   * Queued entry of a message
+   * @param {string} id - ID of the queued message
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.entries.find(entry => entry.id === id) || null
+  }
+
+  /**
+   * Store progress of an entry, e.g. a file that is uploaded but not announced yet
+   * @param {string} id - ID of the queued message
+   * @param {Object} changes - Fields to set
+   */
+  update(id, changes) {
+    const entry = this.get(id)
+    if (!entry) return
+
+    const hadFileData = Boolean(entry.file?.data)
+    Object.assign(entry, changes)
+    if (hadFileData && !entry.file?.data) localDatabase.deleteOutboxFile(id)
+    this._persist()
+  }
+
+  /**
+   * Try an entry again right away, with a fresh set of attempts
+   * @param {string} id - ID of the queued message
+   */
+  retry(id) {
+    const entry = this.get(id)
+    if (!entry) throw new Error('This message is no longer waiting to be sent')
+    if (entry.status === 'sending') return
+
+    Object.assign(entry, { status: 'pending', attempts: 0, nextAttemptAt: Date.now(), lastError: null })
+    this._persist()
+    this.onUpdate?.(entry)
+    this._process()
+  }
+
+  /**
+   * Remove an entry before it is sent
+   * @param {string} id - ID of the queued message
+   * @returns {Object|null} - The removed entry, null when there was none
+   */
+  cancel(id) {
+    const entry = this.get(id)
+    if (!entry) return null
+    if (entry.status === 'sending') throw new Error('This message is being sent right now')
+
+    this._remove(id)
+    return entry
+  }
+
+  /**
+   * Attempt the waiting entries now instead of at their next retry, e.g. when the connection is back
+   */
+  resume() {
+    const now = Date.now()
+    this.entries.forEach(entry => {
+      if (entry.status === 'pending') entry.nextAttemptAt = now
+    })
+    this._process()
+  }
+
+  /**
+   * Wait before the next attempt, doubling per attempt with up to half of it taken off at random
+   * @param {number} attempts - Failed attempts so far
+   * @returns {number} - Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    const delay = Math.min(MAX_RETRY_DELAY, BASE_RETRY_DELAY * 2 ** Math.max(0, attempts - 1))
+    return Math.round(delay / 2 + Math.random() * delay / 2)
+  }
+
+  /**
+   * @private
+   */
+  async _process() {
+    if (!this.deliver) return
+    if (this.processing) {
+      this.processAgain = true
+      return
+    }
+
+    this.processing = true
+    clearTimeout(this.timer)
+    this.timer = null
+
+    try {
+      do {
+        this.processAgain = false
+        // A conversation waits while an earlier entry of it is waiting, so messages arrive in order
+        const waiting = new Set()
+
+        for (const entry of [...this.entries]) {
+          if (!this._isConnected()) break
+
+          const key = this._getScopeKey(entry.scope)
+          if (entry.status !== 'pending' || waiting.has(key) || !this.get(entry.id)) continue
+          if (entry.nextAttemptAt > Date.now()) {
+            waiting.add(key)
+            continue
+          }
+
+          if (!(await this._attempt(entry))) waiting.add(key)
+        }
+      } while (this.processAgain)
+    } finally {
+      this.processing = false
+      this._schedule()
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _attempt(entry) {
+    entry.status = 'sending'
+    this.onUpdate?.(entry)
+
+    try {
+      await this.deliver(entry)
+      this._remove(entry.id)
+      return true
+    } catch (error) {
+      console.warn(`Sending ${entry.id} failed:`, error)
+
+      entry.attempts += 1
+      entry.lastError = error?.message || 'Unknown error'
+      if (entry.attempts >= MAX_ATTEMPTS) {
+        entry.status = 'failed'
+      } else {
+        entry.status = 'pending'
+        entry.nextAttemptAt = Date.now() + this.getRetryDelay(entry.attempts)
+      }
+
+      this._persist()
+      this.onUpdate?.(entry)
+      return false
+    }
+  }
+
+  /**
+   * @private
+   */
+  _schedule() {
+    clearTimeout(this.timer)
+    this.timer = null
+
+    const next = Math.min(...this.entries.filter(entry => entry.status === 'pending').map(entry => entry.nextAttemptAt))
+    if (!isFinite(next) || !this._isConnected()) return
+
+    this.timer = setTimeout(() => this._process(), Math.max(0, next - Date.now()))
+  }
+
+  /**
+   * @private
+   */
+  _remove(id) {
+    if (this.get(id)?.file?.data) localDatabase.deleteOutboxFile(id)
+    this.entries = this.entries.filter(entry => entry.id !== id)
+    this._persist()
+  }
+
+  /**
+   * Save the entries without the contents of their files, those are stored by saveOutboxFile
+   * @private
+   */
+  _persist() {
+    localDatabase.saveValue('outbox', this.entries.map(entry =>
+      entry.file ? { ...entry, file: { ...entry.file, data: null } } : entry
+    ))
+  }
+
+  /**
+   * Whether the current node answered its last health check, attempts wait for it otherwise
+   * @private
+   */
+  _isConnected() {
+    return subworldNetwork.isConnected !== false
+  }
+
+  /**
+   * @private
+   */
+  _getScopeKey(scope) {
+    return scope?.groupId ? `group:${scope.groupId}` : `dm:${scope?.contactPublicKey}`
+  }
+}
+
+// Create singleton instance
+const messageOutbox = new MessageOutbox()
+
+export default messageOutbox
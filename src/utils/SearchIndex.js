@@ -0,0 +1,243 @@
+'use client'
+
+// Results returned by one search
+const MAX_RESULTS = 100
+
+// Characters of context shown around the first match
+const SNIPPET_RADIUS = 60
+
+// Call signals can linger in history but are not worth finding
+const CALL_SIGNAL_PREFIX = 'CALL_SIGNAL:'
+
+/**
+ * In-memory inverted index over decrypted direct and group messages
+ *
+ * Conversations are handed over whole with syncConversation whenever they are saved;
+ * only messages that are new or changed get tokenized, and messages that are gone,
+ * e.g. because they expired, are dropped. Nothing is written to storage, the index
+ * is rebuilt from the decrypted messages when the app starts.
+ */
+class SearchIndex {
+  constructor() {
+    // Token -> Set of document keys
+    this.postings = new Map()
+    // Document key -> indexed message
+    this.documents = new Map()
+    // Conversation key -> Set of document keys
+    this.conversationDocuments = new Map()
+  }
+
+  /**
+   * Bring the index in line with the current messages of a conversation
+   * @param {'dm'|'group'} type - Kind of conversation
+   * @param {string} conversationId - Contact public key or group ID
+   * @param {Array} messages - All messages of the conversation
+   */
+  syncConversation(type, conversationId, messages) {
+    const conversationKey = `${type}:${conversationId}`
+    const previousKeys = this.conversationDocuments.get(conversationKey) || new Set()
+    const currentKeys = new Set()
+
+    for (const message of Array.isArray(messages) ? messages : []) {
+      if (!message || message.id === undefined || message.id === null) continue
+
+      const documentKey = `${conversationKey}:${message.id}`
+      const searchable = this._describeMessage(message)
+      if (!searchable) continue
+      currentKeys.add(documentKey)
+
+      const existing = this.documents.get(documentKey)
+      if (existing && existing.text === searchable.text) continue
+      if (existing) this._removeDocument(documentKey)
+
+      this._addDocument(documentKey, {
+        type,
+        conversationId,
+        messageId: message.id,
+        sender: message.sender,
+        timestamp: message.timestamp,
+        ...searchable
+      })
+    }
+
+    for (const documentKey of previousKeys) {
+      if (!currentKeys.has(documentKey)) this._removeDocument(documentKey)
+    }
+
+    if (currentKeys.size > 0) {
+      this.conversationDocuments.set(conversationKey, currentKeys)
+    } else {
+      this.conversationDocuments.delete(conversationKey)
+    }
+  }
+
+  /**
+   * Drop conversations of one kind that no longer exist
+   * @param {'dm'|'group'} type - Kind of conversation
+   * @param {Array<string>} conversationIds - IDs of the conversations that still exist
+   */
+  retainConversations(type, conversationIds) {
+    const keep = new Set(conversationIds.map(id => `${type}:${id}`))
+    for (const conversationKey of [...this.conversationDocuments.keys()]) {
+      if (conversationKey.startsWith(`${type}:`) && !keep.has(conversationKey)) {
+        this.syncConversation(type, conversationKey.slice(type.length + 1), [])
+      }
+    }
+  }
+
+  /**
+   * Find messages containing every word of the query, the last word may be incomplete
+   * @param {string} query - Words to look for
+   * @param {Object} filters - Optional filters
+   * @param {string} [filters.contactId] - Only direct messages with this contact
+   * @param {string} [filters.groupId] - Only messages in this group
+   * @param {string|Date} [filters.from] - Only messages sent at or after this time
+   * @param {string|Date} [filters.to] - Only messages sent at or before this time
+   * @param {'all'|'text'|'file'} [filters.kind] - Only text or only file messages
+   * @returns {Array<Object>} - Matches, newest first
+   */
+  search(query, filters = {}) {
+    const tokens = this._tokenize(query)
+    if (tokens.length === 0) return []
+
+    // Each word narrows the candidates, the last one also matches as a prefix
+    let candidates = null
+    tokens.forEach((token, index) => {
+      const matches = index === tokens.length - 1 ? this._prefixMatches(token) : (this.postings.get(token) || new Set())
+      candidates = candidates ? new Set([...candidates].filter(key => matches.has(key))) : new Set(matches)
+    })
+
+    const from = filters.from ? new Date(filters.from).getTime() : -Infinity
+    const to = filters.to ? new Date(filters.to).getTime() : Infinity
+
+    return [...candidates]
+      .map(key => this.documents.get(key))
+      .filter(document => {
+        if (filters.contactId && (document.type !== 'dm' || document.conversationId !== filters.contactId)) return false
+        if (filters.groupId && (document.type !== 'group' || document.conversationId !== filters.groupId)) return false
+        if (filters.kind === 'file' && !document.isFile) return false
+        if (filters.kind === 'text' && document.isFile) return false
+
+        const time = new Date(document.timestamp).getTime()
+        return !(time < from || time > to)
+      })
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, MAX_RESULTS)
+      .map(({ tokens: documentTokens, ...document }) => ({
+        ...document,
+        snippet: this._snippet(document.text, tokens)
+      }))
+  }
+
+  /**
+   * Forget everything
+   */
+  clear() {
+    this.postings.clear()
+    this.documents.clear()
+    this.conversationDocuments.clear()
+  }
+
+  /**
+   * Text to index for a message, or null for messages that are not searchable
+   * @private
+   */
+  _describeMessage(message) {
+    if (message.isSystem || message.isDeleted || message.isUnsupported || message.callInvitation || typeof message.content !== 'string') return null
+    if (message.content.startsWith(CALL_SIGNAL_PREFIX)) return null
+
+    if (message.isFile) {
+      const fileName = message.fileName || (message.fileData && message.fileData.fileName)
+      return { text: fileName || message.content, isFile: true }
+    }
+
+    // Group file messages carry their metadata as JSON
+    if (message.content.startsWith('{')) {
+      try {
+        const metadata = JSON.parse(message.content)
+        if (metadata && metadata.messageType === 'file') {
+          return { text: metadata.fileName || '', isFile: true }
+        }
+      } catch (e) {
+        // Not JSON, index it as text
+      }
+    }
+
+    return { text: message.content, isFile: false }
+  }
+
+  /**
+   * @private
+   */
+  _addDocument(documentKey, document) {
+    const tokens = new Set(this._tokenize(document.text))
+    this.documents.set(documentKey, { ...document, tokens })
+
+    for (const token of tokens) {
+      if (!this.postings.has(token)) this.postings.set(token, new Set())
+      this.postings.get(token).add(documentKey)
+    }
+  }
+
+  /**
+   * @private
+   */
+  _removeDocument(documentKey) {
+    const document = this.documents.get(documentKey)
+    if (!document) return
+
+    for (const token of document.tokens) {
+      const keys = this.postings.get(token)
+      if (!keys) continue
+      keys.delete(documentKey)
+      if (keys.size === 0) this.postings.delete(token)
+    }
+    this.documents.delete(documentKey)
+  }
+
+  /**
+   * @private
+   */
+  _prefixMatches(prefix) {
+    const matches = new Set()
+    for (const [token, keys] of this.postings) {
+      if (token.startsWith(prefix)) keys.forEach(key => matches.add(key))
+    }
+    return matches
+  }
+
+  /**
+   * Lowercase words without accents, so "Café" is found by "cafe"
+   * @private
+   */
+  _tokenize(text) {
+    if (!text) return []
+    return String(text)
+      .normalize('NFKD')
+      .replace(/\p{M}/gu, '')
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || []
+  }
+
+  /**
+   * Part of the text around the first word that matches
+   * @private
+   */
+  _snippet(text, tokens) {
+    const lowerText = text.toLowerCase()
+    const position = Math.max(0, Math.min(...tokens.map(token => {
+      const index = lowerText.indexOf(token)
+      return index === -1 ? Infinity : index
+    })))
+    if (!isFinite(position) || text.length <= SNIPPET_RADIUS * 2) return text
+
+    const start = Math.max(0, position - SNIPPET_RADIUS)
+    const end = Math.min(text.length, position + SNIPPET_RADIUS)
+    return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`
+  }
+}
+
+// Create singleton instance
+const searchIndex = new SearchIndex()
+
+export default searchIndex
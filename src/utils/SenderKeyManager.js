@@ -0,0 +1,392 @@
+'use client'
+
+import nacl from 'tweetnacl'
+import { encodeBase64, decodeBase64 } from 'tweetnacl-util'
+import { encode as encodeUTF8, decode as decodeUTF8 } from '@stablelib/utf8'
+import LocalKeyStorageManager from './LocalKeyStorageManager'
+import contactStore from './ContactStore'
+import localDatabase from './LocalDatabase'
+
+// Group messages encrypted with a sender key carry this prefix: SWG1:<header>:<nonce + box>
+const GROUP_ENVELOPE_PREFIX = 'SWG1:'
+
+const MESSAGE_KEY_INFO = 'subworld-sender-key-message-v1'
+
+// Limits on how far ahead a sender may be, and how many skipped keys are kept per sender key
+const MAX_SKIP = 1000
+const MAX_SKIPPED_KEYS = 500
+
+// Earlier sender keys of a member are kept for messages that were sent before a rotation
+const MAX_KEYS_PER_SENDER = 5
+
+/**
+ * Sender keys for end-to-end encrypted group messages
+ *
+ * Every member encrypts their group messages with their own symmetric chain (sender key),
+ * which they hand to the other members over encrypted direct messages. Each message
+ * advances the chain, and a member rotates to a new sender key whenever someone who
+ * received the old one is no longer in the group.
+ */
+class SenderKeyManager {
+  constructor() {
+    // Our own sender key per group
+    this.ownKeys = {}
+    // Sender keys received from other members, per group and sender
+    this.receivedKeys = {}
+    this.initialized = false
+  }
+
+  /**
+   * Load the sender keys from the local database, which is only readable once the account is unlocked
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.initialized) return
+
+    const senderKeys = await localDatabase.loadValue('senderKeys', {})
+    this.ownKeys = senderKeys?.own || {}
+    this.receivedKeys = senderKeys?.received || {}
+    this.initialized = true
+  }
+
+  /**
+   * Forget the sender keys held in memory, they are loaded again after the next unlock
+   */
+  lock() {
+    this.ownKeys = {}
+    this.receivedKeys = {}
+    this.initialized = false
+  }
+
+  /**
+   * Check whether a payload is a sender key envelope
+   * @param {string} payload - Group message payload
+   * @returns {boolean}
+   */
+  isGroupEnvelope(payload) {
+    return typeof payload === 'string' && payload.startsWith(GROUP_ENVELOPE_PREFIX)
+  }
+
+  /**
+   * Make sure we have a sender key for a group and find who still needs it
+   * Rotates the key first if anyone who received it has left the group
+   * @param {string} groupId - Group ID
+   * @param {Array<string>} members - Current members, excluding ourselves
+   * @returns {{recipients: Array<string>, distribution: string}} - Members to send the key to, and the key message
+   */
+  prepareSenderKey(groupId, members) {
+    this._requireLoaded()
+
+    let ownKey = this.ownKeys[groupId]
+    if (ownKey && ownKey.distributedTo.some(member => !members.includes(member))) {
+      console.log(`Rotating sender key for group ${groupId} after a membership change`)
+      ownKey = null
+    }
+
+    if (!ownKey) {
+      ownKey = {
+        keyId: encodeBase64(nacl.randomBytes(16)),
+        chainKey: encodeBase64(nacl.randomBytes(32)),
+        iteration: 0,
+        distributedTo: [],
+        createdAt: new Date().toISOString()
+      }
+      this.ownKeys[groupId] = ownKey
+      this._persistSenderKeys()
+    }
+
+    return {
+      recipients: members.filter(member => !ownKey.distributedTo.includes(member)),
+      // The current position of the chain, so new members cannot read earlier messages
+      distribution: JSON.stringify({
+        groupId,
+        keyId: ownKey.keyId,
+        chainKey: ownKey.chainKey,
+        iteration: ownKey.iteration
+      })
+    }
+  }
+
+  /**
+   * Record the members who received our sender key
+   * @param {string} groupId - Group ID
+   * @param {Array<string>} recipients - Members the key was sent to
+   */
+  markDistributed(groupId, recipients) {
+    const ownKey = this.ownKeys[groupId]
+    if (!ownKey || recipients.length === 0) return
+
+    ownKey.distributedTo = [...new Set([...ownKey.distributedTo, ...recipients])]
+    this._persistSenderKeys()
+  }
+
+  /**
+   * Encrypt a group message with our sender key
+   * @param {string} groupId - Group ID
+   * @param {string} plaintext - Message to encrypt
+   * @returns {string} - Sender key envelope
+   */
+  encryptGroupMessage(groupId, plaintext) {
+    this._requireLoaded()
+
+    const ownKey = this.ownKeys[groupId]
+    if (!ownKey) throw new Error('No sender key for this group')
+
+    const { messageKey, chainKey } = this._kdfChain(decodeBase64(ownKey.chainKey))
+    const headerEncoded = encodeBase64(encodeUTF8(JSON.stringify({ kid: ownKey.keyId, n: ownKey.iteration })))
+
+    ownKey.chainKey = encodeBase64(chainKey)
+    ownKey.iteration += 1
+    this._persistSenderKeys()
+
+    const key = this._messageEncryptionKey(messageKey, groupId, headerEncoded)
+    const nonce = nacl.randomBytes(nacl.secretbox.nonceLength)
+    const box = nacl.secretbox(encodeUTF8(plaintext), nonce, key)
+
+    const sealed = new Uint8Array(nonce.length + box.length)
+    sealed.set(nonce)
+    sealed.set(box, nonce.length)
+
+    return `${GROUP_ENVELOPE_PREFIX}${headerEncoded}:${encodeBase64(sealed)}`
+  }
+
+  /**
+   * Group a sender key message is for
+   * @param {string} distribution - Key message created by prepareSenderKey
+   * @returns {string|null} - Group ID, null when the message is malformed
+   */
+  getDistributionGroupId(distribution) {
+    try {
+      const { groupId } = JSON.parse(distribution)
+      return typeof groupId === 'string' && groupId ? groupId : null
+    } catch (error) {
+      return null
+    }
+  }
+
+  /**
+   * Store a sender key that a member sent us
+   * @param {string} senderId - Address of the member who sent it
+   * @param {string} distribution - Key message created by prepareSenderKey
+   * @param {Array<string>} members - Current members of the group the key is for
+   * @returns {boolean} - Whether the key was stored
+   */
+  storeSenderKey(senderId, distribution, members) {
+    this._requireLoaded()
+
+    try {
+      const { groupId, keyId, chainKey, iteration } = JSON.parse(distribution)
+      if (!groupId || !keyId || decodeBase64(chainKey).length !== 32 || !Number.isInteger(iteration) || iteration < 0) {
+        throw new Error('Invalid sender key')
+      }
+
+      // Anyone outside the group could otherwise plant a key and have their messages shown as a member's
+      const legacyId = contactStore.getContact(senderId)?.legacyId
+      if (!Array.isArray(members) || !(members.includes(senderId) || (legacyId && members.includes(legacyId)))) {
+        throw new Error(`${senderId} is not a member of group ${groupId}`)
+      }
+
+      this._migrateLegacySender(groupId, senderId)
+      const groupKeys = this.receivedKeys[groupId] || {}
+      const senderKeys = (groupKeys[senderId] || []).filter(k => k.keyId !== keyId)
+      senderKeys.push({ keyId, chainKey, iteration, skipped: {}, receivedAt: new Date().toISOString() })
+
+      groupKeys[senderId] = senderKeys.slice(-MAX_KEYS_PER_SENDER)
+      this.receivedKeys[groupId] = groupKeys
+      this._persistSenderKeys()
+      return true
+    } catch (error) {
+      console.error('Error storing sender key:', error)
+      return false
+    }
+  }
+
+  /**
+   * Check whether we hold the sender key a group message was encrypted with
+   * @param {string} groupId - Group ID
+   * @param {string} senderId - Address of the sender
+   * @param {string} envelope - Sender key envelope
+   * @returns {boolean}
+   */
+  hasSenderKey(groupId, senderId, envelope) {
+    this._requireLoaded()
+
+    const parsed = this._parseEnvelope(envelope)
+    return !!parsed && !!this._findReceivedKey(groupId, senderId, parsed.header.kid)
+  }
+
+  /**
+   * Decrypt a group message from another member
+   * @param {string} groupId - Group ID
+   * @param {string} senderId - Address of the sender
+   * @param {string} envelope - Sender key envelope
+   * @returns {string} - Decrypted message
+   */
+  decryptGroupMessage(groupId, senderId, envelope) {
+    this._requireLoaded()
+
+    const parsed = this._parseEnvelope(envelope)
+    if (!parsed) throw new Error('Malformed group message')
+    const { header, headerEncoded, sealed } = parsed
+
+    const senderKey = this._findReceivedKey(groupId, senderId, header.kid)
+    if (!senderKey) throw new Error('Sender key for this message is unknown')
+
+    let messageKey
+    let nextState = null
+
+    if (senderKey.skipped[header.n]) {
+      messageKey = decodeBase64(senderKey.skipped[header.n])
+    } else {
+      if (header.n < senderKey.iteration) throw new Error('Message key was already used')
+      if (header.n - senderKey.iteration > MAX_SKIP) throw new Error('Too many skipped messages')
+
+      // Walk the chain up to the message, keeping the keys we pass on the way
+      const skipped = { ...senderKey.skipped }
+      let chainKey = decodeBase64(senderKey.chainKey)
+      for (let i = senderKey.iteration; i < header.n; i++) {
+        const step = this._kdfChain(chainKey)
+        skipped[i] = encodeBase64(step.messageKey)
+        chainKey = step.chainKey
+      }
+      const step = this._kdfChain(chainKey)
+      messageKey = step.messageKey
+      nextState = { chainKey: encodeBase64(step.chainKey), iteration: header.n + 1, skipped }
+    }
+
+    const key = this._messageEncryptionKey(messageKey, groupId, headerEncoded)
+    const opened = nacl.secretbox.open(
+      sealed.slice(nacl.secretbox.nonceLength),
+      sealed.slice(0, nacl.secretbox.nonceLength),
+      key
+    )
+    if (!opened) throw new Error('Decryption failed. Invalid message or wrong key.')
+
+    // Only advance the chain once the message proved authentic
+    if (nextState) {
+      const skippedIterations = Object.keys(nextState.skipped)
+      for (const iteration of skippedIterations.slice(0, Math.max(0, skippedIterations.length - MAX_SKIPPED_KEYS))) {
+        delete nextState.skipped[iteration]
+      }
+      Object.assign(senderKey, nextState)
+    } else {
+      delete senderKey.skipped[header.n]
+    }
+    this._persistSenderKeys()
+
+    return decodeUTF8(opened)
+  }
+
+  /**
+   * Drop our sender key for a group so the next message starts a new one
+   * @param {string} groupId - Group ID
+   */
+  rotateSenderKey(groupId) {
+    this._requireLoaded()
+
+    delete this.ownKeys[groupId]
+    this._persistSenderKeys()
+  }
+
+  /**
+   * Delete all sender keys of a group we left
+   * @param {string} groupId - Group ID
+   */
+  forgetGroup(groupId) {
+    this._requireLoaded()
+
+    delete this.ownKeys[groupId]
+    delete this.receivedKeys[groupId]
+    this._persistSenderKeys()
+  }
+
+  /**
+   * @private
+   */
+  _findReceivedKey(groupId, senderId, keyId) {
+    this._migrateLegacySender(groupId, senderId)
+    const senderKeys = this.receivedKeys[groupId]?.[senderId] || []
+    return senderKeys.find(k => k.keyId === keyId) || null
+  }
+
+  /**
+   * Keys received before a member moved to their v2 address are stored under the legacy display key
+   * @private
+   */
+  _migrateLegacySender(groupId, senderId) {
+    const groupKeys = this.receivedKeys[groupId]
+    const legacyId = contactStore.getContact(senderId)?.legacyId
+    if (!groupKeys || !legacyId || legacyId === senderId || !groupKeys[legacyId]) return
+
+    groupKeys[senderId] = [...groupKeys[legacyId], ...(groupKeys[senderId] || [])].slice(-MAX_KEYS_PER_SENDER)
+    delete groupKeys[legacyId]
+    this._persistSenderKeys()
+  }
+
+  /**
+   * @private
+   */
+  _parseEnvelope(envelope) {
+    if (!this.isGroupEnvelope(envelope)) return null
+
+    const parts = envelope.slice(GROUP_ENVELOPE_PREFIX.length).split(':')
+    if (parts.length !== 2) return null
+
+    try {
+      const header = JSON.parse(decodeUTF8(decodeBase64(parts[0])))
+      const sealed = decodeBase64(parts[1])
+      if (!header || typeof header.kid !== 'string' || !Number.isInteger(header.n) || header.n < 0 ||
+        sealed.length <= nacl.secretbox.nonceLength) {
+        return null
+      }
+      return { header, headerEncoded: parts[0], sealed }
+    } catch (e) {
+      return null
+    }
+  }
+
+  /**
+   * Symmetric chain step: message key and next chain key
+   * @private
+   */
+  _kdfChain(chainKey) {
+    return {
+      messageKey: LocalKeyStorageManager.hmac(chainKey, new Uint8Array([0x01])).slice(0, 32),
+      chainKey: LocalKeyStorageManager.hmac(chainKey, new Uint8Array([0x02])).slice(0, 32)
+    }
+  }
+
+  /**
+   * Bind a message key to the group and the header it was sent with
+   * The header names the sender key, and the envelope signature names the sender
+   * @private
+   */
+  _messageEncryptionKey(messageKey, groupId, headerEncoded) {
+    const info = encodeUTF8(`${MESSAGE_KEY_INFO}:${groupId}:${headerEncoded}`)
+    return LocalKeyStorageManager.hmac(messageKey, info).slice(0, 32)
+  }
+
+  /**
+   * Keys must not be created or stored before the stored ones are loaded, they would be overwritten
+   * @private
+   */
+  _requireLoaded() {
+    if (!this.initialized) throw new Error('Group keys are not loaded yet. Unlock your account first.')
+  }
+
+  /**
+   * Persist sender keys, sealed with the storage key like the rest of the local data
+   * @private
+   */
+  _persistSenderKeys() {
+    localDatabase.saveValue('senderKeys', {
+      own: this.ownKeys,
+      received: this.receivedKeys
+    })
+  }
+}
+
+// Create singleton instance
+const senderKeyManager = new SenderKeyManager()
+
+export default senderKeyManager
@@ -0,0 +1,589 @@
+'use client'
+
+import nacl from 'tweetnacl'
+import { encodeBase64, decodeBase64 } from 'tweetnacl-util'
+import { encode as encodeUTF8, decode as decodeUTF8 } from '@stablelib/utf8'
+import LocalKeyStorageManager from './LocalKeyStorageManager'
+import contactStore from './ContactStore'
+import localDatabase from './LocalDatabase'
+
+// Messages encrypted with a ratchet session carry this prefix: SWR1:<header>:<nonce + box>
+const SESSION_ENVELOPE_PREFIX = 'SWR1:'
+
+// Domain separation for the key derivations below
+const X3DH_INFO = 'subworld-x3dh-v1'
+const ROOT_CHAIN_INFO = 'subworld-ratchet-root-v1'
+const MESSAGE_KEY_INFO = 'subworld-ratchet-message-v1'
+
+// Limits on how far ahead a sender may be, and how many skipped keys are kept per contact
+const MAX_SKIP = 1000
+const MAX_SKIPPED_KEYS = 2000
+
+// Old init and ratchet keys remembered so re-fetched messages are not mistaken for a broken session
+const MAX_REMEMBERED_KEYS = 20
+
+/**
+ * Double Ratchet sessions for direct messages
+ *
+ * A session is set up X3DH-style from the identity keys of both parties plus an
+ * ephemeral key of the initiator, then every message advances a symmetric chain and
+ * every reply performs a new Diffie-Hellman ratchet step. Message keys are deleted
+ * once used, so a leaked key exposes neither earlier nor later messages.
+ *
+ * Subworld has no prekey server, so the responder's identity key stands in for its
+ * signed prekey. Messages sent before the first reply are protected by that key alone.
+ */
+class SessionManager {
+  constructor() {
+    this.sessions = {}
+    this.initialized = false
+
+    // Contacts whose messages could not be decrypted with the session we hold
+    this.outOfSyncContacts = new Set()
+  }
+
+  /**
+   * Load the sessions from the local database, which is only readable once the account is unlocked
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.initialized) return
+
+    const sessions = await localDatabase.loadValue('sessions', {})
+    this.sessions = sessions && typeof sessions === 'object' ? sessions : {}
+    this.initialized = true
+  }
+
+  /**
+   * Forget the sessions held in memory, they are loaded again after the next unlock
+   */
+  lock() {
+    this.sessions = {}
+    this.initialized = false
+    this.outOfSyncContacts.clear()
+  }
+
+  /**
+   * Check whether a payload is a ratchet session envelope
+   * @param {string} payload - Encrypted message payload
+   * @returns {boolean}
+   */
+  isSessionEnvelope(payload) {
+    return typeof payload === 'string' && payload.startsWith(SESSION_ENVELOPE_PREFIX)
+  }
+
+  /**
+   * Check whether a session with a contact is established
+   * @param {string} contactPublicKey - Contact's public key display
+   * @returns {boolean}
+   */
+  hasSession(contactPublicKey) {
+    this._requireLoaded()
+    this._migrateLegacySession(contactPublicKey)
+    return !!this.sessions[contactPublicKey]?.rootKey
+  }
+
+  /**
+   * Encrypt a message for a contact, starting a new session if there is none
+   * @param {string} contactPublicKey - Contact's public key display
+   * @param {string} plaintext - Message to encrypt
+   * @returns {string} - Session envelope
+   */
+  encryptMessage(contactPublicKey, plaintext) {
+    this._requireLoaded()
+    this._migrateLegacySession(contactPublicKey)
+
+    const keyPair = LocalKeyStorageManager.getKeyPair()
+    if (!keyPair) throw new Error('No key pair found. Please create or import a key pair.')
+
+    const peerIdentityKey = contactStore.getContactPublicKey(contactPublicKey)
+    if (!peerIdentityKey) {
+      throw new Error('Public key for this contact is unknown. Ask them to share their full public key.')
+    }
+
+    let state = this._getSessionState(contactPublicKey, keyPair.publicKey, peerIdentityKey)
+    if (!state?.rootKey) {
+      state = {
+        ...this._createInitiatorState(keyPair, peerIdentityKey),
+        retiredInitKeys: state?.retiredInitKeys || []
+      }
+    }
+
+    const { messageKey, chainKey } = this._kdfChain(decodeBase64(state.sendChainKey))
+    const header = {
+      ik: keyPair.publicKey,
+      dh: state.dhSelf.publicKey,
+      pn: state.pn,
+      n: state.ns
+    }
+
+    // Until the contact replies, every message carries what they need to set up the session
+    if (state.pendingInit) header.ek = state.initEphemeralKey
+
+    // Our signing key travels inside the authenticated header, so the contact can pin it safely
+    const signingPublicKey = LocalKeyStorageManager.getSigningKeyPair()?.publicKey
+    if (signingPublicKey) header.sk = signingPublicKey
+
+    state.sendChainKey = encodeBase64(chainKey)
+    state.ns += 1
+
+    const headerEncoded = encodeBase64(encodeUTF8(JSON.stringify(header)))
+    const key = this._messageEncryptionKey(messageKey, keyPair.publicKey, peerIdentityKey, headerEncoded)
+    const nonce = nacl.randomBytes(nacl.secretbox.nonceLength)
+    const box = nacl.secretbox(encodeUTF8(plaintext), nonce, key)
+
+    const sealed = new Uint8Array(nonce.length + box.length)
+    sealed.set(nonce)
+    sealed.set(box, nonce.length)
+
+    this._saveSessionState(contactPublicKey, state)
+
+    return `${SESSION_ENVELOPE_PREFIX}${headerEncoded}:${encodeBase64(sealed)}`
+  }
+
+  /**
+   * Decrypt a session envelope from a contact
+   * @param {string} contactPublicKey - Contact's public key display
+   * @param {string} envelope - Session envelope
+   * @param {boolean} isFromContact - Whether the envelope is signed with the contact's pinned key. Anyone can send
+   *   junk in a contact's name, so only then does a failure mark the session as out of sync
+   * @returns {Promise<string>} - Decrypted message
+   */
+  async decryptMessage(contactPublicKey, envelope, isFromContact) {
+    this._requireLoaded()
+    this._migrateLegacySession(contactPublicKey)
+
+    const parsed = this._parseEnvelope(envelope)
+    if (!parsed) throw new Error('Malformed session message')
+    const { header, headerEncoded, sealed } = parsed
+
+    const keyPair = LocalKeyStorageManager.getKeyPair()
+    if (!keyPair) throw new Error('No key pair found. Please create or import a key pair.')
+
+    // The identity key in the header must belong to the sender's address
+    const knownIdentityKey = contactStore.getContactPublicKey(contactPublicKey)
+    if (knownIdentityKey && knownIdentityKey !== header.ik) {
+      throw new Error('Message was encrypted with a different identity key than the one known for this contact')
+    }
+    if (!knownIdentityKey && !(await contactStore.setContactPublicKey(contactPublicKey, header.ik))) {
+      throw new Error('Sender identity key does not match the sender address')
+    }
+
+    // No awaits past this point, so the session cannot change underneath us
+    const stored = this._getSessionState(contactPublicKey, keyPair.publicKey, header.ik)
+    let state = stored ? JSON.parse(JSON.stringify(stored)) : null
+
+    if (header.ek && state?.initEphemeralKey !== header.ek) {
+      const responderState = this._createResponderState(keyPair, header)
+      const isRetired = state?.retiredInitKeys?.includes(header.ek)
+
+      // When both sides start a session at once, the one with the lower ephemeral key wins
+      const keepOurs = state?.rootKey && state.pendingInit && state.initEphemeralKey < header.ek
+
+      if (isRetired || keepOurs) {
+        const plaintext = this._ratchetDecrypt(responderState, header, headerEncoded, sealed, keyPair.publicKey)
+        if (plaintext === null) throw new Error('Unable to decrypt message from an earlier session')
+        return plaintext
+      }
+
+      const retiredInitKeys = [...(state?.retiredInitKeys || [])]
+      if (state?.initEphemeralKey) retiredInitKeys.push(state.initEphemeralKey)
+      state = {
+        ...responderState,
+        retiredInitKeys: retiredInitKeys.slice(-MAX_REMEMBERED_KEYS)
+      }
+    }
+
+    if (!state?.rootKey) {
+      if (isFromContact) this.outOfSyncContacts.add(contactPublicKey)
+      throw new Error('No secure session with this contact')
+    }
+
+    const isOldMessage = this._isAlreadyReceived(state, header)
+
+    let plaintext = null
+    try {
+      plaintext = this._ratchetDecrypt(state, header, headerEncoded, sealed, keyPair.publicKey)
+    } catch (error) {
+      console.warn('Ratchet step failed:', error)
+    }
+
+    if (plaintext === null) {
+      // Keys of messages we already read are gone by design, that is not a broken session
+      if (isFromContact && !isOldMessage) this.outOfSyncContacts.add(contactPublicKey)
+      throw new Error(isOldMessage ? 'Message key was already used' : 'Secure session is out of sync')
+    }
+
+    // Hearing back from the contact means they hold the session too
+    state.pendingInit = false
+
+    this._saveSessionState(contactPublicKey, state)
+    this.outOfSyncContacts.delete(contactPublicKey)
+
+    return plaintext
+  }
+
+  /**
+   * Get and clear the contacts whose sessions need to be restarted
+   * @returns {Array<string>} - Contact public key displays
+   */
+  takeOutOfSyncContacts() {
+    const contacts = [...this.outOfSyncContacts]
+    this.outOfSyncContacts.clear()
+    return contacts
+  }
+
+  /**
+   * Drop the session with a contact so the next message starts a new one
+   * @param {string} contactPublicKey - Contact's public key display
+   */
+  resetSession(contactPublicKey) {
+    this._requireLoaded()
+    this._migrateLegacySession(contactPublicKey)
+
+    const state = this.sessions[contactPublicKey]
+    if (!state) return
+
+    const retiredInitKeys = [...(state.retiredInitKeys || [])]
+    if (state.initEphemeralKey) retiredInitKeys.push(state.initEphemeralKey)
+
+    this.sessions[contactPublicKey] = {
+      ownIdentityKey: state.ownIdentityKey,
+      peerIdentityKey: state.peerIdentityKey,
+      retiredInitKeys: retiredInitKeys.slice(-MAX_REMEMBERED_KEYS)
+    }
+    this._persistSessions()
+  }
+
+  /**
+   * Delete all sessions
+   */
+  clearAllSessions() {
+    this.sessions = {}
+    this.outOfSyncContacts.clear()
+    this._persistSessions()
+  }
+
+  /**
+   * Sessions must not be started or advanced before the stored ones are loaded, they would be overwritten
+   * @private
+   */
+  _requireLoaded() {
+    if (!this.initialized) throw new Error('Secure sessions are not loaded yet. Unlock your account first.')
+  }
+
+  /**
+   * Sessions started before a contact moved to their v2 address are stored under the legacy display key
+   * @private
+   */
+  _migrateLegacySession(contactPublicKey) {
+    const legacyId = contactStore.getContact(contactPublicKey)?.legacyId
+    if (!legacyId || legacyId === contactPublicKey || !this.sessions[legacyId]) return
+
+    if (!this.sessions[contactPublicKey]) this.sessions[contactPublicKey] = this.sessions[legacyId]
+    delete this.sessions[legacyId]
+    this._persistSessions()
+  }
+
+  /**
+   * Get the session with a contact if it was made for the current pair of identity keys
+   * @private
+   */
+  _getSessionState(contactPublicKey, ownIdentityKey, peerIdentityKey) {
+    const state = this.sessions[contactPublicKey]
+    if (!state) return null
+    if (state.ownIdentityKey !== ownIdentityKey || state.peerIdentityKey !== peerIdentityKey) return null
+    return state
+  }
+
+  /**
+   * @private
+   */
+  _saveSessionState(contactPublicKey, state) {
+    state.updatedAt = new Date().toISOString()
+    this.sessions[contactPublicKey] = state
+    this._persistSessions()
+  }
+
+  /**
+   * Start a session as the sending side
+   * @private
+   */
+  _createInitiatorState(keyPair, peerIdentityKey) {
+    const identitySecret = decodeBase64(keyPair.privateKey)
+    const peerIdentity = decodeBase64(peerIdentityKey)
+    const ephemeral = nacl.box.keyPair()
+
+    const sharedSecret = this._x3dhSecret(
+      nacl.scalarMult(identitySecret, peerIdentity),
+      nacl.scalarMult(ephemeral.secretKey, peerIdentity)
+    )
+
+    // The contact's identity key acts as their first ratchet key
+    const dhSelf = nacl.box.keyPair()
+    const { rootKey, chainKey } = this._kdfRoot(sharedSecret, nacl.scalarMult(dhSelf.secretKey, peerIdentity))
+
+    return {
+      ownIdentityKey: keyPair.publicKey,
+      peerIdentityKey,
+      initEphemeralKey: encodeBase64(ephemeral.publicKey),
+      pendingInit: true,
+      rootKey: encodeBase64(rootKey),
+      sendChainKey: encodeBase64(chainKey),
+      recvChainKey: null,
+      dhSelf: this._encodeKeyPair(dhSelf),
+      dhRemote: peerIdentityKey,
+      previousRemoteKeys: [],
+      ns: 0,
+      nr: 0,
+      pn: 0,
+      skipped: {},
+      createdAt: new Date().toISOString()
+    }
+  }
+
+  /**
+   * Set up a session from the first message of a contact who started it
+   * @private
+   */
+  _createResponderState(keyPair, header) {
+    const identitySecret = decodeBase64(keyPair.privateKey)
+    const peerIdentity = decodeBase64(header.ik)
+    const peerRatchetKey = decodeBase64(header.dh)
+
+    const sharedSecret = this._x3dhSecret(
+      nacl.scalarMult(identitySecret, peerIdentity),
+      nacl.scalarMult(identitySecret, decodeBase64(header.ek))
+    )
+
+    // Mirror the initiator's first step, then ratchet forward to a fresh key of our own
+    const receiving = this._kdfRoot(sharedSecret, nacl.scalarMult(identitySecret, peerRatchetKey))
+    const dhSelf = nacl.box.keyPair()
+    const sending = this._kdfRoot(receiving.rootKey, nacl.scalarMult(dhSelf.secretKey, peerRatchetKey))
+
+    return {
+      ownIdentityKey: keyPair.publicKey,
+      peerIdentityKey: header.ik,
+      initEphemeralKey: header.ek,
+      pendingInit: false,
+      rootKey: encodeBase64(sending.rootKey),
+      sendChainKey: encodeBase64(sending.chainKey),
+      recvChainKey: encodeBase64(receiving.chainKey),
+      dhSelf: this._encodeKeyPair(dhSelf),
+      dhRemote: header.dh,
+      previousRemoteKeys: [],
+      ns: 0,
+      nr: 0,
+      pn: 0,
+      skipped: {},
+      createdAt: new Date().toISOString()
+    }
+  }
+
+  /**
+   * Decrypt with a session state, advancing it in place
+   * @returns {string|null} - Plaintext, or null if the message does not belong to this session
+   * @private
+   */
+  _ratchetDecrypt(state, header, headerEncoded, sealed, ownIdentityKey) {
+    const open = (messageKey) => {
+      const key = this._messageEncryptionKey(messageKey, header.ik, ownIdentityKey, headerEncoded)
+      const nonce = sealed.slice(0, nacl.secretbox.nonceLength)
+      const box = sealed.slice(nacl.secretbox.nonceLength)
+      const opened = nacl.secretbox.open(box, nonce, key)
+      return opened ? decodeUTF8(opened) : null
+    }
+
+    // Messages that arrived out of order use a key stored when it was skipped
+    const skippedId = `${header.dh}:${header.n}`
+    if (state.skipped[skippedId]) {
+      const plaintext = open(decodeBase64(state.skipped[skippedId]))
+      if (plaintext !== null) delete state.skipped[skippedId]
+      return plaintext
+    }
+
+    if (header.dh !== state.dhRemote) {
+      this._skipMessageKeys(state, header.pn)
+      this._dhRatchet(state, header.dh)
+    }
+
+    this._skipMessageKeys(state, header.n)
+
+    const { messageKey, chainKey } = this._kdfChain(decodeBase64(state.recvChainKey))
+    state.recvChainKey = encodeBase64(chainKey)
+    state.nr += 1
+
+    return open(messageKey)
+  }
+
+  /**
+   * Store the keys of messages that have not arrived yet
+   * @private
+   */
+  _skipMessageKeys(state, until) {
+    if (!state.recvChainKey) return
+    if (until - state.nr > MAX_SKIP) throw new Error('Too many skipped messages')
+
+    let chainKey = decodeBase64(state.recvChainKey)
+    while (state.nr < until) {
+      const step = this._kdfChain(chainKey)
+      state.skipped[`${state.dhRemote}:${state.nr}`] = encodeBase64(step.messageKey)
+      chainKey = step.chainKey
+      state.nr += 1
+    }
+    state.recvChainKey = encodeBase64(chainKey)
+
+    // Drop the oldest skipped keys beyond the limit
+    const skippedIds = Object.keys(state.skipped)
+    for (const skippedId of skippedIds.slice(0, Math.max(0, skippedIds.length - MAX_SKIPPED_KEYS))) {
+      delete state.skipped[skippedId]
+    }
+  }
+
+  /**
+   * Diffie-Hellman ratchet step on a new ratchet key from the contact
+   * @private
+   */
+  _dhRatchet(state, remoteKey) {
+    state.previousRemoteKeys = [...(state.previousRemoteKeys || []), state.dhRemote].slice(-MAX_REMEMBERED_KEYS)
+    state.pn = state.ns
+    state.ns = 0
+    state.nr = 0
+    state.dhRemote = remoteKey
+
+    const remote = decodeBase64(remoteKey)
+    const receiving = this._kdfRoot(
+      decodeBase64(state.rootKey),
+      nacl.scalarMult(decodeBase64(state.dhSelf.secretKey), remote)
+    )
+
+    const dhSelf = nacl.box.keyPair()
+    const sending = this._kdfRoot(receiving.rootKey, nacl.scalarMult(dhSelf.secretKey, remote))
+
+    state.recvChainKey = encodeBase64(receiving.chainKey)
+    state.dhSelf = this._encodeKeyPair(dhSelf)
+    state.rootKey = encodeBase64(sending.rootKey)
+    state.sendChainKey = encodeBase64(sending.chainKey)
+  }
+
+  /**
+   * Whether a message's key was already used up by this session
+   * @private
+   */
+  _isAlreadyReceived(state, header) {
+    if (state.skipped[`${header.dh}:${header.n}`]) return false
+    if (header.dh === state.dhRemote) return header.n < state.nr
+    return (state.previousRemoteKeys || []).includes(header.dh)
+  }
+
+  /**
+   * Signing key the sender put in the header of a session envelope
+   * The header is authenticated with the message key, so only trust this once the envelope decrypted
+   * @param {string} envelope - Session envelope
+   * @returns {string|null} - Base64 signing public key, null if the sender did not include one
+   */
+  getSigningKey(envelope) {
+    const signingPublicKey = this._parseEnvelope(envelope)?.header.sk
+    return typeof signingPublicKey === 'string' ? signingPublicKey : null
+  }
+
+  /**
+   * @private
+   */
+  _parseEnvelope(envelope) {
+    if (!this.isSessionEnvelope(envelope)) return null
+
+    const parts = envelope.slice(SESSION_ENVELOPE_PREFIX.length).split(':')
+    if (parts.length !== 2) return null
+
+    try {
+      const header = JSON.parse(decodeUTF8(decodeBase64(parts[0])))
+      const sealed = decodeBase64(parts[1])
+      if (!header || !LocalKeyStorageManager.isValidPublicKey(header.ik) ||
+        !LocalKeyStorageManager.isValidPublicKey(header.dh) ||
+        (header.ek && !LocalKeyStorageManager.isValidPublicKey(header.ek)) ||
+        !Number.isInteger(header.n) || !Number.isInteger(header.pn) || header.n < 0 || header.pn < 0 ||
+        sealed.length <= nacl.secretbox.nonceLength) {
+        return null
+      }
+      return { header, headerEncoded: parts[0], sealed }
+    } catch (e) {
+      return null
+    }
+  }
+
+  /**
+   * Shared secret of the session setup
+   * @private
+   */
+  _x3dhSecret(identityAgreement, ephemeralAgreement) {
+    const input = new Uint8Array(identityAgreement.length + ephemeralAgreement.length)
+    input.set(identityAgreement)
+    input.set(ephemeralAgreement, identityAgreement.length)
+    return this._kdf(input, new Uint8Array(64), encodeUTF8(X3DH_INFO)).slice(0, 32)
+  }
+
+  /**
+   * Root chain step: new root key and chain key from a Diffie-Hellman output
+   * @private
+   */
+  _kdfRoot(rootKey, dhOutput) {
+    const output = this._kdf(dhOutput, rootKey, encodeUTF8(ROOT_CHAIN_INFO))
+    return { rootKey: output.slice(0, 32), chainKey: output.slice(32, 64) }
+  }
+
+  /**
+   * Symmetric chain step: message key and next chain key
+   * @private
+   */
+  _kdfChain(chainKey) {
+    return {
+      messageKey: LocalKeyStorageManager.hmac(chainKey, new Uint8Array([0x01])).slice(0, 32),
+      chainKey: LocalKeyStorageManager.hmac(chainKey, new Uint8Array([0x02])).slice(0, 32)
+    }
+  }
+
+  /**
+   * Bind a message key to both identities and the header it was sent with
+   * @private
+   */
+  _messageEncryptionKey(messageKey, senderIdentityKey, recipientIdentityKey, headerEncoded) {
+    const info = encodeUTF8(`${MESSAGE_KEY_INFO}:${senderIdentityKey}:${recipientIdentityKey}:${headerEncoded}`)
+    return this._kdf(messageKey, new Uint8Array(64), info).slice(0, 32)
+  }
+
+  /**
+   * Single block HKDF with HMAC-SHA512 (64 bytes of output)
+   * @private
+   */
+  _kdf(inputKeyMaterial, salt, info) {
+    const pseudoRandomKey = LocalKeyStorageManager.hmac(salt, inputKeyMaterial)
+    const block = new Uint8Array(info.length + 1)
+    block.set(info)
+    block[info.length] = 0x01
+    return LocalKeyStorageManager.hmac(pseudoRandomKey, block)
+  }
+
+  /**
+   * @private
+   */
+  _encodeKeyPair(keyPair) {
+    return {
+      publicKey: encodeBase64(keyPair.publicKey),
+      secretKey: encodeBase64(keyPair.secretKey)
+    }
+  }
+
+  /**
+   * Persist sessions, sealed with the storage key like the rest of the local data
+   * @private
+   */
+  _persistSessions() {
+    localDatabase.saveValue('sessions', this.sessions)
+  }
+}
+
+// Create singleton instance
+const sessionManager = new SessionManager()
+
+export default sessionManager
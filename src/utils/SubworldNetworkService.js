@@ -1,7 +1,13 @@
 'use client'
 
 import LocalKeyStorageManager from './LocalKeyStorageManager'
+import contactStore from './ContactStore'
+import sessionManager from './SessionManager'
 import nacl from 'tweetnacl';
+import { encodeBase64, decodeBase64 } from 'tweetnacl-util';
+
+// Group files are encrypted with a per-file key: magic "SWF" + version
+const GROUP_FILE_HEADER = new Uint8Array([0x53, 0x57, 0x46, 0x01]);
 
 
 
@@ -22,9 +28,15 @@ class SubworldNetworkService {
     // Always assume connected - we'll only check when explicitly requested
     this.isConnected = true;
 
+    // Called with the new state when the current node becomes reachable or unreachable
+    this.connectionListeners = [];
+
     // User information
     this.keyPair = null;
 
+    // The ID we are listed under in each group, legacy display keys for groups joined before v2 addresses
+    this.groupMemberIds = {};
+
     this.proxyBaseUrl = 'https://proxy.inhouses.xyz/api/';// Proxy base URL for API calls
 
 
@@ -56,11 +68,14 @@ class SubworldNetworkService {
       }
       this.keyPair = keyPair;
 
+      // Contact public keys are needed for encryption
+      await contactStore.initialize();
+
       // Load the preferred node from localStorage
       this.loadPreferredNode();
 
       // No automatic health checks - assume node is online
-      this.isConnected = true;
+      this._setConnected(true);
 
       return true;
     } catch (error) {
@@ -134,13 +149,48 @@ class SubworldNetworkService {
       }
 
       // Use the proxy-based health check with the node ID
-      return await this.checkNodeHealthViaProxy(nodeId);
+      const health = await this.checkNodeHealthViaProxy(nodeId);
+      if (this.currentNode && this.currentNode.address === nodeAddress) {
+        this._setConnected(health.isOnline);
+      }
+      return health;
     } catch (error) {
       console.error('Health check failed:', error);
       return { isOnline: false, latency: 999 };
     }
   }
 
+  /**
+   * Register a listener for the current node becoming reachable or unreachable
+   * @param {Function} listener - Called with whether the node can be reached
+   * @returns {Function} - Removes the listener
+   */
+  addConnectionListener(listener) {
+    this.connectionListeners.push(listener);
+
+    // Return function to remove listener
+    return () => {
+      this.connectionListeners = this.connectionListeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Record whether the current node can be reached and tell the listeners when that changed
+   * @private
+   */
+  _setConnected(isConnected) {
+    if (this.isConnected === isConnected) return;
+    this.isConnected = isConnected;
+
+    this.connectionListeners.forEach(listener => {
+      try {
+        listener(isConnected);
+      } catch (error) {
+        console.error('Error in connection listener:', error);
+      }
+    });
+  }
+
 
   /**
  * Set the current node to use for API calls with health check via proxy
@@ -172,18 +222,18 @@ class SubworldNetworkService {
           const healthResult = await this.checkNodeHealthViaProxy(nodeId);
           updatedNode.isOnline = healthResult.isOnline;
           updatedNode.latency = healthResult.latency;
-          this.isConnected = healthResult.isOnline;
+          this._setConnected(healthResult.isOnline);
         } catch (error) {
           console.error('Health check via proxy failed during node selection:', error);
           updatedNode.isOnline = false;
           updatedNode.latency = 999;
-          this.isConnected = false;
+          this._setConnected(false);
         }
       } else {
         // Set node to online without checking
         updatedNode.isOnline = true;
         updatedNode.latency = 100; // Default latency
-        this.isConnected = true;
+        this._setConnected(true);
       }
 
       this.currentNode = updatedNode;
@@ -204,7 +254,7 @@ class SubworldNetworkService {
       };
 
       this.currentNode = offlineNode;
-      this.isConnected = true;
+      this._setConnected(true);
 
       localStorage.setItem('subworld_preferred_node', JSON.stringify(offlineNode));
       return offlineNode;
@@ -375,17 +425,25 @@ class SubworldNetworkService {
       // Log for debugging
       console.log('Sending message to recipient:', recipientPublicKey);
 
-      // Encrypt the message with recipient's display key
-      const encryptedData = await LocalKeyStorageManager.encryptMessage(
-        content,
-        recipientPublicKey
+      const isNoteToSelf = this._isOwnId(recipientPublicKey);
+      const { recipientId, senderId } = this._getRoute(recipientPublicKey);
+
+      // Encrypt through the ratchet session with the recipient (notes to self use our own key)
+      const encryptedData = isNoteToSelf
+        ? await LocalKeyStorageManager.encryptMessage(content, this.keyPair.publicKey)
+        : sessionManager.encryptMessage(contactStore.resolveContactId(recipientPublicKey), content);
+
+      // Sign the envelope so the recipient can check who sent it
+      const signedData = LocalKeyStorageManager.signPayload(
+        encryptedData,
+        ['message', senderId, recipientId]
       );
 
       // Prepare the message payload
       const message = {
-        recipient_id: recipientPublicKey,
-        sender_id: this.keyPair.publicKeyDisplay,
-        encrypted_data: encryptedData,
+        recipient_id: recipientId,
+        sender_id: senderId,
+        encrypted_data: signedData,
         type: 0,
         timestamp: new Date().toISOString(),
         id: `msg-${Date.now()}`
@@ -432,9 +490,10 @@ class SubworldNetworkService {
 
   /**
  * Fetch messages for the current user
+ * @param {Function|null} isKnownMessage - Tells by ID whether a message is already stored locally, those are not decrypted again
  * @returns {Promise<Array>} - Array of messages
  */
-  async fetchMessages() {
+  async fetchMessages(isKnownMessage = null) {
     try {
       if (!this.currentNode) {
         console.warn('No node selected');
@@ -449,89 +508,16 @@ class SubworldNetworkService {
       // Use proxy instead of direct node connection
       const nodeId = this.currentNode.id || 'bootstrap2';
 
-      console.log('Fetching messages for user:', this.keyPair.publicKeyDisplay);
-
-      // Make GET request to fetch user messages via proxy
-      let response;
-      try {
-        response = await fetch(`${this.proxyBaseUrl}${nodeId}/messages/get?user_id=${this.keyPair.publicKeyDisplay}&fetch_remote=true`, {
-          method: 'GET',
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        });
-      } catch (fetchError) {
-        console.error('Network error fetching messages:', fetchError);
-        return [];
-      }
-
-      if (!response || !response.ok) {
-        const errorText = response ? await response.text() : 'No response';
-        console.error('Error fetching messages:', errorText);
-        return [];
-      }
-
-      let responseData;
-      try {
-        responseData = await response.json();
-      } catch (jsonError) {
-        console.error('Error parsing messages JSON:', jsonError);
-        return [];
-      }
-
-      // Handle different response formats
-      let messages = [];
-
-      // Check if response is an array directly
-      if (Array.isArray(responseData)) {
-        messages = responseData;
-      }
-      // Check if response is an object with a messages array
-      else if (responseData && typeof responseData === 'object') {
-        // Check if this is an empty response or "no messages" response
-        if (
-          // Common "no messages" responses
-          responseData.status === 'success' ||
-          responseData.status === 'ok' ||
-          responseData.code === 200 ||
-          responseData.message === 'No messages found' ||
-          responseData.result === 'empty'
-        ) {
-          console.log('No messages available response:', JSON.stringify(responseData).substring(0, 200));
-          // Return empty array - this is not an error
-          return [];
-        }
-
-        // Try different common property names for messages
-        if (Array.isArray(responseData.messages)) {
-          messages = responseData.messages;
-        } else if (Array.isArray(responseData.data)) {
-          messages = responseData.data;
-        } else if (Array.isArray(responseData.results)) {
-          messages = responseData.results;
-        } else if (Array.isArray(responseData.items)) {
-          messages = responseData.items;
-        } else {
-          // Log the actual response structure for debugging
-          console.log('Unexpected response structure:', JSON.stringify(responseData).substring(0, 200) + '...');
-
-          // As a last resort, try to extract array-like properties from the object
-          const possibleArrays = Object.values(responseData).filter(val => Array.isArray(val));
-          if (possibleArrays.length > 0) {
-            // Use the largest array found
-            messages = possibleArrays.reduce((largest, current) =>
-              current.length > largest.length ? current : largest, []);
-
-            console.log('Extracted possible messages array with', messages.length, 'items');
-          } else {
-            // If all else fails, assume it's an empty response
-            console.log('No message arrays found in response, assuming empty messages list');
-            return [];
-          }
+      // Contacts that have not learned our v2 address yet still write to our legacy inbox
+      const messages = [];
+      const fetchedIds = new Set();
+      for (const userId of this.getOwnIds()) {
+        for (const message of await this._fetchInbox(nodeId, userId)) {
+          const id = message && (message.id || message.ID);
+          if (id && fetchedIds.has(id)) continue;
+          if (id) fetchedIds.add(id);
+          messages.push(message);
         }
-      } else {
-        console.log('Unexpected response format:', typeof responseData, 'assuming empty messages');
-        return [];
       }
 
       console.log('Received messages count:', messages.length);
@@ -547,19 +533,46 @@ class SubworldNetworkService {
 
           // Extract the message properties
           const messageId = message.id || message.ID || `unknown-${i}`;
-          const senderId = message.sender_id || message.senderID || 'unknown';
-          const recipientId = message.recipient_id || message.recipientID || this.keyPair.publicKeyDisplay;
-          const encryptedData = message.encrypted_data || message.encryptedData;
+          let senderId = message.sender_id || message.senderID || 'unknown';
+
+          // Session message keys are single use, so stored messages are not decrypted again
+          if (isKnownMessage && isKnownMessage(messageId)) {
+            continue;
+          }
+
+          const routedRecipientId = message.recipient_id || message.recipientID || this.keyPair.publicKeyDisplay;
+          const signed = LocalKeyStorageManager.openSignedPayload(
+            message.encrypted_data || message.encryptedData,
+            ['message', senderId, routedRecipientId]
+          );
+          const encryptedData = signed.payload;
           const timestamp = message.timestamp || new Date().toISOString();
 
+          // A signature that does not match the envelope means it was forged or tampered with
+          if (signed.isSigned && !signed.isValid) {
+            console.warn(`Dropping message ${messageId} with an invalid signature from ${senderId}`);
+            continue;
+          }
+
+          // A contact writing from their v2 address can be reached there from now on
+          if (signed.isSigned && LocalKeyStorageManager.isAddress(senderId) && !this._isOwnId(senderId)) {
+            await contactStore.learnAddress(senderId);
+          }
+
+          // Store messages under the IDs we use locally, whichever inbox they arrived in
+          senderId = this.toContactId(senderId);
+          const recipientId = this.toContactId(routedRecipientId);
+
           if (!encryptedData) {
             decryptedMessages.push({
               id: messageId,
               sender: senderId,
               recipient: recipientId,
+              networkRecipient: routedRecipientId,
               content: '[No message content]',
               timestamp: timestamp,
-              status: 'received'
+              status: 'received',
+              senderVerified: this._verifySender(senderId, signed)
             });
             continue;
           }
@@ -576,12 +589,35 @@ class SubworldNetworkService {
             decryptionKey = senderId;
           }
 
+          // Our own session messages cannot be decrypted again, the local copy is kept instead
+          if (senderId === this.keyPair.publicKeyDisplay && recipientId !== senderId &&
+            sessionManager.isSessionEnvelope(encryptedData)) {
+            continue;
+          }
+
           let decryptedContent;
+          let innerSigningKey = null;
           try {
-            decryptedContent = await LocalKeyStorageManager.decryptMessage(
-              encryptedData,
-              decryptionKey
-            );
+            if (sessionManager.isSessionEnvelope(encryptedData)) {
+              // Only an envelope signed with the pinned key can tell that the session broke
+              const isFromContact = signed.isValid && signed.signingPublicKey === contactStore.getContactSigningKey(senderId);
+              decryptedContent = await sessionManager.decryptMessage(senderId, encryptedData, isFromContact);
+              innerSigningKey = sessionManager.getSigningKey(encryptedData);
+            } else {
+              decryptedContent = await LocalKeyStorageManager.decryptMessage(
+                encryptedData,
+                decryptionKey,
+                contactStore.getContactPublicKey(decryptionKey)
+              );
+
+              // Remember the sender's full key so we can reply to them
+              if (senderId !== this.keyPair.publicKeyDisplay) {
+                const senderPublicKey = LocalKeyStorageManager.getCiphertextSenderKey(encryptedData);
+                if (senderPublicKey && !contactStore.getContactPublicKey(senderId)) {
+                  await contactStore.setContactPublicKey(senderId, senderPublicKey);
+                }
+              }
+            }
           } catch (decryptError) {
             console.error(`Failed to decrypt message ${messageId}:`, decryptError);
             decryptedContent = '[Encrypted message - Unable to decrypt]';
@@ -591,9 +627,14 @@ class SubworldNetworkService {
             id: messageId,
             sender: senderId,
             recipient: recipientId,
+            // Files sent to us are stored under the inbox they were addressed to
+            networkRecipient: routedRecipientId,
             content: decryptedContent,
             timestamp: timestamp,
-            status: message.delivered ? 'delivered' : 'received'
+            status: message.delivered ? 'delivered' : 'received',
+            // The signature sits outside the encryption, only the signing key from inside may be pinned
+            senderVerified: this._verifySender(senderId, signed, innerSigningKey),
+            expiresAt: message.expires_at || message.expiresAt
           });
         } catch (messageError) {
           console.error('Error processing message at index', i, ':', messageError);
@@ -608,6 +649,102 @@ class SubworldNetworkService {
     }
   }
 
+  /**
+   * Fetch the raw messages waiting in one inbox
+   * @param {string} nodeId - Node to fetch from
+   * @param {string} userId - Inbox owner ID
+   * @returns {Promise<Array>} - Undecrypted messages
+   * @private
+   */
+  async _fetchInbox(nodeId, userId) {
+  console.log('Fetching messages for user:', userId);
+
+    // Make GET request to fetch user messages via proxy
+    let response;
+    try {
+      response = await fetch(`${this.proxyBaseUrl}${nodeId}/messages/get?user_id=${encodeURIComponent(userId)}&fetch_remote=true`, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    } catch (fetchError) {
+      console.error('Network error fetching messages:', fetchError);
+      return [];
+    }
+
+    if (!response || !response.ok) {
+      const errorText = response ? await response.text() : 'No response';
+      console.error('Error fetching messages:', errorText);
+      return [];
+    }
+
+    let responseData;
+    try {
+      responseData = await response.json();
+    } catch (jsonError) {
+      console.error('Error parsing messages JSON:', jsonError);
+      return [];
+    }
+
+    // Handle different response formats
+    let messages = [];
+
+    // Check if response is an array directly
+    if (Array.isArray(responseData)) {
+      messages = responseData;
+    }
+    // Check if response is an object with a messages array
+    else if (responseData && typeof responseData === 'object') {
+      // Check if this is an empty response or "no messages" response
+      if (
+        // Common "no messages" responses
+        responseData.status === 'success' ||
+        responseData.status === 'ok' ||
+        responseData.code === 200 ||
+        responseData.message === 'No messages found' ||
+        responseData.result === 'empty'
+      ) {
+        console.log('No messages available response:', JSON.stringify(responseData).substring(0, 200));
+        // Return empty array - this is not an error
+        return [];
+      }
+
+      // Try different common property names for messages
+      if (Array.isArray(responseData.messages)) {
+        messages = responseData.messages;
+      } else if (Array.isArray(responseData.data)) {
+        messages = responseData.data;
+      } else if (Array.isArray(responseData.results)) {
+        messages = responseData.results;
+      } else if (Array.isArray(responseData.items)) {
+        messages = responseData.items;
+      } else {
+        // Log the actual response structure for debugging
+        console.log('Unexpected response structure:', JSON.stringify(responseData).substring(0, 200) + '...');
+
+        // As a last resort, try to extract array-like properties from the object
+        const possibleArrays = Object.values(responseData).filter(val => Array.isArray(val));
+        if (possibleArrays.length > 0) {
+          // Use the largest array found
+          messages = possibleArrays.reduce((largest, current) =>
+            current.length > largest.length ? current : largest, []);
+
+          console.log('Extracted possible messages array with', messages.length, 'items');
+        } else {
+          // If all else fails, assume it's an empty response
+          console.log('No message arrays found in response, assuming empty messages list');
+          return [];
+        }
+      }
+    } else {
+      console.log('Unexpected response format:', typeof responseData, 'assuming empty messages');
+      return [];
+    }
+
+    return messages;
+  }
+
   /**
    * Mark messages as delivered
    * @param {string} userID - User ID (recipient's public key)
@@ -750,15 +887,19 @@ class SubworldNetworkService {
 
       // Encrypt the file data with recipient's key
       const encryptedData = await this.encryptFileData(fileData, recipientPublicKey);
+      const { recipientId, senderId } = this._getRoute(recipientPublicKey);
+
+      // Sign the encrypted file so the recipient can check who uploaded it, bound to the route like messages
+      const signedData = LocalKeyStorageManager.signBytes(encryptedData, ['file', senderId, recipientId]);
 
       // Convert encrypted data to a Blob for upload
-      const encryptedBlob = new Blob([encryptedData]);
+      const encryptedBlob = new Blob([signedData]);
 
       // Create FormData for the file upload
       const formData = new FormData();
       formData.append('file', encryptedBlob, file.name);
-      formData.append('recipient_id', recipientPublicKey);
-      formData.append('sender_id', this.keyPair.publicKeyDisplay);
+      formData.append('recipient_id', recipientId);
+      formData.append('sender_id', senderId);
       formData.append('file_name', file.name);
       formData.append('file_type', file.type);
 
@@ -804,33 +945,187 @@ class SubworldNetworkService {
   /**
    * Encrypt file data
    * @param {Uint8Array} fileData - Raw file data to encrypt
-   * @param {string} recipientPublicKey - Recipient's public key
+   * @param {string} recipientPublicKey - Recipient's public key display
    * @returns {Promise<Uint8Array>} - Encrypted file data
    */
   async encryptFileData(fileData, recipientPublicKey) {
     try {
-      // Get encryption key derived from sender and recipient keys
-      const encryptionKey = await LocalKeyStorageManager.deriveSharedKeyFromDisplayKeys(
-        this.keyPair.publicKeyDisplay,
-        recipientPublicKey
+      // Encrypt with nacl.box using the recipient's full public key
+      return LocalKeyStorageManager.sealBytes(
+        fileData,
+        this._getRecipientPublicKey(recipientPublicKey)
       );
+    } catch (error) {
+      console.error('File encryption failed:', error);
+      throw error;
+    }
+  }
 
-      // Create a nonce for encryption
-      const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+  /**
+   * IDs the current user can be reached at: the v2 address and, while contacts migrate, the legacy display key
+   * @returns {Array<string>}
+   */
+  getOwnIds() {
+    if (!this.keyPair) return [];
+    return [...new Set([this.keyPair.publicKeyDisplay, this.keyPair.legacyPublicKeyDisplay].filter(Boolean))];
+  }
 
-      // Encrypt the file data
-      const encryptedFile = nacl.secretbox(fileData, nonce, encryptionKey);
+  /**
+   * Map a sender or recipient ID from the network to the ID it is stored under locally
+   * @param {string} id - Address or legacy display key
+   * @returns {string} - Our own address, or the contact's canonical ID
+   */
+  toContactId(id) {
+    return this._isOwnId(id) ? this.keyPair.publicKeyDisplay : contactStore.resolveContactId(id);
+  }
 
-      // Combine nonce and encrypted data into a single array
-      const fullMessage = new Uint8Array(nonce.length + encryptedFile.length);
-      fullMessage.set(nonce);
-      fullMessage.set(encryptedFile, nonce.length);
+  /**
+   * Get the ID a group lists us under
+   * @param {string} groupId - Group ID
+   * @returns {string} - Our legacy display key for groups joined before v2 addresses, otherwise our address
+   */
+  getGroupMemberId(groupId) {
+    return this.groupMemberIds[groupId] || this.keyPair.publicKeyDisplay;
+  }
 
-      return fullMessage;
-    } catch (error) {
-      console.error('File encryption failed:', error);
-      throw error;
+  /**
+   * @private
+   */
+  _isOwnId(id) {
+    return !!id && this.getOwnIds().includes(id);
+  }
+
+  /**
+   * Pick the recipient and sender IDs for a direct message
+   * Contacts that have not moved to v2 addresses are written to at their legacy inbox, from ours
+   * @param {string} contactPublicKey - Contact's address or legacy display key
+   * @returns {{recipientId: string, senderId: string}}
+   * @private
+   */
+  _getRoute(contactPublicKey) {
+    if (this._isOwnId(contactPublicKey)) {
+      return { recipientId: this.keyPair.publicKeyDisplay, senderId: this.keyPair.publicKeyDisplay };
+    }
+
+    const recipientId = contactStore.getRoutingId(contactPublicKey);
+    const senderId = LocalKeyStorageManager.isAddress(recipientId)
+      ? this.keyPair.publicKeyDisplay
+      : this.keyPair.legacyPublicKeyDisplay || this.keyPair.publicKeyDisplay;
+
+    return { recipientId, senderId };
+  }
+
+  /**
+   * Remember which of our IDs a group lists us under, and show it as our address
+   * Other members keep the IDs the server knows them by, which are needed to manage them
+   * @param {Object} group - Group from the network
+   * @returns {Object} - Group with our legacy display key replaced by our address
+   * @private
+   */
+  _normalizeGroupMembers(group) {
+    const legacyId = this.keyPair?.legacyPublicKeyDisplay;
+    if (!group || !legacyId || legacyId === this.keyPair.publicKeyDisplay) return group;
+
+    const members = Array.isArray(group.members) ? group.members : [];
+    if (members.includes(legacyId) && !members.includes(this.keyPair.publicKeyDisplay)) {
+      this.groupMemberIds[group.id] = legacyId;
+    }
+
+    const toOwnAddress = id => (id === legacyId ? this.keyPair.publicKeyDisplay : id);
+    return {
+      ...group,
+      members: Array.isArray(group.members) ? group.members.map(toOwnAddress) : group.members,
+      admins: Array.isArray(group.admins) ? group.admins.map(toOwnAddress) : group.admins
+    };
+  }
+
+  /**
+   * Look up the full public key needed to encrypt for a recipient
+   * @param {string} recipientPublicKey - Recipient's public key display
+   * @returns {string} - Base64 encoded full public key
+   * @private
+   */
+  _getRecipientPublicKey(recipientPublicKey) {
+    // Messages to ourselves use our own key
+    if (this._isOwnId(recipientPublicKey)) {
+      return this.keyPair.publicKey;
+    }
+
+    const fullPublicKey = contactStore.getContactPublicKey(recipientPublicKey);
+    if (!fullPublicKey) {
+      throw new Error('Full public key for this contact is unknown. Ask them to share their public key.');
     }
+
+    return fullPublicKey;
+  }
+
+  /**
+   * Check that a signed envelope was signed by the claimed sender
+   * The first signing key seen for a contact is pinned, later keys must match it
+   * @param {string} senderId - Claimed sender's public key display
+   * @param {{signingPublicKey: string|null, isSigned: boolean, isValid: boolean}} signed - Result of opening the signed envelope
+   * @param {string|null} pinnableKey - Signing key taken from inside a decrypted message, the only key that may be pinned
+   * @returns {boolean} - True if the sender is verified
+   * @private
+   */
+  _verifySender(senderId, signed, pinnableKey = null) {
+    if (!signed.isSigned || !signed.isValid) {
+      return false;
+    }
+
+    if (this._isOwnId(senderId)) {
+      return signed.signingPublicKey === LocalKeyStorageManager.getSigningKeyPair()?.publicKey;
+    }
+
+    const pinnedKey = contactStore.getContactSigningKey(senderId);
+    if (pinnedKey) {
+      return pinnedKey === signed.signingPublicKey;
+    }
+
+    return Boolean(pinnableKey) && pinnableKey === signed.signingPublicKey &&
+      contactStore.setContactSigningKey(senderId, signed.signingPublicKey);
+  }
+
+  /**
+   * Check signed content that does not come through a ratchet session, such as files and group messages
+   * Once a sender's signing key is known their content must carry a valid signature by it, otherwise
+   * leaving out the signature would get around the check
+   * @param {string} senderId - Claimed sender's public key display
+   * @param {{signingPublicKey: string|null, isSigned: boolean, isValid: boolean}} signed - Result of opening the signed content
+   * @returns {boolean|null} - True when verified, false when it must be rejected, null when the sender's
+   *   signing key is not known yet so it can only be shown as unverified
+   * @private
+   */
+  _checkSignedContent(senderId, signed) {
+    if (signed.isSigned && !signed.isValid) return false;
+    if (this._verifySender(senderId, signed)) return true;
+
+    const isKeyKnown = this._isOwnId(senderId) || Boolean(contactStore.getContactSigningKey(senderId));
+    return isKeyKnown ? false : null;
+  }
+
+  /**
+   * IDs a party may have signed or been addressed with: its address and the legacy display key it had
+   * @private
+   */
+  _routeIds(id) {
+    const ids = this._isOwnId(id)
+      ? [this.keyPair.publicKeyDisplay, this.keyPair.legacyPublicKeyDisplay]
+      : [id, contactStore.getContact(id)?.legacyId, contactStore.getRoutingId(id)];
+    return [...new Set(ids.filter(Boolean))];
+  }
+
+  /**
+   * Open signed data against each context it may have been signed with, the first valid one wins
+   * @private
+   */
+  _openSignedBytesAny(signedData, contexts) {
+    let signed = null;
+    for (const context of contexts) {
+      signed = LocalKeyStorageManager.openSignedBytes(signedData, context);
+      if (!signed.isSigned || signed.isValid) break;
+    }
+    return signed;
   }
 
   /**
@@ -873,7 +1168,8 @@ class SubworldNetworkService {
  * @param {string} userID - User ID
  * @param {string} fileID - File ID
  * @param {string} senderKey - Sender's public key for decryption
- * @returns {Promise<Blob>} - Decrypted file data as blob
+ * @returns {Promise<{blob: Blob, senderVerified: boolean}>} - Decrypted file data as blob, and whether the uploader
+ *   was verified. Files from uploaders whose signing key is not known yet are returned unverified
  */
   async downloadFile(userID, fileID, senderKey) {
     try {
@@ -905,9 +1201,10 @@ class SubworldNetworkService {
       console.log(`Received encrypted file: size=${encryptedData.byteLength} bytes`);
 
       // Decrypt the file data
-      const decryptedData = await this.decryptFileData(
+      const { data: decryptedData, senderVerified } = await this.decryptFileData(
         new Uint8Array(encryptedData),
-        senderKey
+        senderKey,
+        userID
       );
 
       // Create a blob with the original file type (if available)
@@ -917,7 +1214,7 @@ class SubworldNetworkService {
       // Create a blob with the decrypted data
       const decryptedBlob = new Blob([decryptedData], { type: fileType });
 
-      return decryptedBlob;
+      return { blob: decryptedBlob, senderVerified };
     } catch (error) {
       console.error('Error downloading file:', error);
       throw error;
@@ -925,21 +1222,52 @@ class SubworldNetworkService {
   }
 
   /**
-   * Decrypt file data
-   * @param {Uint8Array} encryptedData - Encrypted file data
-   * @param {string} senderKey - Sender's public key
-   * @returns {Promise<Uint8Array>} - Decrypted file data
+   * Verify and decrypt file data
+   * @param {Uint8Array} signedData - Signed, encrypted file data
+   * @param {string} senderKey - Public key display of the other party
+   * @param {string} [inboxId] - ID the file was sent to, when it was sent to us
+   * @returns {Promise<{data: Uint8Array, senderVerified: boolean}>} - Decrypted file data and whether the uploader was verified
    */
-  async decryptFileData(encryptedData, senderKey) {
+  async decryptFileData(signedData, senderKey, inboxId = null) {
     try {
+      // Check the uploader's signature before decrypting, it is bound to the uploader and the inbox
+      const encryptedData = LocalKeyStorageManager.openSignedBytes(signedData, []).payload;
+      const isOwnUpload = LocalKeyStorageManager.getCiphertextSenderKey(encryptedData) === this.keyPair.publicKey;
+      const uploader = isOwnUpload ? this.keyPair.publicKeyDisplay : senderKey;
+      const recipientIds = isOwnUpload
+        ? this._routeIds(senderKey)
+        : [...new Set([inboxId, ...this._routeIds(this.keyPair.publicKeyDisplay)].filter(Boolean))];
+      const signed = this._openSignedBytesAny(signedData, this._routeIds(uploader)
+        .flatMap(senderId => recipientIds.map(recipientId => ['file', senderId, recipientId])));
+
+      const senderVerified = this._checkSignedContent(uploader, signed);
+      if (senderVerified === false) {
+        throw new Error('File signature verification failed. The sender could not be verified.');
+      }
+      if (senderVerified === null) {
+        console.warn('Downloading a file from', senderKey, 'whose signing key is not known yet');
+      }
+
+      // Current files are encrypted with nacl.box and carry a versioned header
+      if (LocalKeyStorageManager.isVersionedCiphertext(encryptedData)) {
+        const data = await LocalKeyStorageManager.openBytes(
+          encryptedData,
+          senderKey,
+          this._isOwnId(senderKey)
+            ? this.keyPair.publicKey
+            : contactStore.getContactPublicKey(senderKey)
+        );
+        return { data, senderVerified: senderVerified === true };
+      }
+
       // Extract nonce from the beginning of the encrypted data
       const nonce = encryptedData.slice(0, nacl.secretbox.nonceLength);
       const encryptedFile = encryptedData.slice(nacl.secretbox.nonceLength);
 
-      // Get decryption key derived from sender and recipient keys
+      // Legacy files use a key derived from sender and recipient display keys
       const decryptionKey = await LocalKeyStorageManager.deriveSharedKeyFromDisplayKeys(
-        senderKey,
-        this.keyPair.publicKeyDisplay
+        await LocalKeyStorageManager.toLegacyDisplayKey(senderKey),
+        this.keyPair.legacyPublicKeyDisplay
       );
 
       // Decrypt the file data
@@ -949,13 +1277,83 @@ class SubworldNetworkService {
         throw new Error('File decryption failed. Invalid data or wrong key.');
       }
 
-      return decryptedFile;
+      return { data: decryptedFile, senderVerified: senderVerified === true };
     } catch (error) {
       console.error('File decryption failed:', error);
       throw error;
     }
   }
 
+  /**
+   * Encrypt and sign a group file with a new random key
+   * Layout: header (magic + version) | nonce | secretbox
+   * @param {Uint8Array} fileData - Raw file data to encrypt
+   * @param {string} groupId - Group the file is shared in
+   * @returns {{encryptedData: Uint8Array, fileKey: string}} - Signed ciphertext and the Base64 encoded file key
+   */
+  encryptGroupFileData(fileData, groupId) {
+    try {
+      const fileKey = nacl.randomBytes(nacl.secretbox.keyLength);
+      const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+      const box = nacl.secretbox(fileData, nonce, fileKey);
+
+      const sealed = new Uint8Array(GROUP_FILE_HEADER.length + nonce.length + box.length);
+      sealed.set(GROUP_FILE_HEADER);
+      sealed.set(nonce, GROUP_FILE_HEADER.length);
+      sealed.set(box, GROUP_FILE_HEADER.length + nonce.length);
+
+      return {
+        encryptedData: LocalKeyStorageManager.signBytes(sealed, ['group-file', this.getGroupMemberId(groupId), groupId]),
+        fileKey: encodeBase64(fileKey)
+      };
+    } catch (error) {
+      console.error('Group file encryption failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify and decrypt a group file
+   * @param {Uint8Array} signedData - Signed, encrypted file data
+   * @param {string} fileKey - Base64 encoded file key from the file message
+   * @param {string} uploaderId - Public key display of the member who shared the file
+   * @param {string} groupId - Group the file was shared in
+   * @returns {{data: Uint8Array, senderVerified: boolean}} - Decrypted file data and whether the uploader was verified
+   */
+  decryptGroupFileData(signedData, fileKey, uploaderId, groupId) {
+    try {
+      const signed = this._openSignedBytesAny(signedData, this._routeIds(uploaderId).map(id => ['group-file', id, groupId]));
+      const senderVerified = this._checkSignedContent(uploaderId, signed);
+      if (senderVerified === false) {
+        throw new Error('File signature verification failed. The sender could not be verified.');
+      }
+
+      const sealed = signed.payload;
+      const hasHeader = sealed.length > GROUP_FILE_HEADER.length + nacl.secretbox.nonceLength &&
+        GROUP_FILE_HEADER.every((byte, i) => sealed[i] === byte);
+      if (!hasHeader) {
+        throw new Error('Unsupported group file format');
+      }
+
+      const nonceStart = GROUP_FILE_HEADER.length;
+      const boxStart = nonceStart + nacl.secretbox.nonceLength;
+      const decryptedFile = nacl.secretbox.open(
+        sealed.slice(boxStart),
+        sealed.slice(nonceStart, boxStart),
+        decodeBase64(fileKey)
+      );
+
+      if (!decryptedFile) {
+        throw new Error('File decryption failed. Invalid data or wrong key.');
+      }
+
+      return { data: decryptedFile, senderVerified: senderVerified === true };
+    } catch (error) {
+      console.error('Group file decryption failed:', error);
+      throw error;
+    }
+  }
+
   /**
  * Make a direct API request to the voice endpoints
  * @param {string} endpoint - API endpoint path
@@ -1013,7 +1411,8 @@ class SubworldNetworkService {
         name,
         description,
         creator: this.keyPair.publicKeyDisplay,
-        members: [...members] // Add any initial members
+        // Members that have not moved to v2 addresses look for groups under their legacy display key
+        members: members.map(member => contactStore.getRoutingId(member))
       };
 
       // Use proxy for the API request
@@ -1067,7 +1466,7 @@ class SubworldNetworkService {
       }
 
       const group = await response.json();
-      return group;
+      return this._normalizeGroupMembers(group);
     } catch (error) {
       console.error('Error getting group:', error);
       throw error;
@@ -1082,18 +1481,27 @@ class SubworldNetworkService {
 
       // Use proxy for the API request
       const nodeId = this.currentNode.id || 'bootstrap2';
-      const userId = this.keyPair.publicKeyDisplay;
-      console.log('Fetching user groups via proxy:', `${this.proxyBaseUrl}${nodeId}/groups/list?user_id=${userId}`);
 
-      const response = await fetch(`${this.proxyBaseUrl}${nodeId}/groups/list?user_id=${userId}`);
+      // Groups joined before v2 addresses list us under our legacy display key
+      const groups = [];
+      for (const userId of this.getOwnIds()) {
+        console.log('Fetching user groups via proxy:', `${this.proxyBaseUrl}${nodeId}/groups/list?user_id=${userId}`);
 
-      if (!response.ok) {
-        const errorData = await response.text();
-        console.error('Server response:', errorData);
-        throw new Error(`Failed to list groups: ${response.status}`);
+        const response = await fetch(`${this.proxyBaseUrl}${nodeId}/groups/list?user_id=${encodeURIComponent(userId)}`);
+
+        if (!response.ok) {
+          const errorData = await response.text();
+          console.error('Server response:', errorData);
+          throw new Error(`Failed to list groups: ${response.status}`);
+        }
+
+        const userGroups = await response.json();
+        for (const group of Array.isArray(userGroups) ? userGroups : []) {
+          if (!group || groups.some(g => g.id === group.id)) continue;
+          groups.push(this._normalizeGroupMembers(group));
+        }
       }
 
-      const groups = await response.json();
       return groups;
     } catch (error) {
       console.error('Error listing user groups:', error);
@@ -1148,7 +1556,7 @@ class SubworldNetworkService {
       // Prepare the request data
       const leaveData = {
         group_id: groupId,
-        user_id: this.keyPair.publicKeyDisplay
+        user_id: this.getGroupMemberId(groupId)
       };
 
       // Use proxy for the API request
@@ -1195,7 +1603,7 @@ class SubworldNetworkService {
         throw new Error(`Failed to get group members: ${response.status}`);
       }
 
-      const data = await response.json();
+      const data = this._normalizeGroupMembers({ id: groupId, ...(await response.json()) });
       return {
         members: data.members || [],
         admins: data.admins || []
@@ -1213,10 +1621,15 @@ class SubworldNetworkService {
       }
 
       // Prepare the message payload
+      const senderId = this.getGroupMemberId(groupId);
       const message = {
         group_id: groupId,
-        sender_id: this.keyPair.publicKeyDisplay,
-        encrypted_data: content, // For simplicity, not encrypting group messages in this example
+        sender_id: senderId,
+        // Content is already encrypted with our sender key, the signature proves who sent it
+        encrypted_data: LocalKeyStorageManager.signPayload(
+          content,
+          ['group', senderId, groupId]
+        ),
         type: 6, // TypeGroupMessage
         timestamp: new Date().toISOString(),
         id: `grpmsg-${Date.now()}`,
@@ -1267,7 +1680,7 @@ class SubworldNetworkService {
 
       // Use proxy for the API request
       const nodeId = this.currentNode.id || 'bootstrap2';
-      const userId = this.keyPair.publicKeyDisplay;
+      const userId = this.getGroupMemberId(groupId);
       console.log('Fetching group messages via proxy:', `${this.proxyBaseUrl}${nodeId}/groups/messages/get?group_id=${groupId}&user_id=${userId}`);
 
       const response = await fetch(`${this.proxyBaseUrl}${nodeId}/groups/messages/get?group_id=${groupId}&user_id=${userId}`);
@@ -1286,6 +1699,33 @@ class SubworldNetworkService {
     }
   }
 
+  /**
+   * Check the signature of a group message returned by getGroupMessages
+   * @param {Object} message - Raw group message
+   * @param {string} groupId - Group the message was fetched for
+   * @returns {{content: string, senderVerified: boolean} | null} - null for forged messages that should be dropped,
+   *   including unsigned ones from members whose signing key is known
+   */
+  openGroupMessage(message, groupId) {
+    const senderId = message.sender_id || message.senderID || 'unknown';
+    const signed = LocalKeyStorageManager.openSignedPayload(
+      message.encrypted_data || message.encryptedData,
+      ['group', senderId, message.group_id || message.groupID || groupId]
+    );
+
+    const senderVerified = this._checkSignedContent(senderId, signed);
+    if (senderVerified === false) {
+      console.warn(`Dropping group message ${message.id} not signed with the signing key of ${senderId}`);
+      return null;
+    }
+
+    return {
+      sender: this.toContactId(senderId),
+      content: signed.payload,
+      senderVerified: senderVerified === true
+    };
+  }
+
 
   /**
  * Check the health of a specific node via proxy
@@ -1395,10 +1835,11 @@ class SubworldNetworkService {
       }
 
 
+      const memberId = contactStore.getRoutingId(memberPublicKey);
       const requestData = {
         group_id: groupId,
-        user_id: memberPublicKey,
-        added_by: this.keyPair.publicKeyDisplay
+        user_id: memberId,
+        added_by: this.getGroupMemberId(groupId)
       };
 
 
@@ -1413,8 +1854,8 @@ class SubworldNetworkService {
         },
         body: JSON.stringify({
           group_id: groupId,
-          user_id: memberPublicKey,
-          admin_id: this.keyPair.publicKeyDisplay
+          user_id: memberId,
+          admin_id: this.getGroupMemberId(groupId)
         })
       });
 
@@ -0,0 +1,220 @@
+'use client'
+
+import { encodeBase64, decodeBase64 } from 'tweetnacl-util'
+import { encode as encodeUTF8, decode as decodeUTF8 } from '@stablelib/utf8'
+import LocalKeyStorageManager from './LocalKeyStorageManager'
+import contactStore from './ContactStore'
+import conversationManager from './ConversationManager'
+
+// Shortest time between two "typing" indicators for the same conversation
+const SEND_INTERVAL = 3000
+
+// An indicator that is not renewed within this time is dropped
+const DISPLAY_TIMEOUT = 6000
+
+// Indicators sent longer ago than this are replays or clock trouble and are ignored
+const MAX_INDICATOR_AGE = 30000
+
+// Whether typing indicators are sent and shown, a device setting like read receipts
+const TYPING_SETTING_KEY = 'subworld_typing_indicators'
+
+/**
+ * Sends and receives "is typing" indicators over the signaling socket of VoiceService
+ *
+ * Indicators never touch the message store or the ratchet sessions: each one is sealed
+ * with nacl.box for a single recipient, so a group indicator is sent once per member.
+ * The receiving side checks the sealed sender key against the claimed sender address,
+ * so the relay cannot make up indicators for someone else.
+ */
+class TypingIndicatorManager {
+  constructor() {
+    this.voiceService = null
+    this.removeListener = null
+    // Conversation key -> time the last "typing" indicator was sent
+    this.lastSent = new Map()
+    // Conversation key -> Map of sender -> timeout removing the indicator
+    this.typing = new Map()
+  }
+
+  /**
+   * Start receiving indicators on the socket of an initialized VoiceService
+   * @param {Object} voiceService - VoiceService instance
+   */
+  attach(voiceService) {
+    if (!voiceService || this.voiceService === voiceService) return
+
+    if (this.removeListener) this.removeListener()
+    this.voiceService = voiceService
+    this.removeListener = voiceService.addTypingListener((data) => {
+      this._receive(data).catch(error => console.warn('Ignoring typing indicator:', error.message))
+    })
+  }
+
+  /**
+   * Whether typing indicators are sent, and shown for other people
+   * @returns {boolean}
+   */
+  isEnabled() {
+    if (typeof localStorage === 'undefined') return true
+    return localStorage.getItem(TYPING_SETTING_KEY) !== 'off'
+  }
+
+  /**
+   * Turn typing indicators on or off, people who do not send them do not see them either
+   * @param {boolean} enabled - Whether to send and show typing indicators
+   */
+  setEnabled(enabled) {
+    localStorage.setItem(TYPING_SETTING_KEY, enabled ? 'on' : 'off')
+    if (!enabled) {
+      for (const key of [...this.typing.keys()]) this._clearConversation(key)
+    }
+  }
+
+  /**
+   * Tell the other participants that the user is typing, at most once per SEND_INTERVAL
+   * @param {'dm'|'group'} type - Kind of conversation
+   * @param {string} id - Contact public key or group ID
+   */
+  notifyTyping(type, id) {
+    const key = this._getKey(type, id)
+    const now = Date.now()
+    if (!this.isEnabled() || now - (this.lastSent.get(key) || 0) < SEND_INTERVAL) return
+
+    this.lastSent.set(key, now)
+    this._send(type, id, 'typing')
+  }
+
+  /**
+   * Tell the other participants that the user stopped, e.g. after sending or clearing the input
+   * @param {'dm'|'group'} type - Kind of conversation
+   * @param {string} id - Contact public key or group ID
+   */
+  notifyStopped(type, id) {
+    const key = this._getKey(type, id)
+    if (!this.lastSent.has(key)) return
+
+    this.lastSent.delete(key)
+    if (this.isEnabled()) this._send(type, id, 'stopped')
+  }
+
+  /**
+   * People currently typing in a conversation
+   * @param {'dm'|'group'} type - Kind of conversation
+   * @param {string} id - Contact public key or group ID
+   * @returns {Array<string>} - Public keys of the people typing
+   */
+  getTypingUsers(type, id) {
+    return [...(this.typing.get(this._getKey(type, id))?.keys() || [])]
+  }
+
+  /**
+   * @private
+   */
+  _send(type, id, state) {
+    if (!this.voiceService || !id) return
+
+    const recipients = type === 'group'
+      ? (conversationManager.getGroup(id)?.members || []).filter(member => member !== conversationManager.currentUserKey)
+      : [id]
+    const payload = encodeUTF8(JSON.stringify({ groupId: type === 'group' ? id : null, state, sentAt: new Date().toISOString() }))
+
+    for (const recipient of recipients) {
+      const fullPublicKey = contactStore.getContactPublicKey(recipient)
+      if (!fullPublicKey) continue
+
+      try {
+        this.voiceService.sendTypingIndicator(recipient, encodeBase64(LocalKeyStorageManager.sealBytes(payload, fullPublicKey)))
+      } catch (error) {
+        console.warn('Failed to send typing indicator:', error)
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _receive(data) {
+    if (!this.isEnabled() || typeof data?.sender !== 'string' || typeof data.payload !== 'string') return
+
+    // Opening checks that the sealed key belongs to the claimed sender
+    const opened = await LocalKeyStorageManager.openBytes(decodeBase64(data.payload), data.sender)
+    const indicator = JSON.parse(decodeUTF8(opened))
+    const sentAt = new Date(indicator?.sentAt).getTime()
+    if (isNaN(sentAt) || Math.abs(Date.now() - sentAt) > MAX_INDICATOR_AGE) return
+
+    let type = 'dm'
+    let id = data.sender
+    if (indicator.groupId) {
+      const group = conversationManager.getGroup(indicator.groupId)
+      if (!group || !(group.members || []).includes(data.sender)) return
+      type = 'group'
+      id = group.id
+    } else if (!conversationManager.getConversation(data.sender)) {
+      // No indicators from people the user has not talked to
+      return
+    }
+
+    const key = this._getKey(type, id)
+    const typingUsers = this.typing.get(key) || new Map()
+    clearTimeout(typingUsers.get(data.sender))
+
+    if (indicator.state === 'typing') {
+      typingUsers.set(data.sender, setTimeout(() => this._remove(key, data.sender), DISPLAY_TIMEOUT))
+    } else {
+      typingUsers.delete(data.sender)
+    }
+
+    if (typingUsers.size > 0) {
+      this.typing.set(key, typingUsers)
+    } else {
+      this.typing.delete(key)
+    }
+    this._notify(key)
+  }
+
+  /**
+   * @private
+   */
+  _remove(key, sender) {
+    const typingUsers = this.typing.get(key)
+    if (!typingUsers) return
+
+    typingUsers.delete(sender)
+    if (typingUsers.size === 0) this.typing.delete(key)
+    this._notify(key)
+  }
+
+  /**
+   * @private
+   */
+  _clearConversation(key) {
+    const typingUsers = this.typing.get(key)
+    if (!typingUsers) return
+
+    typingUsers.forEach(timeout => clearTimeout(timeout))
+    this.typing.delete(key)
+    this._notify(key)
+  }
+
+  /**
+   * @private
+   */
+  _notify(key) {
+    if (typeof window === 'undefined') return
+
+    const [type, id] = key.split(/:(.*)/s)
+    window.dispatchEvent(new CustomEvent('typingChanged', { detail: { type, id } }))
+  }
+
+  /**
+   * @private
+   */
+  _getKey(type, id) {
+    return `${type === 'group' ? 'group' : 'dm'}:${id}`
+  }
+}
+
+// Create singleton instance
+const typingIndicatorManager = new TypingIndicatorManager()
+
+export default typingIndicatorManager
@@ -14,6 +14,7 @@ class VoiceService {
     this.callId = null;
     this.isMuted = false;
     this.listeners = [];
+    this.typingListeners = [];
     this.remoteUserKey = null;
 
     // Group call properties
@@ -450,6 +451,17 @@ class VoiceService {
       }
     });
 
+    // Typing indicators are encrypted end to end, the server only relays them
+    this.socket.on('typing_indicator', (data) => {
+      this.typingListeners.forEach(listener => {
+        try {
+          listener(data);
+        } catch (error) {
+          console.error('Error in typing listener:', error);
+        }
+      });
+    });
+
     this.socket.on('disconnect', () => {
       this.log('Disconnected from signaling server');
 
@@ -489,6 +501,35 @@ class VoiceService {
     };
   }
 
+  /**
+   * Register a listener for typing indicators relayed by the signaling server
+   */
+  addTypingListener(listener) {
+    this.typingListeners.push(listener);
+
+    // Return function to remove listener
+    return () => {
+      this.typingListeners = this.typingListeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Relay an encrypted typing indicator to another user through the signaling server
+   * @param {string} recipient - Recipient's public key
+   * @param {string} payload - Payload encrypted for the recipient
+   * @returns {boolean} - Whether the indicator was handed to the socket
+   */
+  sendTypingIndicator(recipient, payload) {
+    if (!this.socket || !this.socket.connected) return false;
+
+    this.socket.emit('typing_indicator', {
+      sender: this.userPublicKey,
+      recipient,
+      payload
+    });
+    return true;
+  }
+
   /**
    * Notify all listeners of an event
    */